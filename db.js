@@ -0,0 +1,20 @@
+const mysql = require('mysql2/promise');
+require('dotenv').config();
+
+// MySQL connection pool with proper configuration
+const pool = mysql.createPool({
+  host: process.env.DB_HOST,
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  database: process.env.DB_NAME,
+  port: process.env.DB_PORT || 3306,
+  waitForConnections: true,
+  connectionLimit: 10,
+  queueLimit: 0,
+  // Fixed SSL configuration for Aiven
+  ssl: {
+    rejectUnauthorized: false  // Allow self-signed certificates
+  }
+});
+
+module.exports = { pool };
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ is named
+// <version>_<name>.js and exports async up(db) and down(db).
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 30;
+
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) return null;
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        ...require(path.join(MIGRATIONS_DIR, file))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+};
+
+const ensureMigrationsTable = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedVersions = async (db) => {
+  const [rows] = await db.query('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+};
+
+// Runs fn on a dedicated connection holding a named lock, so two server
+// instances starting together don't apply the same migration twice
+const withMigrationLock = async (pool, fn) => {
+  const connection = await pool.getConnection();
+  try {
+    const [[{ acquired }]] = await connection.query(
+      'SELECT GET_LOCK(?, ?) AS acquired',
+      [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+    );
+    if (acquired !== 1) {
+      throw new Error('Timed out waiting for the schema migration lock');
+    }
+
+    try {
+      await ensureMigrationsTable(connection);
+      return await fn(connection);
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    connection.release();
+  }
+};
+
+// Applies every pending migration in version order
+const migrate = async (pool) => {
+  return withMigrationLock(pool, async (db) => {
+    const applied = new Set(await getAppliedVersions(db));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`⬆️  Applying migration ${migration.version}_${migration.name}`);
+      await migration.up(db);
+      await db.query(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    }
+
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+  });
+};
+
+// Reverts the most recently applied migrations, newest first
+const rollback = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (db) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+    const toRevert = (await getAppliedVersions(db)).reverse().slice(0, steps);
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const migration = migrations.get(version);
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} is missing`);
+      }
+
+      console.log(`⬇️  Reverting migration ${migration.version}_${migration.name}`);
+      await migration.down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      reverted.push(`${migration.version}_${migration.name}`);
+    }
+
+    return reverted;
+  });
+};
+
+const status = async (pool) => {
+  return withMigrationLock(pool, async (db) => {
+    const [rows] = await db.query('SELECT version, applied_at FROM schema_migrations');
+    const applied = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.get(migration.version) || null
+    }));
+  });
+};
+
+module.exports = { migrate, rollback, status };
+
+// CLI: node migrate.js up | down [steps] | status
+if (require.main === module) {
+  const { pool } = require('./db');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const applied = await migrate(pool);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('steps must be a positive integer');
+      }
+      const reverted = await rollback(pool, steps);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const migration of await status(pool)) {
+        const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+        console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status`);
+    }
+  };
+
+  run()
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
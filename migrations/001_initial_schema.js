@@ -0,0 +1,190 @@
+const { addColumnIfMissing, dropTables } = require('./helpers');
+
+// Core schema as it existed under database.sql: tables, menu, orders, users,
+// staff and inventory. Safe to run against a database that already has it.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS table_groups (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS restaurant_tables (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      table_number INT UNIQUE NOT NULL,
+      table_name VARCHAR(100) NOT NULL,
+      group_id INT NULL,
+      qr_code_data TEXT,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await addColumnIfMissing(db, 'restaurant_tables', 'group_id', 'INT NULL');
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS menu_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      description TEXT,
+      price_inr DECIMAL(10, 2) NOT NULL,
+      price_usd DECIMAL(10, 2) NOT NULL,
+      category VARCHAR(100),
+      image_url TEXT,
+      is_available BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      table_id INT,
+      table_number INT NOT NULL,
+      customer_id INT NULL,
+      staff_id INT NULL,
+      total_amount_inr DECIMAL(10, 2) NOT NULL,
+      total_amount_usd DECIMAL(10, 2) NOT NULL,
+      currency VARCHAR(3) DEFAULT 'INR',
+      payment_method VARCHAR(20) DEFAULT 'cash',
+      payment_status VARCHAR(20) DEFAULT 'pending',
+      order_status VARCHAR(20) DEFAULT 'pending',
+      preparation_time INT NULL COMMENT 'Preparation time in minutes',
+      service_time INT NULL COMMENT 'Service time in minutes',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (table_id) REFERENCES restaurant_tables(id)
+    )
+  `);
+  await addColumnIfMissing(db, 'orders', 'customer_id', 'INT NULL');
+  await addColumnIfMissing(db, 'orders', 'staff_id', 'INT NULL');
+  await addColumnIfMissing(db, 'orders', 'preparation_time', "INT NULL COMMENT 'Preparation time in minutes'");
+  await addColumnIfMissing(db, 'orders', 'service_time', "INT NULL COMMENT 'Service time in minutes'");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT,
+      menu_item_id INT,
+      item_name VARCHAR(200) NOT NULL,
+      quantity INT NOT NULL,
+      price_inr DECIMAL(10, 2) NOT NULL,
+      price_usd DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (menu_item_id) REFERENCES menu_items(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      full_name VARCHAR(100) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role VARCHAR(50) DEFAULT 'customer',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS staff (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      role VARCHAR(50) NOT NULL,
+      email VARCHAR(100),
+      phone VARCHAR(20),
+      hire_date DATE,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ingredients (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      unit VARCHAR(20) NOT NULL,
+      current_stock DECIMAL(10, 2) NOT NULL,
+      min_stock_level DECIMAL(10, 2) NOT NULL,
+      cost_per_unit DECIMAL(10, 2) NOT NULL,
+      supplier VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS recipe_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      menu_item_id INT NOT NULL,
+      ingredient_id INT NOT NULL,
+      quantity DECIMAL(10, 2) NOT NULL,
+      FOREIGN KEY (menu_item_id) REFERENCES menu_items(id),
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS waste_log (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      ingredient_id INT NOT NULL,
+      quantity DECIMAL(10, 2) NOT NULL,
+      reason VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+    )
+  `);
+
+  // Seed data only goes into an empty database
+  await db.query("INSERT IGNORE INTO table_groups (name) VALUES ('Non AC')");
+
+  const [[{ tableCount }]] = await db.query('SELECT COUNT(*) AS tableCount FROM restaurant_tables');
+  if (tableCount === 0) {
+    const tables = [];
+    for (let number = 1; number <= 10; number++) {
+      tables.push([number, `Table ${number}`, `table-${number}`]);
+    }
+    await db.query('INSERT INTO restaurant_tables (table_number, table_name, qr_code_data) VALUES ?', [tables]);
+  }
+
+  const [[{ menuCount }]] = await db.query('SELECT COUNT(*) AS menuCount FROM menu_items');
+  if (menuCount === 0) {
+    await db.query(
+      'INSERT INTO menu_items (name, description, price_inr, price_usd, category, is_available) VALUES ?',
+      [[
+        ['Margherita Pizza', 'Classic pizza with tomato, mozzarella, and basil', 299.00, 3.99, 'Main Course', true],
+        ['Chicken Biryani', 'Aromatic rice dish with spiced chicken', 349.00, 4.49, 'Main Course', true],
+        ['Paneer Tikka', 'Grilled cottage cheese with Indian spices', 249.00, 3.29, 'Appetizer', true],
+        ['Caesar Salad', 'Fresh romaine lettuce with Caesar dressing', 199.00, 2.69, 'Salad', true],
+        ['Masala Dosa', 'Crispy rice crepe with potato filling', 149.00, 1.99, 'Main Course', true],
+        ['Chocolate Brownie', 'Rich chocolate dessert with ice cream', 179.00, 2.39, 'Dessert', true],
+        ['Mango Lassi', 'Traditional yogurt-based mango drink', 89.00, 1.19, 'Beverage', true],
+        ['Coffee', 'Freshly brewed coffee', 79.00, 1.09, 'Beverage', true]
+      ]]
+    );
+  }
+};
+
+const down = async (db) => {
+  await dropTables(db, [
+    'waste_log',
+    'recipe_items',
+    'ingredients',
+    'staff',
+    'users',
+    'order_items',
+    'orders',
+    'menu_items',
+    'restaurant_tables',
+    'table_groups'
+  ]);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+const { dropTables } = require('./helpers');
+
+// Refresh-token sessions and the move from the legacy admin role to owner
+const up = async (db) => {
+  await db.query("UPDATE users SET role = 'owner' WHERE role = 'admin'");
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      token_hash CHAR(64) UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      replaced_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_refresh_tokens_user (user_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+// Owners are left as owners: there is no record of which ones used to be admins
+const down = async (db) => {
+  await dropTables(db, ['refresh_tokens']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+const { addForeignKeyIfMissing, dropForeignKeyIfExists, dropTables } = require('./helpers');
+
+// First-class categories. menu_items.category stays a name column but becomes
+// a foreign key to categories(name), so renames cascade to the items.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      description TEXT,
+      image_url TEXT,
+      display_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Remove the fake menu items the old category endpoint used to create
+  await db.query(`
+    DELETE FROM menu_items
+    WHERE name = '[Category Placeholder]'
+      AND id NOT IN (SELECT menu_item_id FROM order_items WHERE menu_item_id IS NOT NULL)
+  `);
+
+  // Convert the existing string categories into category rows
+  await db.query("UPDATE menu_items SET category = NULL WHERE category = ''");
+  await db.query(`
+    INSERT IGNORE INTO categories (name)
+    SELECT DISTINCT category FROM menu_items WHERE category IS NOT NULL
+  `);
+
+  await addForeignKeyIfMissing(
+    db,
+    'menu_items',
+    'fk_menu_items_category',
+    '(category) REFERENCES categories(name) ON UPDATE CASCADE'
+  );
+};
+
+// Items keep their category names as plain strings
+const down = async (db) => {
+  await dropForeignKeyIfExists(db, 'menu_items', 'fk_menu_items_category');
+  await dropTables(db, ['categories']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+const { dropTables } = require('./helpers');
+
+// Modifier groups and options on menu items, and the options chosen per order line
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS modifier_groups (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      menu_item_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      min_selections INT NOT NULL DEFAULT 0,
+      max_selections INT NOT NULL DEFAULT 1,
+      is_required BOOLEAN DEFAULT false,
+      display_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS modifier_options (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      group_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      price_delta_inr DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      price_delta_usd DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      is_available BOOLEAN DEFAULT true,
+      display_order INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (group_id) REFERENCES modifier_groups(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_item_modifiers (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_item_id INT NOT NULL,
+      modifier_option_id INT NULL,
+      group_name VARCHAR(100) NOT NULL,
+      option_name VARCHAR(100) NOT NULL,
+      price_delta_inr DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      price_delta_usd DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE,
+      FOREIGN KEY (modifier_option_id) REFERENCES modifier_options(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['order_item_modifiers', 'modifier_options', 'modifier_groups']);
+};
+
+module.exports = { up, down };
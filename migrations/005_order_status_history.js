@@ -0,0 +1,26 @@
+const { dropTables } = require('./helpers');
+
+// One row per order status transition, including creation
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_status_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      from_status VARCHAR(20) NULL,
+      to_status VARCHAR(20) NOT NULL,
+      changed_by INT NULL,
+      changed_by_role VARCHAR(50) NULL,
+      note VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_order_status_history_order (order_id, created_at),
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (changed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['order_status_history']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+const {
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addForeignKeyIfMissing,
+  dropForeignKeyIfExists,
+  dropTables
+} = require('./helpers');
+
+// Kitchen stations, their category/item routes and per-line prep status
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS kitchen_stations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      display_order INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Item routes win over category routes
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS kitchen_station_routes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      station_id INT NOT NULL,
+      category_id INT NULL UNIQUE,
+      menu_item_id INT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (station_id) REFERENCES kitchen_stations(id) ON DELETE CASCADE,
+      FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+      FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+    )
+  `);
+
+  await addColumnIfMissing(db, 'order_items', 'station_id', 'INT NULL');
+  await addColumnIfMissing(db, 'order_items', 'prep_status', "VARCHAR(20) NOT NULL DEFAULT 'queued'");
+  await addColumnIfMissing(db, 'order_items', 'prep_started_at', 'DATETIME NULL');
+  await addColumnIfMissing(db, 'order_items', 'prep_completed_at', 'DATETIME NULL');
+  await addForeignKeyIfMissing(
+    db,
+    'order_items',
+    'fk_order_items_station',
+    '(station_id) REFERENCES kitchen_stations(id) ON DELETE SET NULL'
+  );
+};
+
+const down = async (db) => {
+  await dropForeignKeyIfExists(db, 'order_items', 'fk_order_items_station');
+  await dropColumnIfExists(db, 'order_items', 'prep_completed_at');
+  await dropColumnIfExists(db, 'order_items', 'prep_started_at');
+  await dropColumnIfExists(db, 'order_items', 'prep_status');
+  await dropColumnIfExists(db, 'order_items', 'station_id');
+  await dropTables(db, ['kitchen_station_routes', 'kitchen_stations']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,69 @@
+const { findForeignKeyName } = require('./helpers');
+
+// Inventory management on top of the ingredients, recipe_items and waste_log
+// tables from the initial schema
+const up = async (db) => {
+  // Stock and recipe quantities need grams/millilitres precision in kg/litre units
+  await db.query(`
+    ALTER TABLE ingredients
+      MODIFY current_stock DECIMAL(12, 3) NOT NULL DEFAULT 0,
+      MODIFY min_stock_level DECIMAL(12, 3) NOT NULL DEFAULT 0
+  `);
+  await db.query('ALTER TABLE recipe_items MODIFY quantity DECIMAL(12, 3) NOT NULL');
+  await db.query('ALTER TABLE waste_log MODIFY quantity DECIMAL(12, 3) NOT NULL');
+
+  // One line per ingredient in a recipe; the old seed data could insert duplicates
+  await db.query(`
+    DELETE duplicate FROM recipe_items duplicate
+    JOIN recipe_items original
+      ON original.menu_item_id = duplicate.menu_item_id
+     AND original.ingredient_id = duplicate.ingredient_id
+     AND original.id < duplicate.id
+  `);
+
+  // Deleting a menu item takes its recipe with it
+  const menuItemForeignKey = await findForeignKeyName(db, 'recipe_items', 'menu_item_id');
+  if (menuItemForeignKey) {
+    await db.query(`ALTER TABLE recipe_items DROP FOREIGN KEY ${menuItemForeignKey}`);
+  }
+  await db.query(`
+    ALTER TABLE recipe_items
+      ADD UNIQUE KEY uq_recipe_items_item_ingredient (menu_item_id, ingredient_id),
+      ADD CONSTRAINT fk_recipe_items_menu_item FOREIGN KEY (menu_item_id) REFERENCES menu_items(id) ON DELETE CASCADE
+  `);
+
+  await db.query(`
+    ALTER TABLE waste_log
+      ADD COLUMN notes VARCHAR(255) NULL AFTER reason,
+      ADD COLUMN logged_by INT NULL AFTER notes,
+      ADD INDEX idx_waste_log_created (created_at),
+      ADD CONSTRAINT fk_waste_log_logged_by FOREIGN KEY (logged_by) REFERENCES users(id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE waste_log
+      DROP FOREIGN KEY fk_waste_log_logged_by,
+      DROP INDEX idx_waste_log_created,
+      DROP COLUMN logged_by,
+      DROP COLUMN notes
+  `);
+
+  await db.query('ALTER TABLE recipe_items DROP FOREIGN KEY fk_recipe_items_menu_item');
+  await db.query(`
+    ALTER TABLE recipe_items
+      ADD CONSTRAINT recipe_items_ibfk_1 FOREIGN KEY (menu_item_id) REFERENCES menu_items(id),
+      DROP INDEX uq_recipe_items_item_ingredient
+  `);
+
+  await db.query('ALTER TABLE waste_log MODIFY quantity DECIMAL(10, 2) NOT NULL');
+  await db.query('ALTER TABLE recipe_items MODIFY quantity DECIMAL(10, 2) NOT NULL');
+  await db.query(`
+    ALTER TABLE ingredients
+      MODIFY current_stock DECIMAL(10, 2) NOT NULL,
+      MODIFY min_stock_level DECIMAL(10, 2) NOT NULL
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+const { dropTables } = require('./helpers');
+
+// Stock deducted per order, so a cancellation puts back exactly what was
+// taken, a flag for menu items switched off because stock ran out, and the
+// ingredients a modifier option adds to each portion on top of the menu
+// item's recipe (an extra shot, a large size)
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE order_ingredient_usage (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      ingredient_id INT NOT NULL,
+      quantity DECIMAL(12, 3) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      restored_at DATETIME NULL,
+      INDEX idx_order_ingredient_usage_order (order_id),
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE modifier_option_recipe_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      modifier_option_id INT NOT NULL,
+      ingredient_id INT NOT NULL,
+      quantity DECIMAL(12, 3) NOT NULL,
+      UNIQUE KEY uq_modifier_option_recipe_items (modifier_option_id, ingredient_id),
+      FOREIGN KEY (modifier_option_id) REFERENCES modifier_options(id) ON DELETE CASCADE,
+      FOREIGN KEY (ingredient_id) REFERENCES ingredients(id)
+    )
+  `);
+
+  await db.query('ALTER TABLE menu_items ADD COLUMN auto_86 BOOLEAN NOT NULL DEFAULT false AFTER is_available');
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE menu_items DROP COLUMN auto_86');
+  await dropTables(db, ['modifier_option_recipe_items', 'order_ingredient_usage']);
+};
+
+module.exports = { up, down };
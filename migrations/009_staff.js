@@ -0,0 +1,65 @@
+const { dropTables } = require('./helpers');
+
+// Staff linked to login users, quick-switch PINs, waiter table-group
+// assignments and per-order staff attribution
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE staff
+      ADD COLUMN user_id INT NULL UNIQUE AFTER id,
+      ADD COLUMN pin_hash VARCHAR(255) NULL AFTER hire_date,
+      ADD COLUMN pin_failed_attempts INT NOT NULL DEFAULT 0 AFTER pin_hash,
+      ADD COLUMN pin_locked_until DATETIME NULL AFTER pin_failed_attempts,
+      ADD CONSTRAINT fk_staff_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+  `);
+
+  await db.query(`
+    CREATE TABLE staff_table_groups (
+      staff_id INT NOT NULL,
+      table_group_id INT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (staff_id, table_group_id),
+      FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+      FOREIGN KEY (table_group_id) REFERENCES table_groups(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN accepted_by INT NULL AFTER staff_id,
+      ADD COLUMN prepared_by INT NULL AFTER accepted_by,
+      ADD COLUMN served_by INT NULL AFTER prepared_by,
+      ADD CONSTRAINT fk_orders_staff FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE SET NULL,
+      ADD CONSTRAINT fk_orders_accepted_by FOREIGN KEY (accepted_by) REFERENCES staff(id) ON DELETE SET NULL,
+      ADD CONSTRAINT fk_orders_prepared_by FOREIGN KEY (prepared_by) REFERENCES staff(id) ON DELETE SET NULL,
+      ADD CONSTRAINT fk_orders_served_by FOREIGN KEY (served_by) REFERENCES staff(id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE orders
+      DROP FOREIGN KEY fk_orders_served_by,
+      DROP FOREIGN KEY fk_orders_prepared_by,
+      DROP FOREIGN KEY fk_orders_accepted_by,
+      DROP FOREIGN KEY fk_orders_staff
+  `);
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN served_by,
+      DROP COLUMN prepared_by,
+      DROP COLUMN accepted_by
+  `);
+
+  await dropTables(db, ['staff_table_groups']);
+
+  await db.query('ALTER TABLE staff DROP FOREIGN KEY fk_staff_user');
+  await db.query(`
+    ALTER TABLE staff
+      DROP COLUMN pin_locked_until,
+      DROP COLUMN pin_failed_attempts,
+      DROP COLUMN pin_hash,
+      DROP COLUMN user_id
+  `);
+};
+
+module.exports = { up, down };
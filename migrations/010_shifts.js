@@ -0,0 +1,82 @@
+const { dropTables } = require('./helpers');
+
+// Shift templates, the weekly roster, clock-in/out with breaks, and staff
+// pay rates for labour cost
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE staff
+      ADD COLUMN hourly_rate_inr DECIMAL(10, 2) NULL AFTER hire_date,
+      ADD COLUMN hourly_rate_usd DECIMAL(10, 2) NULL AFTER hourly_rate_inr
+  `);
+
+  // A shift whose end_time is not after its start_time runs past midnight
+  await db.query(`
+    CREATE TABLE shift_templates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) UNIQUE NOT NULL,
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      break_minutes INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Times are copied from the template so editing a template leaves past rosters alone
+  await db.query(`
+    CREATE TABLE roster_shifts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      staff_id INT NOT NULL,
+      shift_template_id INT NULL,
+      shift_date DATE NOT NULL,
+      start_time TIME NOT NULL,
+      end_time TIME NOT NULL,
+      break_minutes INT NOT NULL DEFAULT 0,
+      notes VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_roster_shifts_date (shift_date, staff_id),
+      FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+      FOREIGN KEY (shift_template_id) REFERENCES shift_templates(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE time_entries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      staff_id INT NOT NULL,
+      roster_shift_id INT NULL,
+      clock_in_at DATETIME NOT NULL,
+      clock_out_at DATETIME NULL,
+      notes VARCHAR(255) NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_time_entries_staff (staff_id, clock_in_at),
+      INDEX idx_time_entries_clock_in (clock_in_at),
+      FOREIGN KEY (staff_id) REFERENCES staff(id),
+      FOREIGN KEY (roster_shift_id) REFERENCES roster_shifts(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE time_entry_breaks (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      time_entry_id INT NOT NULL,
+      started_at DATETIME NOT NULL,
+      ended_at DATETIME NULL,
+      FOREIGN KEY (time_entry_id) REFERENCES time_entries(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['time_entry_breaks', 'time_entries', 'roster_shifts', 'shift_templates']);
+  await db.query(`
+    ALTER TABLE staff
+      DROP COLUMN hourly_rate_usd,
+      DROP COLUMN hourly_rate_inr
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Table QR codes become signed tokens computed from the table id and a
+// version; bumping the version rotates the code. The stored "table-N"
+// strings were guessable and are dropped.
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE restaurant_tables
+      ADD COLUMN qr_token_version INT NOT NULL DEFAULT 1 AFTER group_id,
+      ADD COLUMN qr_rotated_at DATETIME NULL AFTER qr_token_version,
+      DROP COLUMN qr_code_data
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE restaurant_tables
+      ADD COLUMN qr_code_data TEXT AFTER group_id,
+      DROP COLUMN qr_rotated_at,
+      DROP COLUMN qr_token_version
+  `);
+  await db.query("UPDATE restaurant_tables SET qr_code_data = CONCAT('table-', table_number)");
+};
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+const { dropTables } = require('./helpers');
+
+// One row per visit to a table, collecting the visit's orders into a running tab
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE table_sessions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      table_id INT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      guest_count INT NULL,
+      notes VARCHAR(255) NULL,
+      opened_by INT NULL,
+      opened_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      bill_requested_at DATETIME NULL,
+      closed_by INT NULL,
+      closed_at DATETIME NULL,
+      INDEX idx_table_sessions_table_status (table_id, status),
+      FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE CASCADE,
+      FOREIGN KEY (opened_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (closed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN table_session_id INT NULL AFTER table_number,
+      ADD CONSTRAINT fk_orders_table_session FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE orders DROP FOREIGN KEY fk_orders_table_session');
+  await db.query('ALTER TABLE orders DROP COLUMN table_session_id');
+  await dropTables(db, ['table_sessions']);
+};
+
+module.exports = { up, down };
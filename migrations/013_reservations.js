@@ -0,0 +1,60 @@
+const { dropTables } = require('./helpers');
+
+// Table capacity, weekly opening hours and advance reservations
+const up = async (db) => {
+  await db.query('ALTER TABLE restaurant_tables ADD COLUMN capacity INT NOT NULL DEFAULT 4 AFTER table_name');
+
+  // day_of_week follows JavaScript's getDay(): 0 is Sunday. A close_time that
+  // is not after open_time runs past midnight.
+  await db.query(`
+    CREATE TABLE opening_hours (
+      day_of_week TINYINT PRIMARY KEY,
+      open_time TIME NOT NULL,
+      close_time TIME NOT NULL,
+      is_closed BOOLEAN NOT NULL DEFAULT false
+    )
+  `);
+  await db.query(`
+    INSERT INTO opening_hours (day_of_week, open_time, close_time) VALUES
+      (0, '11:00', '23:00'), (1, '11:00', '23:00'), (2, '11:00', '23:00'), (3, '11:00', '23:00'),
+      (4, '11:00', '23:00'), (5, '11:00', '23:00'), (6, '11:00', '23:00')
+  `);
+
+  await db.query(`
+    CREATE TABLE reservations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_id INT NULL,
+      customer_name VARCHAR(100) NOT NULL,
+      customer_phone VARCHAR(20) NULL,
+      customer_email VARCHAR(100) NULL,
+      party_size INT NOT NULL,
+      reserved_at DATETIME NOT NULL,
+      duration_minutes INT NOT NULL DEFAULT 90,
+      preferred_group_id INT NULL,
+      table_id INT NULL,
+      special_requests TEXT,
+      status VARCHAR(20) NOT NULL DEFAULT 'booked',
+      table_session_id INT NULL,
+      created_by INT NULL,
+      seated_at DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      no_show_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_reservations_reserved_at (reserved_at),
+      INDEX idx_reservations_table_time (table_id, reserved_at),
+      FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (preferred_group_id) REFERENCES table_groups(id) ON DELETE SET NULL,
+      FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+      FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['reservations', 'opening_hours']);
+  await db.query('ALTER TABLE restaurant_tables DROP COLUMN capacity');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+const { dropTables } = require('./helpers');
+
+// Walk-in parties waiting for a table
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE waitlist_entries (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      customer_name VARCHAR(100) NOT NULL,
+      phone VARCHAR(20) NOT NULL,
+      party_size INT NOT NULL,
+      preferred_group_id INT NULL,
+      notes VARCHAR(255) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+      quoted_wait_minutes INT NULL,
+      notified_at DATETIME NULL,
+      notification_channel VARCHAR(50) NULL,
+      table_id INT NULL,
+      table_session_id INT NULL,
+      seated_at DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_waitlist_status (status, created_at),
+      FOREIGN KEY (preferred_group_id) REFERENCES table_groups(id) ON DELETE SET NULL,
+      FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+      FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['waitlist_entries']);
+};
+
+module.exports = { up, down };
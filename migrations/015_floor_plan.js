@@ -0,0 +1,25 @@
+// Floor plan layout for tables: shape, position and rotation on a floor or
+// section. Positions are left NULL until the table is placed on the plan.
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE restaurant_tables
+      ADD COLUMN shape VARCHAR(20) NOT NULL DEFAULT 'square' AFTER capacity,
+      ADD COLUMN floor VARCHAR(50) NOT NULL DEFAULT 'Main' AFTER shape,
+      ADD COLUMN pos_x INT NULL AFTER floor,
+      ADD COLUMN pos_y INT NULL AFTER pos_x,
+      ADD COLUMN rotation INT NOT NULL DEFAULT 0 AFTER pos_y
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE restaurant_tables
+      DROP COLUMN rotation,
+      DROP COLUMN pos_y,
+      DROP COLUMN pos_x,
+      DROP COLUMN floor,
+      DROP COLUMN shape
+  `);
+};
+
+module.exports = { up, down };
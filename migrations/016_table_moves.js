@@ -0,0 +1,41 @@
+const { dropTables } = require('./helpers');
+
+// Tables pushed together share one billing session, and every transfer,
+// merge or split is kept in an audit trail
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE table_sessions
+      ADD COLUMN merged_into_session_id INT NULL AFTER status,
+      ADD CONSTRAINT fk_table_sessions_merged_into FOREIGN KEY (merged_into_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL
+  `);
+
+  await db.query(`
+    CREATE TABLE table_moves (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      move_type VARCHAR(30) NOT NULL,
+      order_id INT NULL,
+      new_order_id INT NULL,
+      table_session_id INT NULL,
+      from_table_id INT NULL,
+      to_table_id INT NULL,
+      details TEXT,
+      performed_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_table_moves_created (created_at),
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE SET NULL,
+      FOREIGN KEY (new_order_id) REFERENCES orders(id) ON DELETE SET NULL,
+      FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+      FOREIGN KEY (from_table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+      FOREIGN KEY (to_table_id) REFERENCES restaurant_tables(id) ON DELETE SET NULL,
+      FOREIGN KEY (performed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['table_moves']);
+  await db.query('ALTER TABLE table_sessions DROP FOREIGN KEY fk_table_sessions_merged_into');
+  await db.query('ALTER TABLE table_sessions DROP COLUMN merged_into_session_id');
+};
+
+module.exports = { up, down };
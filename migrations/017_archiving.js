@@ -0,0 +1,17 @@
+// Archiving instead of deleting: archived tables, menu items and table groups
+// keep their order history but drop out of listings. Tables keep is_active in
+// step with archived_at since the rest of the schema filters on it.
+const up = async (db) => {
+  await db.query('ALTER TABLE restaurant_tables ADD COLUMN archived_at DATETIME NULL AFTER is_active');
+  await db.query('UPDATE restaurant_tables SET archived_at = NOW() WHERE is_active = false');
+  await db.query('ALTER TABLE menu_items ADD COLUMN archived_at DATETIME NULL AFTER is_available');
+  await db.query('ALTER TABLE table_groups ADD COLUMN archived_at DATETIME NULL AFTER name');
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE table_groups DROP COLUMN archived_at');
+  await db.query('ALTER TABLE menu_items DROP COLUMN archived_at');
+  await db.query('ALTER TABLE restaurant_tables DROP COLUMN archived_at');
+};
+
+module.exports = { up, down };
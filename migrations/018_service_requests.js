@@ -0,0 +1,38 @@
+const { dropTables } = require('./helpers');
+
+// Guest requests from the table (call waiter, bill, help) with the timestamps
+// needed to measure how fast staff respond
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE service_requests (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      table_id INT NOT NULL,
+      table_session_id INT NULL,
+      request_type VARCHAR(20) NOT NULL,
+      note VARCHAR(255) NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'open',
+      customer_id INT NULL,
+      escalation_level INT NOT NULL DEFAULT 0,
+      escalated_at DATETIME NULL,
+      acknowledged_by INT NULL,
+      acknowledged_at DATETIME NULL,
+      resolved_by INT NULL,
+      resolved_at DATETIME NULL,
+      cancelled_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_service_requests_status (status, created_at),
+      INDEX idx_service_requests_created (created_at),
+      FOREIGN KEY (table_id) REFERENCES restaurant_tables(id) ON DELETE CASCADE,
+      FOREIGN KEY (table_session_id) REFERENCES table_sessions(id) ON DELETE SET NULL,
+      FOREIGN KEY (customer_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (acknowledged_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['service_requests']);
+};
+
+module.exports = { up, down };
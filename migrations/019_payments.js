@@ -0,0 +1,67 @@
+const { dropTables } = require('./helpers');
+
+// Gateway payments against orders, their refunds, and the webhook events
+// already processed (so a replayed event is recognised and ignored).
+// Captures that do not add up (a different amount than was asked, an order
+// already paid or cancelled) are kept with a review_reason for staff to refund.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE payments (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      provider VARCHAR(30) NOT NULL,
+      provider_payment_id VARCHAR(100) NOT NULL,
+      method VARCHAR(20) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      captured_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      refunded_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      client_data TEXT,
+      failure_reason VARCHAR(255) NULL,
+      review_reason VARCHAR(255) NULL,
+      created_by INT NULL,
+      captured_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_payments_provider_payment (provider, provider_payment_id),
+      INDEX idx_payments_order (order_id),
+      FOREIGN KEY (order_id) REFERENCES orders(id),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE payment_refunds (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      payment_id INT NOT NULL,
+      provider_refund_id VARCHAR(100) NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      reason VARCHAR(255) NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (payment_id) REFERENCES payments(id),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE payment_webhook_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      provider VARCHAR(30) NOT NULL,
+      event_id VARCHAR(100) NOT NULL,
+      event_type VARCHAR(50) NOT NULL,
+      payment_id INT NULL,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uq_payment_webhook_events (provider, event_id),
+      FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['payment_webhook_events', 'payment_refunds', 'payments']);
+};
+
+module.exports = { up, down };
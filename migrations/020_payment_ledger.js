@@ -0,0 +1,45 @@
+// The payments table becomes the ledger for every tender, not only gateway
+// payments: cash and card-terminal payments recorded by staff have no
+// provider. Orders' payment_status is derived from it (unpaid, partial,
+// paid, refunded), so orders already marked paid get a matching entry.
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE payments
+      MODIFY provider VARCHAR(30) NULL,
+      MODIFY provider_payment_id VARCHAR(100) NULL,
+      ADD COLUMN tendered_amount DECIMAL(10, 2) NULL AFTER captured_amount,
+      ADD COLUMN change_amount DECIMAL(10, 2) NULL AFTER tendered_amount,
+      ADD COLUMN reference VARCHAR(100) NULL AFTER client_data
+  `);
+
+  await db.query(`
+    INSERT INTO payments (order_id, method, amount, currency, status, captured_amount, reference, captured_at, created_at)
+    SELECT id, COALESCE(payment_method, 'cash'),
+      IF(currency = 'USD', total_amount_usd, total_amount_inr), COALESCE(currency, 'INR'), 'captured',
+      IF(currency = 'USD', total_amount_usd, total_amount_inr), 'Recorded before the payments ledger', updated_at, updated_at
+    FROM orders
+    WHERE payment_status = 'paid'
+      AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.order_id = orders.id)
+  `);
+
+  await db.query("UPDATE orders SET payment_status = 'unpaid' WHERE payment_status = 'pending'");
+  await db.query("ALTER TABLE orders ALTER COLUMN payment_status SET DEFAULT 'unpaid'");
+};
+
+const down = async (db) => {
+  await db.query("ALTER TABLE orders ALTER COLUMN payment_status SET DEFAULT 'pending'");
+  await db.query("UPDATE orders SET payment_status = 'pending' WHERE payment_status IN ('unpaid', 'partial')");
+
+  await db.query('DELETE r FROM payment_refunds r JOIN payments p ON r.payment_id = p.id WHERE p.provider IS NULL');
+  await db.query('DELETE FROM payments WHERE provider IS NULL');
+  await db.query(`
+    ALTER TABLE payments
+      DROP COLUMN reference,
+      DROP COLUMN change_amount,
+      DROP COLUMN tendered_amount,
+      MODIFY provider_payment_id VARCHAR(100) NOT NULL,
+      MODIFY provider VARCHAR(30) NOT NULL
+  `);
+};
+
+module.exports = { up, down };
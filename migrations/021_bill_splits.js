@@ -0,0 +1,81 @@
+const { dropTables } = require('./helpers');
+
+// Splitting an order or a table session's bill into shares. Each share is
+// allocated across the orders it covers, so paying it goes into the orders'
+// ledgers; item splits also record which lines each share took. A gateway
+// payment for a share spanning several orders gets a ledger row per order,
+// so provider payment ids are only unique per order.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE bill_splits (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NULL,
+      table_session_id INT NULL,
+      split_type VARCHAR(10) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      cancelled_at DATETIME NULL,
+      FOREIGN KEY (order_id) REFERENCES orders(id),
+      FOREIGN KEY (table_session_id) REFERENCES table_sessions(id),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE bill_split_shares (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      bill_split_id INT NOT NULL,
+      label VARCHAR(50) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      token VARCHAR(64) NOT NULL,
+      UNIQUE KEY uq_bill_split_shares_token (token),
+      FOREIGN KEY (bill_split_id) REFERENCES bill_splits(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE bill_split_allocations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      share_id INT NOT NULL,
+      order_id INT NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      INDEX idx_bill_split_allocations_order (order_id),
+      FOREIGN KEY (share_id) REFERENCES bill_split_shares(id) ON DELETE CASCADE,
+      FOREIGN KEY (order_id) REFERENCES orders(id)
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE bill_split_share_items (
+      share_id INT NOT NULL,
+      order_item_id INT NOT NULL,
+      quantity INT NOT NULL,
+      PRIMARY KEY (share_id, order_item_id),
+      FOREIGN KEY (share_id) REFERENCES bill_split_shares(id) ON DELETE CASCADE,
+      FOREIGN KEY (order_item_id) REFERENCES order_items(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE payments
+      ADD COLUMN bill_split_share_id INT NULL AFTER order_id,
+      ADD CONSTRAINT fk_payments_bill_split_share FOREIGN KEY (bill_split_share_id) REFERENCES bill_split_shares(id) ON DELETE SET NULL,
+      DROP INDEX uq_payments_provider_payment,
+      ADD UNIQUE KEY uq_payments_provider_payment (provider, provider_payment_id, order_id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE payments
+      DROP FOREIGN KEY fk_payments_bill_split_share,
+      DROP COLUMN bill_split_share_id,
+      DROP INDEX uq_payments_provider_payment,
+      ADD UNIQUE KEY uq_payments_provider_payment (provider, provider_payment_id)
+  `);
+  await dropTables(db, ['bill_split_share_items', 'bill_split_allocations', 'bill_split_shares', 'bill_splits']);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,104 @@
+const { dropTables } = require('./helpers');
+
+// GST and service charge. Tax rates are assigned to menu items or their
+// category, falling back to the default rate; each is charged as equal CGST
+// and SGST halves. Orders keep their subtotal, service charge, tax and
+// rounding next to the grand total, with the tax lines in order_tax_lines
+// and each line's rate copied onto its order item. Existing orders had no
+// tax, so their subtotal is their total.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE tax_rates (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(50) NOT NULL UNIQUE,
+      rate DECIMAL(5, 2) NOT NULL,
+      is_inclusive BOOLEAN NOT NULL DEFAULT false,
+      is_default BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE billing_settings (
+      id INT PRIMARY KEY,
+      service_charge_percent DECIMAL(5, 2) NOT NULL DEFAULT 0,
+      service_charge_tax_rate_id INT NULL,
+      rounding_mode VARCHAR(10) NOT NULL DEFAULT 'none',
+      rounding_increment_inr DECIMAL(6, 2) NOT NULL DEFAULT 1.00,
+      rounding_increment_usd DECIMAL(6, 2) NOT NULL DEFAULT 0.01,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (service_charge_tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL
+    )
+  `);
+  await db.query('INSERT INTO billing_settings (id) VALUES (1)');
+
+  await db.query(`
+    ALTER TABLE categories
+      ADD COLUMN tax_rate_id INT NULL,
+      ADD CONSTRAINT fk_categories_tax_rate FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL
+  `);
+  await db.query(`
+    ALTER TABLE menu_items
+      ADD COLUMN tax_rate_id INT NULL,
+      ADD CONSTRAINT fk_menu_items_tax_rate FOREIGN KEY (tax_rate_id) REFERENCES tax_rates(id) ON DELETE SET NULL
+  `);
+  await db.query(`
+    ALTER TABLE order_items
+      ADD COLUMN tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0,
+      ADD COLUMN tax_inclusive BOOLEAN NOT NULL DEFAULT false
+  `);
+
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN subtotal_inr DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER customer_id,
+      ADD COLUMN subtotal_usd DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER subtotal_inr,
+      ADD COLUMN service_charge_percent DECIMAL(5, 2) NOT NULL DEFAULT 0 AFTER subtotal_usd,
+      ADD COLUMN service_charge_tax_rate DECIMAL(5, 2) NOT NULL DEFAULT 0 AFTER service_charge_percent,
+      ADD COLUMN service_charge_inr DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER service_charge_tax_rate,
+      ADD COLUMN service_charge_usd DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER service_charge_inr,
+      ADD COLUMN tax_total_inr DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER service_charge_usd,
+      ADD COLUMN tax_total_usd DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER tax_total_inr,
+      ADD COLUMN rounding_inr DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER tax_total_usd,
+      ADD COLUMN rounding_usd DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER rounding_inr
+  `);
+  await db.query('UPDATE orders SET subtotal_inr = total_amount_inr, subtotal_usd = total_amount_usd');
+
+  await db.query(`
+    CREATE TABLE order_tax_lines (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      component VARCHAR(10) NOT NULL,
+      rate DECIMAL(5, 2) NOT NULL,
+      taxable_inr DECIMAL(10, 2) NOT NULL,
+      taxable_usd DECIMAL(10, 2) NOT NULL,
+      tax_inr DECIMAL(10, 2) NOT NULL,
+      tax_usd DECIMAL(10, 2) NOT NULL,
+      INDEX idx_order_tax_lines_order (order_id),
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+const down = async (db) => {
+  await dropTables(db, ['order_tax_lines']);
+  await db.query(`
+    ALTER TABLE orders
+      DROP COLUMN rounding_usd,
+      DROP COLUMN rounding_inr,
+      DROP COLUMN tax_total_usd,
+      DROP COLUMN tax_total_inr,
+      DROP COLUMN service_charge_usd,
+      DROP COLUMN service_charge_inr,
+      DROP COLUMN service_charge_tax_rate,
+      DROP COLUMN service_charge_percent,
+      DROP COLUMN subtotal_usd,
+      DROP COLUMN subtotal_inr
+  `);
+  await db.query('ALTER TABLE order_items DROP COLUMN tax_inclusive, DROP COLUMN tax_rate');
+  await db.query('ALTER TABLE menu_items DROP FOREIGN KEY fk_menu_items_tax_rate, DROP COLUMN tax_rate_id');
+  await db.query('ALTER TABLE categories DROP FOREIGN KEY fk_categories_tax_rate, DROP COLUMN tax_rate_id');
+  await dropTables(db, ['billing_settings', 'tax_rates']);
+};
+
+module.exports = { up, down };
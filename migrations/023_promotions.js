@@ -0,0 +1,102 @@
+const { dropTables } = require('./helpers');
+
+// Promotions: percentage, flat and buy-X-get-Y offers, optionally scoped to
+// a category or menu item, with a minimum order value, validity dates, days
+// of the week and a time of day. Promotions either apply automatically or
+// need one of their coupon codes. Usage is counted on the promotion and on
+// each code. Orders keep their discount lines in order_discounts and each
+// line's share of the discount on its order item; the subtotal is after
+// discounts.
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE promotions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      description TEXT NULL,
+      promotion_type VARCHAR(20) NOT NULL,
+      percent DECIMAL(5, 2) NULL,
+      amount_inr DECIMAL(10, 2) NULL,
+      amount_usd DECIMAL(10, 2) NULL,
+      max_discount_inr DECIMAL(10, 2) NULL,
+      max_discount_usd DECIMAL(10, 2) NULL,
+      buy_quantity INT NULL,
+      get_quantity INT NULL,
+      category_id INT NULL,
+      menu_item_id INT NULL,
+      min_order_inr DECIMAL(10, 2) NULL,
+      min_order_usd DECIMAL(10, 2) NULL,
+      starts_at DATETIME NULL,
+      ends_at DATETIME NULL,
+      days_of_week VARCHAR(20) NULL,
+      start_time TIME NULL,
+      end_time TIME NULL,
+      requires_code BOOLEAN NOT NULL DEFAULT false,
+      is_stackable BOOLEAN NOT NULL DEFAULT false,
+      priority INT NOT NULL DEFAULT 0,
+      usage_limit INT NULL,
+      usage_limit_per_customer INT NULL,
+      times_used INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_promotions_active (is_active, requires_code),
+      FOREIGN KEY (category_id) REFERENCES categories(id),
+      FOREIGN KEY (menu_item_id) REFERENCES menu_items(id),
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE promotion_codes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      promotion_id INT NOT NULL,
+      code VARCHAR(40) NOT NULL UNIQUE,
+      usage_limit INT NULL,
+      times_used INT NOT NULL DEFAULT 0,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `);
+
+  await db.query(`
+    CREATE TABLE order_discounts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      promotion_id INT NOT NULL,
+      promotion_code_id INT NULL,
+      description VARCHAR(100) NOT NULL,
+      code VARCHAR(40) NULL,
+      amount_inr DECIMAL(10, 2) NOT NULL,
+      amount_usd DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_order_discounts_order (order_id),
+      INDEX idx_order_discounts_promotion (promotion_id),
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id),
+      FOREIGN KEY (promotion_code_id) REFERENCES promotion_codes(id)
+    )
+  `);
+
+  await db.query(`
+    ALTER TABLE order_items
+      ADD COLUMN discount_inr DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER price_usd,
+      ADD COLUMN discount_usd DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER discount_inr
+  `);
+  await db.query(`
+    ALTER TABLE orders
+      ADD COLUMN discount_inr DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER customer_id,
+      ADD COLUMN discount_usd DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER discount_inr
+  `);
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE orders DROP COLUMN discount_usd, DROP COLUMN discount_inr');
+  await db.query('ALTER TABLE order_items DROP COLUMN discount_usd, DROP COLUMN discount_inr');
+  await dropTables(db, ['order_discounts', 'promotion_codes', 'promotions']);
+};
+
+module.exports = { up, down };
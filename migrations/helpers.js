@@ -0,0 +1,73 @@
+// Schema helpers for migrations. The early migrations use the "IfMissing"
+// variants because databases set up from the old database.sql may already
+// have some of their tables, columns or constraints.
+
+const columnExists = async (db, table, column) => {
+  const [rows] = await db.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+const constraintExists = async (db, table, constraint) => {
+  const [rows] = await db.query(
+    `SELECT 1 FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND CONSTRAINT_NAME = ?`,
+    [table, constraint]
+  );
+  return rows.length > 0;
+};
+
+// Name of the foreign key on table.column, for constraints created without an explicit name
+const findForeignKeyName = async (db, table, column) => {
+  const [rows] = await db.query(
+    `SELECT CONSTRAINT_NAME AS name FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+       AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table, column]
+  );
+  return rows.length > 0 ? rows[0].name : null;
+};
+
+const addColumnIfMissing = async (db, table, column, definition) => {
+  if (!(await columnExists(db, table, column))) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const dropColumnIfExists = async (db, table, column) => {
+  if (await columnExists(db, table, column)) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
+
+const addForeignKeyIfMissing = async (db, table, name, definition) => {
+  if (!(await constraintExists(db, table, name))) {
+    await db.query(`ALTER TABLE ${table} ADD CONSTRAINT ${name} FOREIGN KEY ${definition}`);
+  }
+};
+
+const dropForeignKeyIfExists = async (db, table, name) => {
+  if (await constraintExists(db, table, name)) {
+    await db.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${name}`);
+  }
+};
+
+const dropTables = async (db, tables) => {
+  for (const table of tables) {
+    await db.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+};
+
+module.exports = {
+  columnExists,
+  constraintExists,
+  findForeignKeyName,
+  addColumnIfMissing,
+  dropColumnIfExists,
+  addForeignKeyIfMissing,
+  dropForeignKeyIfExists,
+  dropTables
+};
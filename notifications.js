@@ -0,0 +1,45 @@
+// Outbound notifications to guests, e.g. "your table is ready". A channel is
+// an async function that delivers { to, message, type, reference }; register
+// one to plug in an SMS or messaging provider. NOTIFICATION_CHANNEL picks the
+// channel used when the caller does not name one.
+const channels = new Map();
+
+const registerChannel = (name, send) => {
+  channels.set(name, send);
+};
+
+// Writes to the server log instead of sending, so development needs no provider
+registerChannel('log', async ({ to, message }) => {
+  console.log(`Notification to ${to}: ${message}`);
+});
+
+// POSTs the notification as JSON to NOTIFICATION_WEBHOOK_URL, e.g. an SMS gateway bridge
+registerChannel('webhook', async (notification) => {
+  const url = process.env.NOTIFICATION_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('NOTIFICATION_WEBHOOK_URL is not set');
+  }
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(notification),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!response.ok) {
+    throw new Error(`Notification webhook responded with ${response.status}`);
+  }
+});
+
+const hasChannel = (name) => channels.has(name);
+
+// Deliver a notification and return the name of the channel that sent it
+const notify = async (notification, channel = process.env.NOTIFICATION_CHANNEL || 'log') => {
+  const send = channels.get(channel);
+  if (!send) {
+    throw new Error(`Unknown notification channel "${channel}"`);
+  }
+  await send(notification);
+  return channel;
+};
+
+module.exports = { registerChannel, hasChannel, notify };
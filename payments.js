@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// Payment providers. A provider is an object with:
+//   createIntent({ amount, currency, method, reference })
+//     -> { provider_payment_id, status, client_data }
+//   capture(providerPaymentId, amount) -> { status, amount }
+//   cancel(providerPaymentId) -> { status }  (optional; "cancelled" on success)
+//   refund(providerPaymentId, amount, reason) -> { provider_refund_id, status }
+//   verifyWebhook(rawBody, headers)
+//     -> { id, type, provider_payment_id, provider_refund_id, amount, failure_reason }
+// Amounts are decimal strings in major units ("249.00"). verifyWebhook throws
+// on a bad or stale signature. Webhook event types are normalised to
+// payment.authorized, payment.captured, payment.failed and refund.succeeded.
+// An event's amount is what the gateway captured or refunded in total for
+// the gateway payment; payment.captured must carry it. refund.succeeded
+// carries the provider_refund_id that refund() returned.
+// Register an adapter for a real gateway with registerProvider; PAYMENT_PROVIDER
+// picks the provider used when the caller does not name one. The local stub
+// below is only registered, and only the default, outside production.
+const providers = new Map();
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const registerProvider = (name, provider) => {
+  providers.set(name, provider);
+};
+
+const hasProvider = (name) => providers.has(name);
+
+const defaultProviderName = () => process.env.PAYMENT_PROVIDER || (isProduction() ? null : 'local');
+
+const getProvider = (name = defaultProviderName()) => {
+  if (!name) {
+    throw new Error('PAYMENT_PROVIDER is not set');
+  }
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return { name, ...provider };
+};
+
+// Signed webhooks older than this are rejected so captured requests cannot be replayed later
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const LOCAL_WEBHOOK_SECRET = process.env.LOCAL_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex');
+
+const signLocalPayload = (timestamp, rawBody) =>
+  crypto.createHmac('sha256', LOCAL_WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+
+// In-process stand-in for a gateway, for development and tests. No money
+// moves: intents are accepted as-is and outcomes arrive through webhooks
+// built with signLocalWebhook, signed like a real gateway's would be.
+const localProvider = {
+  createIntent: async ({ amount, method, reference }) => {
+    const id = `local_pay_${crypto.randomBytes(12).toString('hex')}`;
+    const client_data = method === 'upi'
+      ? { upi_uri: `upi://pay?pa=restaurant@local&am=${amount}&tn=${encodeURIComponent(reference)}&tr=${id}` }
+      : { client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}` };
+    return { provider_payment_id: id, status: 'pending', client_data };
+  },
+
+  capture: async (providerPaymentId, amount) => ({ status: 'captured', amount }),
+
+  cancel: async () => ({ status: 'cancelled' }),
+
+  refund: async () => ({ provider_refund_id: `local_rf_${crypto.randomBytes(12).toString('hex')}`, status: 'succeeded' }),
+
+  verifyWebhook: (rawBody, headers) => {
+    const header = headers['x-local-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) {
+      throw new Error('Missing webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw new Error('Webhook timestamp is outside the allowed window');
+    }
+
+    const expected = Buffer.from(signLocalPayload(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    return JSON.parse(rawBody.toString());
+  }
+};
+
+if (!isProduction()) {
+  registerProvider('local', localProvider);
+}
+
+// A signed local webhook for an event, as the local provider's gateway would send it
+const signLocalWebhook = (event) => {
+  const body = JSON.stringify({ id: `local_evt_${crypto.randomBytes(12).toString('hex')}`, ...event });
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    body: Buffer.from(body),
+    headers: { 'x-local-signature': `t=${timestamp},v1=${signLocalPayload(timestamp, body)}` }
+  };
+};
+
+module.exports = { registerProvider, hasProvider, getProvider, defaultProviderName, signLocalWebhook };
@@ -1,12 +1,16 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const mysql = require('mysql2/promise');
 const bcrypt = require('bcrypt');
-const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 require('dotenv').config();
+const { pool } = require('./db');
+const { migrate } = require('./migrate');
+const { hasChannel, notify } = require('./notifications');
+const { hasProvider, getProvider, defaultProviderName, signLocalWebhook } = require('./payments');
 
 const app = express();
 const httpServer = createServer(app);
@@ -71,8 +75,14 @@ app.use((req, res, next) => {
   }
 });
 
-// Add JSON parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Add JSON parsing middleware. The raw body is kept for payment webhooks,
+// whose signatures cover the exact bytes the gateway sent.
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Add request logging middleware
@@ -99,30 +109,18 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('Kitchen dashboard connected:', socket.id);
-
-  socket.on('disconnect', () => {
-    console.log('Kitchen dashboard disconnected:', socket.id);
-  });
-});
-
-// MySQL connection pool with proper configuration
-const pool = mysql.createPool({
-  host: process.env.DB_HOST,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-  port: process.env.DB_PORT || 3306,
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0,
-  // Fixed SSL configuration for Aiven
-  ssl: {
-    rejectUnauthorized: false  // Allow self-signed certificates
+// Error thrown from helpers that already know the HTTP status and message to send
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
   }
-});
+}
+
+// Build the "?, ?, ?" list for an IN (...) clause
+const placeholders = (values) => values.map(() => '?').join(', ');
 
 // Test database connection
 const testDatabaseConnection = async () => {
@@ -143,6 +141,293 @@ const testDatabaseConnection = async () => {
   }
 };
 
+// JWT_SECRET and QR_TOKEN_SECRET must be set in production (see .env.example).
+// Anywhere else a missing secret is replaced by a throwaway one so local runs and
+// tests need no configuration.
+const readSecret = (name, consequence) => {
+  if (process.env[name]) return process.env[name];
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} is not set. It is required in production; see .env.example.`);
+  }
+  console.warn(`${name} is not set, using a random secret. ${consequence}`);
+  return crypto.randomBytes(32).toString('hex');
+};
+
+// Token configuration
+const JWT_SECRET = readSecret('JWT_SECRET', 'Issued tokens will not survive a restart.');
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Table QR codes are printed and stay on the tables, so they are signed with
+// their own secret that never changes with JWT_SECRET or across restarts
+const QR_TOKEN_SECRET = readSecret('QR_TOKEN_SECRET', 'Table QR codes will not survive a restart.');
+const QR_BASE_URL = (process.env.QR_BASE_URL || 'https://dineflowfrontend.vercel.app').replace(/\/$/, '');
+
+// Minutes a service request may go unacknowledged before it escalates a level
+const SERVICE_REQUEST_ESCALATION_MINUTES = parseInt(process.env.SERVICE_REQUEST_ESCALATION_MINUTES, 10) || 3;
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new access/refresh token pair. The refresh token row doubles as the
+// server-side session, so revoking it also invalidates its access tokens.
+const issueTokens = async (db, user) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const [result] = await db.execute(
+    'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [user.id, hashToken(refreshToken), expiresAt]
+  );
+
+  const accessToken = jwt.sign(
+    { sub: String(user.id), role: user.role, sid: result.insertId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    sessionId: result.insertId,
+    tokens: {
+      tokenType: 'Bearer',
+      accessToken,
+      refreshToken,
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshExpiresAt: expiresAt.toISOString()
+    }
+  };
+};
+
+// Roles, from most to least privileged
+const ROLES = ['owner', 'manager', 'kitchen', 'waiter', 'customer'];
+
+// Permission matrix: every protected route and socket room checks against this
+const PERMISSIONS = {
+  'menu:write': ['owner', 'manager'],
+  'menu:delete': ['owner', 'manager'],
+  'categories:write': ['owner', 'manager'],
+  'tables:write': ['owner', 'manager'],
+  'tables:qr': ['owner', 'manager', 'waiter'],
+  'orders:read': ['owner', 'manager', 'kitchen', 'waiter'],
+  'orders:read-own': ['customer'],
+  'orders:update-status': ['owner', 'manager', 'kitchen', 'waiter'],
+  'orders:move': ['owner', 'manager', 'waiter'],
+  'service:respond': ['owner', 'manager', 'waiter'],
+  'sessions:manage': ['owner', 'manager', 'waiter'],
+  'reservations:read': ['owner', 'manager', 'waiter'],
+  'reservations:manage': ['owner', 'manager', 'waiter'],
+  'reservations:book': ['customer'],
+  'reservations:configure': ['owner', 'manager'],
+  'waitlist:manage': ['owner', 'manager', 'waiter'],
+  'payments:manage': ['owner', 'manager', 'waiter'],
+  'payments:refund': ['owner', 'manager'],
+  'billing:configure': ['owner', 'manager'],
+  'promotions:manage': ['owner', 'manager'],
+  'stations:manage': ['owner', 'manager'],
+  'inventory:read': ['owner', 'manager', 'kitchen'],
+  'inventory:write': ['owner', 'manager'],
+  'inventory:log-waste': ['owner', 'manager', 'kitchen'],
+  'staff:read': ['owner', 'manager', 'kitchen', 'waiter'],
+  'staff:manage': ['owner', 'manager'],
+  'shifts:read': ['owner', 'manager', 'kitchen', 'waiter'],
+  'shifts:manage': ['owner', 'manager'],
+  'analytics:read': ['owner', 'manager'],
+  'users:manage': ['owner', 'manager']
+};
+
+const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+// Managers can hand out roles below their own; only owners can create owners or managers
+const canAssignRole = (actorRole, role) => {
+  if (!ROLES.includes(role)) return false;
+  if (actorRole === 'owner') return true;
+  return ROLES.indexOf(role) > ROLES.indexOf(actorRole);
+};
+
+// Verify an access token and load its live session. Resolves to the user or
+// to an { status, message } error suitable for the response.
+const resolveAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+    return { error: { status: 401, message } };
+  }
+
+  // The session must still be live; the role is read fresh so changes apply immediately
+  const [sessions] = await pool.execute(
+    `SELECT u.id, u.full_name, u.email, u.role
+     FROM refresh_tokens rt
+     JOIN users u ON rt.user_id = u.id
+     WHERE rt.id = ? AND rt.user_id = ? AND rt.revoked_at IS NULL AND rt.expires_at > NOW()`,
+    [payload.sid, payload.sub]
+  );
+
+  if (sessions.length === 0) {
+    return { error: { status: 401, message: 'Session has been revoked' } };
+  }
+
+  return { user: { ...sessions[0], sessionId: payload.sid } };
+};
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Authentication middleware
+const authenticateToken = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  try {
+    const { user, error } = await resolveAccessToken(token);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error verifying session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify session',
+      error: error.message
+    });
+  }
+};
+
+// Same as authenticateToken, but lets anonymous requests (e.g. QR guests) through
+const optionalAuth = (req, res, next) => {
+  if (!getBearerToken(req)) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Route guard: authenticate, then require at least one of the given permissions
+const authorize = (...permissions) => [
+  authenticateToken,
+  (req, res, next) => {
+    if (!permissions.some(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+    next();
+  }
+];
+
+// Archived tables, menu items and table groups are hidden from everyone
+// without the permission that manages them
+const canSeeArchived = (req, permission) => Boolean(req.user && hasPermission(req.user.role, permission));
+
+// Archived rows are left out of listings. Users with the given permission can
+// ask for them with ?archived=true (archived only) or ?archived=all. Returns
+// the SQL condition to apply, if any.
+const archivedCondition = (req, permission, column) => {
+  const allowed = canSeeArchived(req, permission);
+  if (allowed && req.query.archived === 'all') {
+    return null;
+  }
+  return allowed && req.query.archived === 'true' ? `${column} IS NOT NULL` : `${column} IS NULL`;
+};
+
+// Socket rooms: staff join one room per role, guests can follow a single table
+const roleRoom = (role) => `role:${role}`;
+const tableRoom = (tableNumber) => `table:${tableNumber}`;
+const userRoom = (userId) => `user:${userId}`;
+const stationRoom = (stationId) => `station:${stationId}`;
+
+// Order events go to staff who can see orders, the table the order belongs to and its customer
+const emitOrderEvent = (event, order) => {
+  const rooms = PERMISSIONS['orders:read'].map(roleRoom);
+  rooms.push(tableRoom(order.table_number));
+  if (order.customer_id) {
+    rooms.push(userRoom(order.customer_id));
+  }
+  io.to(rooms).emit(event, order);
+};
+
+// Socket.IO authentication: a token is optional, anonymous sockets are treated as guests
+io.use(async (socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    socket.data.user = null;
+    return next();
+  }
+
+  try {
+    const { user, error } = await resolveAccessToken(token);
+    if (error) {
+      return next(new Error(error.message));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    console.error('Error verifying socket session:', error);
+    next(new Error('Failed to verify session'));
+  }
+});
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+  const { user } = socket.data;
+  console.log('Kitchen dashboard connected:', socket.id, user ? `(${user.role})` : '(guest)');
+
+  if (user) {
+    socket.join(roleRoom(user.role));
+    socket.join(userRoom(user.id));
+  }
+
+  // Guests follow the status of orders placed at their table, proving they are
+  // there with the token from the table's QR code; archived tables take no
+  // guests, as for orders. Staff can follow any table.
+  socket.on('join-table', async (tableNumber, token) => {
+    if (tableNumber === undefined || tableNumber === null) {
+      return;
+    }
+    try {
+      if (!(user && hasPermission(user.role, 'orders:read'))) {
+        const [tables] = await pool.execute(
+          'SELECT id, qr_token_version FROM restaurant_tables WHERE table_number = ? AND is_active = true',
+          [tableNumber]
+        );
+        if (tables.length === 0 || !verifyTableToken(tables[0], token)) {
+          socket.emit('join-table-error', { table_number: tableNumber, message: 'Invalid or expired table QR code' });
+          return;
+        }
+      }
+      socket.join(tableRoom(tableNumber));
+    } catch (error) {
+      console.error('Error joining table room:', error);
+    }
+  });
+
+  socket.on('leave-table', (tableNumber) => {
+    socket.leave(tableRoom(tableNumber));
+  });
+
+  // Kitchen screens subscribe to the lines routed to their station
+  socket.on('join-station', (stationId) => {
+    if (user && hasPermission(user.role, 'orders:read')) {
+      socket.join(stationRoom(stationId));
+    }
+  });
+
+  socket.on('leave-station', (stationId) => {
+    socket.leave(stationRoom(stationId));
+  });
+
+  socket.on('disconnect', () => {
+    console.log('Kitchen dashboard disconnected:', socket.id);
+  });
+});
+
 // Enhanced health check endpoint
 app.get('/api/health', async (req, res) => {
   try {
@@ -166,15 +451,25 @@ app.get('/api/health', async (req, res) => {
 });
 
 // Menu endpoints with enhanced error handling
-app.get('/api/menu', async (req, res) => {
+app.get('/api/menu', optionalAuth, async (req, res) => {
   try {
     console.log('Fetching menu items...');
-    const [rows] = await pool.execute(
-      'SELECT * FROM menu_items ORDER BY category, name'
-    );
+    // Items in deactivated categories are hidden unless the admin asks for them
+    const includeInactive = req.query.include_inactive === 'true';
+    const conditions = [archivedCondition(req, 'menu:write', 'mi.archived_at')].filter(Boolean);
+    if (!includeInactive) {
+      conditions.push('(c.id IS NULL OR c.is_active = true)');
+    }
+    const [rows] = await pool.execute(`
+      SELECT mi.*, c.id AS category_id
+      FROM menu_items mi
+      LEFT JOIN categories c ON mi.category = c.name
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY c.display_order, mi.category, mi.name
+    `);
     console.log(`Found ${rows.length} menu items`);
 
-    res.json({ success: true, data: rows });
+    res.json({ success: true, data: await attachModifierGroups(pool, rows) });
   } catch (error) {
     console.error('Error fetching menu:', error);
     res.status(500).json({
@@ -185,16 +480,18 @@ app.get('/api/menu', async (req, res) => {
   }
 });
 
-app.get('/api/menu/:id', async (req, res) => {
+app.get('/api/menu/:id', optionalAuth, async (req, res) => {
   try {
     const [rows] = await pool.execute(
-      'SELECT * FROM menu_items WHERE id = ?',
+      `SELECT mi.*, c.id AS category_id FROM menu_items mi LEFT JOIN categories c ON mi.category = c.name
+       WHERE mi.id = ? ${canSeeArchived(req, 'menu:write') ? '' : 'AND mi.archived_at IS NULL'}`,
       [req.params.id]
     );
     if (rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Menu item not found' });
     }
-    res.json({ success: true, data: rows[0] });
+    const [menuItem] = await attachModifierGroups(pool, rows);
+    res.json({ success: true, data: menuItem });
   } catch (error) {
     console.error('Error fetching menu item:', error);
     res.status(500).json({
@@ -205,17 +502,23 @@ app.get('/api/menu/:id', async (req, res) => {
   }
 });
 
-app.post('/api/menu', async (req, res) => {
+app.post('/api/menu', authorize('menu:write'), async (req, res) => {
   try {
-    const { name, description, price_inr, price_usd, category, image_url, is_available } = req.body;
+    const { name, description, price_inr, price_usd, image_url, is_available } = req.body;
+    const category = await resolveCategoryName(pool, req.body);
+    // Without a tax rate of its own the item is taxed at its category's rate
+    const taxRateId = req.body.tax_rate_id !== undefined ? await resolveTaxRateId(pool, req.body.tax_rate_id) : null;
     const [result] = await pool.execute(
-      'INSERT INTO menu_items (name, description, price_inr, price_usd, category, image_url, is_available) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [name, description, price_inr, price_usd, category, image_url || null, is_available !== false]
+      'INSERT INTO menu_items (name, description, price_inr, price_usd, category, image_url, is_available, tax_rate_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [name, description, price_inr, price_usd, category, image_url || null, is_available !== false, taxRateId]
     );
 
     const [newItem] = await pool.execute('SELECT * FROM menu_items WHERE id = ?', [result.insertId]);
     res.json({ success: true, data: newItem[0] });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
     console.error('Error creating menu item:', error);
     res.status(500).json({
       success: false,
@@ -225,21 +528,31 @@ app.post('/api/menu', async (req, res) => {
   }
 });
 
-app.put('/api/menu/:id', async (req, res) => {
+app.put('/api/menu/:id', authorize('menu:write'), async (req, res) => {
   try {
-    const { name, description, price_inr, price_usd, category, image_url, is_available } = req.body;
+    const { name, description, price_inr, price_usd, image_url, is_available } = req.body;
+    const category = await resolveCategoryName(pool, req.body);
+    const taxRateId = req.body.tax_rate_id !== undefined ? await resolveTaxRateId(pool, req.body.tax_rate_id) : undefined;
+    // Changing availability by hand takes the item out of auto-86 control; auto_86 is
+    // assigned before is_available so the comparison sees the stored value
     const [result] = await pool.execute(
-      'UPDATE menu_items SET name = ?, description = ?, price_inr = ?, price_usd = ?, category = ?, image_url = ?, is_available = ? WHERE id = ?',
-      [name, description, price_inr, price_usd, category, image_url, is_available, req.params.id]
+      'UPDATE menu_items SET name = ?, description = ?, price_inr = ?, price_usd = ?, category = ?, image_url = ?, auto_86 = IF(is_available <=> ?, auto_86, false), is_available = ? WHERE id = ?',
+      [name, description, price_inr, price_usd, category, image_url, is_available, is_available, req.params.id]
     );
 
     if (result.affectedRows === 0) {
       return res.status(404).json({ success: false, message: 'Menu item not found' });
     }
+    if (taxRateId !== undefined) {
+      await pool.execute('UPDATE menu_items SET tax_rate_id = ? WHERE id = ?', [taxRateId, req.params.id]);
+    }
 
     const [updatedItem] = await pool.execute('SELECT * FROM menu_items WHERE id = ?', [req.params.id]);
     res.json({ success: true, data: updatedItem[0] });
   } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
     console.error('Error updating menu item:', error);
     res.status(500).json({
       success: false,
@@ -249,7 +562,7 @@ app.put('/api/menu/:id', async (req, res) => {
   }
 });
 
-app.delete('/api/menu/:id', async (req, res) => {
+app.delete('/api/menu/:id', authorize('menu:delete'), async (req, res) => {
   try {
     // First check if this menu item is referenced in any orders
     const [orderItems] = await pool.execute(
@@ -260,7 +573,15 @@ app.delete('/api/menu/:id', async (req, res) => {
     if (orderItems[0].count > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot delete menu item that has been used in orders'
+        message: 'Cannot delete menu item that has been used in orders. Archive it instead.'
+      });
+    }
+
+    const [promotions] = await pool.execute('SELECT COUNT(*) as count FROM promotions WHERE menu_item_id = ?', [req.params.id]);
+    if (promotions[0].count > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete menu item that promotions apply to. Archive it instead.'
       });
     }
 
@@ -285,143 +606,192 @@ app.delete('/api/menu/:id', async (req, res) => {
   }
 });
 
-// Table endpoints with enhanced error handling
-// Table endpoints with enhanced error handling (updated to include group_id optionally)
-app.get('/api/tables', async (req, res) => {
+// Take an item off the menu for good while keeping it on past orders and in
+// analytics. Archived items cannot be ordered.
+app.post('/api/menu/:id/archive', authorize('menu:write'), async (req, res) => {
   try {
-    console.log('Fetching tables...');
-    try {
-      // Try full query with group_id and is_active
-      const [rows] = await pool.execute(
-        'SELECT rt.*, COALESCE(tg.name, "Non AC") as group_name FROM restaurant_tables rt LEFT JOIN table_groups tg ON rt.group_id = tg.id WHERE rt.is_active = true ORDER BY rt.table_number'
-      );
-      console.log(`Found ${rows.length} tables`);
-      res.json({ success: true, data: rows });
-    } catch (innerError) {
-      console.warn('Full table query failed, trying fallback:', innerError.message);
-      // Fallback query: simple select without joins or is_active check
-      const [rows] = await pool.execute(
-        "SELECT *, 'Non AC' as group_name FROM restaurant_tables ORDER BY table_number"
-      );
-      console.log(`Found ${rows.length} tables (fallback)`);
-      res.json({ success: true, data: rows });
+    const [result] = await pool.execute(
+      'UPDATE menu_items SET archived_at = NOW() WHERE id = ? AND archived_at IS NULL',
+      [req.params.id]
+    );
+    const [items] = await pool.execute('SELECT * FROM menu_items WHERE id = ?', [req.params.id]);
+    if (items.length === 0) {
+      return res.status(404).json({ success: false, message: 'Menu item not found' });
     }
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: 'Menu item is already archived' });
+    }
+
+    emitMenuUpdated([{ id: items[0].id, name: items[0].name, is_available: items[0].is_available, archived: true }]);
+    res.json({ success: true, data: items[0] });
   } catch (error) {
-    console.error('Error fetching tables:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch tables',
-      error: error.message
-    });
+    console.error('Error archiving menu item:', error);
+    res.status(500).json({ success: false, message: 'Failed to archive menu item', error: error.message });
   }
 });
 
-app.get('/api/tables/:tableNumber', async (req, res) => {
+app.post('/api/menu/:id/restore', authorize('menu:write'), async (req, res) => {
   try {
-    try {
-      const [rows] = await pool.execute(
-        'SELECT rt.*, COALESCE(tg.name, "Non AC") as group_name FROM restaurant_tables rt LEFT JOIN table_groups tg ON rt.group_id = tg.id WHERE rt.table_number = ?',
-        [req.params.tableNumber]
-      );
-      if (rows.length === 0) {
-        return res.status(404).json({ success: false, message: 'Table not found' });
-      }
-      res.json({ success: true, data: rows[0] });
-    } catch (innerError) {
-      console.warn('Full table query failed, trying fallback:', innerError.message);
-      const [rows] = await pool.execute(
-        "SELECT *, 'Non AC' as group_name FROM restaurant_tables WHERE table_number = ?",
-        [req.params.tableNumber]
-      );
-      if (rows.length === 0) {
-        return res.status(404).json({ success: false, message: 'Table not found' });
-      }
-      res.json({ success: true, data: rows[0] });
+    const [result] = await pool.execute(
+      'UPDATE menu_items SET archived_at = NULL WHERE id = ? AND archived_at IS NOT NULL',
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Archived menu item not found' });
     }
+
+    const [items] = await pool.execute('SELECT * FROM menu_items WHERE id = ?', [req.params.id]);
+    emitMenuUpdated([{ id: items[0].id, name: items[0].name, is_available: items[0].is_available, archived: false }]);
+    res.json({ success: true, data: items[0] });
   } catch (error) {
-    console.error('Error fetching table:', error);
+    console.error('Error restoring menu item:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore menu item', error: error.message });
+  }
+});
+
+// Menu modifier endpoints (variants such as Half/Full, add-ons such as extra cheese)
+
+// Load modifier groups with their options for the given menu items, keyed by menu item id
+const loadModifierGroups = async (db, menuItemIds) => {
+  const groupsByItem = new Map(menuItemIds.map(id => [id, []]));
+  if (menuItemIds.length === 0) {
+    return groupsByItem;
+  }
+
+  const [groups] = await db.execute(
+    `SELECT * FROM modifier_groups WHERE menu_item_id IN (${placeholders(menuItemIds)}) ORDER BY display_order, id`,
+    menuItemIds
+  );
+  if (groups.length === 0) {
+    return groupsByItem;
+  }
+
+  const groupIds = groups.map(group => group.id);
+  const [options] = await db.execute(
+    `SELECT * FROM modifier_options WHERE group_id IN (${placeholders(groupIds)}) ORDER BY display_order, id`,
+    groupIds
+  );
+
+  for (const group of groups) {
+    group.options = options.filter(option => option.group_id === group.id);
+    groupsByItem.get(group.menu_item_id).push(group);
+  }
+
+  return groupsByItem;
+};
+
+const attachModifierGroups = async (db, menuItems) => {
+  const groupsByItem = await loadModifierGroups(db, menuItems.map(item => item.id));
+  return menuItems.map(item => ({ ...item, modifier_groups: groupsByItem.get(item.id) || [] }));
+};
+
+// A required group must allow at least one selection
+const validateSelectionLimits = ({ min_selections, max_selections, is_required }) => {
+  const min = Number(min_selections);
+  const max = Number(max_selections);
+
+  if (!Number.isInteger(min) || min < 0) {
+    return 'min_selections must be a whole number of 0 or more';
+  }
+  if (!Number.isInteger(max) || max < 1) {
+    return 'max_selections must be a whole number of 1 or more';
+  }
+  if (min > max) {
+    return 'min_selections cannot be greater than max_selections';
+  }
+  if (is_required && min < 1) {
+    return 'Required groups need min_selections of at least 1';
+  }
+  return null;
+};
+
+const insertModifierOption = (db, groupId, option) => db.execute(
+  'INSERT INTO modifier_options (group_id, name, price_delta_inr, price_delta_usd, is_available, display_order) VALUES (?, ?, ?, ?, ?, ?)',
+  [
+    groupId,
+    option.name.trim(),
+    option.price_delta_inr || 0,
+    option.price_delta_usd || 0,
+    option.is_available !== false,
+    option.display_order || 0
+  ]
+);
+
+const getModifierGroup = async (db, groupId) => {
+  const [groups] = await db.execute('SELECT * FROM modifier_groups WHERE id = ?', [groupId]);
+  if (groups.length === 0) {
+    return null;
+  }
+  const [options] = await db.execute(
+    'SELECT * FROM modifier_options WHERE group_id = ? ORDER BY display_order, id',
+    [groupId]
+  );
+  return { ...groups[0], options };
+};
+
+app.get('/api/menu/:id/modifier-groups', async (req, res) => {
+  try {
+    const groupsByItem = await loadModifierGroups(pool, [Number(req.params.id)]);
+    res.json({ success: true, data: groupsByItem.get(Number(req.params.id)) || [] });
+  } catch (error) {
+    console.error('Error fetching modifier groups:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch table',
+      message: 'Failed to fetch modifier groups',
       error: error.message
     });
   }
 });
 
-// POST endpoint to create a new table
-app.post('/api/tables', async (req, res) => {
+// Create a modifier group, optionally with its options in the same request
+app.post('/api/menu/:id/modifier-groups', authorize('menu:write'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
-    await connection.beginTransaction(); // Use a transaction for safety
+    await connection.beginTransaction();
 
-    const { table_number, table_name, group_id } = req.body;
+    const { name, min_selections = 0, max_selections = 1, is_required = false, display_order = 0, options = [] } = req.body;
 
-    // 1. Validate required fields
-    if (!table_number) {
+    if (!name || name.trim() === '') {
       await connection.rollback();
-      return res.status(400).json({
-        success: false,
-        message: 'Table number is required.'
-      });
+      return res.status(400).json({ success: false, message: 'Modifier group name is required' });
     }
 
-    // 2. Check if table number already exists
-    const [existingTable] = await connection.execute(
-      'SELECT id FROM restaurant_tables WHERE table_number = ?',
-      [table_number]
-    );
-
-    if (existingTable.length > 0) {
+    const limitsError = validateSelectionLimits({ min_selections, max_selections, is_required });
+    if (limitsError) {
       await connection.rollback();
-      return res.status(400).json({
-        success: false,
-        message: `Table number ${table_number} already exists. Please choose a different number.`
-      });
+      return res.status(400).json({ success: false, message: limitsError });
     }
 
-    // 3. Proceed with insertion
-    const qr_code_data = `table-${table_number}`;
-
-    // Check if group_id column exists
-    const [columnCheck] = await connection.execute(`
-      SELECT COLUMN_NAME 
-      FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_NAME = 'restaurant_tables' 
-      AND COLUMN_NAME = 'group_id'
-      AND TABLE_SCHEMA = DATABASE()
-    `);
-
-    let query, values;
+    if (!Array.isArray(options) || options.some(option => !option || !option.name || option.name.trim() === '')) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'Every option needs a name' });
+    }
 
-    if (columnCheck.length > 0) {
-      query = 'INSERT INTO restaurant_tables (table_number, table_name, qr_code_data, group_id) VALUES (?, ?, ?, ?)';
-      values = [table_number, table_name || `Table ${table_number}`, qr_code_data, group_id || null];
-    } else {
-      query = 'INSERT INTO restaurant_tables (table_number, table_name, qr_code_data) VALUES (?, ?, ?)';
-      values = [table_number, table_name || `Table ${table_number}`, qr_code_data];
+    const [menuItems] = await connection.execute('SELECT id FROM menu_items WHERE id = ?', [req.params.id]);
+    if (menuItems.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Menu item not found' });
     }
 
-    const [result] = await connection.execute(query, values);
-    await connection.commit();
+    const [result] = await connection.execute(
+      'INSERT INTO modifier_groups (menu_item_id, name, min_selections, max_selections, is_required, display_order) VALUES (?, ?, ?, ?, ?, ?)',
+      [req.params.id, name.trim(), min_selections, max_selections, Boolean(is_required), display_order]
+    );
 
-    // Get the newly created table to return it
-    let getQuery;
-    if (columnCheck.length > 0) {
-      getQuery = `SELECT rt.*, COALESCE(tg.name, "Non AC") as group_name FROM restaurant_tables rt LEFT JOIN table_groups tg ON rt.group_id = tg.id WHERE rt.id = ?`;
-    } else {
-      getQuery = 'SELECT *, "Non AC" as group_name FROM restaurant_tables WHERE id = ?';
+    for (const option of options) {
+      await insertModifierOption(connection, result.insertId, option);
     }
 
-    const [newTable] = await pool.execute(getQuery, [result.insertId]);
-
-    res.json({ success: true, data: newTable[0] });
+    await connection.commit();
 
+    const group = await getModifierGroup(pool, result.insertId);
+    res.json({ success: true, data: group });
   } catch (error) {
     await connection.rollback();
-    console.error('Error creating table:', error);
+    console.error('Error creating modifier group:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create table',
+      message: 'Failed to create modifier group',
       error: error.message
     });
   } finally {
@@ -429,1346 +799,9601 @@ app.post('/api/tables', async (req, res) => {
   }
 });
 
-app.put('/api/tables/:id', async (req, res) => {
+app.put('/api/modifier-groups/:id', authorize('menu:write'), async (req, res) => {
   try {
-    const { table_number, table_name, group_id } = req.body;
-    const qr_code_data = `table-${table_number}`;
-    let query = 'UPDATE restaurant_tables SET table_number = ?, table_name = ?, qr_code_data = ?';
-    let values = [table_number, table_name || null, qr_code_data, req.params.id];
-
-    // Conditionally add group_id update if provided
-    if (group_id !== undefined) {
-      query += ', group_id = ?';
-      values.splice(3, 0, group_id || null); // Insert before id
+    const existing = await getModifierGroup(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Modifier group not found' });
     }
 
-    query += ' WHERE id = ?';
+    const updated = {
+      name: req.body.name !== undefined ? req.body.name : existing.name,
+      min_selections: req.body.min_selections !== undefined ? req.body.min_selections : existing.min_selections,
+      max_selections: req.body.max_selections !== undefined ? req.body.max_selections : existing.max_selections,
+      is_required: req.body.is_required !== undefined ? Boolean(req.body.is_required) : Boolean(existing.is_required),
+      display_order: req.body.display_order !== undefined ? req.body.display_order : existing.display_order
+    };
 
-    const [result] = await pool.execute(query, values);
+    if (!updated.name || updated.name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Modifier group name is required' });
+    }
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Table not found' });
+    const limitsError = validateSelectionLimits(updated);
+    if (limitsError) {
+      return res.status(400).json({ success: false, message: limitsError });
     }
 
-    const [updatedTable] = await pool.execute(
-      'SELECT rt.*, COALESCE(tg.name, "Non AC") as group_name FROM restaurant_tables rt LEFT JOIN table_groups tg ON rt.group_id = tg.id WHERE rt.id = ?',
-      [req.params.id]
+    await pool.execute(
+      'UPDATE modifier_groups SET name = ?, min_selections = ?, max_selections = ?, is_required = ?, display_order = ? WHERE id = ?',
+      [updated.name.trim(), updated.min_selections, updated.max_selections, updated.is_required, updated.display_order, req.params.id]
     );
-    res.json({ success: true, data: updatedTable[0] });
+
+    const group = await getModifierGroup(pool, req.params.id);
+    res.json({ success: true, data: group });
   } catch (error) {
-    console.error('Error updating table:', error);
+    console.error('Error updating modifier group:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update table',
+      message: 'Failed to update modifier group',
       error: error.message
     });
   }
 });
 
-app.delete('/api/tables/:id', async (req, res) => {
+app.delete('/api/modifier-groups/:id', authorize('menu:write'), async (req, res) => {
   try {
-    const [result] = await pool.execute(
-      'DELETE FROM restaurant_tables WHERE id = ?',
-      [req.params.id]
-    );
+    // Options cascade; past orders keep their copied group and option names
+    const [result] = await pool.execute('DELETE FROM modifier_groups WHERE id = ?', [req.params.id]);
     if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Table not found' });
+      return res.status(404).json({ success: false, message: 'Modifier group not found' });
     }
-    res.json({ success: true, message: 'Table deleted successfully' });
+    res.json({ success: true, message: 'Modifier group deleted successfully' });
   } catch (error) {
-    console.error('Error deleting table:', error);
+    console.error('Error deleting modifier group:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete table',
+      message: 'Failed to delete modifier group',
       error: error.message
     });
   }
 });
 
-// Table Groups endpoints
-app.get('/api/table-groups', async (req, res) => {
+app.post('/api/modifier-groups/:id/options', authorize('menu:write'), async (req, res) => {
   try {
-    const [rows] = await pool.execute('SELECT * FROM table_groups ORDER BY name');
-    res.json({ success: true, data: rows });
+    const { name } = req.body;
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Option name is required' });
+    }
+
+    const [groups] = await pool.execute('SELECT id FROM modifier_groups WHERE id = ?', [req.params.id]);
+    if (groups.length === 0) {
+      return res.status(404).json({ success: false, message: 'Modifier group not found' });
+    }
+
+    const [result] = await insertModifierOption(pool, req.params.id, req.body);
+    const [newOption] = await pool.execute('SELECT * FROM modifier_options WHERE id = ?', [result.insertId]);
+    res.json({ success: true, data: newOption[0] });
   } catch (error) {
-    console.error('Error fetching table groups:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch table groups', error: error.message });
+    console.error('Error creating modifier option:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create modifier option',
+      error: error.message
+    });
   }
 });
 
-app.post('/api/table-groups', async (req, res) => {
+app.put('/api/modifier-options/:id', authorize('menu:write'), async (req, res) => {
   try {
-    const { name } = req.body;
-    if (!name || name.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Group name is required' });
-    }
-    const trimmedName = name.trim();
-    const [existing] = await pool.execute('SELECT id FROM table_groups WHERE name = ?', [trimmedName]);
-    if (existing.length > 0) {
-      return res.status(400).json({ success: false, message: 'Group already exists' });
+    const { name, price_delta_inr, price_delta_usd, is_available, display_order } = req.body;
+
+    if (name !== undefined && (!name || name.trim() === '')) {
+      return res.status(400).json({ success: false, message: 'Option name cannot be empty' });
     }
-    const [result] = await pool.execute('INSERT INTO table_groups (name) VALUES (?)', [trimmedName]);
-    const [newGroup] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [result.insertId]);
-    res.json({ success: true, data: newGroup[0] });
-  } catch (error) {
-    console.error('Error creating table group:', error);
-    res.status(500).json({ success: false, message: 'Failed to create table group', error: error.message });
-  }
-});
 
-app.put('/api/table-groups/:id', async (req, res) => {
-  try {
-    const { name } = req.body;
-    if (!name || name.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Group name is required' });
-    }
-    const [result] = await pool.execute('UPDATE table_groups SET name = ? WHERE id = ?', [name.trim(), req.params.id]);
+    const [result] = await pool.execute(
+      `UPDATE modifier_options SET
+        name = COALESCE(?, name),
+        price_delta_inr = COALESCE(?, price_delta_inr),
+        price_delta_usd = COALESCE(?, price_delta_usd),
+        is_available = COALESCE(?, is_available),
+        display_order = COALESCE(?, display_order)
+      WHERE id = ?`,
+      [
+        name !== undefined ? name.trim() : null,
+        price_delta_inr !== undefined ? price_delta_inr : null,
+        price_delta_usd !== undefined ? price_delta_usd : null,
+        is_available !== undefined ? is_available : null,
+        display_order !== undefined ? display_order : null,
+        req.params.id
+      ]
+    );
+
     if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Group not found' });
+      return res.status(404).json({ success: false, message: 'Modifier option not found' });
     }
-    const [updatedGroup] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [req.params.id]);
-    res.json({ success: true, data: updatedGroup[0] });
+
+    const [updatedOption] = await pool.execute('SELECT * FROM modifier_options WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: updatedOption[0] });
   } catch (error) {
-    console.error('Error updating table group:', error);
-    res.status(500).json({ success: false, message: 'Failed to update table group', error: error.message });
+    console.error('Error updating modifier option:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update modifier option',
+      error: error.message
+    });
   }
 });
 
-app.delete('/api/table-groups/:id', async (req, res) => {
+app.delete('/api/modifier-options/:id', authorize('menu:write'), async (req, res) => {
   try {
-    // Check if used in tables
-    const [tablesUsing] = await pool.execute('SELECT COUNT(*) as count FROM restaurant_tables WHERE group_id = ?', [req.params.id]);
-    if (tablesUsing[0].count > 0) {
-      return res.status(400).json({ success: false, message: `Cannot delete group used by ${tablesUsing[0].count} tables` });
-    }
-    const [result] = await pool.execute('DELETE FROM table_groups WHERE id = ?', [req.params.id]);
+    const [result] = await pool.execute('DELETE FROM modifier_options WHERE id = ?', [req.params.id]);
     if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Group not found' });
+      return res.status(404).json({ success: false, message: 'Modifier option not found' });
     }
-    res.json({ success: true, message: 'Group deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting table group:', error);
-    res.status(500).json({ success: false, message: 'Failed to delete table group', error: error.message });
-  }
-});
-
-// Category endpoints with enhanced error handling
-app.get('/api/categories', async (req, res) => {
-  try {
-    console.log('Fetching categories...');
-    const [rows] = await pool.execute(
-      'SELECT DISTINCT category FROM menu_items ORDER BY category'
-    );
-
-    // Extract just the category names
-    const categories = rows.map(row => row.category);
-    console.log(`Found ${categories.length} categories`);
-
-    res.json({ success: true, data: categories });
+    res.json({ success: true, message: 'Modifier option deleted successfully' });
   } catch (error) {
-    console.error('Error fetching categories:', error);
+    console.error('Error deleting modifier option:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch categories',
+      message: 'Failed to delete modifier option',
       error: error.message
     });
   }
 });
 
-app.post('/api/categories', async (req, res) => {
-  try {
-    const { name } = req.body;
-
-    if (!name || name.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Category name is required' });
-    }
+// Table endpoints with enhanced error handling
+const TABLE_SELECT = 'SELECT rt.*, COALESCE(tg.name, "Non AC") as group_name FROM restaurant_tables rt LEFT JOIN table_groups tg ON rt.group_id = tg.id';
+
+// Table QR tokens look like "<table id>.<version>.<signature>". Rotating a
+// table's code bumps its version, which invalidates every earlier token.
+const signTableToken = (tableId, version) => {
+  const payload = `${tableId}.${version}`;
+  const signature = crypto.createHmac('sha256', QR_TOKEN_SECRET).update(`table:${payload}`).digest('base64url');
+  return `${payload}.${signature}`;
+};
 
-    const trimmedName = name.trim();
+const verifyTableToken = (table, token) => {
+  if (typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signTableToken(table.id, table.qr_token_version));
+  const actual = Buffer.from(token);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
 
-    // Check if category already exists in menu_items
-    const [existingCategory] = await pool.execute(
-      'SELECT category FROM menu_items WHERE category = ? LIMIT 1',
-      [trimmedName]
-    );
+const getTableQrUrl = (table) =>
+  `${QR_BASE_URL}/?table=${table.table_number}&token=${encodeURIComponent(signTableToken(table.id, table.qr_token_version))}`;
 
-    if (existingCategory.length > 0) {
-      return res.status(400).json({ success: false, message: 'Category already exists' });
-    }
+// Only staff get a table's QR link; anyone holding it can order at that table
+const presentTable = (req, table) => {
+  if (req.user && hasPermission(req.user.role, 'tables:qr')) {
+    return { ...table, qr_code_data: getTableQrUrl(table) };
+  }
+  const { qr_token_version, qr_rotated_at, ...publicTable } = table;
+  return publicTable;
+};
 
-    // Create a placeholder menu item with the new category
-    await pool.execute(
-      'INSERT INTO menu_items (name, description, price_inr, price_usd, category, is_available) VALUES (?, ?, ?, ?, ?, ?)',
-      ['[Category Placeholder]', `Placeholder for ${trimmedName} category`, 0, 0, trimmedName, false]
-    );
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
 
-    res.json({
-      success: true,
-      message: 'Category created successfully',
-      data: { name: trimmedName }
-    });
+app.get('/api/tables', optionalAuth, async (req, res) => {
+  try {
+    const condition = archivedCondition(req, 'tables:write', 'rt.archived_at');
+    const [rows] = await pool.execute(`${TABLE_SELECT} ${condition ? `WHERE ${condition}` : ''} ORDER BY rt.table_number`);
+    res.json({ success: true, data: rows.map(table => presentTable(req, table)) });
   } catch (error) {
-    console.error('Error creating category:', error);
+    console.error('Error fetching tables:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create category',
+      message: 'Failed to fetch tables',
       error: error.message
     });
   }
 });
 
-app.delete('/api/categories/:name', async (req, res) => {
+app.get('/api/tables/:tableNumber', optionalAuth, async (req, res) => {
   try {
-    const categoryName = decodeURIComponent(req.params.name);
-
-    // Check if any menu items are using this category
-    const [itemsInCategory] = await pool.execute(
-      'SELECT COUNT(*) as count FROM menu_items WHERE category = ? AND name != "[Category Placeholder]"',
-      [categoryName]
+    const [rows] = await pool.execute(
+      `${TABLE_SELECT} WHERE rt.table_number = ? ${canSeeArchived(req, 'tables:write') ? '' : 'AND rt.archived_at IS NULL'}`,
+      [req.params.tableNumber]
     );
-
-    if (itemsInCategory[0].count > 0) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot delete category. ${itemsInCategory[0].count} item(s) are using this category.`
-      });
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
     }
-
-    // Delete the placeholder menu item for this category
-    await pool.execute(
-      'DELETE FROM menu_items WHERE category = ? AND name = "[Category Placeholder]"',
-      [categoryName]
-    );
-
-    res.json({
-      success: true,
-      message: 'Category deleted successfully'
-    });
+    res.json({ success: true, data: presentTable(req, rows[0]) });
   } catch (error) {
-    console.error('Error deleting category:', error);
+    console.error('Error fetching table:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete category',
+      message: 'Failed to fetch table',
       error: error.message
     });
   }
 });
 
-// Order endpoints
-app.get('/api/orders', async (req, res) => {
-  try {
-    const { status, start_date, end_date, table_number, customer_id } = req.query;
-
-    // First, get the orders based on filters
-    let query = 'SELECT * FROM orders';
-    const params = [];
-    const conditions = [];
+const TABLE_SHAPES = ['square', 'round', 'rectangle'];
 
-    if (status) {
-      conditions.push('order_status = ?');
-      params.push(status);
-    }
+// Capacity and floor plan fields of a table. Only the fields present in the
+// body are returned; positions may be null for tables not yet placed.
+const parseTableLayout = (body) => {
+  const fields = {};
 
-    if (table_number) {
-      conditions.push('table_number = ?');
-      params.push(table_number);
+  if (body.capacity !== undefined) {
+    const capacity = Number(body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new ApiError(400, 'capacity must be a whole number of 1 or more');
     }
-
-    if (customer_id) {
-      conditions.push('customer_id = ?');
-      params.push(customer_id);
+    fields.capacity = capacity;
+  }
+  if (body.shape !== undefined) {
+    if (!TABLE_SHAPES.includes(body.shape)) {
+      throw new ApiError(400, `shape must be one of: ${TABLE_SHAPES.join(', ')}`);
     }
-
-    if (start_date) {
-      conditions.push('created_at >= ?');
-      params.push(start_date);
+    fields.shape = body.shape;
+  }
+  if (body.floor !== undefined) {
+    if (typeof body.floor !== 'string' || !body.floor.trim() || body.floor.trim().length > 50) {
+      throw new ApiError(400, 'floor must be a name of up to 50 characters');
     }
-
-    if (end_date) {
-      conditions.push('created_at <= ?');
-      params.push(end_date);
+    fields.floor = body.floor.trim();
+  }
+  for (const field of ['pos_x', 'pos_y']) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (!Number.isInteger(Number(body[field])) || Number(body[field]) < 0)) {
+      throw new ApiError(400, `${field} must be a whole number of 0 or more`);
     }
-
-    if (conditions.length > 0) {
-      query += ' WHERE ' + conditions.join(' AND ');
+    fields[field] = body[field] === null ? null : Number(body[field]);
+  }
+  if (body.rotation !== undefined) {
+    const rotation = Number(body.rotation);
+    if (!Number.isInteger(rotation) || rotation < 0 || rotation >= 360) {
+      throw new ApiError(400, 'rotation must be a whole number of degrees from 0 to 359');
     }
-
-    query += ' ORDER BY created_at DESC';
-
-    const [orders] = await pool.execute(query, params);
-
-    // Now, get the items for each order
-    const processedOrders = await Promise.all(
-      orders.map(async (order) => {
-        const [items] = await pool.execute(
-          'SELECT * FROM order_items WHERE order_id = ?',
-          [order.id]
-        );
-
-        return {
-          ...order,
-          items: items
-        };
-      })
-    );
-
-    res.json({ success: true, data: processedOrders });
-  } catch (error) {
-    console.error('Error fetching orders:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch orders',
-      error: error.message
-    });
+    fields.rotation = rotation;
   }
-});
 
-// Add more logging to the order creation endpoint
-app.post('/api/orders', async (req, res) => {
+  return fields;
+};
+
+// POST endpoint to create a new table
+app.post('/api/tables', authorize('tables:write'), async (req, res) => {
   const connection = await pool.getConnection();
   try {
-    await connection.beginTransaction();
+    await connection.beginTransaction(); // Use a transaction for safety
 
-    const { table_number, items, currency, payment_method, customer_id } = req.body;
+    const { table_number, table_name, group_id } = req.body;
 
-    // Validate input
-    if (!table_number || !items || items.length === 0) {
+    // 1. Validate required fields
+    if (!table_number) {
       await connection.rollback();
       return res.status(400).json({
         success: false,
-        message: 'Table number and items are required'
+        message: 'Table number is required.'
       });
     }
 
-    const [tableRows] = await connection.execute(
+    const layout = parseTableLayout(req.body);
+
+    // 2. Check if table number already exists
+    const [existingTable] = await connection.execute(
       'SELECT id FROM restaurant_tables WHERE table_number = ?',
       [table_number]
     );
 
-    if (tableRows.length === 0) {
+    if (existingTable.length > 0) {
       await connection.rollback();
-      return res.status(404).json({ success: false, message: 'Table not found' });
+      return res.status(400).json({
+        success: false,
+        message: `Table number ${table_number} already exists. Please choose a different number.`
+      });
     }
 
-    const table_id = tableRows[0].id;
+    // 3. Proceed with insertion
+    const layoutColumns = Object.keys(layout);
+    const [result] = await connection.execute(
+      `INSERT INTO restaurant_tables (table_number, table_name, group_id${layoutColumns.map(column => `, ${column}`).join('')})
+       VALUES (?, ?, ?${layoutColumns.map(() => ', ?').join('')})`,
+      [table_number, table_name || `Table ${table_number}`, group_id || null, ...layoutColumns.map(column => layout[column])]
+    );
+    await connection.commit();
 
-    let total_inr = 0;
-    let total_usd = 0;
+    // Get the newly created table to return it
+    const [newTable] = await pool.execute(`${TABLE_SELECT} WHERE rt.id = ?`, [result.insertId]);
+
+    res.json({ success: true, data: presentTable(req, newTable[0]) });
 
-    for (const item of items) {
-      total_inr += parseFloat(item.price_inr) * item.quantity;
-      total_usd += parseFloat(item.price_usd) * item.quantity;
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
     }
+    console.error('Error creating table:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create table',
+      error: error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
 
-    const [orderResult] = await connection.execute(
-      'INSERT INTO orders (table_id, table_number, customer_id, total_amount_inr, total_amount_usd, currency, payment_method, order_status, payment_status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [table_id, table_number, customer_id || null, total_inr.toFixed(2), total_usd.toFixed(2), currency, payment_method, 'pending', payment_method === 'cash' ? 'pending' : 'paid']
-    );
+app.put('/api/tables/:id', authorize('tables:write'), async (req, res) => {
+  try {
+    const { table_number, table_name, group_id } = req.body;
+    const layout = parseTableLayout(req.body);
 
-    const order_id = orderResult.insertId;
+    // The QR link carries the table number, so renumbering a table rotates its code.
+    // MySQL applies SET left to right, so the version check must come first.
+    let query = `UPDATE restaurant_tables SET
+      qr_token_version = IF(table_number = ?, qr_token_version, qr_token_version + 1),
+      table_number = ?, table_name = ?`;
+    let values = [table_number, table_number, table_name || null];
 
-    for (const item of items) {
-      await connection.execute(
-        'INSERT INTO order_items (order_id, menu_item_id, item_name, quantity, price_inr, price_usd) VALUES (?, ?, ?, ?, ?, ?)',
-        [order_id, item.id, item.name, item.quantity, item.price_inr, item.price_usd]
-      );
+    // Conditionally add group_id update if provided
+    if (group_id !== undefined) {
+      query += ', group_id = ?';
+      values.push(group_id || null);
     }
 
-    const [itemsRows] = await connection.execute(
-      'SELECT * FROM order_items WHERE order_id = ?',
-      [order_id]
-    );
+    for (const [column, value] of Object.entries(layout)) {
+      query += `, ${column} = ?`;
+      values.push(value);
+    }
 
-    await connection.commit();
+    query += ' WHERE id = ?';
+    values.push(req.params.id);
 
-    const [orderRows] = await connection.execute('SELECT * FROM orders WHERE id = ?', [order_id]);
-    const orderData = {
-      ...orderRows[0],
-      items: itemsRows
-    };
+    const [result] = await pool.execute(query, values);
 
-    // Emit socket event for real-time updates
-    io.emit('new-order', orderData);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
 
-    res.json({ success: true, data: orderData });
+    const [updatedTable] = await pool.execute(`${TABLE_SELECT} WHERE rt.id = ?`, [req.params.id]);
+    res.json({ success: true, data: presentTable(req, updatedTable[0]) });
   } catch (error) {
-    await connection.rollback();
-    console.error('Error creating order:', error);
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating table:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create order',
+      message: 'Failed to update table',
       error: error.message
     });
-  } finally {
-    connection.release();
   }
 });
 
-app.put('/api/orders/:id/status', async (req, res) => {
+app.delete('/api/tables/:id', authorize('tables:write'), async (req, res) => {
   try {
-    const { order_status } = req.body;
+    // Orders keep their table, so a table that has taken orders can only be archived
+    const [orders] = await pool.execute('SELECT COUNT(*) AS count FROM orders WHERE table_id = ?', [req.params.id]);
+    if (orders[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot delete a table with ${orders[0].count} orders. Archive it instead.`
+      });
+    }
+
     const [result] = await pool.execute(
-      'UPDATE orders SET order_status = ? WHERE id = ?',
-      [order_status, req.params.id]
+      'DELETE FROM restaurant_tables WHERE id = ?',
+      [req.params.id]
     );
-
     if (result.affectedRows === 0) {
-      return res.status(404).json({ success: false, message: 'Order not found' });
+      return res.status(404).json({ success: false, message: 'Table not found' });
     }
-
-    const [updatedOrder] = await pool.execute('SELECT * FROM orders WHERE id = ?', [req.params.id]);
-    io.emit('order-status-updated', updatedOrder[0]);
-
-    res.json({ success: true, data: updatedOrder[0] });
+    res.json({ success: true, message: 'Table deleted successfully' });
   } catch (error) {
-    console.error('Error updating order status:', error);
+    console.error('Error deleting table:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update order status',
+      message: 'Failed to delete table',
       error: error.message
     });
   }
 });
 
-// Analytics endpoints
-app.get('/api/analytics/daily', async (req, res) => {
+// Take a table out of service. Its orders, sessions and analytics stay; it
+// just stops appearing for guests, bookings and the floor.
+app.post('/api/tables/:id/archive', authorize('tables:write'), async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    const { date } = req.query;
-    const targetDate = date || new Date().toISOString().split('T')[0];
+    await connection.beginTransaction();
 
-    const [summaryRows] = await pool.execute(`
-      SELECT 
-        COUNT(*) as total_orders,
-        SUM(total_amount_inr) as total_revenue_inr,
-        SUM(total_amount_usd) as total_revenue_usd,
-        COUNT(DISTINCT table_number) as tables_served
-      FROM orders
+    const [tables] = await connection.execute('SELECT * FROM restaurant_tables WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (tables.length === 0) {
+      throw new ApiError(404, 'Table not found');
+    }
+    if (tables[0].archived_at) {
+      throw new ApiError(409, 'Table is already archived');
+    }
+
+    const [[usage]] = await connection.execute(
+      `SELECT
+         (SELECT COUNT(*) FROM table_sessions WHERE table_id = ? AND status != 'closed') AS open_sessions,
+         (SELECT COUNT(*) FROM orders WHERE table_id = ? AND order_status IN (${placeholders(ACTIVE_ORDER_STATUSES)})) AS active_orders,
+         (SELECT COUNT(*) FROM reservations WHERE table_id = ? AND status = 'booked' AND reserved_at >= NOW()) AS upcoming_reservations`,
+      [req.params.id, req.params.id, ...ACTIVE_ORDER_STATUSES, req.params.id]
+    );
+    if (usage.open_sessions > 0 || usage.active_orders > 0 || usage.upcoming_reservations > 0) {
+      throw new ApiError(409, 'Table is still in use; settle it and move its reservations first', usage);
+    }
+
+    await connection.execute(
+      'UPDATE restaurant_tables SET is_active = false, archived_at = NOW() WHERE id = ?',
+      [req.params.id]
+    );
+    await connection.commit();
+
+    io.to(PERMISSIONS['orders:read'].map(roleRoom)).emit('floor-plan-updated', { table_ids: [tables[0].id] });
+    const [rows] = await pool.execute(`${TABLE_SELECT} WHERE rt.id = ?`, [req.params.id]);
+    res.json({ success: true, data: presentTable(req, rows[0]) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error archiving table:', error);
+    res.status(500).json({ success: false, message: 'Failed to archive table', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+app.post('/api/tables/:id/restore', authorize('tables:write'), async (req, res) => {
+  try {
+    const [tables] = await pool.execute(
+      `SELECT rt.archived_at, tg.archived_at AS group_archived_at
+       FROM restaurant_tables rt
+       LEFT JOIN table_groups tg ON rt.group_id = tg.id
+       WHERE rt.id = ?`,
+      [req.params.id]
+    );
+    if (tables.length === 0) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+    if (!tables[0].archived_at) {
+      return res.status(409).json({ success: false, message: 'Table is not archived' });
+    }
+    if (tables[0].group_archived_at) {
+      return res.status(409).json({ success: false, message: "The table's group is archived; restore the group first" });
+    }
+
+    await pool.execute('UPDATE restaurant_tables SET is_active = true, archived_at = NULL WHERE id = ?', [req.params.id]);
+
+    io.to(PERMISSIONS['orders:read'].map(roleRoom)).emit('floor-plan-updated', { table_ids: [Number(req.params.id)] });
+    const [rows] = await pool.execute(`${TABLE_SELECT} WHERE rt.id = ?`, [req.params.id]);
+    res.json({ success: true, data: presentTable(req, rows[0]) });
+  } catch (error) {
+    console.error('Error restoring table:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore table', error: error.message });
+  }
+});
+
+const QR_FORMATS = ['png', 'svg'];
+const QR_DEFAULT_WIDTH = 512;
+
+// Invalidate every printed code for the table and issue a new one
+app.post('/api/tables/:id/qr/rotate', authorize('tables:write'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE restaurant_tables SET qr_token_version = qr_token_version + 1, qr_rotated_at = NOW() WHERE id = ?',
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+    const [rows] = await pool.execute(`${TABLE_SELECT} WHERE rt.id = ?`, [req.params.id]);
+    res.json({ success: true, data: presentTable(req, rows[0]) });
+  } catch (error) {
+    console.error('Error rotating table QR code:', error);
+    res.status(500).json({ success: false, message: 'Failed to rotate table QR code', error: error.message });
+  }
+});
+
+// The table's QR code as an image. Query: format (png or svg), width in pixels
+app.get('/api/tables/:tableNumber/qr', authorize('tables:qr'), async (req, res) => {
+  try {
+    const { format = 'png' } = req.query;
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Unknown format "${format}". Allowed formats: ${QR_FORMATS.join(', ')}` });
+    }
+    const width = Math.min(Math.max(parseInt(req.query.width, 10) || QR_DEFAULT_WIDTH, 128), 2048);
+
+    const [rows] = await pool.execute(`${TABLE_SELECT} WHERE rt.table_number = ?`, [req.params.tableNumber]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+
+    const url = getTableQrUrl(rows[0]);
+    res.set('Content-Disposition', `inline; filename="table-${rows[0].table_number}-qr.${format}"`);
+    if (format === 'svg') {
+      res.type('svg').send(await QRCode.toString(url, { type: 'svg', width, margin: 2 }));
+    } else {
+      res.type('png').send(await QRCode.toBuffer(url, { type: 'png', width, margin: 2 }));
+    }
+  } catch (error) {
+    console.error('Error generating table QR code:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate table QR code', error: error.message });
+  }
+});
+
+// Table Groups endpoints
+app.get('/api/table-groups', optionalAuth, async (req, res) => {
+  try {
+    // Tables without a group count towards "Non AC"
+    const condition = archivedCondition(req, 'tables:write', 'tg.archived_at');
+    const [rows] = await pool.execute(
+      `SELECT tg.*, COUNT(rt.id) AS table_count, COALESCE(SUM(rt.capacity), 0) AS seat_capacity
+       FROM table_groups tg
+       LEFT JOIN restaurant_tables rt ON rt.is_active = true
+         AND (rt.group_id = tg.id OR (rt.group_id IS NULL AND tg.name = 'Non AC'))
+       ${condition ? `WHERE ${condition}` : ''}
+       GROUP BY tg.id
+       ORDER BY tg.name`
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching table groups:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch table groups', error: error.message });
+  }
+});
+
+app.post('/api/table-groups', authorize('tables:write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Group name is required' });
+    }
+    const trimmedName = name.trim();
+    const [existing] = await pool.execute('SELECT id FROM table_groups WHERE name = ?', [trimmedName]);
+    if (existing.length > 0) {
+      return res.status(400).json({ success: false, message: 'Group already exists' });
+    }
+    const [result] = await pool.execute('INSERT INTO table_groups (name) VALUES (?)', [trimmedName]);
+    const [newGroup] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [result.insertId]);
+    res.json({ success: true, data: newGroup[0] });
+  } catch (error) {
+    console.error('Error creating table group:', error);
+    res.status(500).json({ success: false, message: 'Failed to create table group', error: error.message });
+  }
+});
+
+app.put('/api/table-groups/:id', authorize('tables:write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Group name is required' });
+    }
+    const [result] = await pool.execute('UPDATE table_groups SET name = ? WHERE id = ?', [name.trim(), req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    const [updatedGroup] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: updatedGroup[0] });
+  } catch (error) {
+    console.error('Error updating table group:', error);
+    res.status(500).json({ success: false, message: 'Failed to update table group', error: error.message });
+  }
+});
+
+app.delete('/api/table-groups/:id', authorize('tables:write'), async (req, res) => {
+  try {
+    // Check if used in tables
+    const [tablesUsing] = await pool.execute('SELECT COUNT(*) as count FROM restaurant_tables WHERE group_id = ?', [req.params.id]);
+    if (tablesUsing[0].count > 0) {
+      return res.status(400).json({ success: false, message: `Cannot delete group used by ${tablesUsing[0].count} tables` });
+    }
+    const [result] = await pool.execute('DELETE FROM table_groups WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    res.json({ success: true, message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting table group:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete table group', error: error.message });
+  }
+});
+
+// A group can be archived once none of its tables are in service. The
+// default "Non AC" group also holds ungrouped tables and always stays.
+app.post('/api/table-groups/:id/archive', authorize('tables:write'), async (req, res) => {
+  try {
+    const [groups] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [req.params.id]);
+    if (groups.length === 0) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+    if (groups[0].archived_at) {
+      return res.status(409).json({ success: false, message: 'Group is already archived' });
+    }
+    if (groups[0].name === 'Non AC') {
+      return res.status(409).json({ success: false, message: 'The default group cannot be archived' });
+    }
+
+    const [tables] = await pool.execute(
+      'SELECT COUNT(*) AS count FROM restaurant_tables WHERE group_id = ? AND is_active = true',
+      [req.params.id]
+    );
+    if (tables[0].count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Archive or move the group's ${tables[0].count} active tables first`
+      });
+    }
+
+    await pool.execute('UPDATE table_groups SET archived_at = NOW() WHERE id = ?', [req.params.id]);
+    const [updatedGroup] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: updatedGroup[0] });
+  } catch (error) {
+    console.error('Error archiving table group:', error);
+    res.status(500).json({ success: false, message: 'Failed to archive table group', error: error.message });
+  }
+});
+
+app.post('/api/table-groups/:id/restore', authorize('tables:write'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'UPDATE table_groups SET archived_at = NULL WHERE id = ? AND archived_at IS NOT NULL',
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Archived group not found' });
+    }
+    const [updatedGroup] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: updatedGroup[0] });
+  } catch (error) {
+    console.error('Error restoring table group:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore table group', error: error.message });
+  }
+});
+
+// Printable HTML sheet with the QR codes of every active table in a group.
+// Tables without a group are listed under the default "Non AC" group.
+app.get('/api/table-groups/:id/qr-sheet', authorize('tables:qr'), async (req, res) => {
+  try {
+    const [groups] = await pool.execute('SELECT * FROM table_groups WHERE id = ?', [req.params.id]);
+    if (groups.length === 0) {
+      return res.status(404).json({ success: false, message: 'Group not found' });
+    }
+
+    const group = groups[0];
+    const [tables] = await pool.execute(
+      `${TABLE_SELECT}
+       WHERE rt.is_active = true AND (rt.group_id = ? OR (rt.group_id IS NULL AND ? = 'Non AC'))
+       ORDER BY rt.table_number`,
+      [group.id, group.name]
+    );
+
+    const cards = await Promise.all(tables.map(async (table) => `
+      <div class="card">
+        ${await QRCode.toString(getTableQrUrl(table), { type: 'svg', margin: 1 })}
+        <div class="name">${escapeHtml(table.table_name)}</div>
+        <div class="hint">Scan to view the menu and order</div>
+      </div>`));
+
+    res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>QR codes - ${escapeHtml(group.name)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    h1 { font-size: 20px; }
+    .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 24px; }
+    .card { border: 1px dashed #999; padding: 16px; text-align: center; break-inside: avoid; }
+    .card svg { width: 100%; height: auto; }
+    .name { font-size: 20px; font-weight: bold; margin-top: 8px; }
+    .hint { font-size: 12px; color: #555; }
+    @media print { h1 { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(group.name)} (${tables.length} tables)</h1>
+  <div class="sheet">${cards.join('')}
+  </div>
+</body>
+</html>`);
+  } catch (error) {
+    console.error('Error generating QR sheet:', error);
+    res.status(500).json({ success: false, message: 'Failed to generate QR sheet', error: error.message });
+  }
+});
+
+// Category endpoints with enhanced error handling
+const CATEGORY_SELECT = `
+  SELECT c.*, COUNT(mi.id) AS item_count
+  FROM categories c
+  LEFT JOIN menu_items mi ON mi.category = c.name
+`;
+
+// Accept either a category name or a category_id from menu item payloads and
+// return the name stored in menu_items.category (the foreign key column)
+const resolveCategoryName = async (db, { category, category_id }) => {
+  if (category_id !== undefined && category_id !== null && category_id !== '') {
+    const [rows] = await db.execute('SELECT name FROM categories WHERE id = ?', [category_id]);
+    if (rows.length === 0) {
+      throw new ApiError(400, `Category ${category_id} does not exist`);
+    }
+    return rows[0].name;
+  }
+
+  if (!category) {
+    return null;
+  }
+
+  const [rows] = await db.execute('SELECT name FROM categories WHERE name = ?', [category]);
+  if (rows.length === 0) {
+    throw new ApiError(400, `Category "${category}" does not exist`);
+  }
+  return rows[0].name;
+};
+
+app.get('/api/categories', async (req, res) => {
+  try {
+    console.log('Fetching categories...');
+    const includeInactive = req.query.include_inactive === 'true';
+    const [categories] = await pool.execute(`
+      ${CATEGORY_SELECT}
+      ${includeInactive ? '' : 'WHERE c.is_active = true'}
+      GROUP BY c.id
+      ORDER BY c.display_order, c.name
+    `);
+    console.log(`Found ${categories.length} categories`);
+
+    res.json({ success: true, data: categories });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/categories/:id', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(`${CATEGORY_SELECT} WHERE c.id = ? GROUP BY c.id`, [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/categories', authorize('categories:write'), async (req, res) => {
+  try {
+    const { name, description, image_url, display_order, is_active } = req.body;
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Category name is required' });
+    }
+
+    const trimmedName = name.trim();
+    const taxRateId = req.body.tax_rate_id !== undefined ? await resolveTaxRateId(pool, req.body.tax_rate_id) : null;
+
+    const [existingCategory] = await pool.execute('SELECT id FROM categories WHERE name = ?', [trimmedName]);
+    if (existingCategory.length > 0) {
+      return res.status(400).json({ success: false, message: 'Category already exists' });
+    }
+
+    // New categories go to the end unless a position is given
+    let order = display_order;
+    if (order === undefined || order === null) {
+      const [maxRows] = await pool.execute('SELECT COALESCE(MAX(display_order), 0) + 1 AS next_order FROM categories');
+      order = maxRows[0].next_order;
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO categories (name, description, image_url, display_order, is_active, tax_rate_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [trimmedName, description || null, image_url || null, order, is_active !== false, taxRateId]
+    );
+
+    const [newCategory] = await pool.execute(`${CATEGORY_SELECT} WHERE c.id = ? GROUP BY c.id`, [result.insertId]);
+
+    res.json({
+      success: true,
+      message: 'Category created successfully',
+      data: newCategory[0]
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: error.message
+    });
+  }
+});
+
+// Renaming cascades to menu_items.category through the foreign key
+app.put('/api/categories/:id', authorize('categories:write'), async (req, res) => {
+  try {
+    const { name, description, image_url, display_order, is_active } = req.body;
+
+    if (name !== undefined && (!name || name.trim() === '')) {
+      return res.status(400).json({ success: false, message: 'Category name cannot be empty' });
+    }
+
+    const trimmedName = name !== undefined ? name.trim() : null;
+    const taxRateId = req.body.tax_rate_id !== undefined ? await resolveTaxRateId(pool, req.body.tax_rate_id) : undefined;
+
+    if (trimmedName) {
+      const [duplicate] = await pool.execute(
+        'SELECT id FROM categories WHERE name = ? AND id != ?',
+        [trimmedName, req.params.id]
+      );
+      if (duplicate.length > 0) {
+        return res.status(400).json({ success: false, message: 'Category already exists' });
+      }
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE categories SET
+        name = COALESCE(?, name),
+        description = COALESCE(?, description),
+        image_url = COALESCE(?, image_url),
+        display_order = COALESCE(?, display_order),
+        is_active = COALESCE(?, is_active)
+      WHERE id = ?`,
+      [
+        trimmedName,
+        description !== undefined ? description : null,
+        image_url !== undefined ? image_url : null,
+        display_order !== undefined ? display_order : null,
+        is_active !== undefined ? is_active : null,
+        req.params.id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+    // Clearing the rate (null) makes the category's items use the default rate
+    if (taxRateId !== undefined) {
+      await pool.execute('UPDATE categories SET tax_rate_id = ? WHERE id = ?', [taxRateId, req.params.id]);
+    }
+
+    const [updatedCategory] = await pool.execute(`${CATEGORY_SELECT} WHERE c.id = ? GROUP BY c.id`, [req.params.id]);
+    res.json({ success: true, data: updatedCategory[0] });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/categories/:id', authorize('categories:write'), async (req, res) => {
+  try {
+    const [categories] = await pool.execute('SELECT name FROM categories WHERE id = ?', [req.params.id]);
+    if (categories.length === 0) {
+      return res.status(404).json({ success: false, message: 'Category not found' });
+    }
+
+    // Check if any menu items are using this category
+    const [itemsInCategory] = await pool.execute(
+      'SELECT COUNT(*) as count FROM menu_items WHERE category = ?',
+      [categories[0].name]
+    );
+
+    if (itemsInCategory[0].count > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete category. ${itemsInCategory[0].count} item(s) are using this category.`
+      });
+    }
+
+    const [promotions] = await pool.execute('SELECT COUNT(*) as count FROM promotions WHERE category_id = ?', [req.params.id]);
+    if (promotions[0].count > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete category. ${promotions[0].count} promotion(s) apply to this category.`
+      });
+    }
+
+    await pool.execute('DELETE FROM categories WHERE id = ?', [req.params.id]);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message
+    });
+  }
+});
+
+// Tax and billing settings endpoints
+const TAX_RATE_PATTERN = /^\d{1,2}(\.\d{1,2})?$/;
+
+// Percentages such as GST rates and the service charge: 0 to 99.99 with at most two decimals
+const parsePercent = (value, field) => {
+  if (!TAX_RATE_PATTERN.test(String(value))) {
+    throw new ApiError(400, `${field} must be a percentage from 0 to 99.99`);
+  }
+  return Number(value);
+};
+
+// tax_rate_id from menu item and category payloads; null clears it
+const resolveTaxRateId = async (db, taxRateId) => {
+  if (taxRateId === null || taxRateId === '') {
+    return null;
+  }
+  const [rows] = await db.execute('SELECT id FROM tax_rates WHERE id = ?', [taxRateId]);
+  if (rows.length === 0) {
+    throw new ApiError(400, `Tax rate ${taxRateId} does not exist`);
+  }
+  return rows[0].id;
+};
+
+app.get('/api/tax-rates', authorize('billing:configure', 'menu:write'), async (req, res) => {
+  try {
+    const [rates] = await pool.execute(`
+      SELECT tr.*,
+        (SELECT COUNT(*) FROM categories c WHERE c.tax_rate_id = tr.id) AS category_count,
+        (SELECT COUNT(*) FROM menu_items mi WHERE mi.tax_rate_id = tr.id) AS item_count
+      FROM tax_rates tr
+      ORDER BY tr.rate, tr.name
+    `);
+    res.json({ success: true, data: rates });
+  } catch (error) {
+    console.error('Error fetching tax rates:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch tax rates', error: error.message });
+  }
+});
+
+// Body: name, rate (the full GST rate, split into CGST and SGST), is_inclusive,
+// is_default. Making a rate the default takes over from the previous one.
+app.post('/api/tax-rates', authorize('billing:configure'), async (req, res) => {
+  try {
+    const { name, is_inclusive, is_default } = req.body;
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 50) {
+      throw new ApiError(400, 'name is required and must be up to 50 characters');
+    }
+    const rate = parsePercent(req.body.rate, 'rate');
+
+    const [duplicate] = await pool.execute('SELECT id FROM tax_rates WHERE name = ?', [name.trim()]);
+    if (duplicate.length > 0) {
+      throw new ApiError(409, 'A tax rate with this name already exists');
+    }
+
+    if (is_default === true) {
+      await pool.execute('UPDATE tax_rates SET is_default = false');
+    }
+    const [result] = await pool.execute(
+      'INSERT INTO tax_rates (name, rate, is_inclusive, is_default) VALUES (?, ?, ?, ?)',
+      [name.trim(), rate, is_inclusive === true, is_default === true]
+    );
+
+    const [rates] = await pool.execute('SELECT * FROM tax_rates WHERE id = ?', [result.insertId]);
+    res.json({ success: true, data: rates[0] });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating tax rate:', error);
+    res.status(500).json({ success: false, message: 'Failed to create tax rate', error: error.message });
+  }
+});
+
+// Changes apply to new orders; orders already placed keep the rates they were charged
+app.put('/api/tax-rates/:id', authorize('billing:configure'), async (req, res) => {
+  try {
+    const { name, is_inclusive, is_default } = req.body;
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > 50)) {
+      throw new ApiError(400, 'name must be up to 50 characters');
+    }
+    const rate = req.body.rate !== undefined ? parsePercent(req.body.rate, 'rate') : null;
+
+    const [existing] = await pool.execute('SELECT id FROM tax_rates WHERE id = ?', [req.params.id]);
+    if (existing.length === 0) {
+      throw new ApiError(404, 'Tax rate not found');
+    }
+    if (name !== undefined) {
+      const [duplicate] = await pool.execute('SELECT id FROM tax_rates WHERE name = ? AND id != ?', [name.trim(), req.params.id]);
+      if (duplicate.length > 0) {
+        throw new ApiError(409, 'A tax rate with this name already exists');
+      }
+    }
+
+    if (is_default === true) {
+      await pool.execute('UPDATE tax_rates SET is_default = false WHERE id != ?', [req.params.id]);
+    }
+    await pool.execute(
+      `UPDATE tax_rates SET
+        name = COALESCE(?, name),
+        rate = COALESCE(?, rate),
+        is_inclusive = COALESCE(?, is_inclusive),
+        is_default = COALESCE(?, is_default)
+      WHERE id = ?`,
+      [
+        name !== undefined ? name.trim() : null,
+        rate,
+        is_inclusive !== undefined ? is_inclusive === true : null,
+        is_default !== undefined ? is_default === true : null,
+        req.params.id
+      ]
+    );
+
+    const [rates] = await pool.execute('SELECT * FROM tax_rates WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: rates[0] });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating tax rate:', error);
+    res.status(500).json({ success: false, message: 'Failed to update tax rate', error: error.message });
+  }
+});
+
+// Items and categories using the rate fall back to the default rate
+app.delete('/api/tax-rates/:id', authorize('billing:configure'), async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM tax_rates WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Tax rate not found' });
+    }
+    res.json({ success: true, message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete tax rate', error: error.message });
+  }
+});
+
+app.get('/api/billing-settings', authorize('billing:configure'), async (req, res) => {
+  try {
+    res.json({ success: true, data: await getBillingSettings(pool) });
+  } catch (error) {
+    console.error('Error fetching billing settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch billing settings', error: error.message });
+  }
+});
+
+// Body: service_charge_percent, service_charge_tax_rate_id, rounding_mode
+// (none, nearest, up or down), rounding_increment_inr, rounding_increment_usd.
+// Omitted fields are unchanged.
+app.put('/api/billing-settings', authorize('billing:configure'), async (req, res) => {
+  try {
+    const { rounding_mode } = req.body;
+    const servicePercent = req.body.service_charge_percent !== undefined
+      ? parsePercent(req.body.service_charge_percent, 'service_charge_percent')
+      : null;
+    if (rounding_mode !== undefined && !ROUNDING_MODES.includes(rounding_mode)) {
+      throw new ApiError(400, `rounding_mode must be one of: ${ROUNDING_MODES.join(', ')}`);
+    }
+    const increments = BILL_CURRENCIES.map((currency) => {
+      const value = req.body[`rounding_increment_${currency}`];
+      if (value === undefined) return null;
+      const cents = toCents(value);
+      if (!Number.isInteger(cents) || cents < 1 || cents > 10000) {
+        throw new ApiError(400, `rounding_increment_${currency} must be from 0.01 to 100.00`);
+      }
+      return fromCents(cents);
+    });
+
+    await pool.execute(
+      `UPDATE billing_settings SET
+        service_charge_percent = COALESCE(?, service_charge_percent),
+        rounding_mode = COALESCE(?, rounding_mode),
+        rounding_increment_inr = COALESCE(?, rounding_increment_inr),
+        rounding_increment_usd = COALESCE(?, rounding_increment_usd)
+      WHERE id = 1`,
+      [servicePercent, rounding_mode || null, ...increments]
+    );
+    if (req.body.service_charge_tax_rate_id !== undefined) {
+      await pool.execute(
+        'UPDATE billing_settings SET service_charge_tax_rate_id = ? WHERE id = 1',
+        [await resolveTaxRateId(pool, req.body.service_charge_tax_rate_id)]
+      );
+    }
+
+    res.json({ success: true, data: await getBillingSettings(pool) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating billing settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update billing settings', error: error.message });
+  }
+});
+
+// Promotion endpoints
+const PERCENT_PATTERN = /^(100(\.0{1,2})?|\d{1,2}(\.\d{1,2})?)$/;
+const PROMOTION_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,39}$/;
+const PROMOTION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MAX_GENERATED_CODES = 500;
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'promotion_type', 'percent', 'amount_inr', 'amount_usd', 'max_discount_inr', 'max_discount_usd',
+  'buy_quantity', 'get_quantity', 'category_id', 'menu_item_id', 'min_order_inr', 'min_order_usd', 'starts_at', 'ends_at',
+  'days_of_week', 'start_time', 'end_time', 'requires_code', 'is_stackable', 'priority', 'usage_limit',
+  'usage_limit_per_customer', 'is_active'
+];
+
+const PROMOTION_SELECT = `
+  SELECT p.*, DATE_FORMAT(p.starts_at, '%Y-%m-%dT%H:%i') AS starts_at, DATE_FORMAT(p.ends_at, '%Y-%m-%dT%H:%i') AS ends_at,
+    TIME_FORMAT(p.start_time, '%H:%i') AS start_time, TIME_FORMAT(p.end_time, '%H:%i') AS end_time,
+    c.name AS category_name, mi.name AS menu_item_name,
+    (SELECT COUNT(*) FROM promotion_codes pc WHERE pc.promotion_id = p.id) AS code_count
+  FROM promotions p
+  LEFT JOIN categories c ON p.category_id = c.id
+  LEFT JOIN menu_items mi ON p.menu_item_id = mi.id
+`;
+
+const formatPromotion = promotion => ({
+  ...promotion,
+  days_of_week: promotion.days_of_week ? promotion.days_of_week.split(',').map(Number) : null,
+  requires_code: Boolean(promotion.requires_code),
+  is_stackable: Boolean(promotion.is_stackable),
+  is_active: Boolean(promotion.is_active)
+});
+
+const getPromotion = async (db, promotionId) => {
+  const [rows] = await db.execute(`${PROMOTION_SELECT} WHERE p.id = ?`, [promotionId]);
+  return rows.length > 0 ? formatPromotion(rows[0]) : null;
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Validate a whole promotion into its column values. Updates pass the stored
+// promotion with the changes merged in, so fields the type does not use are
+// cleared when the type changes.
+const parsePromotion = async (db, body) => {
+  const fields = Object.fromEntries(PROMOTION_FIELDS.map(field => [field, null]));
+
+  if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 100) {
+    throw new ApiError(400, 'name is required and must be up to 100 characters');
+  }
+  fields.name = body.name.trim();
+  if (!isBlank(body.description)) {
+    if (typeof body.description !== 'string') {
+      throw new ApiError(400, 'description must be text');
+    }
+    fields.description = body.description.trim() || null;
+  }
+  if (!PROMOTION_TYPES.includes(body.promotion_type)) {
+    throw new ApiError(400, `promotion_type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+  fields.promotion_type = body.promotion_type;
+
+  const parseAmount = (field, required) => {
+    if (isBlank(body[field])) {
+      if (required) {
+        throw new ApiError(400, `${field} is required for ${body.promotion_type} promotions`);
+      }
+      return null;
+    }
+    const amount = toCents(body[field]);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new ApiError(400, `${field} must be a positive amount`);
+    }
+    return fromCents(amount);
+  };
+
+  if (body.promotion_type === 'flat') {
+    fields.amount_inr = parseAmount('amount_inr', true);
+    fields.amount_usd = parseAmount('amount_usd', true);
+  } else {
+    // Buy X get Y gives the Y units away unless a lower percent is set
+    const percent = isBlank(body.percent) && body.promotion_type === 'bogo' ? '100' : String(body.percent);
+    if (!PERCENT_PATTERN.test(percent) || Number(percent) <= 0) {
+      throw new ApiError(400, 'percent must be more than 0 and at most 100');
+    }
+    fields.percent = Number(percent);
+  }
+  if (body.promotion_type === 'percentage') {
+    fields.max_discount_inr = parseAmount('max_discount_inr', false);
+    fields.max_discount_usd = parseAmount('max_discount_usd', false);
+  }
+  if (body.promotion_type === 'bogo') {
+    fields.buy_quantity = isBlank(body.buy_quantity) ? 1 : parsePositiveInteger(body.buy_quantity, 'buy_quantity');
+    fields.get_quantity = isBlank(body.get_quantity) ? 1 : parsePositiveInteger(body.get_quantity, 'get_quantity');
+  }
+
+  if (!isBlank(body.category_id) && !isBlank(body.menu_item_id)) {
+    throw new ApiError(400, 'A promotion can apply to a category or to a menu item, not both');
+  }
+  if (!isBlank(body.category_id)) {
+    const [categories] = await db.execute('SELECT id FROM categories WHERE id = ?', [body.category_id]);
+    if (categories.length === 0) {
+      throw new ApiError(400, `Category ${body.category_id} does not exist`);
+    }
+    fields.category_id = categories[0].id;
+  }
+  if (!isBlank(body.menu_item_id)) {
+    const [menuItems] = await db.execute('SELECT id FROM menu_items WHERE id = ?', [body.menu_item_id]);
+    if (menuItems.length === 0) {
+      throw new ApiError(400, `Menu item ${body.menu_item_id} does not exist`);
+    }
+    fields.menu_item_id = menuItems[0].id;
+  }
+
+  fields.min_order_inr = parseAmount('min_order_inr', false);
+  fields.min_order_usd = parseAmount('min_order_usd', false);
+
+  for (const field of ['starts_at', 'ends_at']) {
+    if (isBlank(body[field])) continue;
+    const match = typeof body[field] === 'string' && body[field].match(RESERVATION_DATETIME_PATTERN);
+    if (!match || Number.isNaN(Date.parse(match[1]))) {
+      throw new ApiError(400, `${field} must be a date-time in YYYY-MM-DDTHH:MM format`);
+    }
+    fields[field] = `${match[1]} ${match[2]}:${match[3]}:00`;
+  }
+  if (fields.starts_at && fields.ends_at && fields.ends_at <= fields.starts_at) {
+    throw new ApiError(400, 'ends_at must be after starts_at');
+  }
+
+  if (!isBlank(body.days_of_week)) {
+    const days = Array.isArray(body.days_of_week) ? body.days_of_week.map(Number) : [];
+    if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new ApiError(400, 'days_of_week must list days from 0 (Sunday) to 6 (Saturday)');
+    }
+    fields.days_of_week = [...new Set(days)].sort().join(',');
+  }
+
+  if (isBlank(body.start_time) !== isBlank(body.end_time)) {
+    throw new ApiError(400, 'start_time and end_time must be given together');
+  }
+  if (!isBlank(body.start_time)) {
+    for (const field of ['start_time', 'end_time']) {
+      if (typeof body[field] !== 'string' || !TIME_PATTERN.test(body[field])) {
+        throw new ApiError(400, `${field} must be a time in HH:MM format`);
+      }
+      fields[field] = body[field];
+    }
+    if (toMinutes(fields.start_time) === toMinutes(fields.end_time)) {
+      throw new ApiError(400, 'start_time and end_time must differ');
+    }
+  }
+
+  fields.requires_code = body.requires_code === true;
+  fields.is_stackable = body.is_stackable === true;
+  fields.is_active = body.is_active === undefined ? true : body.is_active === true;
+  fields.priority = isBlank(body.priority) ? 0 : Number(body.priority);
+  if (!Number.isInteger(fields.priority)) {
+    throw new ApiError(400, 'priority must be a whole number');
+  }
+  for (const field of ['usage_limit', 'usage_limit_per_customer']) {
+    fields[field] = isBlank(body[field]) ? null : parsePositiveInteger(body[field], field);
+  }
+
+  return fields;
+};
+
+const generatePromotionCode = prefix => prefix + Array.from(
+  { length: 8 },
+  () => PROMOTION_CODE_ALPHABET[crypto.randomInt(PROMOTION_CODE_ALPHABET.length)]
+).join('');
+
+// Automatic promotions running right now, for guests browsing the menu
+app.get('/api/promotions/live', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `${PROMOTION_SELECT} WHERE p.is_active = true AND p.requires_code = false ORDER BY p.priority DESC, p.id`
+    );
+    const now = new Date();
+    const live = rows
+      .filter(promotion => isPromotionLive(promotion, now)
+        && (promotion.usage_limit === null || promotion.times_used < promotion.usage_limit))
+      .map((promotion) => {
+        const { usage_limit, times_used, priority, requires_code, code_count, created_by, created_at, updated_at, ...details } = formatPromotion(promotion);
+        return details;
+      });
+
+    res.json({ success: true, data: live });
+  } catch (error) {
+    console.error('Error fetching live promotions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch promotions', error: error.message });
+  }
+});
+
+// Price a cart with its promotions without placing it, e.g. to check a
+// coupon code. Body: items, currency, coupon_code (as for POST /api/orders)
+app.post('/api/promotions/preview', optionalAuth, async (req, res) => {
+  try {
+    const { items, currency } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ApiError(400, 'items must be a non-empty array');
+    }
+
+    let customerId = null;
+    if (req.user) {
+      customerId = req.user.role === 'customer' ? req.user.id : (req.body.customer_id || null);
+    }
+    const { applied, lines } = await evaluatePromotions(pool, await priceOrderItems(pool, items), {
+      currency,
+      customerId,
+      couponCode: req.body.coupon_code
+    });
+
+    res.json({
+      success: true,
+      data: {
+        discounts: applied.map(formatAppliedPromotion),
+        items: lines.map(({ line, menu_item_id, item_name, quantity, price_inr, price_usd, discount_inr, discount_usd }) => ({
+          line, menu_item_id, item_name, quantity, price_inr, price_usd, discount_inr, discount_usd
+        })),
+        ...computeOrderTotals(lines, await getBillingSettings(pool))
+      }
+    });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error previewing promotions:', error);
+    res.status(500).json({ success: false, message: 'Failed to preview promotions', error: error.message });
+  }
+});
+
+// Query: is_active (true or false), requires_code (true or false)
+app.get('/api/promotions', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+    for (const flag of ['is_active', 'requires_code']) {
+      if (req.query[flag] !== undefined) {
+        conditions.push(`p.${flag} = ?`);
+        params.push(req.query[flag] === 'true');
+      }
+    }
+
+    const [rows] = await pool.execute(
+      `${PROMOTION_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY p.is_active DESC, p.priority DESC, p.id`,
+      params
+    );
+    res.json({ success: true, data: rows.map(formatPromotion) });
+  } catch (error) {
+    console.error('Error fetching promotions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch promotions', error: error.message });
+  }
+});
+
+app.get('/api/promotions/:id', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const promotion = await getPromotion(pool, req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+    const [codes] = await pool.execute('SELECT * FROM promotion_codes WHERE promotion_id = ? ORDER BY id', [promotion.id]);
+    res.json({ success: true, data: { ...promotion, codes } });
+  } catch (error) {
+    console.error('Error fetching promotion:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch promotion', error: error.message });
+  }
+});
+
+// Body: name, description, promotion_type (percentage, flat or bogo) with
+// percent, amount_inr/amount_usd or buy_quantity/get_quantity, optional
+// max_discount_inr/usd caps for percentages, category_id or menu_item_id,
+// min_order_inr/usd, starts_at, ends_at, days_of_week (0 = Sunday),
+// start_time, end_time, requires_code, is_stackable, priority, usage_limit,
+// usage_limit_per_customer and is_active
+app.post('/api/promotions', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const fields = await parsePromotion(pool, req.body);
+    const [result] = await pool.execute(
+      `INSERT INTO promotions (${PROMOTION_FIELDS.join(', ')}, created_by) VALUES (${placeholders(PROMOTION_FIELDS)}, ?)`,
+      [...PROMOTION_FIELDS.map(field => fields[field]), req.user.id]
+    );
+    res.json({ success: true, data: await getPromotion(pool, result.insertId) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating promotion:', error);
+    res.status(500).json({ success: false, message: 'Failed to create promotion', error: error.message });
+  }
+});
+
+// Omitted fields are unchanged. Changes apply to new orders only.
+app.put('/api/promotions/:id', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const existing = await getPromotion(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+    const fields = await parsePromotion(pool, { ...existing, ...req.body });
+    if (!fields.requires_code && existing.code_count > 0) {
+      throw new ApiError(400, 'Promotions with coupon codes must require a code; deactivate the promotion instead');
+    }
+
+    await pool.execute(
+      `UPDATE promotions SET ${PROMOTION_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+      [...PROMOTION_FIELDS.map(field => fields[field]), existing.id]
+    );
+    res.json({ success: true, data: await getPromotion(pool, existing.id) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating promotion:', error);
+    res.status(500).json({ success: false, message: 'Failed to update promotion', error: error.message });
+  }
+});
+
+// Redeemed promotions stay for the orders that used them; deactivate those instead
+app.delete('/api/promotions/:id', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const [[{ count }]] = await pool.execute('SELECT COUNT(*) AS count FROM order_discounts WHERE promotion_id = ?', [req.params.id]);
+    if (count > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Cannot delete a promotion that orders have used. Deactivate it instead.'
+      });
+    }
+
+    const [result] = await pool.execute('DELETE FROM promotions WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+    res.json({ success: true, message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete promotion', error: error.message });
+  }
+});
+
+// Add coupon codes to a promotion that requires one. Body: either code, a
+// single named code usable any number of times by default, or count (and an
+// optional prefix) for generated one-time codes; usage_limit overrides either
+// default and null makes codes unlimited.
+app.post('/api/promotions/:id/codes', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const promotion = await getPromotion(pool, req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ success: false, message: 'Promotion not found' });
+    }
+    if (!promotion.requires_code) {
+      throw new ApiError(400, 'Only promotions that require a code can have coupon codes');
+    }
+
+    const named = !isBlank(req.body.code);
+    let usageLimit = named ? null : 1;
+    if (req.body.usage_limit !== undefined) {
+      usageLimit = req.body.usage_limit === null ? null : parsePositiveInteger(req.body.usage_limit, 'usage_limit');
+    }
+
+    let codes;
+    if (named) {
+      const code = String(req.body.code).trim().toUpperCase();
+      if (!PROMOTION_CODE_PATTERN.test(code)) {
+        throw new ApiError(400, 'code must be 3 to 40 letters, digits, dashes or underscores');
+      }
+      const [duplicate] = await pool.execute('SELECT id FROM promotion_codes WHERE code = ?', [code]);
+      if (duplicate.length > 0) {
+        throw new ApiError(409, `Coupon code ${code} already exists`);
+      }
+      codes = [code];
+    } else {
+      const count = parsePositiveInteger(req.body.count, 'count');
+      if (count > MAX_GENERATED_CODES) {
+        throw new ApiError(400, `count must be at most ${MAX_GENERATED_CODES}`);
+      }
+      const prefix = isBlank(req.body.prefix) ? '' : String(req.body.prefix).trim().toUpperCase();
+      if (!/^[A-Z0-9]{0,10}$/.test(prefix)) {
+        throw new ApiError(400, 'prefix must be up to 10 letters or digits');
+      }
+
+      // Regenerate any that clash with existing codes
+      const generated = new Set();
+      while (generated.size < count) {
+        const batch = new Set(generated);
+        while (batch.size < count) {
+          batch.add(generatePromotionCode(prefix));
+        }
+        const [taken] = await pool.execute(
+          `SELECT code FROM promotion_codes WHERE code IN (${placeholders([...batch])})`,
+          [...batch]
+        );
+        const takenCodes = new Set(taken.map(row => row.code));
+        for (const code of batch) {
+          if (!takenCodes.has(code)) {
+            generated.add(code);
+          }
+        }
+      }
+      codes = [...generated];
+    }
+
+    await pool.query(
+      'INSERT INTO promotion_codes (promotion_id, code, usage_limit, created_by) VALUES ?',
+      [codes.map(code => [promotion.id, code, usageLimit, req.user.id])]
+    );
+    const [created] = await pool.execute(
+      `SELECT * FROM promotion_codes WHERE code IN (${placeholders(codes)}) ORDER BY id`,
+      codes
+    );
+    res.json({ success: true, data: created });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating coupon codes:', error);
+    res.status(500).json({ success: false, message: 'Failed to create coupon codes', error: error.message });
+  }
+});
+
+// Body: is_active, usage_limit (null for unlimited). Omitted fields are unchanged.
+app.put('/api/promotion-codes/:id', authorize('promotions:manage'), async (req, res) => {
+  try {
+    const [codes] = await pool.execute('SELECT * FROM promotion_codes WHERE id = ?', [req.params.id]);
+    if (codes.length === 0) {
+      return res.status(404).json({ success: false, message: 'Coupon code not found' });
+    }
+
+    const code = codes[0];
+    let usageLimit = code.usage_limit;
+    if (req.body.usage_limit !== undefined) {
+      usageLimit = req.body.usage_limit === null ? null : parsePositiveInteger(req.body.usage_limit, 'usage_limit');
+    }
+    const isActive = req.body.is_active === undefined ? code.is_active : req.body.is_active === true;
+
+    await pool.execute(
+      'UPDATE promotion_codes SET usage_limit = ?, is_active = ? WHERE id = ?',
+      [usageLimit, isActive, code.id]
+    );
+    const [updated] = await pool.execute('SELECT * FROM promotion_codes WHERE id = ?', [code.id]);
+    res.json({ success: true, data: updated[0] });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating coupon code:', error);
+    res.status(500).json({ success: false, message: 'Failed to update coupon code', error: error.message });
+  }
+});
+
+// Money is summed in paise/cents so repeated additions do not drift
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+// Billing: GST, service charge and rounding. A line's tax rate comes from
+// its menu item, else its category, else the default rate. GST is charged
+// as equal CGST and SGST halves; inclusive prices have it backed out so the
+// subtotal is always before tax. Discounts come off the lines first, so tax
+// is charged on the discounted price. The service charge is a percentage of
+// the subtotal, taxed at its own rate, and the grand total can be rounded.
+const ROUNDING_MODES = ['none', 'nearest', 'up', 'down'];
+const BILL_CURRENCIES = ['inr', 'usd'];
+
+const loadTaxRates = async (db) => {
+  const [rates] = await db.execute('SELECT * FROM tax_rates');
+  return {
+    byId: new Map(rates.map(rate => [rate.id, rate])),
+    defaultRate: rates.find(rate => rate.is_default) || null
+  };
+};
+
+const getBillingSettings = async (db) => {
+  const [rows] = await db.execute(
+    `SELECT bs.*, tr.name AS service_charge_tax_name, COALESCE(tr.rate, 0) AS service_charge_tax_rate
+     FROM billing_settings bs
+     LEFT JOIN tax_rates tr ON bs.service_charge_tax_rate_id = tr.id
+     WHERE bs.id = 1`
+  );
+  return rows[0];
+};
+
+// One GST half (CGST or SGST) on a taxable amount in cents
+const gstComponent = (taxable, rate) => Math.round((taxable * rate) / 200);
+
+const roundTotal = (cents, mode, increment) => {
+  if (mode === 'none' || increment <= 1) return cents;
+  const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  return round(cents / increment) * increment;
+};
+
+// Work out an order's bill in both currencies. lines: { price_inr,
+// price_usd, quantity, tax_rate, tax_inclusive } with menu unit prices, and
+// optionally discount_inr/discount_usd for the whole line.
+// charges: service_charge_percent, service_charge_tax_rate, rounding_mode
+// and rounding_increment_inr/usd. Tax lines come out as a CGST and an SGST
+// line per rate.
+const computeOrderTotals = (lines, charges) => {
+  const totals = {};
+  const taxByRate = new Map();
+  const addTax = (currency, rate, taxable, component) => {
+    if (rate <= 0) return;
+    const entry = taxByRate.get(rate) || { rate, taxable_inr: 0, taxable_usd: 0, tax_inr: 0, tax_usd: 0 };
+    entry[`taxable_${currency}`] += taxable;
+    entry[`tax_${currency}`] += component;
+    taxByRate.set(rate, entry);
+  };
+
+  for (const currency of BILL_CURRENCIES) {
+    const groups = new Map();
+    let discount = 0;
+    for (const line of lines) {
+      const rate = Number(line.tax_rate);
+      const key = `${rate}:${line.tax_inclusive ? 1 : 0}`;
+      const group = groups.get(key) || { rate, inclusive: Boolean(line.tax_inclusive), gross: 0 };
+      const lineDiscount = toCents(line[`discount_${currency}`] || 0);
+      group.gross += toCents(line[`price_${currency}`]) * line.quantity - lineDiscount;
+      discount += lineDiscount;
+      groups.set(key, group);
+    }
+
+    let subtotal = 0;
+    let tax = 0;
+    for (const group of groups.values()) {
+      let taxable = group.gross;
+      let component;
+      if (group.inclusive) {
+        // Both halves stay equal and tax plus taxable add back up to the menu price
+        component = gstComponent(Math.round((group.gross * 100) / (100 + group.rate)), group.rate);
+        taxable = group.gross - 2 * component;
+      } else {
+        component = gstComponent(taxable, group.rate);
+      }
+      subtotal += taxable;
+      tax += 2 * component;
+      addTax(currency, group.rate, taxable, component);
+    }
+
+    const serviceCharge = Math.round((subtotal * Number(charges.service_charge_percent)) / 100);
+    const serviceTaxRate = Number(charges.service_charge_tax_rate);
+    const serviceComponent = gstComponent(serviceCharge, serviceTaxRate);
+    if (serviceCharge > 0) {
+      tax += 2 * serviceComponent;
+      addTax(currency, serviceTaxRate, serviceCharge, serviceComponent);
+    }
+
+    const unrounded = subtotal + serviceCharge + tax;
+    const total = roundTotal(unrounded, charges.rounding_mode, toCents(charges[`rounding_increment_${currency}`]));
+    totals[`discount_${currency}`] = fromCents(discount);
+    totals[`subtotal_${currency}`] = fromCents(subtotal);
+    totals[`service_charge_${currency}`] = fromCents(serviceCharge);
+    totals[`tax_total_${currency}`] = fromCents(tax);
+    totals[`rounding_${currency}`] = fromCents(total - unrounded);
+    totals[`total_${currency}`] = fromCents(total);
+  }
+
+  totals.tax_lines = [...taxByRate.values()]
+    .sort((a, b) => a.rate - b.rate)
+    .flatMap(entry => ['cgst', 'sgst'].map(component => ({
+      component,
+      rate: (entry.rate / 2).toFixed(2),
+      taxable_inr: fromCents(entry.taxable_inr),
+      taxable_usd: fromCents(entry.taxable_usd),
+      tax_inr: fromCents(entry.tax_inr),
+      tax_usd: fromCents(entry.tax_usd)
+    })));
+  return totals;
+};
+
+// Recompute an order's bill from its lines and store it with its tax lines.
+// The service charge and its tax rate are the order's own; rounding follows
+// the current settings.
+const recalculateOrderTotals = async (connection, orderId) => {
+  const [orders] = await connection.execute(
+    'SELECT service_charge_percent, service_charge_tax_rate FROM orders WHERE id = ?',
+    [orderId]
+  );
+  const [items] = await connection.execute(
+    'SELECT price_inr, price_usd, discount_inr, discount_usd, quantity, tax_rate, tax_inclusive FROM order_items WHERE order_id = ?',
+    [orderId]
+  );
+  const settings = await getBillingSettings(connection);
+  const totals = computeOrderTotals(items, { ...settings, ...orders[0] });
+
+  await connection.execute(
+    `UPDATE orders SET discount_inr = ?, discount_usd = ?, subtotal_inr = ?, subtotal_usd = ?, service_charge_inr = ?, service_charge_usd = ?,
+       tax_total_inr = ?, tax_total_usd = ?, rounding_inr = ?, rounding_usd = ?, total_amount_inr = ?, total_amount_usd = ?
+     WHERE id = ?`,
+    [
+      totals.discount_inr, totals.discount_usd, totals.subtotal_inr, totals.subtotal_usd, totals.service_charge_inr, totals.service_charge_usd,
+      totals.tax_total_inr, totals.tax_total_usd, totals.rounding_inr, totals.rounding_usd,
+      totals.total_inr, totals.total_usd, orderId
+    ]
+  );
+  await connection.execute('DELETE FROM order_tax_lines WHERE order_id = ?', [orderId]);
+  for (const line of totals.tax_lines) {
+    await connection.execute(
+      'INSERT INTO order_tax_lines (order_id, component, rate, taxable_inr, taxable_usd, tax_inr, tax_usd) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [orderId, line.component, line.rate, line.taxable_inr, line.taxable_usd, line.tax_inr, line.tax_usd]
+    );
+  }
+  return totals;
+};
+
+const loadOrderTaxLines = async (db, orderId) => {
+  const [lines] = await db.execute('SELECT * FROM order_tax_lines WHERE order_id = ? ORDER BY rate, component', [orderId]);
+  return lines;
+};
+
+// Price the requested lines from menu_items and modifier_options, with each
+// line's tax rate. Client-sent names and prices are ignored; any invalid line
+// rejects the whole order with its line number.
+const priceOrderItems = async (connection, items) => {
+  const lines = items.map((item, index) => ({
+    line: index + 1,
+    menu_item_id: parseInt(item.menu_item_id !== undefined ? item.menu_item_id : item.id, 10),
+    quantity: Number(item.quantity),
+    // Selected options may be sent as plain ids or as { modifier_option_id } objects
+    option_ids: (Array.isArray(item.modifiers) ? item.modifiers : []).map(modifier => parseInt(
+      modifier !== null && typeof modifier === 'object'
+        ? (modifier.modifier_option_id !== undefined ? modifier.modifier_option_id : modifier.id)
+        : modifier,
+      10
+    ))
+  }));
+
+  const lineError = (line, message) => new ApiError(400, `Line ${line.line}: ${message}`, {
+    line: line.line,
+    menu_item_id: line.menu_item_id
+  });
+
+  for (const line of lines) {
+    if (!Number.isInteger(line.menu_item_id)) {
+      throw new ApiError(400, `Line ${line.line}: menu_item_id is required`, { line: line.line });
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity <= 0) {
+      throw lineError(line, 'quantity must be a positive whole number');
+    }
+    if (line.option_ids.some(id => !Number.isInteger(id))) {
+      throw lineError(line, 'modifiers must be modifier option ids');
+    }
+    if (new Set(line.option_ids).size !== line.option_ids.length) {
+      throw lineError(line, 'the same modifier option was selected twice');
+    }
+  }
+
+  const ids = [...new Set(lines.map(line => line.menu_item_id))];
+  const [menuRows] = await connection.execute(
+    `SELECT mi.id, mi.name, mi.price_inr, mi.price_usd, mi.is_available, mi.archived_at,
+       mi.tax_rate_id, c.id AS category_id, c.tax_rate_id AS category_tax_rate_id
+     FROM menu_items mi
+     LEFT JOIN categories c ON mi.category = c.name
+     WHERE mi.id IN (${placeholders(ids)})`,
+    ids
+  );
+  const taxRates = await loadTaxRates(connection);
+  const menuItemsById = new Map(menuRows.map(row => [row.id, row]));
+  const groupsByItem = await loadModifierGroups(connection, ids);
+
+  const pricedLines = lines.map((line) => {
+    const menuItem = menuItemsById.get(line.menu_item_id);
+
+    if (!menuItem) {
+      throw lineError(line, `menu item ${line.menu_item_id} does not exist`);
+    }
+    if (menuItem.archived_at) {
+      throw lineError(line, `${menuItem.name} is no longer on the menu`);
+    }
+    if (!menuItem.is_available) {
+      throw lineError(line, `${menuItem.name} is currently unavailable`);
+    }
+
+    const groups = groupsByItem.get(line.menu_item_id) || [];
+    const optionsById = new Map();
+    for (const group of groups) {
+      for (const option of group.options) {
+        optionsById.set(option.id, { group, option });
+      }
+    }
+
+    const modifiers = line.option_ids.map((optionId) => {
+      const match = optionsById.get(optionId);
+      if (!match) {
+        throw lineError(line, `modifier option ${optionId} does not belong to ${menuItem.name}`);
+      }
+      if (!match.option.is_available) {
+        throw lineError(line, `${match.option.name} is currently unavailable for ${menuItem.name}`);
+      }
+      return match;
+    });
+
+    for (const group of groups) {
+      const selected = modifiers.filter(modifier => modifier.group.id === group.id).length;
+      const min = Math.max(group.min_selections, group.is_required ? 1 : 0);
+      if (selected < min) {
+        throw lineError(line, `choose at least ${min} option(s) for "${group.name}" on ${menuItem.name}`);
+      }
+      if (selected > group.max_selections) {
+        throw lineError(line, `choose at most ${group.max_selections} option(s) for "${group.name}" on ${menuItem.name}`);
+      }
+    }
+
+    // The stored unit price includes the selected options
+    let unit_inr = toCents(menuItem.price_inr);
+    let unit_usd = toCents(menuItem.price_usd);
+    for (const { option } of modifiers) {
+      unit_inr += toCents(option.price_delta_inr);
+      unit_usd += toCents(option.price_delta_usd);
+    }
+
+    const taxRate = taxRates.byId.get(menuItem.tax_rate_id)
+      || taxRates.byId.get(menuItem.category_tax_rate_id)
+      || taxRates.defaultRate;
+
+    return {
+      line: line.line,
+      menu_item_id: line.menu_item_id,
+      category_id: menuItem.category_id,
+      quantity: line.quantity,
+      item_name: menuItem.name,
+      price_inr: fromCents(unit_inr),
+      price_usd: fromCents(unit_usd),
+      tax_rate: taxRate ? taxRate.rate : 0,
+      tax_inclusive: taxRate ? Boolean(taxRate.is_inclusive) : false,
+      modifiers: modifiers.map(({ group, option }) => ({
+        modifier_option_id: option.id,
+        group_name: group.name,
+        option_name: option.name,
+        price_delta_inr: option.price_delta_inr,
+        price_delta_usd: option.price_delta_usd
+      }))
+    };
+  });
+
+  return pricedLines;
+};
+
+// Promotions: automatic promotions apply to every order that qualifies, the
+// rest need one of their coupon codes. A non-stackable promotion is never
+// combined with another; stackable ones apply together in priority order,
+// each on what the ones before it left of the lines. Without a coupon the
+// order gets whichever of those choices saves the most. A coupon always
+// applies, joined by the stackable automatic promotions if it stacks too.
+const PROMOTION_TYPES = ['percentage', 'flat', 'bogo'];
+
+const byPromotionPriority = (a, b) => b.priority - a.priority || a.id - b.id;
+
+// Whether a promotion runs at the given moment: its dates, days of the week
+// and time of day, which may run past midnight
+const isPromotionLive = (promotion, at) => {
+  if (!promotion.is_active) return false;
+  if (promotion.starts_at && new Date(promotion.starts_at) > at) return false;
+  if (promotion.ends_at && new Date(promotion.ends_at) <= at) return false;
+  if (promotion.days_of_week && !promotion.days_of_week.split(',').map(Number).includes(at.getDay())) return false;
+  if (promotion.start_time && promotion.end_time) {
+    const minute = at.getHours() * 60 + at.getMinutes();
+    const start = toMinutes(promotion.start_time);
+    const end = toMinutes(promotion.end_time);
+    return start < end ? minute >= start && minute < end : minute >= start || minute < end;
+  }
+  return true;
+};
+
+const promotionAppliesToLine = (promotion, line) =>
+  (!promotion.category_id || line.category_id === promotion.category_id)
+  && (!promotion.menu_item_id || line.menu_item_id === promotion.menu_item_id);
+
+// One promotion's discount on each line, in cents per currency, from what is
+// left of the lines. Buy X get Y takes its percent off the cheapest
+// qualifying units.
+const computePromotionDiscount = (promotion, lines, remaining) => {
+  const discounts = { inr: lines.map(() => 0), usd: lines.map(() => 0) };
+  const eligible = lines.map((line, index) => index).filter(index => promotionAppliesToLine(promotion, lines[index]));
+  if (eligible.length === 0) {
+    return discounts;
+  }
+
+  if (promotion.promotion_type === 'bogo') {
+    const units = eligible
+      .flatMap(index => new Array(lines[index].quantity).fill(index))
+      .sort((a, b) => remaining[a].inr / lines[a].quantity - remaining[b].inr / lines[b].quantity);
+    const freeCount = Math.floor(units.length / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+    const freeUnits = new Map();
+    for (const index of units.slice(0, freeCount)) {
+      freeUnits.set(index, (freeUnits.get(index) || 0) + 1);
+    }
+    for (const currency of BILL_CURRENCIES) {
+      for (const [index, count] of freeUnits) {
+        discounts[currency][index] = Math.round(
+          (remaining[index][currency] * count * Number(promotion.percent)) / (lines[index].quantity * 100)
+        );
+      }
+    }
+    return discounts;
+  }
+
+  for (const currency of BILL_CURRENCIES) {
+    const weights = eligible.map(index => remaining[index][currency]);
+    const base = weights.reduce((sum, weight) => sum + weight, 0);
+    let amount = promotion.promotion_type === 'flat'
+      ? toCents(promotion[`amount_${currency}`])
+      : Math.round((base * Number(promotion.percent)) / 100);
+    const cap = promotion[`max_discount_${currency}`];
+    if (cap !== null && cap !== undefined) {
+      amount = Math.min(amount, toCents(cap));
+    }
+    allocateProportionally(Math.min(amount, base), weights).forEach((value, position) => {
+      discounts[currency][eligible[position]] = value;
+    });
+  }
+  return discounts;
+};
+
+// Apply promotions in turn: each one's discount in cents, and what is left
+// of every line afterwards
+const applyPromotions = (promotions, lines) => {
+  const remaining = lines.map(line => ({
+    inr: toCents(line.price_inr) * line.quantity,
+    usd: toCents(line.price_usd) * line.quantity
+  }));
+  const applied = promotions.map((promotion) => {
+    const discounts = computePromotionDiscount(promotion, lines, remaining);
+    remaining.forEach((left, index) => {
+      left.inr -= discounts.inr[index];
+      left.usd -= discounts.usd[index];
+    });
+    return {
+      promotion,
+      amount_inr: discounts.inr.reduce((sum, value) => sum + value, 0),
+      amount_usd: discounts.usd.reduce((sum, value) => sum + value, 0)
+    };
+  });
+  return { applied, remaining };
+};
+
+// locking reads the latest committed redemptions rather than the
+// transaction's snapshot, for use once the promotion row is locked
+const countCustomerRedemptions = async (db, promotionId, customerId, locking = false) => {
+  const [[{ count }]] = await db.execute(
+    `SELECT COUNT(DISTINCT d.order_id) AS count
+     FROM order_discounts d
+     JOIN orders o ON d.order_id = o.id
+     WHERE d.promotion_id = ? AND o.customer_id = ? AND o.order_status NOT IN (${placeholders(UNBILLED_ORDER_STATUSES)})
+     ${locking ? 'LOCK IN SHARE MODE' : ''}`,
+    [promotionId, customerId, ...UNBILLED_ORDER_STATUSES]
+  );
+  return count;
+};
+
+// Why a promotion cannot be used on this order, or null if it can.
+// context: at, currency ('inr' or 'usd'), orderGross in cents, customerId.
+const findPromotionBlocker = async (db, promotion, context) => {
+  if (!isPromotionLive(promotion, context.at)) {
+    return 'is not valid at this time';
+  }
+  if (promotion.usage_limit !== null && promotion.times_used >= promotion.usage_limit) {
+    return 'has been fully redeemed';
+  }
+  const minimum = promotion[`min_order_${context.currency}`];
+  if (minimum !== null && context.orderGross < toCents(minimum)) {
+    return `needs an order of at least ${minimum} ${context.currency.toUpperCase()}`;
+  }
+  if (promotion.usage_limit_per_customer !== null) {
+    if (!context.customerId) {
+      return 'can only be used when signed in';
+    }
+    if (await countCustomerRedemptions(db, promotion.id, context.customerId) >= promotion.usage_limit_per_customer) {
+      return 'has already been used the maximum number of times on this account';
+    }
+  }
+  return null;
+};
+
+// Work out the discounts on priced lines. Returns the promotions applied,
+// each with its amounts in cents and the coupon code used, and the lines
+// with their discount_inr and discount_usd. An unusable coupon code is a
+// 400 saying why.
+const evaluatePromotions = async (db, lines, { currency, customerId = null, couponCode, at = new Date() }) => {
+  const suffix = currency === 'USD' ? 'usd' : 'inr';
+  const context = {
+    at,
+    customerId,
+    currency: suffix,
+    orderGross: lines.reduce((sum, line) => sum + toCents(line[`price_${suffix}`]) * line.quantity, 0)
+  };
+
+  const [automatic] = await db.execute('SELECT * FROM promotions WHERE is_active = true AND requires_code = false');
+  const candidates = [];
+  for (const promotion of automatic.sort(byPromotionPriority)) {
+    if (!(await findPromotionBlocker(db, promotion, context))) {
+      candidates.push(promotion);
+    }
+  }
+  const stackable = candidates.filter(promotion => promotion.is_stackable);
+
+  let coupon = null;
+  if (couponCode !== undefined && couponCode !== null && couponCode !== '') {
+    const code = String(couponCode).trim().toUpperCase();
+    const [codes] = await db.execute('SELECT * FROM promotion_codes WHERE code = ?', [code]);
+    if (codes.length === 0 || !codes[0].is_active) {
+      throw new ApiError(400, `Coupon code ${code} is not valid`, { coupon_code: code });
+    }
+    if (codes[0].usage_limit !== null && codes[0].times_used >= codes[0].usage_limit) {
+      throw new ApiError(400, `Coupon code ${code} has already been used`, { coupon_code: code });
+    }
+    const [promotions] = await db.execute('SELECT * FROM promotions WHERE id = ?', [codes[0].promotion_id]);
+    const reason = await findPromotionBlocker(db, promotions[0], context);
+    if (reason) {
+      throw new ApiError(400, `Coupon code ${code} ${reason}`, { coupon_code: code });
+    }
+    coupon = { code: codes[0], promotion: promotions[0] };
+  }
+
+  const plans = coupon
+    ? [coupon.promotion.is_stackable ? [coupon.promotion, ...stackable] : [coupon.promotion]]
+    : [stackable, ...candidates.filter(promotion => !promotion.is_stackable).map(promotion => [promotion])];
+  let best = null;
+  for (const plan of plans) {
+    const result = applyPromotions(plan, lines);
+    result.saving = result.applied.reduce((sum, entry) => sum + entry[`amount_${suffix}`], 0);
+    if (!best || result.saving > best.saving) {
+      best = result;
+    }
+  }
+
+  if (coupon && best.applied[0].amount_inr === 0 && best.applied[0].amount_usd === 0) {
+    throw new ApiError(400, `Coupon code ${coupon.code.code} does not apply to anything in this order`, {
+      coupon_code: coupon.code.code
+    });
+  }
+
+  return {
+    applied: best.applied
+      .filter(entry => entry.amount_inr > 0 || entry.amount_usd > 0)
+      .map(entry => ({ ...entry, code: coupon && entry.promotion.id === coupon.promotion.id ? coupon.code : null })),
+    lines: lines.map((line, index) => ({
+      ...line,
+      discount_inr: fromCents(toCents(line.price_inr) * line.quantity - best.remaining[index].inr),
+      discount_usd: fromCents(toCents(line.price_usd) * line.quantity - best.remaining[index].usd)
+    }))
+  };
+};
+
+const formatAppliedPromotion = entry => ({
+  promotion_id: entry.promotion.id,
+  description: entry.promotion.name,
+  code: entry.code ? entry.code.code : null,
+  amount_inr: fromCents(entry.amount_inr),
+  amount_usd: fromCents(entry.amount_usd)
+});
+
+// Store an order's discount lines and count its promotions and code as used.
+// The limits are checked again in case another order took the last use. For
+// per-customer limits the promotion row is locked first, so two orders from
+// the same customer cannot both count the last use as free.
+const redeemPromotions = async (connection, orderId, applied, customerId) => {
+  for (const entry of applied) {
+    const { promotion, code } = entry;
+    if (promotion.usage_limit_per_customer !== null) {
+      await connection.execute('SELECT id FROM promotions WHERE id = ? FOR UPDATE', [promotion.id]);
+      if (await countCustomerRedemptions(connection, promotion.id, customerId, true) >= promotion.usage_limit_per_customer) {
+        throw new ApiError(409, `${promotion.name} has already been used the maximum number of times on this account`);
+      }
+    }
+    const [counted] = await connection.execute(
+      'UPDATE promotions SET times_used = times_used + 1 WHERE id = ? AND (usage_limit IS NULL OR times_used < usage_limit)',
+      [promotion.id]
+    );
+    if (counted.affectedRows === 0) {
+      throw new ApiError(409, `${promotion.name} has just been fully redeemed; please place the order again`);
+    }
+    if (code) {
+      const [codeCounted] = await connection.execute(
+        'UPDATE promotion_codes SET times_used = times_used + 1 WHERE id = ? AND (usage_limit IS NULL OR times_used < usage_limit)',
+        [code.id]
+      );
+      if (codeCounted.affectedRows === 0) {
+        throw new ApiError(409, `Coupon code ${code.code} has already been used`, { coupon_code: code.code });
+      }
+    }
+
+    const line = formatAppliedPromotion(entry);
+    await connection.execute(
+      'INSERT INTO order_discounts (order_id, promotion_id, promotion_code_id, description, code, amount_inr, amount_usd) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [orderId, promotion.id, code ? code.id : null, line.description, line.code, line.amount_inr, line.amount_usd]
+    );
+  }
+};
+
+// Cancelled and rejected orders give their promotion and coupon code uses
+// back; their discount lines stay on the order
+const releasePromotionUsage = async (connection, orderId) => {
+  await connection.execute(
+    `UPDATE promotions p
+     JOIN order_discounts d ON d.promotion_id = p.id
+     SET p.times_used = GREATEST(p.times_used - 1, 0)
+     WHERE d.order_id = ?`,
+    [orderId]
+  );
+  await connection.execute(
+    `UPDATE promotion_codes pc
+     JOIN order_discounts d ON d.promotion_code_id = pc.id
+     SET pc.times_used = GREATEST(pc.times_used - 1, 0)
+     WHERE d.order_id = ?`,
+    [orderId]
+  );
+};
+
+const loadOrderDiscounts = async (db, orderId) => {
+  const [discounts] = await db.execute('SELECT * FROM order_discounts WHERE order_id = ? ORDER BY id', [orderId]);
+  return discounts;
+};
+
+// Load the items of the given orders with their selected modifiers, keyed by order id
+const loadOrderItems = async (db, orderIds) => {
+  const itemsByOrder = new Map(orderIds.map(id => [id, []]));
+  if (orderIds.length === 0) {
+    return itemsByOrder;
+  }
+
+  const [items] = await db.execute(
+    `SELECT * FROM order_items WHERE order_id IN (${placeholders(orderIds)}) ORDER BY id`,
+    orderIds
+  );
+  if (items.length === 0) {
+    return itemsByOrder;
+  }
+
+  const itemIds = items.map(item => item.id);
+  const [modifiers] = await db.execute(
+    `SELECT * FROM order_item_modifiers WHERE order_item_id IN (${placeholders(itemIds)}) ORDER BY id`,
+    itemIds
+  );
+
+  for (const item of items) {
+    item.modifiers = modifiers.filter(modifier => modifier.order_item_id === item.id);
+    itemsByOrder.get(item.order_id).push(item);
+  }
+
+  return itemsByOrder;
+};
+
+// Order lifecycle: pending → accepted → preparing → ready → served → completed,
+// with cancelled/rejected as side exits. Each status lists where it may go next.
+const ORDER_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled'],
+  accepted: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['served'],
+  served: ['completed'],
+  completed: [],
+  cancelled: [],
+  rejected: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+const STOCK_RESTORING_STATUSES = ['cancelled', 'rejected'];
+
+// Which staff column records who moved an order into a status, and the
+// minutes since an earlier status that the move completes
+const ORDER_STAFF_ATTRIBUTION = {
+  accepted: { staffColumn: 'accepted_by' },
+  ready: { staffColumn: 'prepared_by', timeColumn: 'preparation_time', since: 'accepted' },
+  served: { staffColumn: 'served_by', timeColumn: 'service_time', since: 'ready' }
+};
+
+const recordOrderStatus = (db, orderId, fromStatus, toStatus, actor, note) => db.execute(
+  'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_role, note) VALUES (?, ?, ?, ?, ?, ?)',
+  [orderId, fromStatus, toStatus, actor ? actor.id : null, actor ? actor.role : null, note || null]
+);
+
+// Credit the acting staff member for the status change and capture the
+// preparation (accepted → ready) and service (ready → served) times.
+// Staff analytics credit the order to whoever served it (orders.staff_id).
+const recordOrderStaff = async (connection, orderId, toStatus, actor) => {
+  const attribution = ORDER_STAFF_ATTRIBUTION[toStatus];
+  if (!attribution) {
+    return;
+  }
+
+  const staffId = actor ? await getStaffIdForUser(connection, actor.id) : null;
+  const assignments = [`${attribution.staffColumn} = ?`];
+  const params = [staffId];
+
+  if (attribution.timeColumn) {
+    assignments.push(`${attribution.timeColumn} = (
+      SELECT ROUND(TIMESTAMPDIFF(SECOND, MAX(h.created_at), NOW()) / 60)
+      FROM order_status_history h
+      WHERE h.order_id = ? AND h.to_status = ?
+    )`);
+    params.push(orderId, attribution.since);
+  }
+  if (toStatus === 'served') {
+    assignments.push('staff_id = ?');
+    params.push(staffId);
+  }
+
+  await connection.execute(`UPDATE orders SET ${assignments.join(', ')} WHERE id = ?`, [...params, orderId]);
+};
+
+// Move an order to a new status inside the caller's transaction. Throws an
+// ApiError (400 unknown status, 404 missing order, 409 illegal transition, or
+// cancelling an order that still has payments or a split bill).
+const transitionOrderStatus = async (connection, orderId, toStatus, actor, note) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new ApiError(400, `Unknown order status "${toStatus}". Allowed statuses: ${ORDER_STATUSES.join(', ')}`);
+  }
+
+  const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (orders.length === 0) {
+    throw new ApiError(404, 'Order not found');
+  }
+
+  const order = orders[0];
+  const allowed = ORDER_TRANSITIONS[order.order_status] || [];
+  if (!allowed.includes(toStatus)) {
+    throw new ApiError(409, `Cannot move order from ${order.order_status} to ${toStatus}`, {
+      current_status: order.order_status,
+      allowed_transitions: allowed
+    });
+  }
+  // Money held or on its way for the order has to be refunded or cancelled first
+  if (STOCK_RESTORING_STATUSES.includes(toStatus)) {
+    const heldStatuses = [...REFUNDABLE_PAYMENT_STATUSES, ...CAPTURABLE_PAYMENT_STATUSES];
+    const [payments] = await connection.execute(
+      `SELECT id FROM payments WHERE order_id = ? AND status IN (${placeholders(heldStatuses)})`,
+      [orderId, ...heldStatuses]
+    );
+    if (payments.length > 0) {
+      throw new ApiError(409, `Orders with payments cannot be ${toStatus}; refund or cancel them first`, {
+        payment_ids: payments.map(payment => payment.id)
+      });
+    }
+    const billSplitId = await findActiveBillSplit(connection, [orderId]);
+    if (billSplitId) {
+      throw new ApiError(409, 'The bill for this order is split; cancel the bill split first', { bill_split_id: billSplitId });
+    }
+  }
+
+  await connection.execute('UPDATE orders SET order_status = ? WHERE id = ?', [toStatus, orderId]);
+  await recordOrderStatus(connection, orderId, order.order_status, toStatus, actor, note);
+  await recordOrderStaff(connection, orderId, toStatus, actor);
+
+  // Orders that will never be made give their stock and promotion uses back
+  let menuChanges = [];
+  if (STOCK_RESTORING_STATUSES.includes(toStatus)) {
+    menuChanges = await refreshMenuAvailability(connection, await restoreOrderStock(connection, orderId));
+    await releasePromotionUsage(connection, orderId);
+  }
+
+  return { ...order, order_status: toStatus, previous_status: order.order_status, menu_changes: menuChanges };
+};
+
+// Status history of an order with the time spent in each status
+const loadOrderStatusHistory = async (db, orderId) => {
+  const [history] = await db.execute(
+    `SELECT h.*, u.full_name AS changed_by_name
+     FROM order_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.order_id = ?
+     ORDER BY h.created_at, h.id`,
+    [orderId]
+  );
+
+  return history.map((entry, index) => {
+    const next = history[index + 1];
+    return {
+      ...entry,
+      duration_seconds: next ? Math.round((new Date(next.created_at) - new Date(entry.created_at)) / 1000) : null
+    };
+  });
+};
+
+// Reload an order with its items and history for responses and socket events
+const getOrderDetails = async (db, orderId) => {
+  const [orders] = await db.execute('SELECT * FROM orders WHERE id = ?', [orderId]);
+  if (orders.length === 0) {
+    return null;
+  }
+  const itemsByOrder = await loadOrderItems(db, [orders[0].id]);
+  return {
+    ...orders[0],
+    items: itemsByOrder.get(orders[0].id),
+    discounts: await loadOrderDiscounts(db, orders[0].id),
+    tax_lines: await loadOrderTaxLines(db, orders[0].id),
+    status_history: await loadOrderStatusHistory(db, orders[0].id)
+  };
+};
+
+// Order endpoints
+app.get('/api/orders', authorize('orders:read', 'orders:read-own'), async (req, res) => {
+  try {
+    const { status, start_date, end_date, table_number, table_session_id } = req.query;
+
+    // Customers only ever see their own orders
+    const customer_id = hasPermission(req.user.role, 'orders:read') ? req.query.customer_id : req.user.id;
+
+    // First, get the orders based on filters
+    let query = 'SELECT * FROM orders';
+    const params = [];
+    const conditions = [];
+
+    if (status) {
+      conditions.push('order_status = ?');
+      params.push(status);
+    }
+
+    if (table_number) {
+      conditions.push('table_number = ?');
+      params.push(table_number);
+    }
+
+    if (table_session_id) {
+      conditions.push('table_session_id = ?');
+      params.push(table_session_id);
+    }
+
+    if (customer_id) {
+      conditions.push('customer_id = ?');
+      params.push(customer_id);
+    }
+
+    if (start_date) {
+      conditions.push('created_at >= ?');
+      params.push(start_date);
+    }
+
+    if (end_date) {
+      conditions.push('created_at <= ?');
+      params.push(end_date);
+    }
+
+    if (conditions.length > 0) {
+      query += ' WHERE ' + conditions.join(' AND ');
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const [orders] = await pool.execute(query, params);
+
+    // Now, get the items (with their modifiers) for each order
+    const itemsByOrder = await loadOrderItems(pool, orders.map(order => order.id));
+    const processedOrders = orders.map(order => ({
+      ...order,
+      items: itemsByOrder.get(order.id)
+    }));
+
+    res.json({ success: true, data: processedOrders });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
+  }
+});
+
+// Add more logging to the order creation endpoint
+app.post('/api/orders', optionalAuth, async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { table_number, items, currency, payment_method } = req.body;
+
+    // Signed-in customers are attributed automatically; only staff may place an order on a customer's behalf
+    let customer_id = null;
+    if (req.user) {
+      customer_id = req.user.role === 'customer' ? req.user.id : (req.body.customer_id || null);
+    }
+
+    // Validate input
+    if (!table_number || !Array.isArray(items) || items.length === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Table number and items are required'
+      });
+    }
+
+    // Locked so concurrent first orders at a table share one session. Archived tables take no orders.
+    const [tableRows] = await connection.execute(
+      'SELECT id, qr_token_version FROM restaurant_tables WHERE table_number = ? AND is_active = true FOR UPDATE',
+      [table_number]
+    );
+
+    if (tableRows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+
+    // Guests must be at the table: the token from its QR code proves it. Staff can order for any table.
+    const isStaff = req.user && hasPermission(req.user.role, 'orders:read');
+    if (!isStaff && !verifyTableToken(tableRows[0], req.body.table_token)) {
+      await connection.rollback();
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired table QR code. Please scan the code on your table again.'
+      });
+    }
+
+    const table_id = tableRows[0].id;
+
+    // Totals and the order_items snapshot come from the database, never from the client,
+    // and promotions are worked out on the priced lines
+    const { applied: promotions, lines } = await evaluatePromotions(connection, await priceOrderItems(connection, items), {
+      currency,
+      customerId: customer_id,
+      couponCode: req.body.coupon_code
+    });
+    const billing = await getBillingSettings(connection);
+
+    // The order joins the table's running tab, opening one for the first order of a visit
+    const tableSession = await ensureTableSession(connection, table_id, req.user);
+
+    // Every order starts unpaid; payment_status then follows its payments ledger.
+    // The service charge is fixed when ordering; totals are worked out once the lines are saved.
+    const [orderResult] = await connection.execute(
+      `INSERT INTO orders (table_id, table_number, table_session_id, customer_id, service_charge_percent, service_charge_tax_rate,
+         total_amount_inr, total_amount_usd, currency, payment_method, order_status, payment_status)
+       VALUES (?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?)`,
+      [table_id, table_number, tableSession.sessionId, customer_id, billing.service_charge_percent, billing.service_charge_tax_rate,
+        currency, payment_method, 'pending', 'unpaid']
+    );
+
+    const order_id = orderResult.insertId;
+    const stationRoutes = await resolveStationRoutes(connection, lines.map(line => line.menu_item_id));
+
+    for (const line of lines) {
+      const [itemResult] = await connection.execute(
+        `INSERT INTO order_items (order_id, menu_item_id, item_name, quantity, price_inr, price_usd, discount_inr, discount_usd,
+           tax_rate, tax_inclusive, station_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [order_id, line.menu_item_id, line.item_name, line.quantity, line.price_inr, line.price_usd, line.discount_inr, line.discount_usd,
+          line.tax_rate, line.tax_inclusive, stationRoutes.get(line.menu_item_id) || null]
+      );
+
+      // Names, prices and tax rates are copied so the kitchen ticket and bill survive later menu edits
+      for (const modifier of line.modifiers) {
+        await connection.execute(
+          'INSERT INTO order_item_modifiers (order_item_id, modifier_option_id, group_name, option_name, price_delta_inr, price_delta_usd) VALUES (?, ?, ?, ?, ?, ?)',
+          [itemResult.insertId, modifier.modifier_option_id, modifier.group_name, modifier.option_name, modifier.price_delta_inr, modifier.price_delta_usd]
+        );
+      }
+    }
+
+    await redeemPromotions(connection, order_id, promotions, customer_id);
+    await recalculateOrderTotals(connection, order_id);
+
+    const usedIngredientIds = await deductOrderStock(connection, order_id, lines);
+    const menuChanges = await refreshMenuAvailability(connection, usedIngredientIds);
+
+    await recordOrderStatus(connection, order_id, null, 'pending', req.user);
+
+    await connection.commit();
+
+    const orderData = await getOrderDetails(pool, order_id);
+
+    // Emit socket event for real-time updates
+    emitOrderEvent('new-order', orderData);
+    emitStationTickets('station-order', orderData);
+    emitMenuUpdated(menuChanges);
+    if (tableSession.stateTableId) {
+      emitTableState(tableSession.stateTableId);
+    }
+
+    res.json({ success: true, data: orderData });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create order',
+      error: error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+app.get('/api/orders/:id', authorize('orders:read', 'orders:read-own'), async (req, res) => {
+  try {
+    const order = await getOrderDetails(pool, req.params.id);
+
+    // Customers get the same 404 for other people's orders as for missing ones
+    if (!order || (!hasPermission(req.user.role, 'orders:read') && order.customer_id !== req.user.id)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    res.json({ success: true, data: order });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/orders/:id/status', authorize('orders:update-status'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { order_status, note } = req.body;
+    const { menu_changes } = await transitionOrderStatus(connection, req.params.id, order_status, req.user, note);
+
+    await connection.commit();
+
+    const updatedOrder = await getOrderDetails(pool, req.params.id);
+    emitOrderEvent('order-status-updated', updatedOrder);
+    emitMenuUpdated(menu_changes);
+
+    res.json({ success: true, data: updatedOrder });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating order status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order status',
+      error: error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Table session endpoints
+// A session is one visit to a table. It opens when a waiter seats guests or
+// with the table's first order, collects every order placed during the visit
+// into a running bill, and closes when the bill is settled. Tables pushed
+// together keep a "merged" session pointing at the one that holds the bill.
+
+// Live table state shown on the floor, derived from the open session
+const TABLE_STATE_BY_SESSION_STATUS = {
+  open: 'occupied',
+  bill_requested: 'awaiting_bill',
+  merged: 'occupied'
+};
+
+// Orders that never reach the bill
+const UNBILLED_ORDER_STATUSES = ['cancelled', 'rejected'];
+
+// A table can only be settled once nothing is still on its way
+const SETTLEABLE_ORDER_STATUSES = ['served', 'completed', 'cancelled', 'rejected'];
+
+const getOpenTableSession = async (db, tableId) => {
+  const [rows] = await db.execute(
+    "SELECT * FROM table_sessions WHERE table_id = ? AND status != 'closed' ORDER BY id DESC LIMIT 1",
+    [tableId]
+  );
+  return rows[0] || null;
+};
+
+// The billing session of a table: its open session, or the one it was merged into
+const getBillingSession = async (db, tableId) => {
+  const session = await getOpenTableSession(db, tableId);
+  if (!session || session.status !== 'merged') {
+    return session;
+  }
+  const [rows] = await db.execute('SELECT * FROM table_sessions WHERE id = ?', [session.merged_into_session_id]);
+  return rows[0] || null;
+};
+
+// The billing session of a table, opened if there is none. A table whose bill
+// was requested goes back to open when more is ordered. Callers lock the
+// restaurant_tables row first so two orders cannot open two sessions.
+// stateTableId is the table whose live state changed, if any.
+const ensureTableSession = async (connection, tableId, actor) => {
+  const session = await getBillingSession(connection, tableId);
+  if (!session) {
+    const [result] = await connection.execute(
+      'INSERT INTO table_sessions (table_id, opened_by) VALUES (?, ?)',
+      [tableId, actor ? actor.id : null]
+    );
+    return { sessionId: result.insertId, stateTableId: tableId };
+  }
+
+  if (session.status === 'bill_requested') {
+    await connection.execute(
+      "UPDATE table_sessions SET status = 'open', bill_requested_at = NULL WHERE id = ?",
+      [session.id]
+    );
+    return { sessionId: session.id, stateTableId: session.table_id };
+  }
+
+  return { sessionId: session.id, stateTableId: null };
+};
+
+// Open a session for guests being seated, inside the caller's transaction.
+// Throws 404 for an unknown or inactive table and 409 if it is already in use.
+const seatTable = async (connection, tableId, { guestCount = null, notes = null, actor }) => {
+  const [tables] = await connection.execute(
+    'SELECT id FROM restaurant_tables WHERE id = ? AND is_active = true FOR UPDATE',
+    [tableId]
+  );
+  if (tables.length === 0) {
+    throw new ApiError(404, 'Table not found');
+  }
+
+  const existing = await getOpenTableSession(connection, tableId);
+  if (existing) {
+    throw new ApiError(409, 'Table already has an open session', { session_id: existing.id });
+  }
+
+  const [result] = await connection.execute(
+    'INSERT INTO table_sessions (table_id, guest_count, notes, opened_by) VALUES (?, ?, ?, ?)',
+    [tableId, guestCount, notes, actor ? actor.id : null]
+  );
+  return result.insertId;
+};
+
+const getTableState = async (db, tableId) => {
+  const [rows] = await db.execute(
+    `SELECT rt.id AS table_id, rt.table_number, rt.table_name,
+       ts.id AS session_id, ts.status AS session_status, ts.guest_count, ts.opened_at
+     FROM restaurant_tables rt
+     LEFT JOIN table_sessions ts ON ts.table_id = rt.id AND ts.status != 'closed'
+     WHERE rt.id = ?`,
+    [tableId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+  return { ...rows[0], state: TABLE_STATE_BY_SESSION_STATUS[rows[0].session_status] || 'free' };
+};
+
+// Broadcast a table's state to staff and to guests following the table.
+// Runs after the change is committed, so a failure here is only logged.
+const emitTableState = async (tableId) => {
+  try {
+    const state = await getTableState(pool, tableId);
+    if (state) {
+      const rooms = PERMISSIONS['orders:read'].map(roleRoom);
+      rooms.push(tableRoom(state.table_number));
+      io.to(rooms).emit('table-state-updated', state);
+    }
+  } catch (error) {
+    console.error('Error broadcasting table state:', error);
+  }
+};
+
+// A session with its orders and the running bill across them
+const getTableSession = async (db, sessionId) => {
+  const [sessions] = await db.execute(
+    `SELECT ts.*, rt.table_number, rt.table_name
+     FROM table_sessions ts
+     JOIN restaurant_tables rt ON ts.table_id = rt.id
+     WHERE ts.id = ?`,
+    [sessionId]
+  );
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  const [orders] = await db.execute(
+    'SELECT * FROM orders WHERE table_session_id = ? ORDER BY created_at, id',
+    [sessionId]
+  );
+  const itemsByOrder = await loadOrderItems(db, orders.map(order => order.id));
+  const billed = orders.filter(order => !UNBILLED_ORDER_STATUSES.includes(order.order_status));
+  const sumBilled = (column) => fromCents(billed.reduce((sum, order) => sum + toCents(order[column]), 0));
+  const [mergedTables] = await db.execute(
+    `SELECT ts.id AS session_id, rt.id AS table_id, rt.table_number, rt.table_name
+     FROM table_sessions ts
+     JOIN restaurant_tables rt ON ts.table_id = rt.id
+     WHERE ts.merged_into_session_id = ? AND ts.status = 'merged'
+     ORDER BY rt.table_number`,
+    [sessionId]
+  );
+
+  return {
+    ...sessions[0],
+    state: TABLE_STATE_BY_SESSION_STATUS[sessions[0].status] || 'free',
+    merged_tables: mergedTables,
+    orders: orders.map(order => ({ ...order, items: itemsByOrder.get(order.id) })),
+    bill: {
+      order_count: billed.length,
+      discount_inr: sumBilled('discount_inr'),
+      discount_usd: sumBilled('discount_usd'),
+      subtotal_inr: sumBilled('subtotal_inr'),
+      subtotal_usd: sumBilled('subtotal_usd'),
+      service_charge_inr: sumBilled('service_charge_inr'),
+      service_charge_usd: sumBilled('service_charge_usd'),
+      tax_total_inr: sumBilled('tax_total_inr'),
+      tax_total_usd: sumBilled('tax_total_usd'),
+      rounding_inr: sumBilled('rounding_inr'),
+      rounding_usd: sumBilled('rounding_usd'),
+      total_inr: sumBilled('total_amount_inr'),
+      total_usd: sumBilled('total_amount_usd')
+    }
+  };
+};
+
+// Orders the kitchen or floor still owes the table; the floor plan shows how
+// long the oldest of these has been waiting
+const OPEN_ORDER_STATUSES = ['pending', 'accepted', 'preparing', 'ready'];
+
+// Every active table with its layout and live status, grouped by floor. Query: floor
+app.get('/api/floor-plan', authorize('orders:read'), async (req, res) => {
+  try {
+    const params = [...OPEN_ORDER_STATUSES, ...OPEN_ORDER_STATUSES, ...ACTIVE_ORDER_STATUSES];
+    let floorFilter = '';
+    if (req.query.floor) {
+      floorFilter = 'AND rt.floor = ?';
+      params.push(req.query.floor);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT rt.id, rt.table_number, rt.table_name, rt.capacity, rt.shape, rt.floor,
+         rt.pos_x, rt.pos_y, rt.rotation, rt.group_id, COALESCE(tg.name, "Non AC") AS group_name,
+         ts.id AS session_id, ts.status AS session_status, ts.guest_count, ts.opened_at,
+         (SELECT COUNT(*) FROM orders o
+          WHERE o.table_id = rt.id AND o.order_status IN (${placeholders(OPEN_ORDER_STATUSES)})) AS open_orders,
+         (SELECT TIMESTAMPDIFF(MINUTE, MIN(o.created_at), NOW()) FROM orders o
+          WHERE o.table_id = rt.id AND o.order_status IN (${placeholders(OPEN_ORDER_STATUSES)})) AS oldest_open_order_minutes,
+         EXISTS (SELECT 1 FROM orders o
+          WHERE o.table_id = rt.id AND o.order_status IN (${placeholders(ACTIVE_ORDER_STATUSES)})) AS has_active_orders,
+         (SELECT DATE_FORMAT(MIN(r.reserved_at), '%Y-%m-%dT%H:%i') FROM reservations r
+          WHERE r.table_id = rt.id AND r.status = 'booked' AND r.reserved_at >= CURDATE()
+            AND r.reserved_at < DATE_ADD(CURDATE(), INTERVAL 1 DAY)) AS next_reservation_at
+       FROM restaurant_tables rt
+       LEFT JOIN table_groups tg ON rt.group_id = tg.id
+       LEFT JOIN table_sessions ts ON ts.table_id = rt.id AND ts.status != 'closed'
+       WHERE rt.is_active = true ${floorFilter}
+       ORDER BY rt.floor, rt.table_number`,
+      params
+    );
+
+    const floors = new Map();
+    for (const { has_active_orders, ...table } of rows) {
+      // Orders placed before table sessions existed still mark a table as taken
+      const state = TABLE_STATE_BY_SESSION_STATUS[table.session_status] || (has_active_orders ? 'occupied' : 'free');
+      if (!floors.has(table.floor)) {
+        floors.set(table.floor, { floor: table.floor, seat_capacity: 0, tables: [] });
+      }
+      const floor = floors.get(table.floor);
+      floor.seat_capacity += table.capacity;
+      floor.tables.push({ ...table, state });
+    }
+
+    res.json({ success: true, data: [...floors.values()] });
+  } catch (error) {
+    console.error('Error fetching floor plan:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch floor plan', error: error.message });
+  }
+});
+
+// Save a whole layout at once: { tables: [{ id, capacity, shape, floor, pos_x, pos_y, rotation }] }
+app.put('/api/floor-plan', authorize('tables:write'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { tables } = req.body;
+    if (!Array.isArray(tables) || tables.length === 0) {
+      throw new ApiError(400, 'tables must be a non-empty array');
+    }
+
+    for (const table of tables) {
+      const layout = parseTableLayout(table);
+      const columns = Object.keys(layout);
+      if (columns.length === 0) continue;
+
+      const [result] = await connection.execute(
+        `UPDATE restaurant_tables SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => layout[column]), table.id]
+      );
+      if (result.affectedRows === 0) {
+        throw new ApiError(404, `Table ${table.id} not found`, { table_id: table.id });
+      }
+    }
+
+    await connection.commit();
+
+    io.to(PERMISSIONS['orders:read'].map(roleRoom)).emit('floor-plan-updated', { table_ids: tables.map(table => table.id) });
+    res.json({ success: true, message: 'Floor plan saved' });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error saving floor plan:', error);
+    res.status(500).json({ success: false, message: 'Failed to save floor plan', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Staff can see any table; guests need the token from the table's QR code
+const canAccessTable = (req, table, token) =>
+  Boolean(req.user && hasPermission(req.user.role, 'orders:read')) || verifyTableToken(table, token);
+
+const parseGuestCount = (value) => {
+  const guestCount = Number(value);
+  if (!Number.isInteger(guestCount) || guestCount < 1) {
+    throw new ApiError(400, 'guest_count must be a whole number of 1 or more');
+  }
+  return guestCount;
+};
+
+// Live state of every active table for the floor view
+app.get('/api/table-states', authorize('orders:read'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT rt.id AS table_id, rt.table_number, rt.table_name, COALESCE(tg.name, "Non AC") AS group_name,
+         ts.id AS session_id, ts.status AS session_status, ts.guest_count, ts.opened_at
+       FROM restaurant_tables rt
+       LEFT JOIN table_groups tg ON rt.group_id = tg.id
+       LEFT JOIN table_sessions ts ON ts.table_id = rt.id AND ts.status != 'closed'
+       WHERE rt.is_active = true
+       ORDER BY rt.table_number`
+    );
+    const data = rows.map(row => ({ ...row, state: TABLE_STATE_BY_SESSION_STATUS[row.session_status] || 'free' }));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching table states:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch table states', error: error.message });
+  }
+});
+
+// Seat guests: opens a session before anything is ordered
+app.post('/api/tables/:tableNumber/session', authorize('sessions:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const guestCount = req.body.guest_count !== undefined ? parseGuestCount(req.body.guest_count) : null;
+
+    const [tables] = await connection.execute(
+      'SELECT id FROM restaurant_tables WHERE table_number = ?',
+      [req.params.tableNumber]
+    );
+    if (tables.length === 0) {
+      throw new ApiError(404, 'Table not found');
+    }
+
+    const sessionId = await seatTable(connection, tables[0].id, { guestCount, notes: req.body.notes || null, actor: req.user });
+    await connection.commit();
+
+    emitTableState(tables[0].id);
+    res.json({ success: true, data: await getTableSession(pool, sessionId) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error opening table session:', error);
+    res.status(500).json({ success: false, message: 'Failed to open table session', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// The table's current session and running bill. Guests pass ?token= from the QR code.
+app.get('/api/tables/:tableNumber/session', optionalAuth, async (req, res) => {
+  try {
+    const [tables] = await pool.execute(
+      `SELECT id, qr_token_version FROM restaurant_tables
+       WHERE table_number = ? ${canSeeArchived(req, 'tables:write') ? '' : 'AND is_active = true'}`,
+      [req.params.tableNumber]
+    );
+    if (tables.length === 0 || !canAccessTable(req, tables[0], req.query.token)) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+
+    const session = await getBillingSession(pool, tables[0].id);
+    res.json({ success: true, data: session ? await getTableSession(pool, session.id) : null });
+  } catch (error) {
+    console.error('Error fetching table session:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch table session', error: error.message });
+  }
+});
+
+// Sessions, newest first. Filters: status, table_number
+app.get('/api/table-sessions', authorize('orders:read'), async (req, res) => {
+  try {
+    const { status, table_number } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      conditions.push('ts.status = ?');
+      params.push(status);
+    }
+    if (table_number) {
+      conditions.push('rt.table_number = ?');
+      params.push(table_number);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT ts.id FROM table_sessions ts
+       JOIN restaurant_tables rt ON ts.table_id = rt.id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY ts.opened_at DESC
+       LIMIT 100`,
+      params
+    );
+    const data = await Promise.all(rows.map(row => getTableSession(pool, row.id)));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching table sessions:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch table sessions', error: error.message });
+  }
+});
+
+app.get('/api/table-sessions/:id', authorize('orders:read'), async (req, res) => {
+  try {
+    const session = await getTableSession(pool, req.params.id);
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Table session not found' });
+    }
+    res.json({ success: true, data: session });
+  } catch (error) {
+    console.error('Error fetching table session:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch table session', error: error.message });
+  }
+});
+
+app.put('/api/table-sessions/:id', authorize('sessions:manage'), async (req, res) => {
+  try {
+    const guestCount = req.body.guest_count !== undefined ? parseGuestCount(req.body.guest_count) : null;
+    const { notes } = req.body;
+
+    const [result] = await pool.execute(
+      `UPDATE table_sessions SET
+        guest_count = COALESCE(?, guest_count),
+        notes = ${notes !== undefined ? '?' : 'notes'}
+      WHERE id = ? AND status != 'closed'`,
+      [guestCount, ...(notes !== undefined ? [notes || null] : []), req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Open table session not found' });
+    }
+
+    const session = await getTableSession(pool, req.params.id);
+    emitTableState(session.table_id);
+    res.json({ success: true, data: session });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating table session:', error);
+    res.status(500).json({ success: false, message: 'Failed to update table session', error: error.message });
+  }
+});
+
+// Ask for the bill. Guests pass table_token from the QR code.
+app.post('/api/table-sessions/:id/request-bill', optionalAuth, async (req, res) => {
+  try {
+    const [sessions] = await pool.execute(
+      `SELECT ts.status, ts.table_id, rt.id, rt.qr_token_version
+       FROM table_sessions ts
+       JOIN restaurant_tables rt ON ts.table_id = rt.id
+       WHERE ts.id = ?`,
+      [req.params.id]
+    );
+    if (sessions.length === 0 || !canAccessTable(req, sessions[0], req.body.table_token)) {
+      return res.status(404).json({ success: false, message: 'Table session not found' });
+    }
+    if (sessions[0].status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot request the bill for a session that is ${sessions[0].status}`,
+        current_status: sessions[0].status
+      });
+    }
+
+    await pool.execute(
+      "UPDATE table_sessions SET status = 'bill_requested', bill_requested_at = NOW() WHERE id = ?",
+      [req.params.id]
+    );
+
+    emitTableState(sessions[0].table_id);
+    res.json({ success: true, data: await getTableSession(pool, req.params.id) });
+  } catch (error) {
+    console.error('Error requesting bill:', error);
+    res.status(500).json({ success: false, message: 'Failed to request bill', error: error.message });
+  }
+});
+
+// Close the session once everything is served and paid. Served orders are
+// completed. Nothing is recorded as paid here: balances still owed have to be
+// collected first (POST /api/orders/:id/collect or a gateway payment), so
+// payment_status only ever follows the payment ledger. Gateway payments
+// still awaiting confirmation have to be captured or cancelled first.
+app.post('/api/table-sessions/:id/close', authorize('sessions:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [sessions] = await connection.execute('SELECT * FROM table_sessions WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (sessions.length === 0) {
+      throw new ApiError(404, 'Table session not found');
+    }
+    const session = sessions[0];
+    if (session.status === 'closed') {
+      throw new ApiError(409, 'Table session is already closed');
+    }
+    if (session.status === 'merged') {
+      throw new ApiError(409, 'This table was merged; close the session it was merged into', {
+        merged_into_session_id: session.merged_into_session_id
+      });
+    }
+
+    const [orders] = await connection.execute(
+      'SELECT id, order_status FROM orders WHERE table_session_id = ? FOR UPDATE',
+      [session.id]
+    );
+    const unfinished = orders.filter(order => !SETTLEABLE_ORDER_STATUSES.includes(order.order_status));
+    if (unfinished.length > 0) {
+      throw new ApiError(409, 'Some orders have not been served yet', {
+        orders: unfinished.map(order => ({ id: order.id, order_status: order.order_status }))
+      });
+    }
+
+    const [billedOrders] = await connection.execute(
+      `SELECT * FROM orders WHERE table_session_id = ? AND order_status NOT IN (${placeholders(UNBILLED_ORDER_STATUSES)})`,
+      [session.id, ...UNBILLED_ORDER_STATUSES]
+    );
+    const unpaid = [];
+    for (const order of billedOrders) {
+      const summary = await getOrderPaymentSummary(connection, order);
+      if (toCents(summary.balance) > 0) {
+        unpaid.push({ id: order.id, currency: summary.currency, balance: summary.balance });
+      }
+    }
+    if (unpaid.length > 0) {
+      throw new ApiError(409, 'Some orders still have a balance; collect it with POST /api/orders/:id/collect first', {
+        orders: unpaid
+      });
+    }
+    if (orders.length > 0) {
+      const orderIds = orders.map(order => order.id);
+      const [openPayments] = await connection.execute(
+        `SELECT id, order_id, method, amount, status FROM payments
+         WHERE order_id IN (${placeholders(orderIds)}) AND status IN (${placeholders(CAPTURABLE_PAYMENT_STATUSES)})`,
+        [...orderIds, ...CAPTURABLE_PAYMENT_STATUSES]
+      );
+      if (openPayments.length > 0) {
+        throw new ApiError(409, 'Some payments are still awaiting the gateway; capture or cancel them first', {
+          payments: openPayments
+        });
+      }
+    }
+
+    const completedOrderIds = [];
+    for (const order of orders.filter(order => order.order_status === 'served')) {
+      await transitionOrderStatus(connection, order.id, 'completed', req.user, 'Table settled');
+      completedOrderIds.push(order.id);
+    }
+
+    // Tables merged into this one are freed with it
+    const [mergedSessions] = await connection.execute(
+      "SELECT table_id FROM table_sessions WHERE merged_into_session_id = ? AND status = 'merged'",
+      [session.id]
+    );
+    await connection.execute(
+      `UPDATE table_sessions SET status = 'closed', closed_at = NOW(), closed_by = ?
+       WHERE id = ? OR (merged_into_session_id = ? AND status = 'merged')`,
+      [req.user.id, session.id, session.id]
+    );
+
+    await connection.commit();
+
+    for (const orderId of completedOrderIds) {
+      emitOrderEvent('order-status-updated', await getOrderDetails(pool, orderId));
+    }
+    emitTableState(session.table_id);
+    mergedSessions.forEach(merged => emitTableState(merged.table_id));
+
+    res.json({ success: true, data: await getTableSession(pool, session.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error closing table session:', error);
+    res.status(500).json({ success: false, message: 'Failed to close table session', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Table and order moves
+// Orders and sessions can follow guests to another table, tables pushed
+// together share one bill, and lines can be split off an order into a new
+// one. Every move is written to table_moves and broadcast as "table-move".
+
+// Orders that are finished and stay where they were billed
+const CLOSED_ORDER_STATUSES = ['completed', 'cancelled', 'rejected'];
+
+const TABLE_MOVE_SELECT = `
+  SELECT m.*, ft.table_number AS from_table_number, tt.table_number AS to_table_number,
+    u.full_name AS performed_by_name
+  FROM table_moves m
+  LEFT JOIN restaurant_tables ft ON m.from_table_id = ft.id
+  LEFT JOIN restaurant_tables tt ON m.to_table_id = tt.id
+  LEFT JOIN users u ON m.performed_by = u.id
+`;
+
+const recordTableMove = async (connection, move, actor) => {
+  const [result] = await connection.execute(
+    `INSERT INTO table_moves (move_type, order_id, new_order_id, table_session_id, from_table_id, to_table_id, details, performed_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      move.move_type,
+      move.order_id || null,
+      move.new_order_id || null,
+      move.table_session_id || null,
+      move.from_table_id || null,
+      move.to_table_id || null,
+      move.details ? JSON.stringify(move.details) : null,
+      actor ? actor.id : null
+    ]
+  );
+  return result.insertId;
+};
+
+const formatTableMove = (move) => ({ ...move, details: move.details ? JSON.parse(move.details) : null });
+
+// Tell staff and both tables' guests about committed moves, refresh the
+// affected orders on order and kitchen screens, and push the new table states
+const emitTableMoves = async (moveIds, orderIds, tableIds) => {
+  try {
+    if (moveIds.length > 0) {
+      const [moves] = await pool.execute(`${TABLE_MOVE_SELECT} WHERE m.id IN (${placeholders(moveIds)})`, moveIds);
+      for (const move of moves.map(formatTableMove)) {
+        const rooms = PERMISSIONS['orders:read'].map(roleRoom);
+        for (const tableNumber of [move.from_table_number, move.to_table_number]) {
+          if (tableNumber) rooms.push(tableRoom(tableNumber));
+        }
+        io.to(rooms).emit('table-move', move);
+      }
+    }
+
+    for (const orderId of new Set(orderIds)) {
+      const order = await getOrderDetails(pool, orderId);
+      emitOrderEvent('order-updated', order);
+      if (OPEN_ORDER_STATUSES.includes(order.order_status)) {
+        emitStationTickets('station-order-updated', order);
+      }
+    }
+  } catch (error) {
+    console.error('Error broadcasting table moves:', error);
+  }
+  new Set(tableIds).forEach(tableId => emitTableState(tableId));
+};
+
+const getTableByNumber = async (connection, tableNumber) => {
+  const [tables] = await connection.execute(
+    'SELECT id, table_number FROM restaurant_tables WHERE table_number = ? AND is_active = true FOR UPDATE',
+    [tableNumber]
+  );
+  if (tables.length === 0) {
+    throw new ApiError(404, 'Table not found');
+  }
+  return tables[0];
+};
+
+const lockOpenOrder = async (connection, orderId) => {
+  const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  if (orders.length === 0) {
+    throw new ApiError(404, 'Order not found');
+  }
+  if (CLOSED_ORDER_STATUSES.includes(orders[0].order_status)) {
+    throw new ApiError(409, `Cannot move an order that is ${orders[0].order_status}`);
+  }
+  return orders[0];
+};
+
+// Audit trail. Filters: table_id, order_id, table_session_id
+app.get('/api/table-moves', authorize('orders:read'), async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+    if (req.query.table_id) {
+      conditions.push('(m.from_table_id = ? OR m.to_table_id = ?)');
+      params.push(req.query.table_id, req.query.table_id);
+    }
+    if (req.query.order_id) {
+      conditions.push('(m.order_id = ? OR m.new_order_id = ?)');
+      params.push(req.query.order_id, req.query.order_id);
+    }
+    if (req.query.table_session_id) {
+      conditions.push('m.table_session_id = ?');
+      params.push(req.query.table_session_id);
+    }
+
+    const [rows] = await pool.execute(
+      `${TABLE_MOVE_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY m.created_at DESC, m.id DESC LIMIT 200`,
+      params
+    );
+    res.json({ success: true, data: rows.map(formatTableMove) });
+  } catch (error) {
+    console.error('Error fetching table moves:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch table moves', error: error.message });
+  }
+});
+
+// Move one order to another table; it joins that table's bill. Body: table_number
+app.post('/api/orders/:id/transfer', authorize('orders:move'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const order = await lockOpenOrder(connection, req.params.id);
+    const target = await getTableByNumber(connection, req.body.table_number);
+    if (target.id === order.table_id) {
+      throw new ApiError(400, 'The order is already at that table');
+    }
+    // A split bill's shares were worked out on the tabs as they were, on either side
+    const billSplitId = await findActiveBillSplit(connection, [order.id]);
+    if (billSplitId) {
+      throw new ApiError(409, 'The bill for this order is split; cancel the bill split first', { bill_split_id: billSplitId });
+    }
+
+    const tableSession = await ensureTableSession(connection, target.id, req.user);
+    const targetSplitId = await findSessionBillSplit(connection, tableSession.sessionId);
+    if (targetSplitId) {
+      throw new ApiError(409, `The bill for table ${target.table_number} is split; cancel the bill split first`, {
+        bill_split_id: targetSplitId
+      });
+    }
+    await connection.execute(
+      'UPDATE orders SET table_id = ?, table_number = ?, table_session_id = ? WHERE id = ?',
+      [target.id, target.table_number, tableSession.sessionId, order.id]
+    );
+    const moveId = await recordTableMove(connection, {
+      move_type: 'transfer_order',
+      order_id: order.id,
+      table_session_id: tableSession.sessionId,
+      from_table_id: order.table_id,
+      to_table_id: target.id,
+      details: { from_session_id: order.table_session_id, reason: req.body.reason || null }
+    }, req.user);
+
+    await connection.commit();
+
+    await emitTableMoves([moveId], [order.id], [order.table_id, target.id, tableSession.stateTableId].filter(Boolean));
+    res.json({ success: true, data: await getOrderDetails(pool, order.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error transferring order:', error);
+    res.status(500).json({ success: false, message: 'Failed to transfer order', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Move lines into a new order, e.g. when guests want to pay separately or one
+// of them moves table. Body: items [{ order_item_id, quantity }] (quantity
+// defaults to the whole line), table_number (optional, defaults to the same table)
+app.post('/api/orders/:id/split', authorize('orders:move'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const order = await lockOpenOrder(connection, req.params.id);
+    const { items } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ApiError(400, 'items must be a non-empty array');
+    }
+
+    // Payments were taken against the order's total, so it cannot shrink under them
+    const [payments] = await connection.execute(
+      "SELECT id FROM payments WHERE order_id = ? AND status IN ('pending', 'authorized', 'captured', 'partially_refunded')",
+      [order.id]
+    );
+    if (payments.length > 0) {
+      throw new ApiError(409, 'Orders with payments cannot be split; refund them first');
+    }
+    const billSplitId = await findActiveBillSplit(connection, [order.id]);
+    if (billSplitId) {
+      throw new ApiError(409, 'The bill for this order is split; cancel the bill split first', { bill_split_id: billSplitId });
+    }
+    // Promotions were worked out on the order as a whole, e.g. its minimum order value
+    if (toCents(order.discount_inr) > 0 || toCents(order.discount_usd) > 0) {
+      throw new ApiError(409, 'Orders with discounts cannot be split');
+    }
+
+    const [orderItems] = await connection.execute('SELECT * FROM order_items WHERE order_id = ? FOR UPDATE', [order.id]);
+    const itemsById = new Map(orderItems.map(item => [item.id, item]));
+    const moving = new Map();
+    for (const entry of items) {
+      const item = itemsById.get(Number(entry.order_item_id));
+      if (!item) {
+        throw new ApiError(400, `Order item ${entry.order_item_id} is not part of this order`);
+      }
+      const quantity = entry.quantity !== undefined ? Number(entry.quantity) : item.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity + (moving.get(item.id) || 0) > item.quantity) {
+        throw new ApiError(400, `quantity for order item ${item.id} must be between 1 and ${item.quantity}`);
+      }
+      moving.set(item.id, (moving.get(item.id) || 0) + quantity);
+    }
+    const remaining = orderItems.reduce((sum, item) => sum + item.quantity - (moving.get(item.id) || 0), 0);
+    if (remaining === 0) {
+      throw new ApiError(400, 'Splitting off every item would leave the order empty; transfer the order instead');
+    }
+
+    let target = { id: order.table_id, table_number: order.table_number };
+    let sessionId = order.table_session_id;
+    let stateTableId = null;
+    if (req.body.table_number !== undefined && Number(req.body.table_number) !== order.table_number) {
+      target = await getTableByNumber(connection, req.body.table_number);
+      ({ sessionId, stateTableId } = await ensureTableSession(connection, target.id, req.user));
+    }
+
+    // The new order keeps the original's status, staff, timing and service charge; totals are set below
+    const [created] = await connection.execute(
+      `INSERT INTO orders (table_id, table_number, table_session_id, customer_id, staff_id, accepted_by, prepared_by, served_by,
+         service_charge_percent, service_charge_tax_rate, total_amount_inr, total_amount_usd, currency, payment_method,
+         payment_status, order_status, preparation_time, service_time, created_at)
+       SELECT ?, ?, ?, customer_id, staff_id, accepted_by, prepared_by, served_by,
+         service_charge_percent, service_charge_tax_rate, 0, 0, currency, payment_method,
+         payment_status, order_status, preparation_time, service_time, created_at
+       FROM orders WHERE id = ?`,
+      [target.id, target.table_number, sessionId, order.id]
+    );
+    const newOrderId = created.insertId;
+
+    await connection.execute(
+      `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, changed_by_role, note, created_at)
+       SELECT ?, from_status, to_status, changed_by, changed_by_role, note, created_at
+       FROM order_status_history WHERE order_id = ? ORDER BY created_at, id`,
+      [newOrderId, order.id]
+    );
+
+    // Stock follows the moved lines, including what their modifier options added
+    const [movingModifiers] = await connection.execute(
+      `SELECT order_item_id, modifier_option_id FROM order_item_modifiers WHERE order_item_id IN (${placeholders([...moving.keys()])})`,
+      [...moving.keys()]
+    );
+    const movedLines = [];
+    for (const [itemId, quantity] of moving) {
+      const item = itemsById.get(itemId);
+      movedLines.push({
+        menu_item_id: item.menu_item_id,
+        quantity,
+        modifiers: movingModifiers.filter(modifier => modifier.order_item_id === itemId)
+      });
+
+      if (quantity === item.quantity) {
+        await connection.execute('UPDATE order_items SET order_id = ? WHERE id = ?', [newOrderId, itemId]);
+        continue;
+      }
+
+      // Part of a line: the new order gets a copy of it with the moved quantity
+      await connection.execute('UPDATE order_items SET quantity = quantity - ? WHERE id = ?', [quantity, itemId]);
+      const [copy] = await connection.execute(
+        `INSERT INTO order_items (order_id, menu_item_id, item_name, quantity, price_inr, price_usd, tax_rate, tax_inclusive,
+           station_id, prep_status, prep_started_at, prep_completed_at, created_at)
+         SELECT ?, menu_item_id, item_name, ?, price_inr, price_usd, tax_rate, tax_inclusive,
+           station_id, prep_status, prep_started_at, prep_completed_at, created_at
+         FROM order_items WHERE id = ?`,
+        [newOrderId, quantity, itemId]
+      );
+      await connection.execute(
+        `INSERT INTO order_item_modifiers (order_item_id, modifier_option_id, group_name, option_name, price_delta_inr, price_delta_usd)
+         SELECT ?, modifier_option_id, group_name, option_name, price_delta_inr, price_delta_usd
+         FROM order_item_modifiers WHERE order_item_id = ?`,
+        [copy.insertId, itemId]
+      );
+    }
+
+    for (const orderId of [order.id, newOrderId]) {
+      await recalculateOrderTotals(connection, orderId);
+    }
+
+    await moveOrderStockUsage(connection, order.id, newOrderId, movedLines);
+
+    const moveId = await recordTableMove(connection, {
+      move_type: 'split_order',
+      order_id: order.id,
+      new_order_id: newOrderId,
+      table_session_id: sessionId,
+      from_table_id: order.table_id,
+      to_table_id: target.id,
+      details: { items: [...moving].map(([order_item_id, quantity]) => ({ order_item_id, quantity })) }
+    }, req.user);
+
+    await connection.commit();
+
+    await emitTableMoves([moveId], [order.id, newOrderId], [order.table_id, target.id, stateTableId].filter(Boolean));
+    res.json({
+      success: true,
+      data: {
+        order: await getOrderDetails(pool, order.id),
+        new_order: await getOrderDetails(pool, newOrderId)
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error splitting order:', error);
+    res.status(500).json({ success: false, message: 'Failed to split order', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Move a whole party to a free table: the session and the orders placed at
+// its table follow. Tables merged into it stay merged. Body: table_number
+app.post('/api/table-sessions/:id/transfer', authorize('orders:move'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [sessions] = await connection.execute('SELECT * FROM table_sessions WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (sessions.length === 0) {
+      throw new ApiError(404, 'Table session not found');
+    }
+    const session = sessions[0];
+    if (!['open', 'bill_requested'].includes(session.status)) {
+      throw new ApiError(409, `Cannot move a session that is ${session.status}`);
+    }
+
+    // Share links of a split bill would point at orders that moved away
+    const billSplitId = await findSessionBillSplit(connection, session.id);
+    if (billSplitId) {
+      throw new ApiError(409, 'The bill for this table is split; cancel the bill split first', { bill_split_id: billSplitId });
+    }
+
+    const target = await getTableByNumber(connection, req.body.table_number);
+    const occupying = await getOpenTableSession(connection, target.id);
+    if (occupying) {
+      throw new ApiError(409, `Table ${target.table_number} is in use; merge the tables instead`, { session_id: occupying.id });
+    }
+
+    const [orders] = await connection.execute(
+      'SELECT id FROM orders WHERE table_session_id = ? AND table_id = ? FOR UPDATE',
+      [session.id, session.table_id]
+    );
+    await connection.execute('UPDATE table_sessions SET table_id = ? WHERE id = ?', [target.id, session.id]);
+    if (orders.length > 0) {
+      await connection.execute(
+        `UPDATE orders SET table_id = ?, table_number = ? WHERE id IN (${placeholders(orders.map(order => order.id))})`,
+        [target.id, target.table_number, ...orders.map(order => order.id)]
+      );
+    }
+    const moveId = await recordTableMove(connection, {
+      move_type: 'transfer_session',
+      table_session_id: session.id,
+      from_table_id: session.table_id,
+      to_table_id: target.id,
+      details: { order_ids: orders.map(order => order.id), reason: req.body.reason || null }
+    }, req.user);
+
+    await connection.commit();
+
+    await emitTableMoves([moveId], orders.map(order => order.id), [session.table_id, target.id]);
+    res.json({ success: true, data: await getTableSession(pool, session.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error transferring table session:', error);
+    res.status(500).json({ success: false, message: 'Failed to transfer table session', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Push tables together into one billing unit. Each table's running orders
+// and guests join this session; a free table simply joins it. Body: table_numbers
+app.post('/api/table-sessions/:id/merge', authorize('orders:move'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { table_numbers } = req.body;
+    if (!Array.isArray(table_numbers) || table_numbers.length === 0) {
+      throw new ApiError(400, 'table_numbers must be a non-empty array');
+    }
+
+    const [sessions] = await connection.execute('SELECT * FROM table_sessions WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (sessions.length === 0) {
+      throw new ApiError(404, 'Table session not found');
+    }
+    const primary = sessions[0];
+    if (!['open', 'bill_requested'].includes(primary.status)) {
+      throw new ApiError(409, `Cannot merge into a session that is ${primary.status}`);
+    }
+
+    // A split bill's shares were worked out on the tabs as they were
+    const primarySplitId = await findSessionBillSplit(connection, primary.id);
+    if (primarySplitId) {
+      throw new ApiError(409, 'The bill for this table is split; cancel the bill split first', { bill_split_id: primarySplitId });
+    }
+
+    const moveIds = [];
+    const orderIds = [];
+    const tableIds = [primary.table_id];
+    for (const tableNumber of [...new Set(table_numbers.map(Number))]) {
+      const table = await getTableByNumber(connection, tableNumber);
+      if (table.id === primary.table_id) {
+        throw new ApiError(400, `Table ${tableNumber} already holds this session`);
+      }
+
+      const existing = await getOpenTableSession(connection, table.id);
+      let movedOrderIds = [];
+      if (!existing) {
+        await connection.execute(
+          "INSERT INTO table_sessions (table_id, status, merged_into_session_id, opened_by) VALUES (?, 'merged', ?, ?)",
+          [table.id, primary.id, req.user.id]
+        );
+      } else if (existing.status === 'merged') {
+        throw new ApiError(409, `Table ${tableNumber} is already merged with another table`, {
+          merged_into_session_id: existing.merged_into_session_id
+        });
+      } else {
+        const existingSplitId = await findSessionBillSplit(connection, existing.id);
+        if (existingSplitId) {
+          throw new ApiError(409, `The bill for table ${tableNumber} is split; cancel the bill split first`, {
+            bill_split_id: existingSplitId
+          });
+        }
+        const [orders] = await connection.execute(
+          'SELECT id FROM orders WHERE table_session_id = ? FOR UPDATE',
+          [existing.id]
+        );
+        movedOrderIds = orders.map(order => order.id);
+        await connection.execute('UPDATE orders SET table_session_id = ? WHERE table_session_id = ?', [primary.id, existing.id]);
+
+        // Tables already merged into this one come along
+        await connection.execute(
+          "UPDATE table_sessions SET merged_into_session_id = ? WHERE merged_into_session_id = ? AND status = 'merged'",
+          [primary.id, existing.id]
+        );
+        await connection.execute(
+          "UPDATE table_sessions SET status = 'merged', merged_into_session_id = ?, bill_requested_at = NULL WHERE id = ?",
+          [primary.id, existing.id]
+        );
+        if (existing.guest_count) {
+          await connection.execute(
+            'UPDATE table_sessions SET guest_count = COALESCE(guest_count, 0) + ? WHERE id = ?',
+            [existing.guest_count, primary.id]
+          );
+        }
+      }
+
+      moveIds.push(await recordTableMove(connection, {
+        move_type: 'merge_table',
+        table_session_id: primary.id,
+        from_table_id: table.id,
+        to_table_id: primary.table_id,
+        details: { merged_session_id: existing ? existing.id : null, order_ids: movedOrderIds }
+      }, req.user));
+      orderIds.push(...movedOrderIds);
+      tableIds.push(table.id);
+    }
+
+    await connection.commit();
+
+    await emitTableMoves(moveIds, orderIds, tableIds);
+    res.json({ success: true, data: await getTableSession(pool, primary.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error merging tables:', error);
+    res.status(500).json({ success: false, message: 'Failed to merge tables', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Kitchen station endpoints
+// Stations (grill, tandoor, bar...) receive the order lines routed to them by
+// menu item or by category; an item-level route wins over its category's route.
+
+// Prep status of a single order line
+const PREP_TRANSITIONS = {
+  queued: ['preparing', 'done'],
+  preparing: ['done'],
+  done: []
+};
+
+// Order statuses whose lines are still on the kitchen screens
+const KITCHEN_ORDER_STATUSES = ['pending', 'accepted', 'preparing'];
+
+// Work out which station each priced line goes to, keyed by menu item id
+const resolveStationRoutes = async (db, menuItemIds) => {
+  const routes = new Map();
+  if (menuItemIds.length === 0) {
+    return routes;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT mi.id AS menu_item_id,
+       COALESCE(item_route.station_id, category_route.station_id) AS station_id
+     FROM menu_items mi
+     LEFT JOIN kitchen_station_routes item_route ON item_route.menu_item_id = mi.id
+     LEFT JOIN categories c ON mi.category = c.name
+     LEFT JOIN kitchen_station_routes category_route ON category_route.category_id = c.id
+     WHERE mi.id IN (${placeholders(menuItemIds)})`,
+    menuItemIds
+  );
+
+  for (const row of rows) {
+    routes.set(row.menu_item_id, row.station_id);
+  }
+  return routes;
+};
+
+// Send each station only the lines routed to it
+const emitStationTickets = (event, order) => {
+  const linesByStation = new Map();
+  for (const item of order.items || []) {
+    if (item.station_id) {
+      if (!linesByStation.has(item.station_id)) {
+        linesByStation.set(item.station_id, []);
+      }
+      linesByStation.get(item.station_id).push(item);
+    }
+  }
+
+  const { items, status_history, ...orderSummary } = order;
+  for (const [stationId, lines] of linesByStation) {
+    io.to(stationRoom(stationId)).emit(event, { ...orderSummary, station_id: stationId, items: lines });
+  }
+};
+
+const getKitchenStation = async (db, stationId) => {
+  const [stations] = await db.execute('SELECT * FROM kitchen_stations WHERE id = ?', [stationId]);
+  if (stations.length === 0) {
+    return null;
+  }
+  const [routes] = await db.execute(
+    `SELECT r.id, r.category_id, c.name AS category_name, r.menu_item_id, mi.name AS menu_item_name
+     FROM kitchen_station_routes r
+     LEFT JOIN categories c ON r.category_id = c.id
+     LEFT JOIN menu_items mi ON r.menu_item_id = mi.id
+     WHERE r.station_id = ?
+     ORDER BY r.id`,
+    [stationId]
+  );
+  return { ...stations[0], routes };
+};
+
+app.get('/api/kitchen-stations', authorize('orders:read'), async (req, res) => {
+  try {
+    const [stations] = await pool.execute('SELECT id FROM kitchen_stations ORDER BY display_order, name');
+    const data = await Promise.all(stations.map(station => getKitchenStation(pool, station.id)));
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching kitchen stations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch kitchen stations', error: error.message });
+  }
+});
+
+app.post('/api/kitchen-stations', authorize('stations:manage'), async (req, res) => {
+  try {
+    const { name, display_order = 0, is_active } = req.body;
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Station name is required' });
+    }
+
+    const [existing] = await pool.execute('SELECT id FROM kitchen_stations WHERE name = ?', [name.trim()]);
+    if (existing.length > 0) {
+      return res.status(400).json({ success: false, message: 'Station already exists' });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO kitchen_stations (name, display_order, is_active) VALUES (?, ?, ?)',
+      [name.trim(), display_order, is_active !== false]
+    );
+    res.json({ success: true, data: await getKitchenStation(pool, result.insertId) });
+  } catch (error) {
+    console.error('Error creating kitchen station:', error);
+    res.status(500).json({ success: false, message: 'Failed to create kitchen station', error: error.message });
+  }
+});
+
+app.put('/api/kitchen-stations/:id', authorize('stations:manage'), async (req, res) => {
+  try {
+    const { name, display_order, is_active } = req.body;
+    if (name !== undefined && (!name || name.trim() === '')) {
+      return res.status(400).json({ success: false, message: 'Station name cannot be empty' });
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE kitchen_stations SET
+        name = COALESCE(?, name),
+        display_order = COALESCE(?, display_order),
+        is_active = COALESCE(?, is_active)
+      WHERE id = ?`,
+      [
+        name !== undefined ? name.trim() : null,
+        display_order !== undefined ? display_order : null,
+        is_active !== undefined ? is_active : null,
+        req.params.id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Station not found' });
+    }
+    res.json({ success: true, data: await getKitchenStation(pool, req.params.id) });
+  } catch (error) {
+    console.error('Error updating kitchen station:', error);
+    res.status(500).json({ success: false, message: 'Failed to update kitchen station', error: error.message });
+  }
+});
+
+app.delete('/api/kitchen-stations/:id', authorize('stations:manage'), async (req, res) => {
+  try {
+    // Routes cascade; order lines already sent to the station keep their history with a NULL station
+    const [result] = await pool.execute('DELETE FROM kitchen_stations WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Station not found' });
+    }
+    res.json({ success: true, message: 'Station deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting kitchen station:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete kitchen station', error: error.message });
+  }
+});
+
+// Replace a station's routes. A category or item routed here is moved away from any other station.
+app.put('/api/kitchen-stations/:id/routes', authorize('stations:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { category_ids = [], menu_item_ids = [] } = req.body;
+    if (!Array.isArray(category_ids) || !Array.isArray(menu_item_ids)) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'category_ids and menu_item_ids must be arrays' });
+    }
+
+    const [stations] = await connection.execute('SELECT id FROM kitchen_stations WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (stations.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Station not found' });
+    }
+
+    await connection.execute('DELETE FROM kitchen_station_routes WHERE station_id = ?', [req.params.id]);
+
+    for (const categoryId of category_ids) {
+      await connection.execute('DELETE FROM kitchen_station_routes WHERE category_id = ?', [categoryId]);
+      await connection.execute(
+        'INSERT INTO kitchen_station_routes (station_id, category_id) VALUES (?, ?)',
+        [req.params.id, categoryId]
+      );
+    }
+
+    for (const menuItemId of menu_item_ids) {
+      await connection.execute('DELETE FROM kitchen_station_routes WHERE menu_item_id = ?', [menuItemId]);
+      await connection.execute(
+        'INSERT INTO kitchen_station_routes (station_id, menu_item_id) VALUES (?, ?)',
+        [req.params.id, menuItemId]
+      );
+    }
+
+    await connection.commit();
+    res.json({ success: true, data: await getKitchenStation(pool, req.params.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ success: false, message: 'Unknown category or menu item in routes' });
+    }
+    console.error('Error updating station routes:', error);
+    res.status(500).json({ success: false, message: 'Failed to update station routes', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Open lines for one station, oldest order first
+app.get('/api/kitchen-stations/:id/queue', authorize('orders:read'), async (req, res) => {
+  try {
+    const [lines] = await pool.execute(
+      `SELECT oi.*, o.table_number, o.order_status, o.created_at AS order_created_at
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       WHERE oi.station_id = ? AND oi.prep_status != 'done'
+         AND o.order_status IN (${placeholders(KITCHEN_ORDER_STATUSES)})
+       ORDER BY o.created_at, oi.id`,
+      [req.params.id, ...KITCHEN_ORDER_STATUSES]
+    );
+
+    if (lines.length > 0) {
+      const itemsByOrder = await loadOrderItems(pool, [...new Set(lines.map(line => line.order_id))]);
+      const modifiersByLine = new Map();
+      for (const items of itemsByOrder.values()) {
+        for (const item of items) {
+          modifiersByLine.set(item.id, item.modifiers);
+        }
+      }
+      for (const line of lines) {
+        line.modifiers = modifiersByLine.get(line.id) || [];
+      }
+    }
+
+    res.json({ success: true, data: lines });
+  } catch (error) {
+    console.error('Error fetching station queue:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch station queue', error: error.message });
+  }
+});
+
+// Bump a single order line. The parent order follows along: the first line
+// started moves it to preparing, and it becomes ready once every line is done.
+app.put('/api/order-items/:id/prep-status', authorize('orders:update-status'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { prep_status } = req.body;
+    if (!PREP_TRANSITIONS[prep_status]) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: `Unknown prep status "${prep_status}". Allowed statuses: ${Object.keys(PREP_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    const [lines] = await connection.execute(
+      `SELECT oi.*, o.order_status
+       FROM order_items oi
+       JOIN orders o ON oi.order_id = o.id
+       WHERE oi.id = ?
+       FOR UPDATE`,
+      [req.params.id]
+    );
+    if (lines.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Order item not found' });
+    }
+
+    const line = lines[0];
+    if (!['accepted', 'preparing'].includes(line.order_status)) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Lines can only be prepared while the order is accepted or preparing (order is ${line.order_status})`
+      });
+    }
+
+    if (!PREP_TRANSITIONS[line.prep_status].includes(prep_status)) {
+      await connection.rollback();
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move line from ${line.prep_status} to ${prep_status}`,
+        current_status: line.prep_status,
+        allowed_transitions: PREP_TRANSITIONS[line.prep_status]
+      });
+    }
+
+    await connection.execute(
+      `UPDATE order_items SET
+        prep_status = ?,
+        prep_started_at = COALESCE(prep_started_at, NOW()),
+        prep_completed_at = ${prep_status === 'done' ? 'NOW()' : 'NULL'}
+      WHERE id = ?`,
+      [prep_status, line.id]
+    );
+
+    let orderStatusChanged = false;
+    if (line.order_status === 'accepted') {
+      await transitionOrderStatus(connection, line.order_id, 'preparing', req.user, 'First line started');
+      orderStatusChanged = true;
+    }
+
+    const [remaining] = await connection.execute(
+      "SELECT COUNT(*) AS count FROM order_items WHERE order_id = ? AND prep_status != 'done'",
+      [line.order_id]
+    );
+    if (remaining[0].count === 0) {
+      await transitionOrderStatus(connection, line.order_id, 'ready', req.user, 'All lines done');
+      orderStatusChanged = true;
+    }
+
+    await connection.commit();
+
+    const order = await getOrderDetails(pool, line.order_id);
+    const updatedLine = order.items.find(item => item.id === line.id);
+
+    emitOrderEvent('order-item-updated', { ...updatedLine, table_number: order.table_number, customer_id: order.customer_id });
+    if (orderStatusChanged) {
+      emitOrderEvent('order-status-updated', order);
+    }
+
+    res.json({ success: true, data: updatedLine });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating prep status:', error);
+    res.status(500).json({ success: false, message: 'Failed to update prep status', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Inventory endpoints
+// Ingredients with their stock levels, recipes linking menu items to the
+// ingredient quantities one portion uses, and a log of wasted stock.
+
+const WASTE_REASONS = ['expired', 'spoiled', 'damaged', 'overproduction', 'preparation_error', 'returned', 'other'];
+
+const INGREDIENT_SELECT = `
+  SELECT i.*, (i.current_stock <= i.min_stock_level) AS is_low_stock
+  FROM ingredients i
+`;
+
+// Stock, minimum levels and recipe quantities are non-negative decimals
+const parseAmount = (value, field, { allowZero = true } = {}) => {
+  const amount = Number(value);
+  if (value === null || value === '' || !Number.isFinite(amount) || amount < 0 || (!allowZero && amount === 0)) {
+    throw new ApiError(400, `${field} must be a ${allowZero ? 'non-negative' : 'positive'} number`);
+  }
+  return amount;
+};
+
+// Validate an ingredient payload. With partial, missing fields are left out
+// of the result so the caller keeps the stored values.
+const parseIngredientFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const field of ['name', 'unit']) {
+    if (body[field] === undefined && partial) continue;
+    if (typeof body[field] !== 'string' || body[field].trim() === '') {
+      throw new ApiError(400, `Ingredient ${field} is required`);
+    }
+    fields[field] = body[field].trim();
+  }
+
+  for (const field of ['current_stock', 'min_stock_level', 'cost_per_unit']) {
+    if (body[field] === undefined && partial) continue;
+    fields[field] = parseAmount(body[field] === undefined ? 0 : body[field], field);
+  }
+
+  for (const field of ['description', 'supplier']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] || null;
+    }
+  }
+
+  return fields;
+};
+
+const getIngredient = async (db, ingredientId) => {
+  const [rows] = await db.execute(`${INGREDIENT_SELECT} WHERE i.id = ?`, [ingredientId]);
+  return rows[0] || null;
+};
+
+// Recipe lines of the given menu items with ingredient details, keyed by menu item id
+const loadRecipes = async (db, menuItemIds) => {
+  const recipes = new Map(menuItemIds.map(id => [id, []]));
+  if (menuItemIds.length === 0) {
+    return recipes;
+  }
+
+  const [lines] = await db.execute(
+    `SELECT ri.id, ri.menu_item_id, ri.ingredient_id, ri.quantity,
+       i.name AS ingredient_name, i.unit, i.cost_per_unit, i.current_stock
+     FROM recipe_items ri
+     JOIN ingredients i ON ri.ingredient_id = i.id
+     WHERE ri.menu_item_id IN (${placeholders(menuItemIds)})
+     ORDER BY i.name`,
+    menuItemIds
+  );
+
+  for (const line of lines) {
+    recipes.get(line.menu_item_id).push(line);
+  }
+  return recipes;
+};
+
+// A menu item's recipe with the ingredient cost of one portion
+const formatRecipe = (menuItem, lines) => ({
+  menu_item_id: menuItem.id,
+  menu_item_name: menuItem.name,
+  ingredients: lines,
+  cost_per_portion: fromCents(
+    lines.reduce((sum, line) => sum + Math.round(Number(line.quantity) * toCents(line.cost_per_unit)), 0)
+  )
+});
+
+// Stock quantities are handled in thousandths so per-portion amounts add up exactly
+const toThousandths = (value) => Math.round(Number(value) * 1000);
+
+// Ingredient amounts in thousandths for order lines ({ menu_item_id,
+// quantity, modifiers: [{ modifier_option_id }] }): each portion's recipe
+// plus what its selected modifier options add, keyed by ingredient id
+const computeStockRequirements = async (connection, lines) => {
+  const required = new Map();
+  const add = (ingredientId, amount) => required.set(ingredientId, (required.get(ingredientId) || 0) + amount);
+
+  const menuItemIds = [...new Set(lines.map(line => line.menu_item_id))];
+  const [recipeLines] = await connection.execute(
+    `SELECT menu_item_id, ingredient_id, quantity FROM recipe_items WHERE menu_item_id IN (${placeholders(menuItemIds)})`,
+    menuItemIds
+  );
+  const optionIds = [...new Set(lines.flatMap(line => (line.modifiers || []).map(modifier => modifier.modifier_option_id)))]
+    .filter(Boolean);
+  let optionLines = [];
+  if (optionIds.length > 0) {
+    [optionLines] = await connection.execute(
+      `SELECT modifier_option_id, ingredient_id, quantity FROM modifier_option_recipe_items
+       WHERE modifier_option_id IN (${placeholders(optionIds)})`,
+      optionIds
+    );
+  }
+
+  for (const line of lines) {
+    for (const recipeLine of recipeLines.filter(r => r.menu_item_id === line.menu_item_id)) {
+      add(recipeLine.ingredient_id, toThousandths(recipeLine.quantity) * line.quantity);
+    }
+    for (const modifier of line.modifiers || []) {
+      for (const optionLine of optionLines.filter(r => r.modifier_option_id === modifier.modifier_option_id)) {
+        add(optionLine.ingredient_id, toThousandths(optionLine.quantity) * line.quantity);
+      }
+    }
+  }
+  return required;
+};
+
+// Take the recipe ingredients of the priced order lines, and those their
+// modifier options add, out of stock inside the order's transaction. Throws
+// a 409 if any ingredient cannot cover the order. Returns the ids of the
+// ingredients that changed.
+const deductOrderStock = async (connection, orderId, lines) => {
+  const required = await computeStockRequirements(connection, lines);
+  if (required.size === 0) {
+    return [];
+  }
+
+  // Lock in id order so concurrent orders cannot deadlock on the same ingredients
+  const ingredientIds = [...required.keys()].sort((a, b) => a - b);
+  const [ingredients] = await connection.execute(
+    `SELECT id, name, unit, current_stock FROM ingredients WHERE id IN (${placeholders(ingredientIds)}) ORDER BY id FOR UPDATE`,
+    ingredientIds
+  );
+
+  const shortages = ingredients
+    .filter(ingredient => toThousandths(ingredient.current_stock) < required.get(ingredient.id))
+    .map(ingredient => ({
+      ingredient_id: ingredient.id,
+      ingredient_name: ingredient.name,
+      unit: ingredient.unit,
+      required: required.get(ingredient.id) / 1000,
+      available: Number(ingredient.current_stock)
+    }));
+  if (shortages.length > 0) {
+    throw new ApiError(409, 'Not enough stock to prepare this order', { shortages });
+  }
+
+  for (const ingredientId of ingredientIds) {
+    const quantity = required.get(ingredientId) / 1000;
+    await connection.execute(
+      'UPDATE ingredients SET current_stock = current_stock - ? WHERE id = ?',
+      [quantity, ingredientId]
+    );
+    await connection.execute(
+      'INSERT INTO order_ingredient_usage (order_id, ingredient_id, quantity) VALUES (?, ?, ?)',
+      [orderId, ingredientId, quantity]
+    );
+  }
+
+  return ingredientIds;
+};
+
+// Put back the stock an order took. Returns the ids of the ingredients that changed.
+const restoreOrderStock = async (connection, orderId) => {
+  const [usage] = await connection.execute(
+    'SELECT id, ingredient_id, quantity FROM order_ingredient_usage WHERE order_id = ? AND restored_at IS NULL ORDER BY ingredient_id FOR UPDATE',
+    [orderId]
+  );
+
+  for (const entry of usage) {
+    await connection.execute(
+      'UPDATE ingredients SET current_stock = current_stock + ? WHERE id = ?',
+      [entry.quantity, entry.ingredient_id]
+    );
+    await connection.execute('UPDATE order_ingredient_usage SET restored_at = NOW() WHERE id = ?', [entry.id]);
+  }
+
+  return usage.map(entry => entry.ingredient_id);
+};
+
+// Hand the stock taken for the given lines ({ menu_item_id, quantity,
+// modifiers }) over to another order, so cancelling either half of a split
+// order restores the right amounts. Never moves more than the source order
+// still holds.
+const moveOrderStockUsage = async (connection, fromOrderId, toOrderId, lines) => {
+  const moving = await computeStockRequirements(connection, lines);
+
+  const [usage] = await connection.execute(
+    'SELECT id, ingredient_id, quantity FROM order_ingredient_usage WHERE order_id = ? AND restored_at IS NULL ORDER BY ingredient_id FOR UPDATE',
+    [fromOrderId]
+  );
+  for (const entry of usage) {
+    const amount = Math.min(moving.get(entry.ingredient_id) || 0, toThousandths(entry.quantity));
+    if (amount === 0) continue;
+
+    await connection.execute(
+      'UPDATE order_ingredient_usage SET quantity = quantity - ? WHERE id = ?',
+      [amount / 1000, entry.id]
+    );
+    await connection.execute(
+      'INSERT INTO order_ingredient_usage (order_id, ingredient_id, quantity) VALUES (?, ?, ?)',
+      [toOrderId, entry.ingredient_id, amount / 1000]
+    );
+    moving.set(entry.ingredient_id, moving.get(entry.ingredient_id) - amount);
+  }
+};
+
+// Auto-86: switch off menu items whose stock cannot cover one more portion,
+// and switch back on the ones we switched off once stock is back. Items a
+// manager made unavailable by hand are left alone. Checks the items that use
+// the given ingredients plus any menu items passed explicitly, and returns
+// the items whose availability changed.
+const refreshMenuAvailability = async (db, ingredientIds, menuItemIds = []) => {
+  if (ingredientIds.length === 0 && menuItemIds.length === 0) {
+    return [];
+  }
+
+  const conditions = [];
+  if (ingredientIds.length > 0) {
+    conditions.push(`mi.id IN (SELECT menu_item_id FROM recipe_items WHERE ingredient_id IN (${placeholders(ingredientIds)}))`);
+  }
+  if (menuItemIds.length > 0) {
+    conditions.push(`mi.id IN (${placeholders(menuItemIds)})`);
+  }
+
+  // Items without a recipe are not stock-tracked and always count as covered.
+  // Only the base recipe is checked here; what modifier options add is
+  // checked when an order is placed.
+  const [items] = await db.execute(
+    `SELECT mi.id, mi.name, mi.is_available, mi.auto_86,
+       COALESCE(MIN(i.current_stock >= ri.quantity), 1) AS can_cover
+     FROM menu_items mi
+     LEFT JOIN recipe_items ri ON ri.menu_item_id = mi.id
+     LEFT JOIN ingredients i ON ri.ingredient_id = i.id
+     WHERE ${conditions.join(' OR ')}
+     GROUP BY mi.id, mi.name, mi.is_available, mi.auto_86`,
+    [...ingredientIds, ...menuItemIds]
+  );
+
+  const changes = [];
+  for (const item of items) {
+    if (item.is_available && !item.can_cover) {
+      await db.execute('UPDATE menu_items SET is_available = false, auto_86 = true WHERE id = ?', [item.id]);
+      changes.push({ id: item.id, name: item.name, is_available: false, auto_86: true });
+    } else if (item.auto_86 && item.can_cover) {
+      await db.execute('UPDATE menu_items SET is_available = true, auto_86 = false WHERE id = ?', [item.id]);
+      changes.push({ id: item.id, name: item.name, is_available: true, auto_86: false });
+    }
+  }
+  return changes;
+};
+
+// Menus are public, so availability changes go to every connected client
+const emitMenuUpdated = (changes) => {
+  if (changes && changes.length > 0) {
+    io.emit('menu-updated', { menu_items: changes });
+  }
+};
+
+app.get('/api/ingredients', authorize('inventory:read'), async (req, res) => {
+  try {
+    const lowStockOnly = req.query.low_stock === 'true';
+    const [rows] = await pool.execute(
+      `${INGREDIENT_SELECT} ${lowStockOnly ? 'WHERE i.current_stock <= i.min_stock_level' : ''} ORDER BY i.name`
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching ingredients:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch ingredients', error: error.message });
+  }
+});
+
+// One ingredient with the menu items whose recipes use it
+app.get('/api/ingredients/:id', authorize('inventory:read'), async (req, res) => {
+  try {
+    const ingredient = await getIngredient(pool, req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+
+    const [usedIn] = await pool.execute(
+      `SELECT mi.id AS menu_item_id, mi.name AS menu_item_name, ri.quantity
+       FROM recipe_items ri
+       JOIN menu_items mi ON ri.menu_item_id = mi.id
+       WHERE ri.ingredient_id = ?
+       ORDER BY mi.name`,
+      [req.params.id]
+    );
+    res.json({ success: true, data: { ...ingredient, used_in: usedIn } });
+  } catch (error) {
+    console.error('Error fetching ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch ingredient', error: error.message });
+  }
+});
+
+app.post('/api/ingredients', authorize('inventory:write'), async (req, res) => {
+  try {
+    const fields = parseIngredientFields(req.body);
+
+    const [existing] = await pool.execute('SELECT id FROM ingredients WHERE name = ?', [fields.name]);
+    if (existing.length > 0) {
+      return res.status(400).json({ success: false, message: 'Ingredient already exists' });
+    }
+
+    const [result] = await pool.execute(
+      `INSERT INTO ingredients (name, description, unit, current_stock, min_stock_level, cost_per_unit, supplier)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fields.name,
+        fields.description || null,
+        fields.unit,
+        fields.current_stock,
+        fields.min_stock_level,
+        fields.cost_per_unit,
+        fields.supplier || null
+      ]
+    );
+    res.json({ success: true, data: await getIngredient(pool, result.insertId) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to create ingredient', error: error.message });
+  }
+});
+
+// Partial update; also used to record deliveries and stock counts via current_stock
+app.put('/api/ingredients/:id', authorize('inventory:write'), async (req, res) => {
+  try {
+    const fields = parseIngredientFields(req.body, { partial: true });
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return res.status(400).json({ success: false, message: 'No ingredient fields to update' });
+    }
+
+    if (fields.name) {
+      const [existing] = await pool.execute(
+        'SELECT id FROM ingredients WHERE name = ? AND id != ?',
+        [fields.name, req.params.id]
+      );
+      if (existing.length > 0) {
+        return res.status(400).json({ success: false, message: 'Ingredient already exists' });
+      }
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE ingredients SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => fields[column]), req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+
+    // A delivery can bring 86'd items back, a recount can take them off
+    if (fields.current_stock !== undefined) {
+      emitMenuUpdated(await refreshMenuAvailability(pool, [Number(req.params.id)]));
+    }
+
+    res.json({ success: true, data: await getIngredient(pool, req.params.id) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to update ingredient', error: error.message });
+  }
+});
+
+app.delete('/api/ingredients/:id', authorize('inventory:write'), async (req, res) => {
+  try {
+    // Keep recipes and stock history intact: an ingredient still referenced cannot be deleted
+    const [[{ recipeCount }]] = await pool.execute(
+      'SELECT COUNT(*) AS recipeCount FROM recipe_items WHERE ingredient_id = ?',
+      [req.params.id]
+    );
+    const [[{ wasteCount }]] = await pool.execute(
+      'SELECT COUNT(*) AS wasteCount FROM waste_log WHERE ingredient_id = ?',
+      [req.params.id]
+    );
+    const [[{ usageCount }]] = await pool.execute(
+      'SELECT COUNT(*) AS usageCount FROM order_ingredient_usage WHERE ingredient_id = ?',
+      [req.params.id]
+    );
+    const [[{ modifierRecipeCount }]] = await pool.execute(
+      'SELECT COUNT(*) AS modifierRecipeCount FROM modifier_option_recipe_items WHERE ingredient_id = ?',
+      [req.params.id]
+    );
+    if (recipeCount > 0 || modifierRecipeCount > 0 || wasteCount > 0 || usageCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete an ingredient that is used in recipes or has stock history',
+        recipe_count: recipeCount,
+        modifier_recipe_count: modifierRecipeCount,
+        waste_count: wasteCount,
+        order_count: usageCount
+      });
+    }
+
+    const [result] = await pool.execute('DELETE FROM ingredients WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Ingredient not found' });
+    }
+    res.json({ success: true, message: 'Ingredient deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting ingredient:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete ingredient', error: error.message });
+  }
+});
+
+// Every menu item with its recipe and portion cost
+app.get('/api/recipes', authorize('inventory:read'), async (req, res) => {
+  try {
+    const [menuItems] = await pool.execute('SELECT id, name FROM menu_items ORDER BY name');
+    const recipes = await loadRecipes(pool, menuItems.map(item => item.id));
+    res.json({ success: true, data: menuItems.map(item => formatRecipe(item, recipes.get(item.id))) });
+  } catch (error) {
+    console.error('Error fetching recipes:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recipes', error: error.message });
+  }
+});
+
+// Validate recipe lines ({ ingredient_id, quantity per portion }) and check
+// that their ingredients exist
+const parseRecipeLines = async (db, ingredients) => {
+  if (!Array.isArray(ingredients)) {
+    throw new ApiError(400, 'ingredients must be an array of { ingredient_id, quantity }');
+  }
+
+  const lines = ingredients.map((line, index) => {
+    if (!line || !Number.isInteger(Number(line.ingredient_id))) {
+      throw new ApiError(400, `Recipe line ${index + 1} needs an ingredient_id`, { line: index });
+    }
+    return {
+      ingredient_id: Number(line.ingredient_id),
+      quantity: parseAmount(line.quantity, `Recipe line ${index + 1} quantity`, { allowZero: false })
+    };
+  });
+
+  const ingredientIds = lines.map(line => line.ingredient_id);
+  if (new Set(ingredientIds).size !== ingredientIds.length) {
+    throw new ApiError(400, 'Each ingredient can only appear once in a recipe');
+  }
+
+  if (ingredientIds.length > 0) {
+    const [found] = await db.execute(
+      `SELECT id FROM ingredients WHERE id IN (${placeholders(ingredientIds)})`,
+      ingredientIds
+    );
+    const foundIds = new Set(found.map(row => row.id));
+    const missing = ingredientIds.filter(id => !foundIds.has(id));
+    if (missing.length > 0) {
+      throw new ApiError(400, 'Unknown ingredient in recipe', { ingredient_ids: missing });
+    }
+  }
+
+  return lines;
+};
+
+app.get('/api/menu/:id/recipe', authorize('inventory:read'), async (req, res) => {
+  try {
+    const [menuItems] = await pool.execute('SELECT id, name FROM menu_items WHERE id = ?', [req.params.id]);
+    if (menuItems.length === 0) {
+      return res.status(404).json({ success: false, message: 'Menu item not found' });
+    }
+    const recipes = await loadRecipes(pool, [menuItems[0].id]);
+    res.json({ success: true, data: formatRecipe(menuItems[0], recipes.get(menuItems[0].id)) });
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recipe', error: error.message });
+  }
+});
+
+// Replace a menu item's recipe with the given ingredient quantities per portion
+app.put('/api/menu/:id/recipe', authorize('inventory:write'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [menuItems] = await connection.execute('SELECT id, name FROM menu_items WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (menuItems.length === 0) {
+      throw new ApiError(404, 'Menu item not found');
+    }
+    const lines = await parseRecipeLines(connection, req.body.ingredients);
+
+    await connection.execute('DELETE FROM recipe_items WHERE menu_item_id = ?', [req.params.id]);
+    for (const line of lines) {
+      await connection.execute(
+        'INSERT INTO recipe_items (menu_item_id, ingredient_id, quantity) VALUES (?, ?, ?)',
+        [req.params.id, line.ingredient_id, line.quantity]
+      );
+    }
+
+    const menuChanges = await refreshMenuAvailability(connection, [], [menuItems[0].id]);
+
+    await connection.commit();
+    emitMenuUpdated(menuChanges);
+
+    const recipes = await loadRecipes(pool, [menuItems[0].id]);
+    res.json({ success: true, data: formatRecipe(menuItems[0], recipes.get(menuItems[0].id)) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to update recipe', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+app.delete('/api/menu/:id/recipe', authorize('inventory:write'), async (req, res) => {
+  try {
+    const [menuItems] = await pool.execute('SELECT id FROM menu_items WHERE id = ?', [req.params.id]);
+    if (menuItems.length === 0) {
+      return res.status(404).json({ success: false, message: 'Menu item not found' });
+    }
+    await pool.execute('DELETE FROM recipe_items WHERE menu_item_id = ?', [req.params.id]);
+
+    // Without a recipe the item is no longer stock-tracked
+    emitMenuUpdated(await refreshMenuAvailability(pool, [], [menuItems[0].id]));
+
+    res.json({ success: true, message: 'Recipe deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete recipe', error: error.message });
+  }
+});
+
+// What a modifier option adds to each portion, on top of the menu item's recipe
+const getModifierOptionRecipe = async (db, option) => {
+  const [lines] = await db.execute(
+    `SELECT mr.id, mr.modifier_option_id, mr.ingredient_id, mr.quantity,
+       i.name AS ingredient_name, i.unit, i.cost_per_unit, i.current_stock
+     FROM modifier_option_recipe_items mr
+     JOIN ingredients i ON mr.ingredient_id = i.id
+     WHERE mr.modifier_option_id = ?
+     ORDER BY i.name`,
+    [option.id]
+  );
+  const { menu_item_id, menu_item_name, ...recipe } = formatRecipe(option, lines);
+  return { modifier_option_id: option.id, modifier_option_name: option.name, ...recipe };
+};
+
+app.get('/api/modifier-options/:id/recipe', authorize('inventory:read'), async (req, res) => {
+  try {
+    const [options] = await pool.execute('SELECT id, name FROM modifier_options WHERE id = ?', [req.params.id]);
+    if (options.length === 0) {
+      return res.status(404).json({ success: false, message: 'Modifier option not found' });
+    }
+    res.json({ success: true, data: await getModifierOptionRecipe(pool, options[0]) });
+  } catch (error) {
+    console.error('Error fetching modifier option recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch recipe', error: error.message });
+  }
+});
+
+// Replace the extra ingredient quantities per portion for a modifier option;
+// an empty list stops the option using stock
+app.put('/api/modifier-options/:id/recipe', authorize('inventory:write'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [options] = await connection.execute('SELECT id, name FROM modifier_options WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (options.length === 0) {
+      throw new ApiError(404, 'Modifier option not found');
+    }
+    const lines = await parseRecipeLines(connection, req.body.ingredients);
+
+    await connection.execute('DELETE FROM modifier_option_recipe_items WHERE modifier_option_id = ?', [options[0].id]);
+    for (const line of lines) {
+      await connection.execute(
+        'INSERT INTO modifier_option_recipe_items (modifier_option_id, ingredient_id, quantity) VALUES (?, ?, ?)',
+        [options[0].id, line.ingredient_id, line.quantity]
+      );
+    }
+
+    await connection.commit();
+    res.json({ success: true, data: await getModifierOptionRecipe(pool, options[0]) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating modifier option recipe:', error);
+    res.status(500).json({ success: false, message: 'Failed to update recipe', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+const WASTE_SELECT = `
+  SELECT w.*, i.name AS ingredient_name, i.unit,
+    ROUND(w.quantity * i.cost_per_unit, 2) AS waste_cost,
+    u.full_name AS logged_by_name
+  FROM waste_log w
+  JOIN ingredients i ON w.ingredient_id = i.id
+  LEFT JOIN users u ON w.logged_by = u.id
+`;
+
+// Waste records, newest first. Filters: ingredient_id, reason, from, to (dates)
+app.get('/api/waste-log', authorize('inventory:read'), async (req, res) => {
+  try {
+    const { ingredient_id, reason, from, to } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (ingredient_id) {
+      conditions.push('w.ingredient_id = ?');
+      params.push(ingredient_id);
+    }
+    if (reason) {
+      conditions.push('w.reason = ?');
+      params.push(reason);
+    }
+    if (from) {
+      conditions.push('w.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('w.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(to);
+    }
+
+    const [rows] = await pool.execute(
+      `${WASTE_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY w.created_at DESC, w.id DESC`,
+      params
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching waste log:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch waste log', error: error.message });
+  }
+});
+
+// Record wasted stock; the quantity is taken off the ingredient's current stock
+app.post('/api/waste-log', authorize('inventory:log-waste'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { ingredient_id, reason, notes } = req.body;
+    if (!ingredient_id) {
+      throw new ApiError(400, 'ingredient_id is required');
+    }
+    const quantity = parseAmount(req.body.quantity, 'quantity', { allowZero: false });
+    if (!WASTE_REASONS.includes(reason)) {
+      throw new ApiError(400, `Unknown waste reason "${reason}". Allowed reasons: ${WASTE_REASONS.join(', ')}`);
+    }
+
+    const [ingredients] = await connection.execute(
+      'SELECT id FROM ingredients WHERE id = ? FOR UPDATE',
+      [ingredient_id]
+    );
+    if (ingredients.length === 0) {
+      throw new ApiError(404, 'Ingredient not found');
+    }
+
+    // Stock never goes negative; a count correction belongs on the ingredient itself
+    await connection.execute(
+      'UPDATE ingredients SET current_stock = GREATEST(current_stock - ?, 0) WHERE id = ?',
+      [quantity, ingredient_id]
+    );
+    const [result] = await connection.execute(
+      'INSERT INTO waste_log (ingredient_id, quantity, reason, notes, logged_by) VALUES (?, ?, ?, ?, ?)',
+      [ingredient_id, quantity, reason, notes || null, req.user.id]
+    );
+    const menuChanges = await refreshMenuAvailability(connection, [Number(ingredient_id)]);
+
+    await connection.commit();
+    emitMenuUpdated(menuChanges);
+
+    const [rows] = await pool.execute(`${WASTE_SELECT} WHERE w.id = ?`, [result.insertId]);
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error logging waste:', error);
+    res.status(500).json({ success: false, message: 'Failed to log waste', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Remove a mistaken waste record and put the quantity back into stock
+app.delete('/api/waste-log/:id', authorize('inventory:write'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [entries] = await connection.execute('SELECT * FROM waste_log WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (entries.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Waste record not found' });
+    }
+
+    await connection.execute(
+      'UPDATE ingredients SET current_stock = current_stock + ? WHERE id = ?',
+      [entries[0].quantity, entries[0].ingredient_id]
+    );
+    await connection.execute('DELETE FROM waste_log WHERE id = ?', [req.params.id]);
+    const menuChanges = await refreshMenuAvailability(connection, [entries[0].ingredient_id]);
+
+    await connection.commit();
+    emitMenuUpdated(menuChanges);
+    res.json({ success: true, message: 'Waste record deleted successfully' });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error deleting waste record:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete waste record', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Analytics endpoints
+app.use('/api/analytics', authorize('analytics:read'));
+
+app.get('/api/analytics/daily', async (req, res) => {
+  try {
+    const { date } = req.query;
+    const targetDate = date || new Date().toISOString().split('T')[0];
+
+    const [summaryRows] = await pool.execute(`
+      SELECT 
+        COUNT(*) as total_orders,
+        SUM(total_amount_inr) as total_revenue_inr,
+        SUM(total_amount_usd) as total_revenue_usd,
+        COUNT(DISTINCT table_number) as tables_served
+      FROM orders
       WHERE DATE(created_at) = ?
     `, [targetDate]);
 
-    const [itemsRows] = await pool.execute(`
-      SELECT 
-        oi.item_name,
-        SUM(oi.quantity) as quantity_sold,
-        SUM(oi.price_inr * oi.quantity) as revenue_inr,
-        SUM(oi.price_usd * oi.quantity) as revenue_usd
-      FROM order_items oi
-      JOIN orders o ON oi.order_id = o.id
-      WHERE DATE(o.created_at) = ?
-      GROUP BY oi.item_name
-      ORDER BY quantity_sold DESC
-    `, [targetDate]);
+    const [itemsRows] = await pool.execute(`
+      SELECT 
+        oi.item_name,
+        SUM(oi.quantity) as quantity_sold,
+        SUM(oi.price_inr * oi.quantity) as revenue_inr,
+        SUM(oi.price_usd * oi.quantity) as revenue_usd
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE DATE(o.created_at) = ?
+      GROUP BY oi.item_name
+      ORDER BY quantity_sold DESC
+    `, [targetDate]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: summaryRows[0],
+        items: itemsRows,
+        date: targetDate
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching daily analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/analytics/monthly', async (req, res) => {
+  try {
+    const { month, year } = req.query;
+    const targetMonth = month || (new Date().getMonth() + 1);
+    const targetYear = year || new Date().getFullYear();
+
+    const [summaryRows] = await pool.execute(`
+      SELECT 
+        COUNT(*) as total_orders,
+        SUM(total_amount_inr) as total_revenue_inr,
+        SUM(total_amount_usd) as total_revenue_usd,
+        COUNT(DISTINCT table_number) as tables_served
+      FROM orders
+      WHERE MONTH(created_at) = ? AND YEAR(created_at) = ?
+    `, [targetMonth, targetYear]);
+
+    const [itemsRows] = await pool.execute(`
+      SELECT 
+        oi.item_name,
+        SUM(oi.quantity) as quantity_sold,
+        SUM(oi.price_inr * oi.quantity) as revenue_inr,
+        SUM(oi.price_usd * oi.quantity) as revenue_usd
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE MONTH(o.created_at) = ? AND YEAR(o.created_at) = ?
+      GROUP BY oi.item_name
+      ORDER BY quantity_sold DESC
+    `, [targetMonth, targetYear]);
+
+    const [dailyRows] = await pool.execute(`
+      SELECT 
+        DATE(created_at) as date,
+        COUNT(*) as orders,
+        SUM(total_amount_inr) as revenue_inr,
+        SUM(total_amount_usd) as revenue_usd
+      FROM orders
+      WHERE MONTH(created_at) = ? AND YEAR(created_at) = ?
+      GROUP BY DATE(created_at)
+      ORDER BY date
+    `, [targetMonth, targetYear]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: summaryRows[0],
+        items: itemsRows,
+        daily: dailyRows,
+        month: targetMonth,
+        year: targetYear
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching monthly analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/analytics/quarterly', async (req, res) => {
+  try {
+    const { quarter, year } = req.query;
+    const targetQuarter = quarter || Math.ceil((new Date().getMonth() + 1) / 3);
+    const targetYear = year || new Date().getFullYear();
+
+    const startMonth = (targetQuarter - 1) * 3 + 1;
+    const endMonth = targetQuarter * 3;
+
+    const [summaryRows] = await pool.execute(`
+      SELECT 
+        COUNT(*) as total_orders,
+        SUM(total_amount_inr) as total_revenue_inr,
+        SUM(total_amount_usd) as total_revenue_usd,
+        COUNT(DISTINCT table_number) as tables_served
+      FROM orders
+      WHERE MONTH(created_at) BETWEEN ? AND ? 
+        AND YEAR(created_at) = ?
+    `, [startMonth, endMonth, targetYear]);
+
+    const [itemsRows] = await pool.execute(`
+      SELECT 
+        oi.item_name,
+        SUM(oi.quantity) as quantity_sold,
+        SUM(oi.price_inr * oi.quantity) as revenue_inr,
+        SUM(oi.price_usd * oi.quantity) as revenue_usd
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE MONTH(o.created_at) BETWEEN ? AND ? 
+        AND YEAR(o.created_at) = ?
+      GROUP BY oi.item_name
+      ORDER BY quantity_sold DESC
+    `, [startMonth, endMonth, targetYear]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: summaryRows[0],
+        items: itemsRows,
+        quarter: targetQuarter,
+        year: targetYear
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching quarterly analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/analytics/yearly', async (req, res) => {
+  try {
+    const { year } = req.query;
+    const targetYear = year || new Date().getFullYear();
+
+    const [summaryRows] = await pool.execute(`
+      SELECT 
+        COUNT(*) as total_orders,
+        SUM(total_amount_inr) as total_revenue_inr,
+        SUM(total_amount_usd) as total_revenue_usd,
+        COUNT(DISTINCT table_number) as tables_served
+      FROM orders
+      WHERE YEAR(created_at) = ?
+    `, [targetYear]);
+
+    const [itemsRows] = await pool.execute(`
+      SELECT 
+        oi.item_name,
+        SUM(oi.quantity) as quantity_sold,
+        SUM(oi.price_inr * oi.quantity) as revenue_inr,
+        SUM(oi.price_usd * oi.quantity) as revenue_usd
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE YEAR(o.created_at) = ?
+      GROUP BY oi.item_name
+      ORDER BY quantity_sold DESC
+    `, [targetYear]);
+
+    const [monthlyRows] = await pool.execute(`
+      SELECT 
+        MONTH(created_at) as month,
+        COUNT(*) as orders,
+        SUM(total_amount_inr) as revenue_inr,
+        SUM(total_amount_usd) as revenue_usd
+      FROM orders
+      WHERE YEAR(created_at) = ?
+      GROUP BY MONTH(created_at)
+      ORDER BY month
+    `, [targetYear]);
+
+    res.json({
+      success: true,
+      data: {
+        summary: summaryRows[0],
+        items: itemsRows,
+        monthly: monthlyRows,
+        year: targetYear
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching yearly analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analytics',
+      error: error.message
+    });
+  }
+});
+// Test endpoint for revenue/orders data
+app.get('/api/analytics/test-revenue-orders', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    // Get a simple count of orders in the date range
+    const [orderCount] = await pool.execute(`
+            SELECT COUNT(*) as count
+            FROM orders
+            WHERE created_at >= ? AND created_at < ?
+        `, [startDate, endDate]);
+
+    res.json({
+      success: true,
+      message: 'Test endpoint for revenue/orders data',
+      period,
+      currency,
+      startDate,
+      endDate,
+      orderCount: orderCount[0].count
+    });
+  } catch (error) {
+    console.error('Error in test revenue/orders endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Test endpoint failed',
+      error: error.message
+    });
+  }
+});
+
+// Analytics page endpoints
+app.get('/api/analytics/test', (req, res) => {
+  res.json({ success: true, message: 'Analytics API is working' });
+});
+
+// Helper function to get date range based on period
+// Helper function to get date range based on period
+const getDateRangeForPeriod = (period) => {
+  const now = new Date();
+  let startDate, endDate;
+
+  switch (period) {
+    case 'daily':
+      startDate = new Date(now);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(now);
+      endDate.setHours(23, 59, 59, 999);
+      break;
+    case 'weekly':
+      startDate = new Date(now);
+      startDate.setDate(now.getDate() - 28); // Last 4 weeks
+      endDate = new Date(now);
+      break;
+    case 'monthly':
+      // TEMPORARY CHANGE: Look back 2 years for testing
+      startDate = new Date(now);
+      startDate.setFullYear(now.getFullYear() - 2); // Look back 2 years
+      endDate = new Date(now);
+      break;
+    case 'yearly':
+      // TEMPORARY CHANGE: Look back 5 years for testing
+      startDate = new Date(now);
+      startDate.setFullYear(now.getFullYear() - 5); // Look back 5 years
+      endDate = new Date(now);
+      break;
+    default:
+      // Default to last 7 days
+      startDate = new Date(now);
+      startDate.setDate(now.getDate() - 7);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(now);
+      endDate.setHours(23, 59, 59, 999);
+  }
+
+  console.log(`Date range for period ${period}: ${startDate} to ${endDate}`);
+  return { startDate, endDate };
+};
+
+// Helper function to get previous period date range
+const getPreviousPeriodDateRange = (period) => {
+  const now = new Date();
+  let startDate, endDate;
+
+  switch (period) {
+    case 'daily':
+      startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+      endDate.setHours(23, 59, 59, 999);
+      break;
+    case 'weekly':
+      // Get the start of the current week
+      const currentWeekStart = new Date(now);
+      currentWeekStart.setDate(now.getDate() - now.getDay());
+      currentWeekStart.setHours(0, 0, 0, 0);
+
+      // Previous week is 7 days before that
+      startDate = new Date(currentWeekStart);
+      startDate.setDate(currentWeekStart.getDate() - 7);
+
+      endDate = new Date(currentWeekStart);
+      endDate.setDate(currentWeekStart.getDate() - 1);
+      endDate.setHours(23, 59, 59, 999);
+      break;
+    case 'monthly':
+      startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
+      break;
+    case 'yearly':
+      startDate = new Date(now.getFullYear() - 1, 0, 1);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(now.getFullYear() - 1, 11, 31, 23, 59, 59);
+      break;
+    default:
+      startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+      startDate.setHours(0, 0, 0, 0);
+      endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+      endDate.setHours(23, 59, 59, 999);
+  }
+
+  return { startDate, endDate };
+};
+
+// Get summary analytics - UPDATED
+app.get('/api/analytics/summary', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    // Total orders
+    const [totalOrdersResult] = await pool.execute(`
+      SELECT COUNT(*) as total_orders
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+    `, [startDate, endDate]);
+    const totalOrders = totalOrdersResult[0].total_orders;
+
+    // Total revenue - use different queries based on currency
+    let totalRevenue;
+    if (currency === 'INR') {
+      const [totalRevenueResult] = await pool.execute(`
+        SELECT SUM(total_amount_inr) as total_revenue
+        FROM orders
+        WHERE created_at >= ? AND created_at < ?
+      `, [startDate, endDate]);
+      totalRevenue = totalRevenueResult[0].total_revenue || 0;
+    } else {
+      const [totalRevenueResult] = await pool.execute(`
+        SELECT SUM(total_amount_usd) as total_revenue
+        FROM orders
+        WHERE created_at >= ? AND created_at < ?
+      `, [startDate, endDate]);
+      totalRevenue = totalRevenueResult[0].total_revenue || 0;
+    }
+
+    // Tables served
+    const [tablesServedResult] = await pool.execute(`
+      SELECT COUNT(DISTINCT table_id) as tables_served
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+    `, [startDate, endDate]);
+    const tablesServed = tablesServedResult[0].tables_served || 0;
+
+    // Average order value
+    const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+
+    // Customers
+    const [customersResult] = await pool.execute(`
+      SELECT COUNT(DISTINCT customer_id) as total_customers
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+    `, [startDate, endDate]);
+    const totalCustomers = customersResult[0].total_customers || 0;
+
+    // Average items per order
+    const [avgItemsResult] = await pool.execute(`
+      SELECT AVG(item_count) as avg_items_per_order
+      FROM (
+        SELECT o.id, COUNT(oi.id) as item_count
+        FROM orders o
+        LEFT JOIN order_items oi ON o.id = oi.order_id
+        WHERE o.created_at >= ? AND o.created_at < ?
+        GROUP BY o.id
+      ) as order_items_count
+    `, [startDate, endDate]);
+    const avgItemsPerOrder = avgItemsResult[0].avg_items_per_order || 0;
+
+    res.json({
+      success: true,
+      data: {
+        total_orders: totalOrders,
+        [`total_revenue_${currency.toLowerCase()}`]: totalRevenue,
+        tables_served: tablesServed,
+        avg_order_value: avgOrderValue,
+        total_customers: totalCustomers,
+        avg_items_per_order: avgItemsPerOrder
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching summary analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch summary analytics',
+      error: error.message
+    });
+  }
+});
+
+// Get revenue and orders over time - UPDATED
+// Get revenue and orders over time - UPDATED
+app.get('/api/analytics/revenue-orders', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    let groupBy, dateFormat;
+    switch (period) {
+      case 'daily':
+        groupBy = 'DATE(created_at)';
+        dateFormat = '%Y-%m-%d';
+        break;
+      case 'weekly':
+        groupBy = 'YEARWEEK(created_at)';
+        dateFormat = '%Y-%m-%d';
+        break;
+      case 'monthly':
+        groupBy = 'YEAR(created_at), MONTH(created_at)';
+        dateFormat = '%Y-%m-%d';
+        break;
+      case 'yearly':
+        groupBy = 'YEAR(created_at)';
+        dateFormat = '%Y-%m-%d';
+        break;
+      default:
+        groupBy = 'DATE(created_at)';
+        dateFormat = '%Y-%m-%d';
+    }
+
+    const revenueColumn = currency === 'INR' ? 'total_amount_inr' : 'total_amount_usd';
+
+    const [results] = await pool.execute(`
+      SELECT 
+        ${groupBy} as date_group,
+        DATE_FORMAT(MIN(created_at), '${dateFormat}') as date,
+        COUNT(*) as orders,
+        COALESCE(SUM(${revenueColumn}), 0) as revenue,
+        COUNT(DISTINCT table_id) as tables_used,
+        COALESCE(AVG(${revenueColumn}), 0) as avg_order_value
+      FROM orders 
+      WHERE created_at >= ? AND created_at < ?
+      GROUP BY ${groupBy}
+      ORDER BY date_group
+    `, [startDate, endDate]);
+
+    // Format the data for the chart
+    const formattedData = results.map(row => ({
+      date: row.date,
+      orders: row.orders,
+      revenue: row.revenue,
+      tables_used: row.tables_used,
+      avg_order_value: row.avg_order_value,
+      [`revenue_${currency.toLowerCase()}`]: row.revenue,
+      [`avg_order_value_${currency.toLowerCase()}`]: row.avg_order_value
+    }));
+
+    res.json({ success: true, data: formattedData });
+  } catch (error) {
+    console.error('Error fetching revenue/orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revenue/orders',
+      error: error.message
+    });
+  }
+});
+
+// Get top items - UPDATED
+app.get('/api/analytics/top-items', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    const revenueColumn = currency === 'INR' ? 'oi.price_inr' : 'oi.price_usd';
+
+    const [results] = await pool.execute(`
+      SELECT 
+        mi.id,
+        mi.name as item_name,
+        mi.category,
+        SUM(oi.quantity) as quantity_sold,
+        COALESCE(SUM(oi.quantity * ${revenueColumn}), 0) as revenue,
+        COUNT(DISTINCT oi.order_id) as order_count,
+        COALESCE(AVG(oi.quantity), 0) as avg_quantity_per_order
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN menu_items mi ON oi.menu_item_id = mi.id
+      WHERE o.created_at >= ? AND o.created_at < ?
+      GROUP BY mi.id, mi.name, mi.category
+      ORDER BY quantity_sold DESC
+      LIMIT 10
+    `, [startDate, endDate]);
+
+    // Format the data for the chart
+    const formattedData = results.map(row => ({
+      ...row,
+      [`revenue_${currency.toLowerCase()}`]: row.revenue
+    }));
+
+    res.json({ success: true, data: formattedData });
+  } catch (error) {
+    console.error('Error fetching top items:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch top items',
+      error: error.message
+    });
+  }
+});
+
+// Get category performance
+app.get('/api/analytics/category-performance', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    const revenueColumn = currency === 'INR' ? 'oi.price_inr' : 'oi.price_usd';
+
+    const [results] = await pool.execute(`
+      SELECT 
+        mi.category,
+        COUNT(DISTINCT o.id) as total_orders,
+        SUM(oi.quantity) as total_items,
+        COALESCE(SUM(oi.quantity * ${revenueColumn}), 0) as total_revenue,
+        COALESCE(AVG(oi.quantity * ${revenueColumn}), 0) as avg_item_revenue
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN menu_items mi ON oi.menu_item_id = mi.id
+      WHERE o.created_at >= ? AND o.created_at < ?
+      GROUP BY mi.category
+      ORDER BY total_revenue DESC
+    `, [startDate, endDate]);
+
+    // Format the data for the chart
+    const formattedData = results.map(row => ({
+      ...row,
+      [`total_revenue_${currency.toLowerCase()}`]: row.total_revenue,
+      [`avg_item_revenue_${currency.toLowerCase()}`]: row.avg_item_revenue
+    }));
+
+    res.json({ success: true, data: formattedData });
+  } catch (error) {
+    console.error('Error fetching category performance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category performance',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/analytics/customer-retention', async (req, res) => {
+  try {
+    const { period = 'daily' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    // Get customer retention data
+    const [retentionData] = await pool.execute(`
+      SELECT 
+        DATE(created_at) as date,
+        COUNT(*) as total_customers,
+        SUM(CASE WHEN order_count > 1 THEN 1 ELSE 0 END) as returning_customers,
+        SUM(CASE WHEN order_count = 1 THEN 1 ELSE 0 END) as new_customers
+      FROM (
+        SELECT 
+          o.customer_id,
+          DATE(o.created_at) as created_at,
+          COUNT(*) as order_count
+        FROM orders o
+        WHERE o.created_at >= ? AND o.created_at < ?
+        GROUP BY o.customer_id, DATE(o.created_at)
+      ) as customer_data
+      GROUP BY DATE(created_at)
+      ORDER BY date
+    `, [startDate, endDate]);
+
+    // Calculate overall retention rate
+    const [retentionRate] = await pool.execute(`
+      SELECT 
+        COUNT(DISTINCT CASE WHEN order_count > 1 THEN customer_id END) as returning_customers,
+        COUNT(DISTINCT customer_id) as total_customers
+      FROM (
+        SELECT 
+          customer_id,
+          COUNT(*) as order_count
+        FROM orders
+        WHERE created_at >= ? AND created_at < ?
+        GROUP BY customer_id
+      ) as customer_data
+    `, [startDate, endDate]);
+
+    const rate = retentionRate[0].total_customers > 0
+      ? (retentionRate[0].returning_customers / retentionRate[0].total_customers * 100).toFixed(1)
+      : 0;
+
+    res.json({
+      success: true,
+      data: {
+        timeline: retentionData,
+        retention_rate: rate,
+        new_customers: retentionRate[0].total_customers - retentionRate[0].returning_customers,
+        returning_customers: retentionRate[0].returning_customers
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching customer retention:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer retention',
+      error: error.message
+    });
+  }
+});
+
+// Get payment methods distribution
+app.get('/api/analytics/payment-methods', async (req, res) => {
+  try {
+    const { period = 'daily' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    const [results] = await pool.execute(`
+      SELECT 
+        payment_method,
+        COUNT(*) as count
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+      GROUP BY payment_method
+    `, [startDate, endDate]);
+
+    // Convert to object format for the chart
+    const paymentMethods = {};
+    results.forEach(item => {
+      paymentMethods[item.payment_method] = item.count;
+    });
+
+    res.json({ success: true, data: paymentMethods });
+  } catch (error) {
+    console.error('Error fetching payment methods:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment methods',
+      error: error.message
+    });
+  }
+});
+
+// Get table performance
+// Get table performance
+app.get('/api/analytics/table-performance', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    const revenueColumn = currency === 'INR' ? 'o.total_amount_inr' : 'o.total_amount_usd';
+
+    const [results] = await pool.execute(`
+      SELECT 
+        t.table_name,
+        t.table_number,
+        t.capacity,
+        t.floor,
+        COUNT(o.id) as total_orders,
+        COALESCE(SUM(${revenueColumn}), 0) as total_revenue,
+        COALESCE(AVG(${revenueColumn}), 0) as avg_order_value,
+        COUNT(DISTINCT DATE(o.created_at)) as days_used,
+        COALESCE(AVG(o.total_items), 0) as avg_items_per_order
+      FROM restaurant_tables t
+      LEFT JOIN (
+        SELECT 
+          o.*,
+          COUNT(oi.id) as total_items
+        FROM orders o
+        LEFT JOIN order_items oi ON o.id = oi.order_id
+        WHERE o.created_at >= ? AND o.created_at < ?
+        GROUP BY o.id
+      ) o ON t.id = o.table_id
+      GROUP BY t.id, t.table_name, t.table_number, t.capacity, t.floor
+      ORDER BY total_revenue DESC
+    `, [startDate, endDate]);
+
+    // Format the data for the chart. Revenue per seat lets tables of different sizes be compared.
+    const formattedData = results.map(row => ({
+      ...row,
+      [`total_revenue_${currency.toLowerCase()}`]: row.total_revenue,
+      [`avg_order_value_${currency.toLowerCase()}`]: row.avg_order_value,
+      revenue_per_seat: fromCents(Math.round(toCents(row.total_revenue) / row.capacity))
+    }));
+
+    res.json({ success: true, data: formattedData });
+  } catch (error) {
+    console.error('Error fetching table performance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch table performance',
+      error: error.message
+    });
+  }
+});
+
+// Get hourly order distribution
+app.get('/api/analytics/hourly-orders', async (req, res) => {
+  try {
+    const { period = 'daily' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    const [results] = await pool.execute(`
+      SELECT 
+        HOUR(created_at) as hour,
+        COUNT(*) as orders,
+        COALESCE(SUM(total_amount_inr), 0) as revenue_inr,
+        COALESCE(SUM(total_amount_usd), 0) as revenue_usd,
+        COUNT(DISTINCT table_id) as tables_used
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+      GROUP BY HOUR(created_at)
+      ORDER BY hour
+    `, [startDate, endDate]);
+
+    // Fill in missing hours with 0 orders
+    const hourlyData = [];
+    for (let i = 0; i < 24; i++) {
+      const hourData = results.find(item => item.hour === i);
+      hourlyData.push({
+        hour: i,
+        orders: hourData ? hourData.orders : 0,
+        revenue_inr: hourData ? hourData.revenue_inr : 0,
+        revenue_usd: hourData ? hourData.revenue_usd : 0,
+        tables_used: hourData ? hourData.tables_used : 0
+      });
+    }
+
+    res.json({ success: true, data: hourlyData });
+  } catch (error) {
+    console.error('Error fetching hourly orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch hourly orders',
+      error: error.message
+    });
+  }
+});
+
+// Get previous period data for comparison
+app.get('/api/analytics/previous-period', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getPreviousPeriodDateRange(period);
+
+    // Total orders
+    const [totalOrdersResult] = await pool.execute(`
+      SELECT COUNT(*) as total_orders
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+    `, [startDate, endDate]);
+    const totalOrders = totalOrdersResult[0].total_orders;
+
+    // Total revenue - use different queries based on currency
+    let totalRevenue;
+    if (currency === 'INR') {
+      const [totalRevenueResult] = await pool.execute(`
+        SELECT SUM(total_amount_inr) as total_revenue
+        FROM orders
+        WHERE created_at >= ? AND created_at < ?
+      `, [startDate, endDate]);
+      totalRevenue = totalRevenueResult[0].total_revenue || 0;
+    } else {
+      const [totalRevenueResult] = await pool.execute(`
+        SELECT SUM(total_amount_usd) as total_revenue
+        FROM orders
+        WHERE created_at >= ? AND created_at < ?
+      `, [startDate, endDate]);
+      totalRevenue = totalRevenueResult[0].total_revenue || 0;
+    }
+
+    // Tables served
+    const [tablesServedResult] = await pool.execute(`
+      SELECT COUNT(DISTINCT table_id) as tables_served
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+    `, [startDate, endDate]);
+    const tablesServed = tablesServedResult[0].tables_served || 0;
+
+    // Average order value
+    const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+
+    res.json({
+      success: true,
+      data: {
+        total_orders: totalOrders,
+        [`total_revenue_${currency.toLowerCase()}`]: totalRevenue,
+        tables_served: tablesServed,
+        avg_order_value: avgOrderValue
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching previous period data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch previous period data',
+      error: error.message
+    });
+  }
+});
+
+// User authentication endpoints
+app.post('/api/auth/register', async (req, res) => {
+  try {
+    // Self-registration only ever creates customers; staff accounts are created through /api/users
+    const { fullName, email, password } = req.body;
+
+    if (!fullName || !email || !password) {
+      return res.status(400).json({ success: false, message: 'Full name, email and password are required' });
+    }
+
+    // Check if user already exists
+    const [existingUser] = await pool.execute(
+      'SELECT id FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (existingUser.length > 0) {
+      return res.status(400).json({ success: false, message: 'User with this email already exists' });
+    }
+
+    // Hash password
+    const saltRounds = 10;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    // Create new customer
+    const [result] = await pool.execute(
+      'INSERT INTO users (full_name, email, password_hash, role) VALUES (?, ?, ?, ?)',
+      [fullName, email, passwordHash, 'customer']
+    );
+
+    // Get the created user
+    const [newUser] = await pool.execute(
+      'SELECT id, full_name, email, role FROM users WHERE id = ?',
+      [result.insertId]
+    );
+
+    res.json({
+      success: true,
+      message: 'User registered successfully',
+      data: newUser[0]
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user by email
+    const [users] = await pool.execute(
+      'SELECT id, full_name, email, password_hash, role FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length === 0) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    const user = users[0];
+
+    // Compare password
+    const passwordMatch = await bcrypt.compare(password, user.password_hash);
+
+    if (!passwordMatch) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    // Remove password hash from response
+    const { password_hash, ...userWithoutPassword } = user;
+
+    const { tokens } = await issueTokens(pool, user);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: userWithoutPassword,
+      tokens
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Refresh token is required' });
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Lock the row so two concurrent refreshes cannot both rotate the same token
+    const [rows] = await connection.execute(
+      `SELECT rt.id, rt.user_id, rt.expires_at, rt.revoked_at, u.full_name, u.email, u.role
+       FROM refresh_tokens rt
+       JOIN users u ON rt.user_id = u.id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    const session = rows[0];
+
+    if (session.revoked_at) {
+      // A revoked token being replayed means it was probably stolen: end every session of this user
+      await connection.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [session.user_id]
+      );
+      await connection.commit();
+      return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      await connection.rollback();
+      return res.status(401).json({ success: false, message: 'Refresh token expired' });
+    }
+
+    const user = { id: session.user_id, full_name: session.full_name, email: session.email, role: session.role };
+    const { sessionId, tokens } = await issueTokens(connection, user);
+
+    await connection.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = ? WHERE id = ?',
+      [sessionId, session.id]
+    );
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: user,
+      tokens
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error refreshing token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const { refreshToken, allSessions } = req.body;
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+
+    // Logout should still work with an expired access token, so only the signature is checked
+    let accessPayload = null;
+    if (accessToken) {
+      try {
+        accessPayload = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
+      } catch (error) {
+        accessPayload = null;
+      }
+    }
+
+    if (!refreshToken && !accessPayload) {
+      return res.status(400).json({ success: false, message: 'Refresh token or access token is required' });
+    }
+
+    if (allSessions && accessPayload) {
+      await pool.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [accessPayload.sub]
+      );
+    } else {
+      if (refreshToken) {
+        await pool.execute(
+          'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+          [hashToken(refreshToken)]
+        );
+      }
+      if (accessPayload) {
+        await pool.execute(
+          'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+          [accessPayload.sid, accessPayload.sub]
+        );
+      }
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout',
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/auth/me', authenticateToken, (req, res) => {
+  const { sessionId, ...user } = req.user;
+  res.json({ success: true, data: user });
+});
+
+// User management endpoints (staff accounts and role changes)
+app.get('/api/users', authorize('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.query;
+    let query = 'SELECT id, full_name, email, role, created_at FROM users';
+    const params = [];
+
+    if (role) {
+      query += ' WHERE role = ?';
+      params.push(role);
+    }
+
+    query += ' ORDER BY full_name';
+
+    const [rows] = await pool.execute(query, params);
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+});
+
+app.post('/api/users', authorize('users:manage'), async (req, res) => {
+  try {
+    const { fullName, email, password, role } = req.body;
+
+    if (!fullName || !email || !password || !role) {
+      return res.status(400).json({ success: false, message: 'Full name, email, password and role are required' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Allowed roles: ${ROLES.join(', ')}` });
+    }
+
+    if (!canAssignRole(req.user.role, role)) {
+      return res.status(403).json({ success: false, message: `You cannot create users with the ${role} role` });
+    }
+
+    const [existingUser] = await pool.execute('SELECT id FROM users WHERE email = ?', [email]);
+    if (existingUser.length > 0) {
+      return res.status(400).json({ success: false, message: 'User with this email already exists' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const [result] = await pool.execute(
+      'INSERT INTO users (full_name, email, password_hash, role) VALUES (?, ?, ?, ?)',
+      [fullName, email, passwordHash, role]
+    );
+
+    const [newUser] = await pool.execute(
+      'SELECT id, full_name, email, role, created_at FROM users WHERE id = ?',
+      [result.insertId]
+    );
+    res.json({ success: true, message: 'User created successfully', data: newUser[0] });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user',
+      error: error.message
+    });
+  }
+});
+
+app.put('/api/users/:id/role', authorize('users:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Invalid role. Allowed roles: ${ROLES.join(', ')}` });
+    }
+
+    const [users] = await pool.execute('SELECT id, role FROM users WHERE id = ?', [req.params.id]);
+    if (users.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Both the current and the new role must be within the actor's reach
+    if (!canAssignRole(req.user.role, role) || !canAssignRole(req.user.role, users[0].role)) {
+      return res.status(403).json({ success: false, message: 'You cannot change this user to or from that role' });
+    }
+
+    await pool.execute('UPDATE users SET role = ? WHERE id = ?', [role, req.params.id]);
+
+    const [updatedUser] = await pool.execute(
+      'SELECT id, full_name, email, role, created_at FROM users WHERE id = ?',
+      [req.params.id]
+    );
+    res.json({ success: true, data: updatedUser[0] });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: error.message
+    });
+  }
+});
+
+// Staff endpoints
+// Staff members can be linked to a login user; the link is what lets order
+// status changes be credited to them. Waiters are assigned to table groups,
+// and a PIN lets staff switch users quickly on a shared tablet.
+
+const PIN_PATTERN = /^\d{4,6}$/;
+const PIN_MAX_ATTEMPTS = 5;
+const PIN_LOCK_MINUTES = 5;
+
+const STAFF_SELECT = `
+  SELECT s.id, s.user_id, s.name, s.role, s.email, s.phone, s.hire_date, s.is_active,
+    s.hourly_rate_inr, s.hourly_rate_usd,
+    (s.pin_hash IS NOT NULL) AS has_pin, s.created_at, s.updated_at,
+    u.email AS user_email, u.role AS user_role
+  FROM staff s
+  LEFT JOIN users u ON s.user_id = u.id
+`;
+
+const getStaffIdForUser = async (db, userId) => {
+  const [rows] = await db.execute('SELECT id FROM staff WHERE user_id = ? AND is_active = true', [userId]);
+  return rows.length > 0 ? rows[0].id : null;
+};
+
+// Table groups assigned to the given staff members, keyed by staff id
+const loadStaffTableGroups = async (db, staffIds) => {
+  const groupsByStaff = new Map(staffIds.map(id => [id, []]));
+  if (staffIds.length === 0) {
+    return groupsByStaff;
+  }
+
+  const [rows] = await db.execute(
+    `SELECT stg.staff_id, tg.id, tg.name
+     FROM staff_table_groups stg
+     JOIN table_groups tg ON stg.table_group_id = tg.id
+     WHERE stg.staff_id IN (${placeholders(staffIds)})
+     ORDER BY tg.name`,
+    staffIds
+  );
+  for (const { staff_id, ...group } of rows) {
+    groupsByStaff.get(staff_id).push(group);
+  }
+  return groupsByStaff;
+};
+
+const attachStaffTableGroups = async (db, staffMembers) => {
+  const groupsByStaff = await loadStaffTableGroups(db, staffMembers.map(member => member.id));
+  return staffMembers.map(member => ({ ...member, table_groups: groupsByStaff.get(member.id) || [] }));
+};
+
+// Pay rates are only shown to those who manage staff
+const hidePayRates = (req, member) => {
+  if (!member || hasPermission(req.user.role, 'staff:manage')) {
+    return member;
+  }
+  const { hourly_rate_inr, hourly_rate_usd, ...rest } = member;
+  return rest;
+};
+
+const getStaffMember = async (db, staffId) => {
+  const [rows] = await db.execute(`${STAFF_SELECT} WHERE s.id = ?`, [staffId]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const [member] = await attachStaffTableGroups(db, rows);
+  return member;
+};
+
+// Validate a staff payload. With partial, missing fields are left out of the
+// result so the caller keeps the stored values.
+const parseStaffFields = (body, { partial = false } = {}) => {
+  const fields = {};
+
+  for (const field of ['name', 'role']) {
+    if (body[field] === undefined && partial) continue;
+    if (typeof body[field] !== 'string' || body[field].trim() === '') {
+      throw new ApiError(400, `Staff ${field} is required`);
+    }
+    fields[field] = body[field].trim();
+  }
+
+  for (const field of ['email', 'phone', 'hire_date', 'user_id']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] || null;
+    }
+  }
+  for (const field of ['hourly_rate_inr', 'hourly_rate_usd']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === null ? null : parseAmount(body[field], field);
+    }
+  }
+  if (body.is_active !== undefined) {
+    fields.is_active = Boolean(body.is_active);
+  }
+
+  return fields;
+};
+
+// Only staff accounts can be linked, and each user to a single staff member
+const validateStaffUser = async (db, userId, staffId = null) => {
+  const [users] = await db.execute('SELECT id, role FROM users WHERE id = ?', [userId]);
+  if (users.length === 0) {
+    throw new ApiError(400, `User ${userId} does not exist`);
+  }
+  if (users[0].role === 'customer') {
+    throw new ApiError(400, 'Customer accounts cannot be linked to staff');
+  }
+
+  const [linked] = await db.execute('SELECT id FROM staff WHERE user_id = ? AND id != ?', [userId, staffId || 0]);
+  if (linked.length > 0) {
+    throw new ApiError(400, `User ${userId} is already linked to another staff member`);
+  }
+};
+
+const hashPin = (pin) => {
+  if (typeof pin !== 'string' || !PIN_PATTERN.test(pin)) {
+    throw new ApiError(400, 'PIN must be 4 to 6 digits');
+  }
+  return bcrypt.hash(pin, 10);
+};
+
+app.get('/api/staff', authorize('staff:read'), async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const [rows] = await pool.execute(
+      `${STAFF_SELECT} ${includeInactive ? '' : 'WHERE s.is_active = true'} ORDER BY s.name`
+    );
+    const staffMembers = await attachStaffTableGroups(pool, rows);
+    res.json({ success: true, data: staffMembers.map(member => hidePayRates(req, member)) });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch staff', error: error.message });
+  }
+});
+
+// The staff profile of the signed-in user, with their assigned table groups
+app.get('/api/staff/me', authorize('staff:read'), async (req, res) => {
+  try {
+    const staffId = await getStaffIdForUser(pool, req.user.id);
+    if (!staffId) {
+      return res.status(404).json({ success: false, message: 'No staff profile is linked to this user' });
+    }
+    res.json({ success: true, data: hidePayRates(req, await getStaffMember(pool, staffId)) });
+  } catch (error) {
+    console.error('Error fetching staff profile:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch staff profile', error: error.message });
+  }
+});
+
+app.get('/api/staff/:id', authorize('staff:read'), async (req, res) => {
+  try {
+    const member = await getStaffMember(pool, req.params.id);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+    res.json({ success: true, data: hidePayRates(req, member) });
+  } catch (error) {
+    console.error('Error fetching staff member:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch staff member', error: error.message });
+  }
+});
+
+app.post('/api/staff', authorize('staff:manage'), async (req, res) => {
+  try {
+    const fields = parseStaffFields(req.body);
+    if (fields.user_id) {
+      await validateStaffUser(pool, fields.user_id);
+    }
+    const pinHash = req.body.pin ? await hashPin(req.body.pin) : null;
+
+    const [result] = await pool.execute(
+      `INSERT INTO staff (user_id, name, role, email, phone, hire_date, hourly_rate_inr, hourly_rate_usd, is_active, pin_hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fields.user_id || null,
+        fields.name,
+        fields.role,
+        fields.email || null,
+        fields.phone || null,
+        fields.hire_date || null,
+        fields.hourly_rate_inr ?? null,
+        fields.hourly_rate_usd ?? null,
+        fields.is_active !== false,
+        pinHash
+      ]
+    );
+    res.json({ success: true, data: await getStaffMember(pool, result.insertId) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating staff member:', error);
+    res.status(500).json({ success: false, message: 'Failed to create staff member', error: error.message });
+  }
+});
+
+app.put('/api/staff/:id', authorize('staff:manage'), async (req, res) => {
+  try {
+    const fields = parseStaffFields(req.body, { partial: true });
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return res.status(400).json({ success: false, message: 'No staff fields to update' });
+    }
+    if (fields.user_id) {
+      await validateStaffUser(pool, fields.user_id, req.params.id);
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE staff SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(column => fields[column]), req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+    res.json({ success: true, data: await getStaffMember(pool, req.params.id) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating staff member:', error);
+    res.status(500).json({ success: false, message: 'Failed to update staff member', error: error.message });
+  }
+});
+
+app.delete('/api/staff/:id', authorize('staff:manage'), async (req, res) => {
+  try {
+    // Orders and timesheets keep their history: staff with either can only be deactivated
+    const [[{ orderCount }]] = await pool.execute(
+      `SELECT COUNT(*) AS orderCount FROM orders
+       WHERE ? IN (staff_id, accepted_by, prepared_by, served_by)`,
+      [req.params.id]
+    );
+    const [[{ entryCount }]] = await pool.execute(
+      'SELECT COUNT(*) AS entryCount FROM time_entries WHERE staff_id = ?',
+      [req.params.id]
+    );
+    if (orderCount > 0 || entryCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a staff member who has handled orders or clocked time. Deactivate them instead.'
+      });
+    }
+
+    const [result] = await pool.execute('DELETE FROM staff WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+    res.json({ success: true, message: 'Staff member deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting staff member:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete staff member', error: error.message });
+  }
+});
+
+// Set or clear a PIN. Staff may change their own; managers may set or clear anyone's.
+app.put('/api/staff/:id/pin', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT id, user_id FROM staff WHERE id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+
+    const canManage = hasPermission(req.user.role, 'staff:manage');
+    if (!canManage && rows[0].user_id !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+    }
+
+    const { pin } = req.body;
+    if (pin === null && !canManage) {
+      return res.status(403).json({ success: false, message: 'Only managers can remove a PIN' });
+    }
+
+    const pinHash = pin === null ? null : await hashPin(pin);
+    await pool.execute(
+      'UPDATE staff SET pin_hash = ?, pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = ?',
+      [pinHash, req.params.id]
+    );
+    res.json({ success: true, message: pinHash ? 'PIN updated successfully' : 'PIN removed successfully' });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating staff PIN:', error);
+    res.status(500).json({ success: false, message: 'Failed to update PIN', error: error.message });
+  }
+});
+
+// Replace the table groups a staff member looks after
+app.put('/api/staff/:id/table-groups', authorize('staff:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { table_group_ids } = req.body;
+    if (!Array.isArray(table_group_ids)) {
+      await connection.rollback();
+      return res.status(400).json({ success: false, message: 'table_group_ids must be an array' });
+    }
+
+    const [rows] = await connection.execute('SELECT id FROM staff WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+
+    await connection.execute('DELETE FROM staff_table_groups WHERE staff_id = ?', [req.params.id]);
+    for (const groupId of new Set(table_group_ids)) {
+      await connection.execute(
+        'INSERT INTO staff_table_groups (staff_id, table_group_id) VALUES (?, ?)',
+        [req.params.id, groupId]
+      );
+    }
+
+    await connection.commit();
+    res.json({ success: true, data: await getStaffMember(pool, req.params.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({ success: false, message: 'Unknown table group' });
+    }
+    console.error('Error updating staff table groups:', error);
+    res.status(500).json({ success: false, message: 'Failed to update staff table groups', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Quick user switch on a shared tablet: a signed-in staff device trades its
+// session for one belonging to the staff member who entered their PIN
+app.post('/api/auth/pin-login', authorize('staff:read'), async (req, res) => {
+  try {
+    const { staff_id, pin } = req.body;
+    if (!staff_id || !pin) {
+      return res.status(400).json({ success: false, message: 'staff_id and pin are required' });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT s.id AS staff_id, s.pin_hash, s.pin_failed_attempts, s.pin_locked_until,
+         s.pin_locked_until > NOW() AS is_locked, u.id, u.full_name, u.email, u.role
+       FROM staff s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = ? AND s.is_active = true`,
+      [staff_id]
+    );
+    if (rows.length === 0 || !rows[0].pin_hash) {
+      return res.status(401).json({ success: false, message: 'Invalid staff member or PIN' });
+    }
+
+    const { pin_hash, pin_failed_attempts, pin_locked_until, is_locked, ...user } = rows[0];
+    if (is_locked) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed PIN attempts. Try again later.',
+        locked_until: pin_locked_until
+      });
+    }
+
+    if (!(await bcrypt.compare(String(pin), pin_hash))) {
+      // Lock the PIN for a few minutes after repeated failures
+      const attempts = pin_failed_attempts + 1;
+      if (attempts >= PIN_MAX_ATTEMPTS) {
+        await pool.execute(
+          'UPDATE staff SET pin_failed_attempts = 0, pin_locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE) WHERE id = ?',
+          [PIN_LOCK_MINUTES, user.staff_id]
+        );
+      } else {
+        await pool.execute('UPDATE staff SET pin_failed_attempts = ? WHERE id = ?', [attempts, user.staff_id]);
+      }
+      return res.status(401).json({ success: false, message: 'Invalid staff member or PIN' });
+    }
+
+    await pool.execute(
+      'UPDATE staff SET pin_failed_attempts = 0, pin_locked_until = NULL WHERE id = ?',
+      [user.staff_id]
+    );
+
+    // The tablet's previous session ends with the switch
+    await pool.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [req.user.sessionId]
+    );
+    const { tokens } = await issueTokens(pool, user);
+
+    res.json({ success: true, message: 'Switched user successfully', data: user, tokens });
+  } catch (error) {
+    console.error('Error switching user by PIN:', error);
+    res.status(500).json({ success: false, message: 'Failed to switch user', error: error.message });
+  }
+});
+
+// Shift endpoints
+// Shift templates describe the usual shifts (e.g. Lunch 11:00-15:00), the
+// roster assigns staff to shifts by date, and the time clock records when
+// they actually worked, including breaks.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const parseShiftTimes = (body, { partial = false } = {}) => {
+  const fields = {};
+  for (const field of ['start_time', 'end_time']) {
+    if (body[field] === undefined && partial) continue;
+    if (typeof body[field] !== 'string' || !TIME_PATTERN.test(body[field])) {
+      throw new ApiError(400, `${field} must be a time in HH:MM format`);
+    }
+    fields[field] = body[field];
+  }
+  if (body.break_minutes !== undefined) {
+    const breakMinutes = Number(body.break_minutes);
+    if (!Number.isInteger(breakMinutes) || breakMinutes < 0) {
+      throw new ApiError(400, 'break_minutes must be a whole number of 0 or more');
+    }
+    fields.break_minutes = breakMinutes;
+  }
+  return fields;
+};
+
+const parseDate = (value, field) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new ApiError(400, `${field} must be a date in YYYY-MM-DD format`);
+  }
+  return value;
+};
+
+// Monday of the week containing the given YYYY-MM-DD date (today by default)
+const getWeekStart = (date) => {
+  const day = date ? new Date(`${date}T00:00:00Z`) : new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+const ROSTER_SELECT = `
+  SELECT rs.*, DATE_FORMAT(rs.shift_date, '%Y-%m-%d') AS shift_date,
+    s.name AS staff_name, s.role AS staff_role, st.name AS shift_name
+  FROM roster_shifts rs
+  JOIN staff s ON rs.staff_id = s.id
+  LEFT JOIN shift_templates st ON rs.shift_template_id = st.id
+`;
+
+const getRosterShift = async (db, rosterShiftId) => {
+  const [rows] = await db.execute(`${ROSTER_SELECT} WHERE rs.id = ?`, [rosterShiftId]);
+  return rows[0] || null;
+};
+
+// Time entries with breaks and the minutes actually worked. Open entries and
+// breaks count up to now.
+const TIME_ENTRY_SELECT = `
+  SELECT te.*, s.name AS staff_name,
+    TIMESTAMPDIFF(SECOND, te.clock_in_at, COALESCE(te.clock_out_at, NOW())) AS elapsed_seconds,
+    COALESCE((
+      SELECT SUM(TIMESTAMPDIFF(SECOND, b.started_at, COALESCE(b.ended_at, te.clock_out_at, NOW())))
+      FROM time_entry_breaks b
+      WHERE b.time_entry_id = te.id
+    ), 0) AS break_seconds
+  FROM time_entries te
+  JOIN staff s ON te.staff_id = s.id
+`;
+
+const formatTimeEntry = ({ elapsed_seconds, break_seconds, ...entry }, breaks) => ({
+  ...entry,
+  breaks,
+  on_break: breaks.some(b => b.ended_at === null),
+  break_minutes: Math.round(Number(break_seconds) / 60),
+  worked_minutes: Math.round((Number(elapsed_seconds) - Number(break_seconds)) / 60)
+});
+
+const loadTimeEntries = async (db, where, params) => {
+  const [entries] = await db.execute(`${TIME_ENTRY_SELECT} ${where} ORDER BY te.clock_in_at DESC`, params);
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const entryIds = entries.map(entry => entry.id);
+  const [breaks] = await db.execute(
+    `SELECT * FROM time_entry_breaks WHERE time_entry_id IN (${placeholders(entryIds)}) ORDER BY started_at`,
+    entryIds
+  );
+  return entries.map(entry => formatTimeEntry(entry, breaks.filter(b => b.time_entry_id === entry.id)));
+};
+
+const getTimeEntry = async (db, entryId) => {
+  const [entry] = await loadTimeEntries(db, 'WHERE te.id = ?', [entryId]);
+  return entry || null;
+};
+
+// The staff member a time clock request acts for: the caller's own staff
+// profile, or with shifts:manage any staff member passed as staff_id
+const resolveClockStaffId = async (req) => {
+  const ownStaffId = await getStaffIdForUser(pool, req.user.id);
+  const requested = req.body.staff_id !== undefined ? Number(req.body.staff_id) : null;
+
+  if (requested && requested !== ownStaffId) {
+    if (!hasPermission(req.user.role, 'shifts:manage')) {
+      throw new ApiError(403, 'You can only use the time clock for yourself');
+    }
+    const [rows] = await pool.execute('SELECT id FROM staff WHERE id = ? AND is_active = true', [requested]);
+    if (rows.length === 0) {
+      throw new ApiError(404, 'Staff member not found');
+    }
+    return requested;
+  }
+
+  if (!ownStaffId) {
+    throw new ApiError(404, 'No staff profile is linked to this user');
+  }
+  return ownStaffId;
+};
+
+// Lock and return the staff member's open time entry, if any
+const getOpenTimeEntry = async (connection, staffId) => {
+  const [rows] = await connection.execute(
+    'SELECT * FROM time_entries WHERE staff_id = ? AND clock_out_at IS NULL FOR UPDATE',
+    [staffId]
+  );
+  return rows[0] || null;
+};
+
+app.get('/api/shift-templates', authorize('shifts:read'), async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+    const [rows] = await pool.execute(
+      `SELECT * FROM shift_templates ${includeInactive ? '' : 'WHERE is_active = true'} ORDER BY start_time, name`
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching shift templates:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch shift templates', error: error.message });
+  }
+});
+
+app.post('/api/shift-templates', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const { name, is_active } = req.body;
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Shift name is required' });
+    }
+    const times = parseShiftTimes(req.body);
+
+    const [existing] = await pool.execute('SELECT id FROM shift_templates WHERE name = ?', [name.trim()]);
+    if (existing.length > 0) {
+      return res.status(400).json({ success: false, message: 'Shift template already exists' });
+    }
+
+    const [result] = await pool.execute(
+      'INSERT INTO shift_templates (name, start_time, end_time, break_minutes, is_active) VALUES (?, ?, ?, ?, ?)',
+      [name.trim(), times.start_time, times.end_time, times.break_minutes || 0, is_active !== false]
+    );
+    const [rows] = await pool.execute('SELECT * FROM shift_templates WHERE id = ?', [result.insertId]);
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating shift template:', error);
+    res.status(500).json({ success: false, message: 'Failed to create shift template', error: error.message });
+  }
+});
+
+// Rostered shifts keep the times they were created with
+app.put('/api/shift-templates/:id', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const { name, is_active } = req.body;
+    if (name !== undefined && (!name || name.trim() === '')) {
+      return res.status(400).json({ success: false, message: 'Shift name cannot be empty' });
+    }
+    const times = parseShiftTimes(req.body, { partial: true });
+
+    const [result] = await pool.execute(
+      `UPDATE shift_templates SET
+        name = COALESCE(?, name),
+        start_time = COALESCE(?, start_time),
+        end_time = COALESCE(?, end_time),
+        break_minutes = COALESCE(?, break_minutes),
+        is_active = COALESCE(?, is_active)
+      WHERE id = ?`,
+      [
+        name !== undefined ? name.trim() : null,
+        times.start_time || null,
+        times.end_time || null,
+        times.break_minutes ?? null,
+        is_active !== undefined ? is_active : null,
+        req.params.id
+      ]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Shift template not found' });
+    }
+    const [rows] = await pool.execute('SELECT * FROM shift_templates WHERE id = ?', [req.params.id]);
+    res.json({ success: true, data: rows[0] });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating shift template:', error);
+    res.status(500).json({ success: false, message: 'Failed to update shift template', error: error.message });
+  }
+});
+
+app.delete('/api/shift-templates/:id', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM shift_templates WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Shift template not found' });
+    }
+    res.json({ success: true, message: 'Shift template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting shift template:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete shift template', error: error.message });
+  }
+});
+
+// The roster for one week (Monday to Sunday). Filters: week_start (any date in
+// the week, defaults to this week), staff_id
+app.get('/api/roster', authorize('shifts:read'), async (req, res) => {
+  try {
+    const weekStart = getWeekStart(req.query.week_start ? parseDate(req.query.week_start, 'week_start') : null);
+    const params = [weekStart, weekStart];
+    let staffFilter = '';
+    if (req.query.staff_id) {
+      staffFilter = 'AND rs.staff_id = ?';
+      params.push(req.query.staff_id);
+    }
+
+    const [rows] = await pool.execute(
+      `${ROSTER_SELECT}
+       WHERE rs.shift_date >= ? AND rs.shift_date < DATE_ADD(?, INTERVAL 7 DAY) ${staffFilter}
+       ORDER BY rs.shift_date, rs.start_time, s.name`,
+      params
+    );
+    res.json({ success: true, data: { week_start: weekStart, shifts: rows } });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error fetching roster:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch roster', error: error.message });
+  }
+});
+
+// Roster a staff member, either from a shift template or with explicit times.
+// Split shifts are simply two roster entries on the same date.
+app.post('/api/roster', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const { staff_id, shift_template_id, notes } = req.body;
+    const shiftDate = parseDate(req.body.shift_date, 'shift_date');
+
+    const [staffRows] = await pool.execute('SELECT id FROM staff WHERE id = ? AND is_active = true', [staff_id ?? null]);
+    if (staffRows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Unknown or inactive staff member' });
+    }
+
+    let times;
+    if (shift_template_id) {
+      const [templates] = await pool.execute('SELECT * FROM shift_templates WHERE id = ?', [shift_template_id]);
+      if (templates.length === 0) {
+        return res.status(400).json({ success: false, message: 'Unknown shift template' });
+      }
+      // Explicit times override the template's
+      times = { ...templates[0], ...parseShiftTimes(req.body, { partial: true }) };
+    } else {
+      times = parseShiftTimes(req.body);
+    }
+
+    const [result] = await pool.execute(
+      `INSERT INTO roster_shifts (staff_id, shift_template_id, shift_date, start_time, end_time, break_minutes, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [staff_id, shift_template_id || null, shiftDate, times.start_time, times.end_time, times.break_minutes || 0, notes || null]
+    );
+    res.json({ success: true, data: await getRosterShift(pool, result.insertId) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating roster shift:', error);
+    res.status(500).json({ success: false, message: 'Failed to create roster shift', error: error.message });
+  }
+});
+
+app.put('/api/roster/:id', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const times = parseShiftTimes(req.body, { partial: true });
+    const shiftDate = req.body.shift_date !== undefined ? parseDate(req.body.shift_date, 'shift_date') : null;
+    const { staff_id, notes } = req.body;
+
+    if (staff_id !== undefined) {
+      const [staffRows] = await pool.execute('SELECT id FROM staff WHERE id = ? AND is_active = true', [staff_id]);
+      if (staffRows.length === 0) {
+        return res.status(400).json({ success: false, message: 'Unknown or inactive staff member' });
+      }
+    }
+
+    const [result] = await pool.execute(
+      `UPDATE roster_shifts SET
+        staff_id = COALESCE(?, staff_id),
+        shift_date = COALESCE(?, shift_date),
+        start_time = COALESCE(?, start_time),
+        end_time = COALESCE(?, end_time),
+        break_minutes = COALESCE(?, break_minutes),
+        notes = ${notes !== undefined ? '?' : 'notes'}
+      WHERE id = ?`,
+      [
+        staff_id ?? null,
+        shiftDate,
+        times.start_time || null,
+        times.end_time || null,
+        times.break_minutes ?? null,
+        ...(notes !== undefined ? [notes || null] : []),
+        req.params.id
+      ]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Roster shift not found' });
+    }
+    res.json({ success: true, data: await getRosterShift(pool, req.params.id) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating roster shift:', error);
+    res.status(500).json({ success: false, message: 'Failed to update roster shift', error: error.message });
+  }
+});
+
+app.delete('/api/roster/:id', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM roster_shifts WHERE id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Roster shift not found' });
+    }
+    res.json({ success: true, message: 'Roster shift deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting roster shift:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete roster shift', error: error.message });
+  }
+});
+
+// The caller's open time entry (null when clocked out) and today's rostered shifts
+app.get('/api/time-clock/me', authorize('shifts:read'), async (req, res) => {
+  try {
+    const staffId = await getStaffIdForUser(pool, req.user.id);
+    if (!staffId) {
+      return res.status(404).json({ success: false, message: 'No staff profile is linked to this user' });
+    }
+
+    const [current] = await loadTimeEntries(pool, 'WHERE te.staff_id = ? AND te.clock_out_at IS NULL', [staffId]);
+    const [shifts] = await pool.execute(
+      `${ROSTER_SELECT} WHERE rs.staff_id = ? AND rs.shift_date = CURDATE() ORDER BY rs.start_time`,
+      [staffId]
+    );
+    res.json({ success: true, data: { current_entry: current || null, todays_shifts: shifts } });
+  } catch (error) {
+    console.error('Error fetching time clock status:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch time clock status', error: error.message });
+  }
+});
+
+// Clock in, linking the entry to the closest of today's rostered shifts not yet worked
+app.post('/api/time-clock/clock-in', authorize('shifts:read'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const staffId = await resolveClockStaffId(req);
+
+    await connection.execute('SELECT id FROM staff WHERE id = ? FOR UPDATE', [staffId]);
+    const openEntry = await getOpenTimeEntry(connection, staffId);
+    if (openEntry) {
+      throw new ApiError(409, 'Already clocked in', { time_entry_id: openEntry.id });
+    }
+
+    const [shifts] = await connection.execute(
+      `SELECT id FROM roster_shifts
+       WHERE staff_id = ? AND shift_date = CURDATE()
+         AND id NOT IN (SELECT roster_shift_id FROM time_entries WHERE roster_shift_id IS NOT NULL)
+       ORDER BY ABS(TIME_TO_SEC(TIMEDIFF(start_time, CURTIME())))
+       LIMIT 1`,
+      [staffId]
+    );
+
+    const [result] = await connection.execute(
+      'INSERT INTO time_entries (staff_id, roster_shift_id, clock_in_at, notes) VALUES (?, ?, NOW(), ?)',
+      [staffId, shifts.length > 0 ? shifts[0].id : null, req.body.notes || null]
+    );
+    await connection.commit();
+
+    res.json({ success: true, data: await getTimeEntry(pool, result.insertId) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error clocking in:', error);
+    res.status(500).json({ success: false, message: 'Failed to clock in', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Clock out; a break still running ends at the same time
+app.post('/api/time-clock/clock-out', authorize('shifts:read'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const staffId = await resolveClockStaffId(req);
+
+    const openEntry = await getOpenTimeEntry(connection, staffId);
+    if (!openEntry) {
+      throw new ApiError(409, 'Not clocked in');
+    }
+
+    await connection.execute(
+      'UPDATE time_entry_breaks SET ended_at = NOW() WHERE time_entry_id = ? AND ended_at IS NULL',
+      [openEntry.id]
+    );
+    await connection.execute(
+      'UPDATE time_entries SET clock_out_at = NOW(), notes = COALESCE(?, notes) WHERE id = ?',
+      [req.body.notes || null, openEntry.id]
+    );
+    await connection.commit();
+
+    res.json({ success: true, data: await getTimeEntry(pool, openEntry.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error clocking out:', error);
+    res.status(500).json({ success: false, message: 'Failed to clock out', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+app.post('/api/time-clock/break/start', authorize('shifts:read'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const staffId = await resolveClockStaffId(req);
+
+    const openEntry = await getOpenTimeEntry(connection, staffId);
+    if (!openEntry) {
+      throw new ApiError(409, 'Not clocked in');
+    }
+    const [openBreaks] = await connection.execute(
+      'SELECT id FROM time_entry_breaks WHERE time_entry_id = ? AND ended_at IS NULL',
+      [openEntry.id]
+    );
+    if (openBreaks.length > 0) {
+      throw new ApiError(409, 'Already on a break');
+    }
+
+    await connection.execute(
+      'INSERT INTO time_entry_breaks (time_entry_id, started_at) VALUES (?, NOW())',
+      [openEntry.id]
+    );
+    await connection.commit();
+
+    res.json({ success: true, data: await getTimeEntry(pool, openEntry.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error starting break:', error);
+    res.status(500).json({ success: false, message: 'Failed to start break', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+app.post('/api/time-clock/break/end', authorize('shifts:read'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const staffId = await resolveClockStaffId(req);
+
+    const openEntry = await getOpenTimeEntry(connection, staffId);
+    if (!openEntry) {
+      throw new ApiError(409, 'Not clocked in');
+    }
+    const [result] = await connection.execute(
+      'UPDATE time_entry_breaks SET ended_at = NOW() WHERE time_entry_id = ? AND ended_at IS NULL',
+      [openEntry.id]
+    );
+    if (result.affectedRows === 0) {
+      throw new ApiError(409, 'Not on a break');
+    }
+    await connection.commit();
+
+    res.json({ success: true, data: await getTimeEntry(pool, openEntry.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error ending break:', error);
+    res.status(500).json({ success: false, message: 'Failed to end break', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Timesheets. Filters: staff_id, from, to (dates, by clock-in)
+app.get('/api/time-entries', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const { staff_id, from, to } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (staff_id) {
+      conditions.push('te.staff_id = ?');
+      params.push(staff_id);
+    }
+    if (from) {
+      conditions.push('te.clock_in_at >= ?');
+      params.push(parseDate(from, 'from'));
+    }
+    if (to) {
+      conditions.push('te.clock_in_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(parseDate(to, 'to'));
+    }
+
+    const entries = await loadTimeEntries(pool, conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params);
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error fetching time entries:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch time entries', error: error.message });
+  }
+});
+
+// Manager corrections, e.g. a forgotten clock-out
+app.put('/api/time-entries/:id', authorize('shifts:manage'), async (req, res) => {
+  try {
+    const existing = await getTimeEntry(pool, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Time entry not found' });
+    }
+
+    const clockIn = req.body.clock_in_at !== undefined ? new Date(req.body.clock_in_at) : new Date(existing.clock_in_at);
+    const clockOut = req.body.clock_out_at !== undefined
+      ? (req.body.clock_out_at === null ? null : new Date(req.body.clock_out_at))
+      : (existing.clock_out_at ? new Date(existing.clock_out_at) : null);
+
+    if (Number.isNaN(clockIn.getTime()) || (clockOut && Number.isNaN(clockOut.getTime()))) {
+      return res.status(400).json({ success: false, message: 'clock_in_at and clock_out_at must be valid date-times' });
+    }
+    if (clockOut && clockOut <= clockIn) {
+      return res.status(400).json({ success: false, message: 'clock_out_at must be after clock_in_at' });
+    }
+
+    await pool.execute(
+      'UPDATE time_entries SET clock_in_at = ?, clock_out_at = ?, notes = ? WHERE id = ?',
+      [clockIn, clockOut, req.body.notes !== undefined ? req.body.notes || null : existing.notes, req.params.id]
+    );
+    res.json({ success: true, data: await getTimeEntry(pool, req.params.id) });
+  } catch (error) {
+    console.error('Error updating time entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to update time entry', error: error.message });
+  }
+});
+
+// Reservation endpoints
+// Bookings hold a table for party_size guests from reserved_at for
+// duration_minutes. Times are restaurant-local "YYYY-MM-DDTHH:MM" strings.
+// Availability works in minutes from midnight of the booking's date, so
+// bookings that run past midnight compare like any other.
+
+const RESERVATION_STATUSES = ['booked', 'seated', 'cancelled', 'no_show'];
+const RESERVATION_DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ]([01]\d|2[0-3]):([0-5]\d)(:00)?$/;
+const RESERVATION_DEFAULT_DURATION = 90;
+const RESERVATION_SLOT_MINUTES = 30;
+const MINUTES_PER_DAY = 24 * 60;
+
+// A table in use right now is not offered for bookings starting within this
+// many minutes, since the guests at it have yet to leave
+const OCCUPIED_TABLE_HOLD_MINUTES = 90;
+
+// Orders that mean someone is still sitting at the table
+const ACTIVE_ORDER_STATUSES = ['pending', 'accepted', 'preparing', 'ready', 'served'];
+
+const RESERVATION_SELECT = `
+  SELECT r.*, DATE_FORMAT(r.reserved_at, '%Y-%m-%dT%H:%i') AS reserved_at,
+    DATE_FORMAT(DATE_ADD(r.reserved_at, INTERVAL r.duration_minutes MINUTE), '%Y-%m-%dT%H:%i') AS ends_at,
+    rt.table_number, rt.table_name, rt.capacity AS table_capacity, tg.name AS preferred_group_name
+  FROM reservations r
+  LEFT JOIN restaurant_tables rt ON r.table_id = rt.id
+  LEFT JOIN table_groups tg ON r.preferred_group_id = tg.id
+`;
+
+const getReservation = async (db, reservationId) => {
+  const [rows] = await db.execute(`${RESERVATION_SELECT} WHERE r.id = ?`, [reservationId]);
+  return rows[0] || null;
+};
+
+const emitReservationEvent = (event, reservation) => {
+  const rooms = PERMISSIONS['reservations:read'].map(roleRoom);
+  if (reservation.customer_id) {
+    rooms.push(userRoom(reservation.customer_id));
+  }
+  io.to(rooms).emit(event, reservation);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const addDays = (date, days) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + days);
+  return day.toISOString().slice(0, 10);
+};
+
+// "YYYY-MM-DDTHH:MM" for a minute offset from midnight of date
+const formatSlot = (date, minute) => {
+  const dayMinute = ((minute % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = String(Math.floor(dayMinute / 60)).padStart(2, '0');
+  const minutes = String(dayMinute % 60).padStart(2, '0');
+  return `${addDays(date, Math.floor(minute / MINUTES_PER_DAY))}T${hours}:${minutes}`;
+};
+
+const parseReservationTime = (value) => {
+  const match = typeof value === 'string' && value.match(RESERVATION_DATETIME_PATTERN);
+  if (!match || Number.isNaN(Date.parse(match[1]))) {
+    throw new ApiError(400, 'reserved_at must be a date-time in YYYY-MM-DDTHH:MM format');
+  }
+  return { date: match[1], minute: Number(match[2]) * 60 + Number(match[3]) };
+};
+
+const parsePositiveInteger = (value, field) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ApiError(400, `${field} must be a whole number of 1 or more`);
+  }
+  return number;
+};
+
+// Opening window of a date in minutes from its midnight, or null when closed
+const getOpeningWindow = async (db, date) => {
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const [rows] = await db.execute('SELECT * FROM opening_hours WHERE day_of_week = ?', [dayOfWeek]);
+  if (rows.length === 0 || rows[0].is_closed) {
+    return null;
+  }
+  const open = toMinutes(rows[0].open_time);
+  let close = toMinutes(rows[0].close_time);
+  if (close <= open) {
+    close += MINUTES_PER_DAY;
+  }
+  return { open, close, open_time: rows[0].open_time.slice(0, 5), close_time: rows[0].close_time.slice(0, 5) };
+};
+
+// A booking must start and finish within one day's opening hours. Times after
+// midnight may belong to the previous day's late opening.
+const assertWithinOpeningHours = async (db, date, minute, duration) => {
+  const sameDay = await getOpeningWindow(db, date);
+  if (sameDay && minute >= sameDay.open && minute + duration <= sameDay.close) {
+    return;
+  }
+  const previousDay = await getOpeningWindow(db, addDays(date, -1));
+  const lateMinute = minute + MINUTES_PER_DAY;
+  if (previousDay && lateMinute >= previousDay.open && lateMinute + duration <= previousDay.close) {
+    return;
+  }
+  throw new ApiError(400, 'The reservation falls outside opening hours');
+};
+
+// Active tables that seat the party, smallest first, optionally limited to a
+// table group. Tables without a group belong to "Non AC".
+const loadCandidateTables = async (db, { partySize, groupId, tableId, lock = false }) => {
+  const conditions = ['rt.is_active = true', 'rt.capacity >= ?'];
+  const params = [partySize];
+  if (groupId) {
+    conditions.push(`COALESCE(rt.group_id, (SELECT id FROM table_groups WHERE name = 'Non AC')) = ?`);
+    params.push(groupId);
+  }
+  if (tableId) {
+    conditions.push('rt.id = ?');
+    params.push(tableId);
+  }
+
+  const [tables] = await db.execute(
+    `SELECT rt.id, rt.table_number, rt.table_name, rt.capacity, COALESCE(tg.name, "Non AC") AS group_name
+     FROM restaurant_tables rt
+     LEFT JOIN table_groups tg ON rt.group_id = tg.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY rt.capacity, rt.table_number
+     ${lock ? 'FOR UPDATE' : ''}`,
+    params
+  );
+  return tables;
+};
+
+// Existing bookings and current occupancy of the given tables, in minutes
+// from midnight of date
+const loadTableCommitments = async (db, tableIds, date, excludeReservationId) => {
+  const base = `${date} 00:00:00`;
+  const [[{ now_minute }]] = await db.execute('SELECT TIMESTAMPDIFF(MINUTE, ?, NOW()) AS now_minute', [base]);
+  const bookings = new Map(tableIds.map(id => [id, []]));
+  const occupied = new Set();
+  if (tableIds.length === 0) {
+    return { nowMinute: now_minute, bookings, occupied };
+  }
+
+  const [rows] = await db.execute(
+    `SELECT id, table_id, TIMESTAMPDIFF(MINUTE, ?, reserved_at) AS start_minute, duration_minutes
+     FROM reservations
+     WHERE table_id IN (${placeholders(tableIds)}) AND status = 'booked' AND id != ?
+       AND reserved_at >= DATE_SUB(?, INTERVAL 1 DAY) AND reserved_at < DATE_ADD(?, INTERVAL 2 DAY)`,
+    [base, ...tableIds, excludeReservationId || 0, base, base]
+  );
+  for (const row of rows) {
+    bookings.get(row.table_id).push({
+      reservation_id: row.id,
+      start: row.start_minute,
+      end: row.start_minute + row.duration_minutes
+    });
+  }
+
+  const [inUse] = await db.execute(
+    `SELECT rt.id FROM restaurant_tables rt
+     WHERE rt.id IN (${placeholders(tableIds)}) AND (
+       EXISTS (SELECT 1 FROM table_sessions ts WHERE ts.table_id = rt.id AND ts.status != 'closed')
+       OR EXISTS (SELECT 1 FROM orders o WHERE o.table_id = rt.id AND o.order_status IN (${placeholders(ACTIVE_ORDER_STATUSES)}))
+     )`,
+    [...tableIds, ...ACTIVE_ORDER_STATUSES]
+  );
+  inUse.forEach(row => occupied.add(row.id));
+
+  return { nowMinute: now_minute, bookings, occupied };
+};
+
+// What keeps a table from being booked for [start, start + duration)
+const findTableConflicts = (commitments, tableId, start, duration) => {
+  const conflicts = commitments.bookings.get(tableId)
+    .filter(booking => booking.start < start + duration && booking.end > start)
+    .map(booking => ({ type: 'reservation', reservation_id: booking.reservation_id }));
+  if (commitments.occupied.has(tableId) && start < commitments.nowMinute + OCCUPIED_TABLE_HOLD_MINUTES) {
+    conflicts.push({ type: 'occupied' });
+  }
+  return conflicts;
+};
+
+// Pick the table for a booking inside the caller's transaction. An explicit
+// tableId must be free; otherwise keepTableId is kept when it still works and
+// the smallest free table that seats the party is chosen when it does not.
+// Throws 409 when nothing fits.
+const assignReservationTable = async (connection, booking) => {
+  const { date, minute, duration, partySize, groupId, tableId, keepTableId, excludeReservationId } = booking;
+
+  if (tableId) {
+    const [tables] = await connection.execute(
+      'SELECT id, table_number, capacity FROM restaurant_tables WHERE id = ? AND is_active = true FOR UPDATE',
+      [tableId]
+    );
+    if (tables.length === 0) {
+      throw new ApiError(404, 'Table not found');
+    }
+    if (tables[0].capacity < partySize) {
+      throw new ApiError(409, `Table ${tables[0].table_number} only seats ${tables[0].capacity}`);
+    }
+    const commitments = await loadTableCommitments(connection, [tables[0].id], date, excludeReservationId);
+    const conflicts = findTableConflicts(commitments, tables[0].id, minute, duration);
+    if (conflicts.length > 0) {
+      throw new ApiError(409, `Table ${tables[0].table_number} is not free at that time`, { conflicts });
+    }
+    return tables[0].id;
+  }
+
+  const candidates = await loadCandidateTables(connection, { partySize, groupId, lock: true });
+  const commitments = await loadTableCommitments(connection, candidates.map(table => table.id), date, excludeReservationId);
+  const free = candidates.filter(candidate => findTableConflicts(commitments, candidate.id, minute, duration).length === 0);
+  const table = free.find(candidate => candidate.id === keepTableId) || free[0];
+  if (!table) {
+    throw new ApiError(409, 'No table is available for that party size and time');
+  }
+  return table.id;
+};
+
+// Fields shared by create and update. Customers cannot pick a table.
+const parseReservationFields = (body, { partial = false, allowTable = true } = {}) => {
+  const fields = {};
+
+  if (body.reserved_at !== undefined || !partial) {
+    fields.reserved_at = parseReservationTime(body.reserved_at);
+  }
+  if (body.party_size !== undefined || !partial) {
+    fields.party_size = parsePositiveInteger(body.party_size, 'party_size');
+  }
+  if (body.duration_minutes !== undefined) {
+    fields.duration_minutes = parsePositiveInteger(body.duration_minutes, 'duration_minutes');
+  }
+  if (body.preferred_group_id !== undefined) {
+    fields.preferred_group_id = body.preferred_group_id || null;
+  }
+  if (body.table_id !== undefined && allowTable) {
+    fields.table_id = body.table_id || null;
+  }
+  for (const field of ['customer_name', 'customer_phone', 'customer_email', 'special_requests']) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] || null;
+    }
+  }
+  return fields;
+};
+
+const canSeeReservation = (user, reservation) =>
+  hasPermission(user.role, 'reservations:read') || reservation.customer_id === user.id;
+
+app.get('/api/opening-hours', async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT * FROM opening_hours ORDER BY day_of_week');
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching opening hours:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch opening hours', error: error.message });
+  }
+});
+
+// Replace the hours of the given days: [{ day_of_week, open_time, close_time, is_closed }]
+app.put('/api/opening-hours', authorize('reservations:configure'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const days = req.body.days;
+    if (!Array.isArray(days) || days.length === 0) {
+      throw new ApiError(400, 'days must be a non-empty array');
+    }
+    for (const day of days) {
+      const dayOfWeek = Number(day.day_of_week);
+      if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        throw new ApiError(400, 'day_of_week must be between 0 (Sunday) and 6 (Saturday)');
+      }
+      if (![day.open_time, day.close_time].every(time => typeof time === 'string' && TIME_PATTERN.test(time))) {
+        throw new ApiError(400, 'open_time and close_time must be times in HH:MM format');
+      }
+      await connection.execute(
+        `INSERT INTO opening_hours (day_of_week, open_time, close_time, is_closed) VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE open_time = VALUES(open_time), close_time = VALUES(close_time), is_closed = VALUES(is_closed)`,
+        [dayOfWeek, day.open_time, day.close_time, Boolean(day.is_closed)]
+      );
+    }
+
+    await connection.commit();
+
+    const [rows] = await pool.execute('SELECT * FROM opening_hours ORDER BY day_of_week');
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating opening hours:', error);
+    res.status(500).json({ success: false, message: 'Failed to update opening hours', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Bookable slots on a date for a party. Staff also see which tables are free
+// in each slot. Query: date, party_size, duration_minutes, group_id
+app.get('/api/reservations/availability', optionalAuth, async (req, res) => {
+  try {
+    const date = parseDate(req.query.date, 'date');
+    const partySize = parsePositiveInteger(req.query.party_size, 'party_size');
+    const duration = req.query.duration_minutes
+      ? parsePositiveInteger(req.query.duration_minutes, 'duration_minutes')
+      : RESERVATION_DEFAULT_DURATION;
+    const isStaff = Boolean(req.user && hasPermission(req.user.role, 'reservations:read'));
+
+    const window = await getOpeningWindow(pool, date);
+    const result = {
+      date,
+      party_size: partySize,
+      duration_minutes: duration,
+      opening_hours: window ? { open_time: window.open_time, close_time: window.close_time } : null,
+      slots: []
+    };
+    if (!window) {
+      return res.json({ success: true, data: result });
+    }
+
+    const tables = await loadCandidateTables(pool, { partySize, groupId: req.query.group_id });
+    const commitments = await loadTableCommitments(pool, tables.map(table => table.id), date);
+
+    for (let minute = window.open; minute + duration <= window.close; minute += RESERVATION_SLOT_MINUTES) {
+      if (minute <= commitments.nowMinute) continue;
+      const free = tables.filter(table => findTableConflicts(commitments, table.id, minute, duration).length === 0);
+      result.slots.push({
+        reserved_at: formatSlot(date, minute),
+        available: free.length > 0,
+        ...(isStaff ? { tables: free } : {})
+      });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error checking availability:', error);
+    res.status(500).json({ success: false, message: 'Failed to check availability', error: error.message });
+  }
+});
+
+// Reservations by time. Customers only see their own. Filters: date, status, table_id
+app.get('/api/reservations', authorize('reservations:read', 'reservations:book'), async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (!hasPermission(req.user.role, 'reservations:read')) {
+      conditions.push('r.customer_id = ?');
+      params.push(req.user.id);
+    }
+    if (req.query.date) {
+      const date = parseDate(req.query.date, 'date');
+      conditions.push('r.reserved_at >= ? AND r.reserved_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(date, date);
+    }
+    if (req.query.status) {
+      if (!RESERVATION_STATUSES.includes(req.query.status)) {
+        throw new ApiError(400, `status must be one of: ${RESERVATION_STATUSES.join(', ')}`);
+      }
+      conditions.push('r.status = ?');
+      params.push(req.query.status);
+    }
+    if (req.query.table_id) {
+      conditions.push('r.table_id = ?');
+      params.push(req.query.table_id);
+    }
+
+    const [rows] = await pool.execute(
+      `${RESERVATION_SELECT} ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY r.reserved_at, r.id`,
+      params
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error fetching reservations:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reservations', error: error.message });
+  }
+});
+
+app.get('/api/reservations/:id', authorize('reservations:read', 'reservations:book'), async (req, res) => {
+  try {
+    const reservation = await getReservation(pool, req.params.id);
+    if (!reservation || !canSeeReservation(req.user, reservation)) {
+      return res.status(404).json({ success: false, message: 'Reservation not found' });
+    }
+    res.json({ success: true, data: reservation });
+  } catch (error) {
+    console.error('Error fetching reservation:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch reservation', error: error.message });
+  }
+});
+
+// Book a table. Staff may pick the table and book on a customer's behalf;
+// customers book for themselves and get a table assigned automatically.
+app.post('/api/reservations', authorize('reservations:manage', 'reservations:book'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const isStaff = hasPermission(req.user.role, 'reservations:manage');
+    const fields = parseReservationFields(req.body, { allowTable: isStaff });
+    const duration = fields.duration_minutes || RESERVATION_DEFAULT_DURATION;
+    const customerId = isStaff ? req.body.customer_id || null : req.user.id;
+    const customerName = fields.customer_name || (isStaff ? null : req.user.full_name);
+    if (!customerName) {
+      throw new ApiError(400, 'customer_name is required');
+    }
+
+    const { date, minute } = fields.reserved_at;
+    const [[{ now_minute }]] = await connection.execute(
+      'SELECT TIMESTAMPDIFF(MINUTE, ?, NOW()) AS now_minute',
+      [`${date} 00:00:00`]
+    );
+    if (minute <= now_minute) {
+      throw new ApiError(400, 'reserved_at must be in the future');
+    }
+    await assertWithinOpeningHours(connection, date, minute, duration);
+
+    const tableId = await assignReservationTable(connection, {
+      date,
+      minute,
+      duration,
+      partySize: fields.party_size,
+      groupId: fields.preferred_group_id,
+      tableId: fields.table_id
+    });
+
+    const [result] = await connection.execute(
+      `INSERT INTO reservations (customer_id, customer_name, customer_phone, customer_email, party_size,
+         reserved_at, duration_minutes, preferred_group_id, table_id, special_requests, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        customerId,
+        customerName,
+        fields.customer_phone || null,
+        fields.customer_email || (isStaff ? null : req.user.email),
+        fields.party_size,
+        formatSlot(date, minute).replace('T', ' '),
+        duration,
+        fields.preferred_group_id || null,
+        tableId,
+        fields.special_requests || null,
+        req.user.id
+      ]
+    );
+
+    await connection.commit();
+
+    const reservation = await getReservation(pool, result.insertId);
+    emitReservationEvent('reservation-created', reservation);
+    res.json({ success: true, data: reservation });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating reservation:', error);
+    res.status(500).json({ success: false, message: 'Failed to create reservation', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Change a booking. A new time, party size or group preference re-checks the
+// table; send table_id to move it to a specific table, or null to reassign.
+app.put('/api/reservations/:id', authorize('reservations:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute(
+      `SELECT r.*, DATE_FORMAT(r.reserved_at, '%Y-%m-%dT%H:%i') AS reserved_at FROM reservations r WHERE r.id = ? FOR UPDATE`,
+      [req.params.id]
+    );
+    if (existing.length === 0) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    const reservation = existing[0];
+    if (reservation.status !== 'booked') {
+      throw new ApiError(409, `Cannot change a reservation that is ${reservation.status}`);
+    }
+
+    const fields = parseReservationFields(req.body, { partial: true });
+    const { date, minute } = fields.reserved_at || parseReservationTime(reservation.reserved_at);
+    const duration = fields.duration_minutes || reservation.duration_minutes;
+    const partySize = fields.party_size || reservation.party_size;
+    const groupId = fields.preferred_group_id !== undefined ? fields.preferred_group_id : reservation.preferred_group_id;
+
+    let tableId = reservation.table_id;
+    const rebook = ['reserved_at', 'duration_minutes', 'party_size', 'preferred_group_id', 'table_id']
+      .some(field => fields[field] !== undefined);
+    if (rebook) {
+      if (fields.reserved_at || fields.duration_minutes) {
+        await assertWithinOpeningHours(connection, date, minute, duration);
+      }
+      tableId = await assignReservationTable(connection, {
+        date,
+        minute,
+        duration,
+        partySize,
+        groupId,
+        tableId: fields.table_id,
+        keepTableId: reservation.table_id,
+        excludeReservationId: reservation.id
+      });
+    }
+
+    await connection.execute(
+      `UPDATE reservations SET
+        customer_name = ?, customer_phone = ?, customer_email = ?, special_requests = ?,
+        party_size = ?, reserved_at = ?, duration_minutes = ?, preferred_group_id = ?, table_id = ?
+      WHERE id = ?`,
+      [
+        fields.customer_name !== undefined ? fields.customer_name || reservation.customer_name : reservation.customer_name,
+        fields.customer_phone !== undefined ? fields.customer_phone : reservation.customer_phone,
+        fields.customer_email !== undefined ? fields.customer_email : reservation.customer_email,
+        fields.special_requests !== undefined ? fields.special_requests : reservation.special_requests,
+        partySize,
+        formatSlot(date, minute).replace('T', ' '),
+        duration,
+        groupId || null,
+        tableId,
+        reservation.id
+      ]
+    );
+
+    await connection.commit();
+
+    const updated = await getReservation(pool, reservation.id);
+    emitReservationEvent('reservation-updated', updated);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating reservation:', error);
+    res.status(500).json({ success: false, message: 'Failed to update reservation', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Customers can cancel their own bookings
+app.post('/api/reservations/:id/cancel', authorize('reservations:manage', 'reservations:book'), async (req, res) => {
+  try {
+    const reservation = await getReservation(pool, req.params.id);
+    if (!reservation || !(hasPermission(req.user.role, 'reservations:manage') || reservation.customer_id === req.user.id)) {
+      return res.status(404).json({ success: false, message: 'Reservation not found' });
+    }
+
+    const [result] = await pool.execute(
+      "UPDATE reservations SET status = 'cancelled', cancelled_at = NOW() WHERE id = ? AND status = 'booked'",
+      [reservation.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: `Cannot cancel a reservation that is ${reservation.status}` });
+    }
+
+    const updated = await getReservation(pool, reservation.id);
+    emitReservationEvent('reservation-updated', updated);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error cancelling reservation:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel reservation', error: error.message });
+  }
+});
+
+// Guests who never arrived. Only possible once the booking has started.
+app.post('/api/reservations/:id/no-show', authorize('reservations:manage'), async (req, res) => {
+  try {
+    const reservation = await getReservation(pool, req.params.id);
+    if (!reservation) {
+      return res.status(404).json({ success: false, message: 'Reservation not found' });
+    }
+
+    const [result] = await pool.execute(
+      "UPDATE reservations SET status = 'no_show', no_show_at = NOW() WHERE id = ? AND status = 'booked' AND reserved_at <= NOW()",
+      [reservation.id]
+    );
+    if (result.affectedRows === 0) {
+      const message = reservation.status === 'booked'
+        ? 'The reservation has not started yet'
+        : `Cannot mark a reservation that is ${reservation.status} as a no-show`;
+      return res.status(409).json({ success: false, message });
+    }
+
+    const updated = await getReservation(pool, reservation.id);
+    emitReservationEvent('reservation-updated', updated);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error marking no-show:', error);
+    res.status(500).json({ success: false, message: 'Failed to mark no-show', error: error.message });
+  }
+});
+
+// The party has arrived: open a session on its table. table_id overrides the
+// booked table, e.g. when guests are moved on arrival.
+app.post('/api/reservations/:id/seat', authorize('reservations:manage', 'sessions:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute('SELECT * FROM reservations WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      throw new ApiError(404, 'Reservation not found');
+    }
+    const reservation = rows[0];
+    if (reservation.status !== 'booked') {
+      throw new ApiError(409, `Cannot seat a reservation that is ${reservation.status}`);
+    }
+
+    const tableId = req.body.table_id || reservation.table_id;
+    if (!tableId) {
+      throw new ApiError(409, 'The reservation has no table; pass table_id');
+    }
+    const sessionId = await seatTable(connection, tableId, {
+      guestCount: reservation.party_size,
+      notes: reservation.special_requests ? reservation.special_requests.slice(0, 255) : null,
+      actor: req.user
+    });
+    await connection.execute(
+      "UPDATE reservations SET status = 'seated', seated_at = NOW(), table_id = ?, table_session_id = ? WHERE id = ?",
+      [tableId, sessionId, reservation.id]
+    );
+
+    await connection.commit();
+
+    const updated = await getReservation(pool, reservation.id);
+    emitReservationEvent('reservation-updated', updated);
+    emitTableState(tableId);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error seating reservation:', error);
+    res.status(500).json({ success: false, message: 'Failed to seat reservation', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Waitlist endpoints
+// Walk-in parties queue for a table with a quoted wait, are notified when a
+// table is ready, and are seated into a table session.
+
+const WAITLIST_STATUSES = ['waiting', 'notified', 'seated', 'cancelled'];
+const WAITLIST_ACTIVE_STATUSES = ['waiting', 'notified'];
+
+// Used for quotes until there is order history to learn from
+const DEFAULT_TURN_MINUTES = 60;
+const TURN_HISTORY_DAYS = 30;
+
+const WAITLIST_SELECT = `
+  SELECT w.*, TIMESTAMPDIFF(MINUTE, w.created_at, NOW()) AS waited_minutes,
+    tg.name AS preferred_group_name, rt.table_number
+  FROM waitlist_entries w
+  LEFT JOIN table_groups tg ON w.preferred_group_id = tg.id
+  LEFT JOIN restaurant_tables rt ON w.table_id = rt.id
+`;
+
+const getWaitlistEntry = async (db, entryId) => {
+  const [rows] = await db.execute(`${WAITLIST_SELECT} WHERE w.id = ?`, [entryId]);
+  return rows[0] || null;
+};
+
+const emitWaitlistEvent = (entry) => {
+  io.to(PERMISSIONS['waitlist:manage'].map(roleRoom)).emit('waitlist-updated', entry);
+};
+
+// Average minutes a table stays taken, from orders at tables that seat the
+// party over the last TURN_HISTORY_DAYS. A visit runs from its first order to
+// its last order's completion; orders without a table session count alone.
+const getTurnTimeMinutes = async (db, partySize) => {
+  const [[row]] = await db.execute(
+    `SELECT AVG(turn_minutes) AS turn_minutes FROM (
+       SELECT TIMESTAMPDIFF(MINUTE, MIN(o.created_at), MAX(h.created_at)) AS turn_minutes
+       FROM orders o
+       JOIN restaurant_tables rt ON o.table_id = rt.id
+       JOIN order_status_history h ON h.order_id = o.id AND h.to_status = 'completed'
+       WHERE rt.capacity >= ? AND o.created_at >= DATE_SUB(NOW(), INTERVAL ${TURN_HISTORY_DAYS} DAY)
+       GROUP BY COALESCE(CONCAT('session-', o.table_session_id), CONCAT('order-', o.id))
+     ) visits`,
+    [partySize]
+  );
+  return row.turn_minutes !== null ? Math.round(Number(row.turn_minutes)) : DEFAULT_TURN_MINUTES;
+};
+
+// Quote a wait for a party joining the back of the queue (or at its place in
+// the queue when excludeEntryId is an existing entry). Tables in use are
+// expected to free up one turn after they were taken; each party ahead that
+// could take the same tables pushes the quote back by one table.
+const quoteWait = async (db, { partySize, groupId, excludeEntryId }) => {
+  const turnMinutes = await getTurnTimeMinutes(db, partySize);
+  const tables = await loadCandidateTables(db, { partySize, groupId });
+  if (tables.length === 0) {
+    throw new ApiError(409, 'No table seats a party of that size');
+  }
+
+  const [[{ today }]] = await db.execute("SELECT DATE_FORMAT(NOW(), '%Y-%m-%d') AS today");
+  const tableIds = tables.map(table => table.id);
+  const commitments = await loadTableCommitments(db, tableIds, today);
+
+  // Minutes since each table in use was taken
+  const [inUse] = await db.execute(
+    `SELECT rt.id, TIMESTAMPDIFF(MINUTE, LEAST(
+         COALESCE((SELECT MIN(ts.opened_at) FROM table_sessions ts WHERE ts.table_id = rt.id AND ts.status != 'closed'), NOW()),
+         COALESCE((SELECT MIN(o.created_at) FROM orders o WHERE o.table_id = rt.id AND o.order_status IN (${placeholders(ACTIVE_ORDER_STATUSES)})), NOW())
+       ), NOW()) AS occupied_minutes
+     FROM restaurant_tables rt
+     WHERE rt.id IN (${placeholders(tableIds)})`,
+    [...ACTIVE_ORDER_STATUSES, ...tableIds]
+  );
+  const occupiedMinutes = new Map(inUse.map(row => [row.id, row.occupied_minutes]));
+
+  const readyIn = tables.map(table => {
+    if (findTableConflicts(commitments, table.id, commitments.nowMinute, turnMinutes).length === 0) {
+      return 0;
+    }
+    return commitments.occupied.has(table.id)
+      ? Math.max(0, turnMinutes - occupiedMinutes.get(table.id))
+      : turnMinutes;
+  }).sort((a, b) => a - b);
+
+  const maxCapacity = Math.max(...tables.map(table => table.capacity));
+  const [[{ parties_ahead }]] = await db.execute(
+    `SELECT COUNT(*) AS parties_ahead FROM waitlist_entries
+     WHERE status IN (${placeholders(WAITLIST_ACTIVE_STATUSES)}) AND party_size <= ?
+       AND created_at <= COALESCE((SELECT created_at FROM waitlist_entries WHERE id = ?), NOW()) AND id != ?`,
+    [...WAITLIST_ACTIVE_STATUSES, maxCapacity, excludeEntryId || 0, excludeEntryId || 0]
+  );
+
+  const rounds = Math.floor(parties_ahead / readyIn.length);
+  return {
+    quoted_wait_minutes: readyIn[parties_ahead % readyIn.length] + rounds * turnMinutes,
+    turn_time_minutes: turnMinutes,
+    parties_ahead
+  };
+};
+
+const parseWaitlistFields = (body, { partial = false } = {}) => {
+  const fields = {};
+  for (const field of ['customer_name', 'phone']) {
+    if (body[field] === undefined && partial) continue;
+    if (typeof body[field] !== 'string' || !body[field].trim()) {
+      throw new ApiError(400, `${field} is required`);
+    }
+    fields[field] = body[field].trim();
+  }
+  if (body.party_size !== undefined || !partial) {
+    fields.party_size = parsePositiveInteger(body.party_size, 'party_size');
+  }
+  if (body.preferred_group_id !== undefined) {
+    fields.preferred_group_id = body.preferred_group_id || null;
+  }
+  if (body.notes !== undefined) {
+    fields.notes = body.notes || null;
+  }
+  return fields;
+};
+
+// Quote a wait without joining the list. Query: party_size, group_id
+app.get('/api/waitlist/quote', authorize('waitlist:manage'), async (req, res) => {
+  try {
+    const partySize = parsePositiveInteger(req.query.party_size, 'party_size');
+    res.json({ success: true, data: await quoteWait(pool, { partySize, groupId: req.query.group_id }) });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error quoting wait:', error);
+    res.status(500).json({ success: false, message: 'Failed to quote wait', error: error.message });
+  }
+});
+
+// The queue in arrival order. Defaults to parties still waiting; ?status= for others
+app.get('/api/waitlist', authorize('waitlist:manage'), async (req, res) => {
+  try {
+    const statuses = req.query.status ? [req.query.status] : WAITLIST_ACTIVE_STATUSES;
+    if (!statuses.every(status => WAITLIST_STATUSES.includes(status))) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${WAITLIST_STATUSES.join(', ')}` });
+    }
+
+    const [rows] = await pool.execute(
+      `${WAITLIST_SELECT} WHERE w.status IN (${placeholders(statuses)}) ORDER BY w.created_at, w.id`,
+      statuses
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch waitlist', error: error.message });
+  }
+});
+
+app.post('/api/waitlist', authorize('waitlist:manage'), async (req, res) => {
+  try {
+    const fields = parseWaitlistFields(req.body);
+    const quote = await quoteWait(pool, { partySize: fields.party_size, groupId: fields.preferred_group_id });
+
+    const [result] = await pool.execute(
+      `INSERT INTO waitlist_entries (customer_name, phone, party_size, preferred_group_id, notes, quoted_wait_minutes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [fields.customer_name, fields.phone, fields.party_size, fields.preferred_group_id || null, fields.notes || null, quote.quoted_wait_minutes, req.user.id]
+    );
+
+    const entry = await getWaitlistEntry(pool, result.insertId);
+    emitWaitlistEvent(entry);
+    res.json({ success: true, data: { ...entry, quote } });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error adding to waitlist:', error);
+    res.status(500).json({ success: false, message: 'Failed to add to waitlist', error: error.message });
+  }
+});
+
+// Edit a waiting party. A new party size or group re-quotes the wait.
+app.put('/api/waitlist/:id', authorize('waitlist:manage'), async (req, res) => {
+  try {
+    const existing = await getWaitlistEntry(pool, req.params.id);
+    if (!existing || !WAITLIST_ACTIVE_STATUSES.includes(existing.status)) {
+      return res.status(404).json({ success: false, message: 'Waiting party not found' });
+    }
+
+    const fields = parseWaitlistFields(req.body, { partial: true });
+    if (fields.party_size !== undefined || fields.preferred_group_id !== undefined) {
+      const quote = await quoteWait(pool, {
+        partySize: fields.party_size || existing.party_size,
+        groupId: fields.preferred_group_id !== undefined ? fields.preferred_group_id : existing.preferred_group_id,
+        excludeEntryId: existing.id
+      });
+      fields.quoted_wait_minutes = quote.quoted_wait_minutes;
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await pool.execute(
+        `UPDATE waitlist_entries SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => fields[column]), existing.id]
+      );
+    }
+
+    const entry = await getWaitlistEntry(pool, existing.id);
+    emitWaitlistEvent(entry);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating waitlist entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to update waitlist entry', error: error.message });
+  }
+});
+
+// Tell the party their table is ready. Body: channel (optional), message (optional)
+app.post('/api/waitlist/:id/notify', authorize('waitlist:manage'), async (req, res) => {
+  try {
+    const entry = await getWaitlistEntry(pool, req.params.id);
+    if (!entry || !WAITLIST_ACTIVE_STATUSES.includes(entry.status)) {
+      return res.status(404).json({ success: false, message: 'Waiting party not found' });
+    }
+    if (req.body.channel && !hasChannel(req.body.channel)) {
+      return res.status(400).json({ success: false, message: `Unknown notification channel "${req.body.channel}"` });
+    }
+
+    let channel;
+    try {
+      channel = await notify({
+        type: 'waitlist-ready',
+        reference: entry.id,
+        to: entry.phone,
+        message: req.body.message || `Hi ${entry.customer_name}, your table is ready. Please come to the host stand.`
+      }, req.body.channel);
+    } catch (error) {
+      console.error('Error sending waitlist notification:', error);
+      return res.status(502).json({ success: false, message: 'Failed to send notification', error: error.message });
+    }
+
+    await pool.execute(
+      "UPDATE waitlist_entries SET status = 'notified', notified_at = NOW(), notification_channel = ? WHERE id = ?",
+      [channel, entry.id]
+    );
+
+    const updated = await getWaitlistEntry(pool, entry.id);
+    emitWaitlistEvent(updated);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    console.error('Error notifying waitlist entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to notify waiting party', error: error.message });
+  }
+});
+
+// Seat the party at a table, opening its session. Body: table_id
+app.post('/api/waitlist/:id/seat', authorize('waitlist:manage', 'sessions:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute('SELECT * FROM waitlist_entries WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0 || !WAITLIST_ACTIVE_STATUSES.includes(rows[0].status)) {
+      throw new ApiError(404, 'Waiting party not found');
+    }
+    if (!req.body.table_id) {
+      throw new ApiError(400, 'table_id is required');
+    }
+
+    const entry = rows[0];
+    const sessionId = await seatTable(connection, req.body.table_id, {
+      guestCount: entry.party_size,
+      notes: entry.notes,
+      actor: req.user
+    });
+    await connection.execute(
+      "UPDATE waitlist_entries SET status = 'seated', seated_at = NOW(), table_id = ?, table_session_id = ? WHERE id = ?",
+      [req.body.table_id, sessionId, entry.id]
+    );
+
+    await connection.commit();
+
+    const updated = await getWaitlistEntry(pool, entry.id);
+    emitWaitlistEvent(updated);
+    emitTableState(req.body.table_id);
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error seating waiting party:', error);
+    res.status(500).json({ success: false, message: 'Failed to seat waiting party', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// The party left or no longer wants a table
+app.post('/api/waitlist/:id/cancel', authorize('waitlist:manage'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      `UPDATE waitlist_entries SET status = 'cancelled', cancelled_at = NOW()
+       WHERE id = ? AND status IN (${placeholders(WAITLIST_ACTIVE_STATUSES)})`,
+      [req.params.id, ...WAITLIST_ACTIVE_STATUSES]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ success: false, message: 'Waiting party not found' });
+    }
+
+    const entry = await getWaitlistEntry(pool, req.params.id);
+    emitWaitlistEvent(entry);
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error('Error cancelling waitlist entry:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel waitlist entry', error: error.message });
+  }
+});
+
+// Service request endpoints
+// Guests at a table can call a waiter, ask for the bill or ask for help.
+// Requests go to the waiters assigned to the table's group and escalate,
+// first to every waiter and then to managers, while nobody acknowledges them.
+
+const SERVICE_REQUEST_TYPES = ['call_waiter', 'request_bill', 'need_help'];
+const SERVICE_REQUEST_STATUSES = ['open', 'acknowledged', 'resolved', 'cancelled'];
+
+// Roles alerted at each escalation level
+const SERVICE_ESCALATION_ROLES = [['waiter'], ['owner', 'manager']];
+const SERVICE_ESCALATION_CHECK_MS = 30 * 1000;
+
+const SERVICE_REQUEST_SELECT = `
+  SELECT sr.*, rt.table_number, rt.table_name,
+    TIMESTAMPDIFF(SECOND, sr.created_at, sr.acknowledged_at) AS response_seconds,
+    ua.full_name AS acknowledged_by_name
+  FROM service_requests sr
+  JOIN restaurant_tables rt ON sr.table_id = rt.id
+  LEFT JOIN users ua ON sr.acknowledged_by = ua.id
+`;
+
+const getServiceRequest = async (db, requestId) => {
+  const [rows] = await db.execute(`${SERVICE_REQUEST_SELECT} WHERE sr.id = ?`, [requestId]);
+  return rows[0] || null;
+};
+
+// Socket rooms of the waiters assigned to the table's group, or of every
+// waiter when nobody is assigned. Ungrouped tables belong to "Non AC".
+const getServiceRequestRooms = async (db, tableId) => {
+  const [rows] = await db.execute(
+    `SELECT DISTINCT s.user_id
+     FROM restaurant_tables rt
+     JOIN staff_table_groups stg
+       ON stg.table_group_id = COALESCE(rt.group_id, (SELECT id FROM table_groups WHERE name = 'Non AC'))
+     JOIN staff s ON stg.staff_id = s.id
+     WHERE rt.id = ? AND s.is_active = true AND s.user_id IS NOT NULL`,
+    [tableId]
+  );
+  return rows.length > 0 ? rows.map(row => userRoom(row.user_id)) : [roleRoom('waiter')];
+};
+
+// Send a request to its assigned staff, to staff it has escalated to, and to
+// the table so the guest sees its progress
+const emitServiceRequest = async (event, request) => {
+  try {
+    const rooms = await getServiceRequestRooms(pool, request.table_id);
+    for (const roles of SERVICE_ESCALATION_ROLES.slice(0, request.escalation_level)) {
+      rooms.push(...roles.map(roleRoom));
+    }
+    rooms.push(tableRoom(request.table_number));
+    io.to(rooms).emit(event, request);
+  } catch (error) {
+    console.error('Error broadcasting service request:', error);
+  }
+};
+
+// Raise every request left unacknowledged for another escalation interval by one level
+const escalateServiceRequests = async () => {
+  const [due] = await pool.execute(
+    `SELECT id FROM service_requests
+     WHERE status = 'open' AND escalation_level < ?
+       AND COALESCE(escalated_at, created_at) <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [SERVICE_ESCALATION_ROLES.length, SERVICE_REQUEST_ESCALATION_MINUTES]
+  );
+
+  for (const { id } of due) {
+    const [result] = await pool.execute(
+      `UPDATE service_requests SET escalation_level = escalation_level + 1, escalated_at = NOW()
+       WHERE id = ? AND status = 'open'`,
+      [id]
+    );
+    if (result.affectedRows > 0) {
+      emitServiceRequest('service-request-escalated', await getServiceRequest(pool, id));
+    }
+  }
+};
+
+const startServiceRequestEscalation = () => {
+  setInterval(() => {
+    escalateServiceRequests().catch(error => console.error('Error escalating service requests:', error));
+  }, SERVICE_ESCALATION_CHECK_MS).unref();
+};
+
+// Guests call for service from the table; they need the token from its QR
+// code. Body: request_type, note, table_token. A repeat of a request that is
+// still open returns the existing one.
+app.post('/api/tables/:tableNumber/service-requests', optionalAuth, async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const { request_type, note } = req.body;
+    if (!SERVICE_REQUEST_TYPES.includes(request_type)) {
+      throw new ApiError(400, `request_type must be one of: ${SERVICE_REQUEST_TYPES.join(', ')}`);
+    }
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 255)) {
+      throw new ApiError(400, 'note must be text of up to 255 characters');
+    }
+
+    const [tables] = await connection.execute(
+      'SELECT id, table_number, qr_token_version FROM restaurant_tables WHERE table_number = ? AND is_active = true FOR UPDATE',
+      [req.params.tableNumber]
+    );
+    if (tables.length === 0 || !canAccessTable(req, tables[0], req.body.table_token)) {
+      throw new ApiError(404, 'Table not found');
+    }
+    const table = tables[0];
+
+    const [existing] = await connection.execute(
+      "SELECT id FROM service_requests WHERE table_id = ? AND request_type = ? AND status IN ('open', 'acknowledged')",
+      [table.id, request_type]
+    );
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.json({ success: true, data: await getServiceRequest(pool, existing[0].id) });
+    }
+
+    // Asking for the bill also flags the table's running tab
+    const session = await getBillingSession(connection, table.id);
+    let billRequested = false;
+    if (request_type === 'request_bill' && session && session.status === 'open') {
+      await connection.execute(
+        "UPDATE table_sessions SET status = 'bill_requested', bill_requested_at = NOW() WHERE id = ?",
+        [session.id]
+      );
+      billRequested = true;
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO service_requests (table_id, table_session_id, request_type, note, customer_id) VALUES (?, ?, ?, ?, ?)',
+      [table.id, session ? session.id : null, request_type, note || null, req.user && req.user.role === 'customer' ? req.user.id : null]
+    );
+
+    await connection.commit();
+
+    const request = await getServiceRequest(pool, result.insertId);
+    emitServiceRequest('service-request', request);
+    if (billRequested) {
+      emitTableState(session.table_id);
+    }
+    res.json({ success: true, data: request });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating service request:', error);
+    res.status(500).json({ success: false, message: 'Failed to create service request', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// The table's requests still waiting for staff. Guests pass ?token= from the QR code.
+app.get('/api/tables/:tableNumber/service-requests', optionalAuth, async (req, res) => {
+  try {
+    const [tables] = await pool.execute(
+      `SELECT id, qr_token_version FROM restaurant_tables
+       WHERE table_number = ? ${canSeeArchived(req, 'tables:write') ? '' : 'AND is_active = true'}`,
+      [req.params.tableNumber]
+    );
+    if (tables.length === 0 || !canAccessTable(req, tables[0], req.query.token)) {
+      return res.status(404).json({ success: false, message: 'Table not found' });
+    }
+
+    const [rows] = await pool.execute(
+      `${SERVICE_REQUEST_SELECT} WHERE sr.table_id = ? AND sr.status IN ('open', 'acknowledged') ORDER BY sr.created_at`,
+      [tables[0].id]
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching table service requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch service requests', error: error.message });
+  }
+});
+
+// Requests for the floor, oldest first. Defaults to ones not yet resolved.
+// Filters: status, table_number, request_type
+app.get('/api/service-requests', authorize('orders:read'), async (req, res) => {
+  try {
+    const statuses = req.query.status ? [req.query.status] : ['open', 'acknowledged'];
+    if (!statuses.every(status => SERVICE_REQUEST_STATUSES.includes(status))) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${SERVICE_REQUEST_STATUSES.join(', ')}` });
+    }
+
+    const conditions = [`sr.status IN (${placeholders(statuses)})`];
+    const params = [...statuses];
+    if (req.query.table_number) {
+      conditions.push('rt.table_number = ?');
+      params.push(req.query.table_number);
+    }
+    if (req.query.request_type) {
+      conditions.push('sr.request_type = ?');
+      params.push(req.query.request_type);
+    }
+
+    const [rows] = await pool.execute(
+      `${SERVICE_REQUEST_SELECT} WHERE ${conditions.join(' AND ')} ORDER BY sr.created_at LIMIT 200`,
+      params
+    );
+    res.json({ success: true, data: rows });
+  } catch (error) {
+    console.error('Error fetching service requests:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch service requests', error: error.message });
+  }
+});
+
+// A waiter is on the way
+app.post('/api/service-requests/:id/acknowledge', authorize('service:respond'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      "UPDATE service_requests SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = NOW() WHERE id = ? AND status = 'open'",
+      [req.user.id, req.params.id]
+    );
+    const request = await getServiceRequest(pool, req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Service request not found' });
+    }
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: `Service request is already ${request.status}` });
+    }
+
+    emitServiceRequest('service-request-updated', request);
+    res.json({ success: true, data: request });
+  } catch (error) {
+    console.error('Error acknowledging service request:', error);
+    res.status(500).json({ success: false, message: 'Failed to acknowledge service request', error: error.message });
+  }
+});
+
+// Done. Resolving a request nobody acknowledged also counts as the response.
+app.post('/api/service-requests/:id/resolve', authorize('service:respond'), async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      `UPDATE service_requests SET status = 'resolved', resolved_by = ?, resolved_at = NOW(),
+         acknowledged_by = COALESCE(acknowledged_by, ?), acknowledged_at = COALESCE(acknowledged_at, NOW())
+       WHERE id = ? AND status IN ('open', 'acknowledged')`,
+      [req.user.id, req.user.id, req.params.id]
+    );
+    const request = await getServiceRequest(pool, req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Service request not found' });
+    }
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: `Service request is already ${request.status}` });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        summary: summaryRows[0],
-        items: itemsRows,
-        date: targetDate
-      }
-    });
+    emitServiceRequest('service-request-updated', request);
+    res.json({ success: true, data: request });
   } catch (error) {
-    console.error('Error fetching daily analytics:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch analytics',
-      error: error.message
-    });
+    console.error('Error resolving service request:', error);
+    res.status(500).json({ success: false, message: 'Failed to resolve service request', error: error.message });
   }
 });
 
-app.get('/api/analytics/monthly', async (req, res) => {
+// Guests can withdraw a request they no longer need. Body: table_token
+app.post('/api/service-requests/:id/cancel', optionalAuth, async (req, res) => {
   try {
-    const { month, year } = req.query;
-    const targetMonth = month || (new Date().getMonth() + 1);
-    const targetYear = year || new Date().getFullYear();
+    const [rows] = await pool.execute(
+      `SELECT sr.status, rt.id, rt.qr_token_version
+       FROM service_requests sr
+       JOIN restaurant_tables rt ON sr.table_id = rt.id
+       WHERE sr.id = ?`,
+      [req.params.id]
+    );
+    if (rows.length === 0 || !canAccessTable(req, rows[0], req.body.table_token)) {
+      return res.status(404).json({ success: false, message: 'Service request not found' });
+    }
 
-    const [summaryRows] = await pool.execute(`
-      SELECT 
-        COUNT(*) as total_orders,
-        SUM(total_amount_inr) as total_revenue_inr,
-        SUM(total_amount_usd) as total_revenue_usd,
-        COUNT(DISTINCT table_number) as tables_served
-      FROM orders
-      WHERE MONTH(created_at) = ? AND YEAR(created_at) = ?
-    `, [targetMonth, targetYear]);
+    const [result] = await pool.execute(
+      "UPDATE service_requests SET status = 'cancelled', cancelled_at = NOW() WHERE id = ? AND status IN ('open', 'acknowledged')",
+      [req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(409).json({ success: false, message: `Service request is already ${rows[0].status}` });
+    }
 
-    const [itemsRows] = await pool.execute(`
-      SELECT 
-        oi.item_name,
-        SUM(oi.quantity) as quantity_sold,
-        SUM(oi.price_inr * oi.quantity) as revenue_inr,
-        SUM(oi.price_usd * oi.quantity) as revenue_usd
-      FROM order_items oi
-      JOIN orders o ON oi.order_id = o.id
-      WHERE MONTH(o.created_at) = ? AND YEAR(o.created_at) = ?
-      GROUP BY oi.item_name
-      ORDER BY quantity_sold DESC
-    `, [targetMonth, targetYear]);
+    const request = await getServiceRequest(pool, req.params.id);
+    emitServiceRequest('service-request-updated', request);
+    res.json({ success: true, data: request });
+  } catch (error) {
+    console.error('Error cancelling service request:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel service request', error: error.message });
+  }
+});
 
-    const [dailyRows] = await pool.execute(`
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(*) as orders,
-        SUM(total_amount_inr) as revenue_inr,
-        SUM(total_amount_usd) as revenue_usd
-      FROM orders
-      WHERE MONTH(created_at) = ? AND YEAR(created_at) = ?
-      GROUP BY DATE(created_at)
-      ORDER BY date
-    `, [targetMonth, targetYear]);
+// Payment endpoints. The payments table is a ledger of every tender taken
+// for an order. UPI and card payments can go through a provider from
+// payments.js and only count once a capture or a verified webhook confirms
+// the money; cash, and card or UPI taken on the restaurant's own terminal,
+// are recorded by staff as collected. An order's payment_status is derived
+// from its ledger: unpaid, partial, paid or refunded.
+const PAYMENT_METHODS = ['cash', 'upi', 'card'];
+const GATEWAY_PAYMENT_METHODS = ['upi', 'card'];
+const CAPTURABLE_PAYMENT_STATUSES = ['pending', 'authorized'];
+// A gateway can still report a capture for these; the money was taken all the same
+const LATE_CAPTURE_PAYMENT_STATUSES = ['failed', 'cancelled'];
+const REFUNDABLE_PAYMENT_STATUSES = ['captured', 'partially_refunded'];
+// Payments whose money was taken, whatever has been refunded since
+const SETTLED_PAYMENT_STATUSES = ['captured', 'partially_refunded', 'refunded'];
+// Orders that can still take payments
+const PAYABLE_PAYMENT_STATUSES = ['unpaid', 'partial'];
+
+const PAYMENT_SELECT = `
+  SELECT p.*, o.table_number, o.customer_id
+  FROM payments p
+  JOIN orders o ON p.order_id = o.id`;
+
+const formatPayment = (payment) => ({
+  ...payment,
+  client_data: payment.client_data ? JSON.parse(payment.client_data) : null
+});
 
-    res.json({
-      success: true,
-      data: {
-        summary: summaryRows[0],
-        items: itemsRows,
-        daily: dailyRows,
-        month: targetMonth,
-        year: targetYear
+const getPayment = async (db, paymentId) => {
+  const [rows] = await db.execute(`${PAYMENT_SELECT} WHERE p.id = ?`, [paymentId]);
+  return rows.length > 0 ? formatPayment(rows[0]) : null;
+};
+
+// The amount due on an order, in its own currency
+const getOrderAmountDue = (order) =>
+  order.currency === 'USD' ? order.total_amount_usd : order.total_amount_inr;
+
+// Staff, the customer who placed the order, or a guest holding the table's QR token
+const canAccessOrderPayments = async (db, req, order, token) => {
+  if (req.user && (hasPermission(req.user.role, 'orders:read') || order.customer_id === req.user.id)) {
+    return true;
+  }
+  const [tables] = await db.execute('SELECT id, qr_token_version FROM restaurant_tables WHERE id = ?', [order.table_id]);
+  return tables.length > 0 && verifyTableToken(tables[0], token);
+};
+
+const derivePaymentStatus = (dueCents, paidCents, refundedCents) => {
+  const net = paidCents - refundedCents;
+  if (refundedCents > 0 && net <= 0) return 'refunded';
+  if (net >= dueCents) return 'paid';
+  return paidCents > 0 ? 'partial' : 'unpaid';
+};
+
+// What an order owes and what its ledger has taken, in the order's currency
+const getOrderPaymentSummary = async (db, order) => {
+  const [[totals]] = await db.execute(
+    `SELECT COALESCE(SUM(captured_amount), 0) AS paid, COALESCE(SUM(refunded_amount), 0) AS refunded,
+       COALESCE(SUM(change_amount), 0) AS change_given, GROUP_CONCAT(DISTINCT method ORDER BY method) AS methods
+     FROM payments
+     WHERE order_id = ? AND status IN (${placeholders(SETTLED_PAYMENT_STATUSES)})`,
+    [order.id, ...SETTLED_PAYMENT_STATUSES]
+  );
+  const due = toCents(getOrderAmountDue(order));
+  const paid = toCents(totals.paid);
+  const refunded = toCents(totals.refunded);
+  return {
+    currency: order.currency || 'INR',
+    amount_due: fromCents(due),
+    paid: fromCents(paid),
+    refunded: fromCents(refunded),
+    balance: fromCents(Math.max(due - paid + refunded, 0)),
+    overpaid: fromCents(Math.max(paid - refunded - due, 0)),
+    change_given: fromCents(toCents(totals.change_given)),
+    methods: totals.methods ? totals.methods.split(',') : [],
+    payment_status: derivePaymentStatus(due, paid, refunded)
+  };
+};
+
+// What gateway payments still waiting on the gateway have asked for on an
+// order, in cents. They are not money taken yet, but may still be.
+const getOpenIntentAmount = async (db, orderId) => {
+  const [[open]] = await db.execute(
+    `SELECT COALESCE(SUM(amount), 0) AS amount FROM payments WHERE order_id = ? AND status IN (${placeholders(CAPTURABLE_PAYMENT_STATUSES)})`,
+    [orderId, ...CAPTURABLE_PAYMENT_STATUSES]
+  );
+  return toCents(open.amount);
+};
+
+// Bring an order's payment_status and payment_method in line with its
+// ledger. Orders paid with more than one method are recorded as "mixed".
+const refreshOrderPaymentStatus = async (connection, orderId) => {
+  const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+  const summary = await getOrderPaymentSummary(connection, orders[0]);
+  const method = summary.methods.length > 1 ? 'mixed' : summary.methods[0] || null;
+
+  await connection.execute(
+    'UPDATE orders SET payment_status = ?, payment_method = COALESCE(?, payment_method) WHERE id = ?',
+    [summary.payment_status, method, orderId]
+  );
+};
+
+// Record money staff took at the table or counter. Cash tenders may hand
+// more than the amount over; the difference is the change due. share_id
+// ties the payment to a bill share.
+const recordCollectedPayment = async (connection, order, tender, actor) => {
+  const [result] = await connection.execute(
+    `INSERT INTO payments (order_id, bill_split_share_id, method, amount, currency, status, captured_amount, tendered_amount, change_amount, reference, created_by, captured_at)
+     VALUES (?, ?, ?, ?, ?, 'captured', ?, ?, ?, ?, ?, NOW())`,
+    [
+      order.id, tender.share_id || null, tender.method, fromCents(tender.amount), order.currency || 'INR', fromCents(tender.amount),
+      tender.tendered !== null ? fromCents(tender.tendered) : null,
+      tender.tendered !== null ? fromCents(tender.tendered - tender.amount) : null,
+      tender.reference, actor ? actor.id : null
+    ]
+  );
+  return result.insertId;
+};
+
+// Validate the tenders for a collection against the balance, in cents.
+// A tender's amount defaults to what is left; for cash it defaults to the
+// money handed over, up to what is left.
+const parseTenders = (entries, balance) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new ApiError(400, 'tenders must be a non-empty array');
+  }
+
+  let remaining = balance;
+  return entries.map((entry, index) => {
+    const label = `Tender ${index + 1}`;
+    if (!entry || !PAYMENT_METHODS.includes(entry.method)) {
+      throw new ApiError(400, `${label}: method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    let tendered = null;
+    if (entry.tendered !== undefined && entry.tendered !== null) {
+      if (entry.method !== 'cash') {
+        throw new ApiError(400, `${label}: tendered only applies to cash`);
       }
-    });
+      tendered = toCents(entry.tendered);
+      if (!Number.isInteger(tendered) || tendered <= 0) {
+        throw new ApiError(400, `${label}: tendered must be a positive amount`);
+      }
+    }
+
+    let amount;
+    if (entry.amount !== undefined && entry.amount !== null) {
+      amount = toCents(entry.amount);
+    } else {
+      amount = tendered !== null ? Math.min(tendered, remaining) : remaining;
+    }
+    if (!Number.isInteger(amount) || amount <= 0 || amount > remaining) {
+      throw new ApiError(400, `${label}: amount must be greater than 0 and at most ${fromCents(remaining)}`);
+    }
+    if (tendered !== null && tendered < amount) {
+      throw new ApiError(400, `${label}: tendered must cover the amount`);
+    }
+    if (entry.method === 'cash' && tendered === null) {
+      tendered = amount;
+    }
+    if (entry.reference !== undefined && entry.reference !== null && (typeof entry.reference !== 'string' || entry.reference.length > 100)) {
+      throw new ApiError(400, `${label}: reference must be text of up to 100 characters`);
+    }
+
+    remaining -= amount;
+    return { method: entry.method, amount, tendered, reference: entry.reference || null };
+  });
+};
+
+// Book what the gateway actually took, in cents. The capture is checked
+// against the intent and against what the order still owed; anything that
+// does not add up is kept in the ledger with a review_reason so staff can
+// refund it. notes are extra reasons from the caller.
+const applyPaymentCapture = async (connection, payment, amount, notes = []) => {
+  const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [payment.order_id]);
+  const balance = toCents((await getOrderPaymentSummary(connection, orders[0])).balance);
+
+  const reasons = [...notes];
+  if (!CAPTURABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    reasons.push(`Captured after the payment ${payment.status}`);
+  }
+  if (amount !== toCents(payment.amount)) {
+    reasons.push(`Captured ${fromCents(amount)} for a payment of ${fromCents(toCents(payment.amount))}`);
+  }
+  if (UNBILLED_ORDER_STATUSES.includes(orders[0].order_status)) {
+    reasons.push(`Captured for an order that is ${orders[0].order_status}`);
+  } else if (balance === 0) {
+    reasons.push('Captured after the order was paid');
+  } else if (amount > balance) {
+    reasons.push(`Captured ${fromCents(amount - balance)} more than the order owed`);
+  }
+
+  await connection.execute(
+    "UPDATE payments SET status = 'captured', captured_amount = ?, review_reason = ?, captured_at = NOW() WHERE id = ?",
+    [fromCents(amount), reasons.length > 0 ? reasons.join('; ').slice(0, 255) : null, payment.id]
+  );
+  await refreshOrderPaymentStatus(connection, payment.order_id);
+};
+
+// Split the total a gateway reports as captured across the ledger rows it
+// covers, in proportion to what each asked for. Without a usable total each
+// row is booked at its own amount and flagged.
+const allocateGatewayCapture = (payments, reportedAmount) => {
+  const reported = reportedAmount !== undefined && reportedAmount !== null ? toCents(reportedAmount) : NaN;
+  if (!Number.isInteger(reported) || reported < 0) {
+    return payments.map(payment => ({
+      payment, amount: toCents(payment.amount), notes: ['The gateway did not report the captured amount']
+    }));
+  }
+  const amounts = allocateProportionally(reported, payments.map(payment => toCents(payment.amount)));
+  return payments.map((payment, index) => ({ payment, amount: amounts[index], notes: [] }));
+};
+
+const applyPaymentRefund = async (connection, payment, amount) => {
+  const refunded = toCents(payment.refunded_amount) + toCents(amount);
+  await connection.execute(
+    'UPDATE payments SET status = ?, refunded_amount = ? WHERE id = ?',
+    [refunded >= toCents(payment.captured_amount) ? 'refunded' : 'partially_refunded', fromCents(refunded), payment.id]
+  );
+  await refreshOrderPaymentStatus(connection, payment.order_id);
+};
+
+// Payment changes go to the same rooms as their order. When money was
+// taken or refunded, each order involved is also broadcast as
+// order-payment-updated with its ledger summary, and so is the bill split
+// of any share paid.
+const emitPaymentUpdates = async (paymentIds, ledgerChanged) => {
+  const orderIds = new Set();
+  const shareIds = new Set();
+  for (const paymentId of paymentIds) {
+    const { client_data, ...payment } = await getPayment(pool, paymentId);
+    emitOrderEvent('payment-updated', payment);
+    orderIds.add(payment.order_id);
+    if (payment.bill_split_share_id) {
+      shareIds.add(payment.bill_split_share_id);
+    }
+  }
+  if (!ledgerChanged) {
+    return;
+  }
+  for (const orderId of orderIds) {
+    const order = await getOrderDetails(pool, orderId);
+    emitOrderEvent('order-payment-updated', { ...order, payment_summary: await getOrderPaymentSummary(pool, order) });
+  }
+  if (shareIds.size > 0) {
+    const [splits] = await pool.execute(
+      `SELECT DISTINCT bill_split_id FROM bill_split_shares WHERE id IN (${placeholders([...shareIds])})`,
+      [...shareIds]
+    );
+    for (const split of splits) {
+      await emitBillSplit(split.bill_split_id);
+    }
+  }
+};
+
+// Apply a verified webhook event. Events are recorded by provider and id in
+// the same transaction, so a replayed event is recognised and ignored.
+// Resolves to { duplicate } or { paymentIds, ledgerChanged }.
+const processPaymentWebhook = async (providerName, event) => {
+  if (!event || typeof event.id !== 'string' || typeof event.type !== 'string') {
+    throw new ApiError(400, 'Webhook event must have an id and a type');
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // One gateway payment can have a ledger row per order, when a bill share spans several
+    const [payments] = await connection.execute(
+      'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ? ORDER BY id FOR UPDATE',
+      [providerName, event.provider_payment_id || '']
+    );
+
+    try {
+      await connection.execute(
+        'INSERT INTO payment_webhook_events (provider, event_id, event_type, payment_id) VALUES (?, ?, ?, ?)',
+        [providerName, event.id, event.type, payments.length > 0 ? payments[0].id : null]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        await connection.rollback();
+        return { duplicate: true };
+      }
+      throw error;
+    }
+
+    // The captured total covers every row still waiting on the gateway
+    const captures = event.type === 'payment.captured'
+      ? allocateGatewayCapture(
+        payments.filter(payment => [...CAPTURABLE_PAYMENT_STATUSES, ...LATE_CAPTURE_PAYMENT_STATUSES].includes(payment.status)),
+        event.amount
+      )
+      : [];
+
+    // Events for payments we never created are acknowledged so the gateway stops retrying
+    const paymentIds = [];
+    let ledgerChanged = false;
+    for (const payment of payments) {
+      const capture = captures.find(entry => entry.payment.id === payment.id);
+      if (event.type === 'payment.authorized' && payment.status === 'pending') {
+        await connection.execute("UPDATE payments SET status = 'authorized' WHERE id = ?", [payment.id]);
+        paymentIds.push(payment.id);
+      } else if (capture) {
+        await applyPaymentCapture(connection, payment, capture.amount, capture.notes);
+        paymentIds.push(payment.id);
+        ledgerChanged = true;
+      } else if (event.type === 'payment.failed' && CAPTURABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        await connection.execute(
+          "UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ?",
+          [event.failure_reason ? String(event.failure_reason).slice(0, 255) : null, payment.id]
+        );
+        paymentIds.push(payment.id);
+      } else if (event.type === 'refund.succeeded' && event.provider_refund_id) {
+        // Refunds the gateway settles later are recorded as pending and counted once confirmed
+        const [refunds] = await connection.execute(
+          "SELECT id, amount FROM payment_refunds WHERE payment_id = ? AND provider_refund_id = ? AND status = 'pending' FOR UPDATE",
+          [payment.id, event.provider_refund_id]
+        );
+        if (refunds.length > 0) {
+          await connection.execute("UPDATE payment_refunds SET status = 'succeeded' WHERE id = ?", [refunds[0].id]);
+          await applyPaymentRefund(connection, payment, refunds[0].amount);
+          paymentIds.push(payment.id);
+          ledgerChanged = true;
+        }
+      }
+    }
+
+    await connection.commit();
+    return { paymentIds, ledgerChanged };
   } catch (error) {
-    console.error('Error fetching monthly analytics:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch analytics',
-      error: error.message
-    });
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
   }
-});
+};
 
-app.get('/api/analytics/quarterly', async (req, res) => {
+// Start a UPI or card payment through a gateway. Body: method, amount
+// (defaults to the balance), provider (optional), table_token for guests.
+// Payments still awaiting the gateway count against the balance; cancel
+// one to pay differently. The response carries the client_data the app
+// needs to complete the payment with the gateway.
+app.post('/api/orders/:id/payments', optionalAuth, async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    const { quarter, year } = req.query;
-    const targetQuarter = quarter || Math.ceil((new Date().getMonth() + 1) / 3);
-    const targetYear = year || new Date().getFullYear();
+    await connection.beginTransaction();
 
-    const startMonth = (targetQuarter - 1) * 3 + 1;
-    const endMonth = targetQuarter * 3;
+    const { method } = req.body;
+    if (!GATEWAY_PAYMENT_METHODS.includes(method)) {
+      throw new ApiError(400, `method must be one of: ${GATEWAY_PAYMENT_METHODS.join(', ')}`);
+    }
+    const providerName = req.body.provider || undefined;
+    if (providerName !== undefined && !hasProvider(providerName)) {
+      throw new ApiError(400, `Unknown payment provider "${providerName}"`);
+    }
 
-    const [summaryRows] = await pool.execute(`
-      SELECT 
-        COUNT(*) as total_orders,
-        SUM(total_amount_inr) as total_revenue_inr,
-        SUM(total_amount_usd) as total_revenue_usd,
-        COUNT(DISTINCT table_number) as tables_served
-      FROM orders
-      WHERE MONTH(created_at) BETWEEN ? AND ? 
-        AND YEAR(created_at) = ?
-    `, [startMonth, endMonth, targetYear]);
+    const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (orders.length === 0 || !(await canAccessOrderPayments(connection, req, orders[0], req.body.table_token))) {
+      throw new ApiError(404, 'Order not found');
+    }
+    const order = orders[0];
+    if (['cancelled', 'rejected'].includes(order.order_status)) {
+      throw new ApiError(409, `Order is ${order.order_status}`);
+    }
+    if (!PAYABLE_PAYMENT_STATUSES.includes(order.payment_status)) {
+      throw new ApiError(409, `Order is already ${order.payment_status}`);
+    }
 
-    const [itemsRows] = await pool.execute(`
-      SELECT 
-        oi.item_name,
-        SUM(oi.quantity) as quantity_sold,
-        SUM(oi.price_inr * oi.quantity) as revenue_inr,
-        SUM(oi.price_usd * oi.quantity) as revenue_usd
-      FROM order_items oi
-      JOIN orders o ON oi.order_id = o.id
-      WHERE MONTH(o.created_at) BETWEEN ? AND ? 
-        AND YEAR(o.created_at) = ?
-      GROUP BY oi.item_name
-      ORDER BY quantity_sold DESC
-    `, [startMonth, endMonth, targetYear]);
+    const pending = await getOpenIntentAmount(connection, order.id);
+    const balance = toCents((await getOrderPaymentSummary(connection, order)).balance) - pending;
+    if (balance <= 0) {
+      throw new ApiError(409, 'Payments for the rest of this order are awaiting confirmation', {
+        pending_amount: fromCents(pending)
+      });
+    }
+    const amountCents = req.body.amount !== undefined ? toCents(req.body.amount) : balance;
+    if (!Number.isInteger(amountCents) || amountCents <= 0 || amountCents > balance) {
+      throw new ApiError(400, `amount must be greater than 0 and at most ${fromCents(balance)}`, {
+        pending_amount: fromCents(pending)
+      });
+    }
 
-    res.json({
-      success: true,
-      data: {
-        summary: summaryRows[0],
-        items: itemsRows,
-        quarter: targetQuarter,
-        year: targetYear
-      }
-    });
+    const provider = getProvider(providerName);
+    const amount = fromCents(amountCents);
+    const currency = order.currency || 'INR';
+    const intent = await provider.createIntent({ amount, currency, method, reference: `Order ${order.id}` });
+
+    const [result] = await connection.execute(
+      `INSERT INTO payments (order_id, provider, provider_payment_id, method, amount, currency, status, client_data, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [order.id, provider.name, intent.provider_payment_id, method, amount, currency, intent.status,
+        JSON.stringify(intent.client_data || null), req.user ? req.user.id : null]
+    );
+
+    await connection.commit();
+
+    await emitPaymentUpdates([result.insertId], false);
+    res.json({ success: true, data: await getPayment(pool, result.insertId) });
   } catch (error) {
-    console.error('Error fetching quarterly analytics:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch analytics',
-      error: error.message
-    });
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to create payment', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Add, change or waive the service charge on an order. Body:
+// service_charge_percent (0 waives it). Not possible once payments or a bill
+// split are based on the total.
+app.put('/api/orders/:id/service-charge', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const percent = parsePercent(req.body.service_charge_percent, 'service_charge_percent');
+    const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (orders.length === 0) {
+      throw new ApiError(404, 'Order not found');
+    }
+    if (UNBILLED_ORDER_STATUSES.includes(orders[0].order_status)) {
+      throw new ApiError(409, `Order is ${orders[0].order_status}`);
+    }
+    const [payments] = await connection.execute(
+      "SELECT id FROM payments WHERE order_id = ? AND status IN ('pending', 'authorized', 'captured', 'partially_refunded')",
+      [orders[0].id]
+    );
+    if (payments.length > 0) {
+      throw new ApiError(409, 'The service charge cannot change once the order has payments');
+    }
+    if (await findActiveBillSplit(connection, [orders[0].id])) {
+      throw new ApiError(409, 'The bill for this order is split; cancel the bill split first');
+    }
+
+    // The service charge is taxed at the current service charge tax rate
+    const settings = await getBillingSettings(connection);
+    await connection.execute(
+      'UPDATE orders SET service_charge_percent = ?, service_charge_tax_rate = ? WHERE id = ?',
+      [percent, settings.service_charge_tax_rate, orders[0].id]
+    );
+    await recalculateOrderTotals(connection, orders[0].id);
+
+    await connection.commit();
+
+    const order = await getOrderDetails(pool, orders[0].id);
+    emitOrderEvent('order-updated', order);
+    res.json({ success: true, data: order });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error updating service charge:', error);
+    res.status(500).json({ success: false, message: 'Failed to update service charge', error: error.message });
+  } finally {
+    connection.release();
   }
 });
 
-app.get('/api/analytics/yearly', async (req, res) => {
+// Record money collected by staff: cash, or card and UPI taken on the
+// restaurant's own terminal. Body: tenders [{ method, amount, tendered,
+// reference }], or a single tender's fields at the top level. Several
+// tenders split the bill across methods; the response includes the change
+// due on cash.
+app.post('/api/orders/:id/collect', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    const { year } = req.query;
-    const targetYear = year || new Date().getFullYear();
+    await connection.beginTransaction();
 
-    const [summaryRows] = await pool.execute(`
-      SELECT 
-        COUNT(*) as total_orders,
-        SUM(total_amount_inr) as total_revenue_inr,
-        SUM(total_amount_usd) as total_revenue_usd,
-        COUNT(DISTINCT table_number) as tables_served
-      FROM orders
-      WHERE YEAR(created_at) = ?
-    `, [targetYear]);
+    const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (orders.length === 0) {
+      throw new ApiError(404, 'Order not found');
+    }
+    const order = orders[0];
+    if (['cancelled', 'rejected'].includes(order.order_status)) {
+      throw new ApiError(409, `Order is ${order.order_status}`);
+    }
 
-    const [itemsRows] = await pool.execute(`
-      SELECT 
-        oi.item_name,
-        SUM(oi.quantity) as quantity_sold,
-        SUM(oi.price_inr * oi.quantity) as revenue_inr,
-        SUM(oi.price_usd * oi.quantity) as revenue_usd
-      FROM order_items oi
-      JOIN orders o ON oi.order_id = o.id
-      WHERE YEAR(o.created_at) = ?
-      GROUP BY oi.item_name
-      ORDER BY quantity_sold DESC
-    `, [targetYear]);
+    // An open gateway payment may still be captured on top of what staff take
+    const pending = await getOpenIntentAmount(connection, order.id);
+    if (pending > 0) {
+      throw new ApiError(409, 'Gateway payments on this order are awaiting confirmation; cancel them before collecting', {
+        pending_amount: fromCents(pending)
+      });
+    }
+    const summary = await getOrderPaymentSummary(connection, order);
+    if (toCents(summary.balance) === 0) {
+      throw new ApiError(409, 'Nothing is left to pay on this order');
+    }
+    const tenders = parseTenders(Array.isArray(req.body.tenders) ? req.body.tenders : [req.body], toCents(summary.balance));
 
-    const [monthlyRows] = await pool.execute(`
-      SELECT 
-        MONTH(created_at) as month,
-        COUNT(*) as orders,
-        SUM(total_amount_inr) as revenue_inr,
-        SUM(total_amount_usd) as revenue_usd
-      FROM orders
-      WHERE YEAR(created_at) = ?
-      GROUP BY MONTH(created_at)
-      ORDER BY month
-    `, [targetYear]);
+    const paymentIds = [];
+    for (const tender of tenders) {
+      paymentIds.push(await recordCollectedPayment(connection, order, tender, req.user));
+    }
+    await refreshOrderPaymentStatus(connection, order.id);
+
+    await connection.commit();
 
+    await emitPaymentUpdates(paymentIds, true);
+    const changeDue = tenders.reduce((sum, tender) => sum + (tender.tendered !== null ? tender.tendered - tender.amount : 0), 0);
+    const [payments] = await pool.execute(`${PAYMENT_SELECT} WHERE p.id IN (${placeholders(paymentIds)}) ORDER BY p.id`, paymentIds);
     res.json({
       success: true,
       data: {
-        summary: summaryRows[0],
-        items: itemsRows,
-        monthly: monthlyRows,
-        year: targetYear
+        order_id: order.id,
+        ...(await getOrderPaymentSummary(pool, order)),
+        change_due: fromCents(changeDue),
+        payments: payments.map(formatPayment)
       }
     });
   } catch (error) {
-    console.error('Error fetching yearly analytics:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch analytics',
-      error: error.message
-    });
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error collecting payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to collect payment', error: error.message });
+  } finally {
+    connection.release();
   }
 });
-// Test endpoint for revenue/orders data
-app.get('/api/analytics/test-revenue-orders', async (req, res) => {
-  try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
 
-    // Get a simple count of orders in the date range
-    const [orderCount] = await pool.execute(`
-            SELECT COUNT(*) as count
-            FROM orders
-            WHERE created_at >= ? AND created_at < ?
-        `, [startDate, endDate]);
+// An order's ledger: what is due, paid, refunded and left, and its
+// payments newest first. Guests pass ?token= from the QR code.
+app.get('/api/orders/:id/payments', optionalAuth, async (req, res) => {
+  try {
+    const [orders] = await pool.execute('SELECT * FROM orders WHERE id = ?', [req.params.id]);
+    if (orders.length === 0 || !(await canAccessOrderPayments(pool, req, orders[0], req.query.token))) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
 
+    const [rows] = await pool.execute(`${PAYMENT_SELECT} WHERE p.order_id = ? ORDER BY p.created_at DESC, p.id DESC`, [req.params.id]);
+    const [refunds] = await pool.execute(
+      `SELECT r.* FROM payment_refunds r JOIN payments p ON r.payment_id = p.id WHERE p.order_id = ? ORDER BY r.created_at`,
+      [req.params.id]
+    );
     res.json({
       success: true,
-      message: 'Test endpoint for revenue/orders data',
-      period,
-      currency,
-      startDate,
-      endDate,
-      orderCount: orderCount[0].count
+      data: {
+        order_id: orders[0].id,
+        ...(await getOrderPaymentSummary(pool, orders[0])),
+        payments: rows.map(row => ({
+          ...formatPayment(row),
+          refunds: refunds.filter(refund => refund.payment_id === row.id)
+        }))
+      }
     });
   } catch (error) {
-    console.error('Error in test revenue/orders endpoint:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Test endpoint failed',
-      error: error.message
-    });
+    console.error('Error fetching order payments:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payments', error: error.message });
   }
 });
 
-// Analytics page endpoints
-app.get('/api/analytics/test', (req, res) => {
-  res.json({ success: true, message: 'Analytics API is working' });
+// Captured payments flagged for review that still hold money, oldest first:
+// the candidates for a refund through POST /api/payments/:id/refund
+app.get('/api/payments/review', authorize('payments:manage'), async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `${PAYMENT_SELECT} WHERE p.review_reason IS NOT NULL AND p.status IN (${placeholders(REFUNDABLE_PAYMENT_STATUSES)})
+       ORDER BY p.captured_at, p.id`,
+      REFUNDABLE_PAYMENT_STATUSES
+    );
+    res.json({ success: true, data: rows.map(formatPayment) });
+  } catch (error) {
+    console.error('Error fetching payments for review:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payments', error: error.message });
+  }
 });
 
-// Helper function to get date range based on period
-// Helper function to get date range based on period
-const getDateRangeForPeriod = (period) => {
-  const now = new Date();
-  let startDate, endDate;
+app.get('/api/payments/:id', authorize('payments:manage'), async (req, res) => {
+  try {
+    const payment = await getPayment(pool, req.params.id);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+    const [refunds] = await pool.execute('SELECT * FROM payment_refunds WHERE payment_id = ? ORDER BY created_at', [payment.id]);
+    res.json({ success: true, data: { ...payment, refunds } });
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch payment', error: error.message });
+  }
+});
 
-  switch (period) {
-    case 'daily':
-      startDate = new Date(now);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now);
-      endDate.setHours(23, 59, 59, 999);
-      break;
-    case 'weekly':
-      startDate = new Date(now);
-      startDate.setDate(now.getDate() - 28); // Last 4 weeks
-      endDate = new Date(now);
-      break;
-    case 'monthly':
-      // TEMPORARY CHANGE: Look back 2 years for testing
-      startDate = new Date(now);
-      startDate.setFullYear(now.getFullYear() - 2); // Look back 2 years
-      endDate = new Date(now);
-      break;
-    case 'yearly':
-      // TEMPORARY CHANGE: Look back 5 years for testing
-      startDate = new Date(now);
-      startDate.setFullYear(now.getFullYear() - 5); // Look back 5 years
-      endDate = new Date(now);
-      break;
-    default:
-      // Default to last 7 days
-      startDate = new Date(now);
-      startDate.setDate(now.getDate() - 7);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now);
-      endDate.setHours(23, 59, 59, 999);
+// Capture an authorized payment with the gateway, for providers that
+// authorize first. Capture is for the full amount, and only while the
+// orders still owe it.
+app.post('/api/payments/:id/capture', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute('SELECT * FROM payments WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      throw new ApiError(404, 'Payment not found');
+    }
+    const payment = rows[0];
+    if (!payment.provider || !CAPTURABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, `Payment is already ${payment.status}`);
+    }
+
+    // Ledger rows sharing the gateway payment are captured together
+    const [siblings] = await connection.execute(
+      'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ? ORDER BY id FOR UPDATE',
+      [payment.provider, payment.provider_payment_id]
+    );
+    const capturable = siblings.filter(sibling => CAPTURABLE_PAYMENT_STATUSES.includes(sibling.status));
+    for (const sibling of capturable) {
+      const [orders] = await connection.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [sibling.order_id]);
+      const balance = toCents((await getOrderPaymentSummary(connection, orders[0])).balance);
+      if (UNBILLED_ORDER_STATUSES.includes(orders[0].order_status) || toCents(sibling.amount) > balance) {
+        throw new ApiError(409, `Order ${sibling.order_id} no longer owes this payment; cancel it instead`, {
+          order_id: sibling.order_id,
+          balance: fromCents(balance)
+        });
+      }
+    }
+    const amount = capturable.reduce((sum, sibling) => sum + toCents(sibling.amount), 0);
+
+    const result = await getProvider(payment.provider).capture(payment.provider_payment_id, fromCents(amount));
+    if (result.status !== 'captured') {
+      throw new ApiError(502, `Payment provider did not capture the payment (${result.status})`);
+    }
+    for (const capture of allocateGatewayCapture(capturable, result.amount)) {
+      await applyPaymentCapture(connection, capture.payment, capture.amount, capture.notes);
+    }
+
+    await connection.commit();
+
+    await emitPaymentUpdates(capturable.map(sibling => sibling.id), true);
+    res.json({ success: true, data: await getPayment(pool, payment.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error capturing payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to capture payment', error: error.message });
+  } finally {
+    connection.release();
   }
+});
 
-  console.log(`Date range for period ${period}: ${startDate} to ${endDate}`);
-  return { startDate, endDate };
-};
+// Cancel a gateway payment that has not been captured, so its amount is
+// free to pay another way. Ledger rows sharing the gateway payment are
+// cancelled together. A capture the gateway still reports afterwards is
+// booked and flagged for review.
+app.post('/api/payments/:id/cancel', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
 
-// Helper function to get previous period date range
-const getPreviousPeriodDateRange = (period) => {
-  const now = new Date();
-  let startDate, endDate;
+    const [rows] = await connection.execute('SELECT * FROM payments WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      throw new ApiError(404, 'Payment not found');
+    }
+    const payment = rows[0];
+    if (!payment.provider || !CAPTURABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, `Payment is already ${payment.status}`);
+    }
 
-  switch (period) {
-    case 'daily':
-      startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-      endDate.setHours(23, 59, 59, 999);
-      break;
-    case 'weekly':
-      // Get the start of the current week
-      const currentWeekStart = new Date(now);
-      currentWeekStart.setDate(now.getDate() - now.getDay());
-      currentWeekStart.setHours(0, 0, 0, 0);
+    const [siblings] = await connection.execute(
+      'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ? ORDER BY id FOR UPDATE',
+      [payment.provider, payment.provider_payment_id]
+    );
+    const open = siblings.filter(sibling => CAPTURABLE_PAYMENT_STATUSES.includes(sibling.status));
+
+    // Providers without cancel let uncaptured intents expire on their own
+    const provider = getProvider(payment.provider);
+    if (provider.cancel) {
+      const result = await provider.cancel(payment.provider_payment_id);
+      if (result.status !== 'cancelled') {
+        throw new ApiError(502, `Payment provider did not cancel the payment (${result.status})`);
+      }
+    }
+    await connection.execute(
+      `UPDATE payments SET status = 'cancelled' WHERE id IN (${placeholders(open)})`,
+      open.map(sibling => sibling.id)
+    );
 
-      // Previous week is 7 days before that
-      startDate = new Date(currentWeekStart);
-      startDate.setDate(currentWeekStart.getDate() - 7);
+    await connection.commit();
 
-      endDate = new Date(currentWeekStart);
-      endDate.setDate(currentWeekStart.getDate() - 1);
-      endDate.setHours(23, 59, 59, 999);
-      break;
-    case 'monthly':
-      startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59);
-      break;
-    case 'yearly':
-      startDate = new Date(now.getFullYear() - 1, 0, 1);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now.getFullYear() - 1, 11, 31, 23, 59, 59);
-      break;
-    default:
-      startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-      startDate.setHours(0, 0, 0, 0);
-      endDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
-      endDate.setHours(23, 59, 59, 999);
+    await emitPaymentUpdates(open.map(sibling => sibling.id), false);
+    res.json({ success: true, data: await getPayment(pool, payment.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error cancelling payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel payment', error: error.message });
+  } finally {
+    connection.release();
   }
+});
 
-  return { startDate, endDate };
-};
+// Refund some or all of a captured payment. Body: amount (defaults to what
+// is left to refund), reason. Gateway payments are refunded through their
+// provider; for collected payments this records money handed back.
+app.post('/api/payments/:id/refund', authorize('payments:refund'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
 
-// Get summary analytics - UPDATED
-app.get('/api/analytics/summary', async (req, res) => {
+    const [rows] = await connection.execute('SELECT * FROM payments WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (rows.length === 0) {
+      throw new ApiError(404, 'Payment not found');
+    }
+    const payment = rows[0];
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new ApiError(409, `Only captured payments can be refunded; this one is ${payment.status}`);
+    }
+
+    // Refunds still waiting on the gateway count against what is left
+    const [[pending]] = await connection.execute(
+      "SELECT COALESCE(SUM(amount), 0) AS amount FROM payment_refunds WHERE payment_id = ? AND status = 'pending'",
+      [payment.id]
+    );
+    const refundable = toCents(payment.captured_amount) - toCents(payment.refunded_amount) - toCents(pending.amount);
+    const amount = req.body.amount !== undefined ? toCents(req.body.amount) : refundable;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
+      throw new ApiError(400, `amount must be greater than 0 and at most ${fromCents(refundable)}`);
+    }
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason || reason.length > 255) {
+      throw new ApiError(400, 'reason is required and must be up to 255 characters');
+    }
+
+    const result = payment.provider
+      ? await getProvider(payment.provider).refund(payment.provider_payment_id, fromCents(amount), reason)
+      : { provider_refund_id: null, status: 'succeeded' };
+    const status = result.status === 'succeeded' ? 'succeeded' : 'pending';
+    await connection.execute(
+      'INSERT INTO payment_refunds (payment_id, provider_refund_id, amount, status, reason, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+      [payment.id, result.provider_refund_id || null, fromCents(amount), status, reason, req.user.id]
+    );
+    if (status === 'succeeded') {
+      await applyPaymentRefund(connection, payment, fromCents(amount));
+    }
+
+    await connection.commit();
+
+    await emitPaymentUpdates([payment.id], status === 'succeeded');
+    res.json({ success: true, data: await getPayment(pool, payment.id) });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error refunding payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to refund payment', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
+
+// Gateway callbacks. The signature is checked against the raw request body
+// before anything is trusted; replays of an event already applied get a 200
+// so the gateway stops retrying.
+app.post('/api/payments/webhooks/:provider', async (req, res) => {
   try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+    if (!hasProvider(req.params.provider)) {
+      return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+    }
 
-    // Total orders
-    const [totalOrdersResult] = await pool.execute(`
-      SELECT COUNT(*) as total_orders
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-    `, [startDate, endDate]);
-    const totalOrders = totalOrdersResult[0].total_orders;
+    let event;
+    try {
+      event = getProvider(req.params.provider).verifyWebhook(req.rawBody || Buffer.alloc(0), req.headers);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
 
-    // Total revenue - use different queries based on currency
-    let totalRevenue;
-    if (currency === 'INR') {
-      const [totalRevenueResult] = await pool.execute(`
-        SELECT SUM(total_amount_inr) as total_revenue
-        FROM orders
-        WHERE created_at >= ? AND created_at < ?
-      `, [startDate, endDate]);
-      totalRevenue = totalRevenueResult[0].total_revenue || 0;
-    } else {
-      const [totalRevenueResult] = await pool.execute(`
-        SELECT SUM(total_amount_usd) as total_revenue
-        FROM orders
-        WHERE created_at >= ? AND created_at < ?
-      `, [startDate, endDate]);
-      totalRevenue = totalRevenueResult[0].total_revenue || 0;
+    const { duplicate, paymentIds, ledgerChanged } = await processPaymentWebhook(req.params.provider, event);
+    if (duplicate) {
+      return res.json({ success: true, message: 'Event already processed' });
+    }
+    await emitPaymentUpdates(paymentIds, ledgerChanged);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
     }
+    console.error('Error processing payment webhook:', error);
+    res.status(500).json({ success: false, message: 'Failed to process payment webhook', error: error.message });
+  }
+});
 
-    // Tables served
-    const [tablesServedResult] = await pool.execute(`
-      SELECT COUNT(DISTINCT table_id) as tables_served
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-    `, [startDate, endDate]);
-    const tablesServed = tablesServedResult[0].tables_served || 0;
+// Development only: play the gateway for a local payment by sending it a
+// signed webhook. Body: outcome (authorized, captured or failed),
+// failure_reason, amount (what the gateway took; defaults to the whole
+// gateway payment)
+const SIMULATED_PAYMENT_OUTCOMES = ['authorized', 'captured', 'failed'];
 
-    // Average order value
-    const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+app.post('/api/payments/:id/simulate', authorize('payments:manage'), async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ success: false, message: 'Not found' });
+    }
+    const { outcome, failure_reason } = req.body;
+    if (!SIMULATED_PAYMENT_OUTCOMES.includes(outcome)) {
+      throw new ApiError(400, `outcome must be one of: ${SIMULATED_PAYMENT_OUTCOMES.join(', ')}`);
+    }
 
-    // Customers
-    const [customersResult] = await pool.execute(`
-      SELECT COUNT(DISTINCT customer_id) as total_customers
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-    `, [startDate, endDate]);
-    const totalCustomers = customersResult[0].total_customers || 0;
+    const payment = await getPayment(pool, req.params.id);
+    if (!payment) {
+      throw new ApiError(404, 'Payment not found');
+    }
+    if (payment.provider !== 'local') {
+      throw new ApiError(409, 'Only payments with the local provider can be simulated');
+    }
 
-    // Average items per order
-    const [avgItemsResult] = await pool.execute(`
-      SELECT AVG(item_count) as avg_items_per_order
-      FROM (
-        SELECT o.id, COUNT(oi.id) as item_count
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        WHERE o.created_at >= ? AND o.created_at < ?
-        GROUP BY o.id
-      ) as order_items_count
-    `, [startDate, endDate]);
-    const avgItemsPerOrder = avgItemsResult[0].avg_items_per_order || 0;
+    // A bill share's gateway payment spans a ledger row per order
+    const [[gateway]] = await pool.execute(
+      'SELECT SUM(amount) AS amount FROM payments WHERE provider = ? AND provider_payment_id = ?',
+      [payment.provider, payment.provider_payment_id]
+    );
 
-    res.json({
-      success: true,
-      data: {
-        total_orders: totalOrders,
-        [`total_revenue_${currency.toLowerCase()}`]: totalRevenue,
-        tables_served: tablesServed,
-        avg_order_value: avgOrderValue,
-        total_customers: totalCustomers,
-        avg_items_per_order: avgItemsPerOrder
-      }
+    // Goes through signature verification like a real callback would
+    const webhook = signLocalWebhook({
+      type: `payment.${outcome}`,
+      provider_payment_id: payment.provider_payment_id,
+      amount: req.body.amount !== undefined ? req.body.amount : gateway.amount,
+      failure_reason: outcome === 'failed' ? failure_reason || 'Declined by simulator' : undefined
     });
+    const event = getProvider('local').verifyWebhook(webhook.body, webhook.headers);
+    const { paymentIds, ledgerChanged } = await processPaymentWebhook('local', event);
+    await emitPaymentUpdates(paymentIds, ledgerChanged);
+    res.json({ success: true, data: await getPayment(pool, payment.id) });
   } catch (error) {
-    console.error('Error fetching summary analytics:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch summary analytics',
-      error: error.message
-    });
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error simulating payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to simulate payment', error: error.message });
   }
 });
 
-// Get revenue and orders over time - UPDATED
-// Get revenue and orders over time - UPDATED
-app.get('/api/analytics/revenue-orders', async (req, res) => {
-  try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+// Bill split endpoints
+// Staff split an order or a table session's bill into shares: by assigning
+// order lines (e.g. per seat), in equal shares or by custom amounts. Each
+// share is allocated across the orders it covers and is paid on its own,
+// collected by staff or by a guest through the share's link. Payments land
+// in the orders' ledgers like any other.
+const BILL_SPLIT_TYPES = ['items', 'equal', 'custom'];
+const MAX_BILL_SHARES = 20;
+
+const getBillShareLink = (token) => `${QR_BASE_URL}/?bill_share=${encodeURIComponent(token)}`;
+
+// Spread an amount in cents over buckets in proportion to their weights.
+// Cents lost to rounding go to the largest remainders, earlier buckets first.
+const allocateProportionally = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (total > 0 ? (amount * weight) / total : amount / weights.length));
+  const result = exact.map(Math.floor);
+  let left = amount - result.reduce((sum, value) => sum + value, 0);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder);
+  for (const { index } of byRemainder) {
+    if (left === 0) break;
+    result[index] += 1;
+    left -= 1;
+  }
+  return result;
+};
 
-    let groupBy, dateFormat;
-    switch (period) {
-      case 'daily':
-        groupBy = 'DATE(created_at)';
-        dateFormat = '%Y-%m-%d';
-        break;
-      case 'weekly':
-        groupBy = 'YEARWEEK(created_at)';
-        dateFormat = '%Y-%m-%d';
-        break;
-      case 'monthly':
-        groupBy = 'YEAR(created_at), MONTH(created_at)';
-        dateFormat = '%Y-%m-%d';
-        break;
-      case 'yearly':
-        groupBy = 'YEAR(created_at)';
-        dateFormat = '%Y-%m-%d';
-        break;
-      default:
-        groupBy = 'DATE(created_at)';
-        dateFormat = '%Y-%m-%d';
+// Fill each share from the orders in turn. The share amounts must add up to
+// the orders' balances.
+const allocateAcrossOrders = (amounts, orders) => {
+  const remaining = orders.map(order => order.balance);
+  let orderIndex = 0;
+  return amounts.map((amount) => {
+    const allocations = [];
+    let left = amount;
+    while (left > 0) {
+      const take = Math.min(left, remaining[orderIndex]);
+      if (take > 0) {
+        allocations.push({ order_id: orders[orderIndex].id, amount: take });
+        remaining[orderIndex] -= take;
+        left -= take;
+      }
+      if (remaining[orderIndex] === 0) {
+        orderIndex += 1;
+      }
     }
+    return allocations;
+  });
+};
 
-    const revenueColumn = currency === 'INR' ? 'total_amount_inr' : 'total_amount_usd';
+// Lock the given orders and keep the billed ones with money still owed,
+// with their balances in cents
+const loadPayableOrders = async (connection, orderIds) => {
+  if (orderIds.length === 0) {
+    return [];
+  }
+  const [orders] = await connection.execute(
+    `SELECT * FROM orders WHERE id IN (${placeholders(orderIds)}) ORDER BY id FOR UPDATE`,
+    orderIds
+  );
+  const payable = [];
+  for (const order of orders.filter(order => !UNBILLED_ORDER_STATUSES.includes(order.order_status))) {
+    const balance = toCents((await getOrderPaymentSummary(connection, order)).balance);
+    if (balance > 0) {
+      payable.push({ ...order, balance });
+    }
+  }
+  return payable;
+};
 
-    const [results] = await pool.execute(`
-      SELECT 
-        ${groupBy} as date_group,
-        DATE_FORMAT(MIN(created_at), '${dateFormat}') as date,
-        COUNT(*) as orders,
-        COALESCE(SUM(${revenueColumn}), 0) as revenue,
-        COUNT(DISTINCT table_id) as tables_used,
-        COALESCE(AVG(${revenueColumn}), 0) as avg_order_value
-      FROM orders 
-      WHERE created_at >= ? AND created_at < ?
-      GROUP BY ${groupBy}
-      ORDER BY date_group
-    `, [startDate, endDate]);
+// The active split already covering any of these orders
+const findActiveBillSplit = async (connection, orderIds) => {
+  const [rows] = await connection.execute(
+    `SELECT DISTINCT bs.id
+     FROM bill_split_allocations a
+     JOIN bill_split_shares s ON a.share_id = s.id
+     JOIN bill_splits bs ON s.bill_split_id = bs.id
+     WHERE bs.status = 'active' AND a.order_id IN (${placeholders(orderIds)})`,
+    orderIds
+  );
+  return rows.length > 0 ? rows[0].id : null;
+};
 
-    // Format the data for the chart
-    const formattedData = results.map(row => ({
-      date: row.date,
-      orders: row.orders,
-      revenue: row.revenue,
-      tables_used: row.tables_used,
-      avg_order_value: row.avg_order_value,
-      [`revenue_${currency.toLowerCase()}`]: row.revenue,
-      [`avg_order_value_${currency.toLowerCase()}`]: row.avg_order_value
-    }));
+// The active split covering any order of a table session
+const findSessionBillSplit = async (connection, sessionId) => {
+  const [orders] = await connection.execute('SELECT id FROM orders WHERE table_session_id = ?', [sessionId]);
+  return orders.length > 0 ? findActiveBillSplit(connection, orders.map(order => order.id)) : null;
+};
 
-    res.json({ success: true, data: formattedData });
-  } catch (error) {
-    console.error('Error fetching revenue/orders:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch revenue/orders',
-      error: error.message
-    });
+const parseShareLabel = (label, index) => {
+  if (label === undefined || label === null || label === '') {
+    return `Share ${index + 1}`;
   }
-});
+  if (typeof label !== 'string' || label.length > 50) {
+    throw new ApiError(400, `Share ${index + 1}: label must be text of up to 50 characters`);
+  }
+  return label;
+};
 
-// Get top items - UPDATED
-app.get('/api/analytics/top-items', async (req, res) => {
-  try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+// Work out a split's shares from the request body: each with its label,
+// amount and per-order allocations, plus its lines for item splits. Amounts
+// are in cents.
+const buildBillShares = async (connection, orders, body) => {
+  const balance = orders.reduce((sum, order) => sum + order.balance, 0);
 
-    const revenueColumn = currency === 'INR' ? 'oi.price_inr' : 'oi.price_usd';
+  if (body.split_type === 'equal') {
+    const count = Number(body.share_count);
+    if (!Number.isInteger(count) || count < 2 || count > MAX_BILL_SHARES) {
+      throw new ApiError(400, `share_count must be a whole number from 2 to ${MAX_BILL_SHARES}`);
+    }
+    const labels = Array.isArray(body.labels) ? body.labels : [];
+    const amounts = allocateProportionally(balance, new Array(count).fill(1));
+    const allocations = allocateAcrossOrders(amounts, orders);
+    return amounts.map((amount, index) => ({
+      label: parseShareLabel(labels[index], index),
+      amount,
+      allocations: allocations[index],
+      items: []
+    }));
+  }
 
-    const [results] = await pool.execute(`
-      SELECT 
-        mi.id,
-        mi.name as item_name,
-        mi.category,
-        SUM(oi.quantity) as quantity_sold,
-        COALESCE(SUM(oi.quantity * ${revenueColumn}), 0) as revenue,
-        COUNT(DISTINCT oi.order_id) as order_count,
-        COALESCE(AVG(oi.quantity), 0) as avg_quantity_per_order
-      FROM order_items oi
-      JOIN orders o ON oi.order_id = o.id
-      JOIN menu_items mi ON oi.menu_item_id = mi.id
-      WHERE o.created_at >= ? AND o.created_at < ?
-      GROUP BY mi.id, mi.name, mi.category
-      ORDER BY quantity_sold DESC
-      LIMIT 10
-    `, [startDate, endDate]);
+  const { shares } = body;
+  if (!Array.isArray(shares) || shares.length < 2 || shares.length > MAX_BILL_SHARES) {
+    throw new ApiError(400, `shares must list 2 to ${MAX_BILL_SHARES} shares`);
+  }
+  if (!shares.every(share => share && typeof share === 'object')) {
+    throw new ApiError(400, 'Each share must be an object');
+  }
 
-    // Format the data for the chart
-    const formattedData = results.map(row => ({
-      ...row,
-      [`revenue_${currency.toLowerCase()}`]: row.revenue
+  if (body.split_type === 'custom') {
+    const amounts = shares.map((share, index) => {
+      const amount = toCents(share.amount);
+      if (!Number.isInteger(amount) || amount <= 0) {
+        throw new ApiError(400, `Share ${index + 1}: amount must be a positive amount`);
+      }
+      return amount;
+    });
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (total !== balance) {
+      throw new ApiError(400, `Share amounts add up to ${fromCents(total)} but ${fromCents(balance)} is owed`);
+    }
+    const allocations = allocateAcrossOrders(amounts, orders);
+    return shares.map((share, index) => ({
+      label: parseShareLabel(share.label, index),
+      amount: amounts[index],
+      allocations: allocations[index],
+      items: []
     }));
+  }
 
-    res.json({ success: true, data: formattedData });
-  } catch (error) {
-    console.error('Error fetching top items:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch top items',
-      error: error.message
+  // Item splits: every line goes to a share, whole or by quantity, and each
+  // order's balance is shared out in proportion to the value of its lines
+  // after discounts
+  const itemsByOrder = await loadOrderItems(connection, orders.map(order => order.id));
+  const itemsById = new Map();
+  for (const order of orders) {
+    for (const item of itemsByOrder.get(order.id)) {
+      itemsById.set(item.id, { item, order });
+    }
+  }
+
+  const assigned = new Map();
+  const shareLines = shares.map((share, index) => {
+    if (!Array.isArray(share.items) || share.items.length === 0) {
+      throw new ApiError(400, `Share ${index + 1}: items must be a non-empty array`);
+    }
+    const lines = new Map();
+    for (const entry of share.items) {
+      const match = entry && itemsById.get(Number(entry.order_item_id));
+      if (!match) {
+        throw new ApiError(400, `Share ${index + 1}: order item ${entry && entry.order_item_id} is not on this bill`);
+      }
+      const { item } = match;
+      const quantity = entry.quantity !== undefined ? Number(entry.quantity) : item.quantity;
+      const total = (assigned.get(item.id) || 0) + (Number.isInteger(quantity) ? quantity : 0);
+      if (!Number.isInteger(quantity) || quantity < 1 || total > item.quantity) {
+        throw new ApiError(400, `Share ${index + 1}: order item ${item.id} has ${item.quantity} to share out in total`);
+      }
+      assigned.set(item.id, total);
+      lines.set(item.id, (lines.get(item.id) || 0) + quantity);
+    }
+    return lines;
+  });
+
+  const unassigned = [...itemsById.values()].filter(({ item }) => (assigned.get(item.id) || 0) < item.quantity);
+  if (unassigned.length > 0) {
+    throw new ApiError(400, 'Every item on the bill must be assigned to a share', {
+      unassigned_items: unassigned.map(({ item }) => ({
+        order_item_id: item.id,
+        item_name: item.item_name,
+        quantity: item.quantity - (assigned.get(item.id) || 0)
+      }))
     });
   }
-});
 
-// Get category performance
-app.get('/api/analytics/category-performance', async (req, res) => {
-  try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+  const allocations = shares.map(() => []);
+  for (const order of orders) {
+    const weights = shareLines.map(lines => [...lines].reduce((sum, [itemId, quantity]) => {
+      const { item, order: itemOrder } = itemsById.get(itemId);
+      if (itemOrder.id !== order.id) return sum;
+      const suffix = order.currency === 'USD' ? 'usd' : 'inr';
+      return sum + ((toCents(item[`price_${suffix}`]) * item.quantity - toCents(item[`discount_${suffix}`])) * quantity) / item.quantity;
+    }, 0));
+    allocateProportionally(order.balance, weights).forEach((amount, index) => {
+      if (amount > 0) {
+        allocations[index].push({ order_id: order.id, amount });
+      }
+    });
+  }
 
-    const revenueColumn = currency === 'INR' ? 'oi.price_inr' : 'oi.price_usd';
+  return shares.map((share, index) => ({
+    label: parseShareLabel(share.label, index),
+    amount: allocations[index].reduce((sum, allocation) => sum + allocation.amount, 0),
+    allocations: allocations[index],
+    items: [...shareLines[index]].map(([order_item_id, quantity]) => ({ order_item_id, quantity }))
+  }));
+};
 
-    const [results] = await pool.execute(`
-      SELECT 
-        mi.category,
-        COUNT(DISTINCT o.id) as total_orders,
-        SUM(oi.quantity) as total_items,
-        COALESCE(SUM(oi.quantity * ${revenueColumn}), 0) as total_revenue,
-        COALESCE(AVG(oi.quantity * ${revenueColumn}), 0) as avg_item_revenue
-      FROM order_items oi
-      JOIN orders o ON oi.order_id = o.id
-      JOIN menu_items mi ON oi.menu_item_id = mi.id
-      WHERE o.created_at >= ? AND o.created_at < ?
-      GROUP BY mi.category
-      ORDER BY total_revenue DESC
-    `, [startDate, endDate]);
+// Split the payable orders' bill. target holds order_id or table_session_id.
+const createBillSplit = async (connection, target, orders, body, actor) => {
+  if (!BILL_SPLIT_TYPES.includes(body.split_type)) {
+    throw new ApiError(400, `split_type must be one of: ${BILL_SPLIT_TYPES.join(', ')}`);
+  }
+  if (orders.length === 0) {
+    throw new ApiError(409, 'Nothing is left to pay on this bill');
+  }
+  const currencies = new Set(orders.map(order => order.currency || 'INR'));
+  if (currencies.size > 1) {
+    throw new ApiError(409, 'Orders in different currencies cannot be split together');
+  }
+  const existingId = await findActiveBillSplit(connection, orders.map(order => order.id));
+  if (existingId) {
+    throw new ApiError(409, 'This bill is already split; cancel that split first', { bill_split_id: existingId });
+  }
 
-    // Format the data for the chart
-    const formattedData = results.map(row => ({
-      ...row,
-      [`total_revenue_${currency.toLowerCase()}`]: row.total_revenue,
-      [`avg_item_revenue_${currency.toLowerCase()}`]: row.avg_item_revenue
-    }));
+  const shares = await buildBillShares(connection, orders, body);
+
+  const [result] = await connection.execute(
+    'INSERT INTO bill_splits (order_id, table_session_id, split_type, currency, created_by) VALUES (?, ?, ?, ?, ?)',
+    [target.order_id || null, target.table_session_id || null, body.split_type, [...currencies][0], actor.id]
+  );
+  for (const share of shares) {
+    const [shareResult] = await connection.execute(
+      'INSERT INTO bill_split_shares (bill_split_id, label, amount, token) VALUES (?, ?, ?, ?)',
+      [result.insertId, share.label, fromCents(share.amount), crypto.randomBytes(16).toString('base64url')]
+    );
+    for (const allocation of share.allocations) {
+      await connection.execute(
+        'INSERT INTO bill_split_allocations (share_id, order_id, amount) VALUES (?, ?, ?)',
+        [shareResult.insertId, allocation.order_id, fromCents(allocation.amount)]
+      );
+    }
+    for (const item of share.items) {
+      await connection.execute(
+        'INSERT INTO bill_split_share_items (share_id, order_item_id, quantity) VALUES (?, ?, ?)',
+        [shareResult.insertId, item.order_item_id, item.quantity]
+      );
+    }
+  }
+  return result.insertId;
+};
+
+// Shares with their allocations, lines, and what has been paid towards them
+const loadBillShares = async (db, condition, params) => {
+  const [shares] = await db.execute(
+    `SELECT s.*, bs.currency
+     FROM bill_split_shares s
+     JOIN bill_splits bs ON s.bill_split_id = bs.id
+     WHERE ${condition}
+     ORDER BY s.id`,
+    params
+  );
+  if (shares.length === 0) {
+    return [];
+  }
+
+  const shareIds = shares.map(share => share.id);
+  const [allocations] = await db.execute(
+    `SELECT * FROM bill_split_allocations WHERE share_id IN (${placeholders(shareIds)}) ORDER BY id`,
+    shareIds
+  );
+  const [items] = await db.execute(
+    `SELECT si.share_id, si.order_item_id, si.quantity, oi.order_id, oi.item_name
+     FROM bill_split_share_items si
+     JOIN order_items oi ON si.order_item_id = oi.id
+     WHERE si.share_id IN (${placeholders(shareIds)})
+     ORDER BY oi.id`,
+    shareIds
+  );
+  const [payments] = await db.execute(
+    `SELECT bill_split_share_id AS share_id, order_id, SUM(captured_amount - refunded_amount) AS paid
+     FROM payments
+     WHERE bill_split_share_id IN (${placeholders(shareIds)}) AND status IN (${placeholders(SETTLED_PAYMENT_STATUSES)})
+     GROUP BY bill_split_share_id, order_id`,
+    [...shareIds, ...SETTLED_PAYMENT_STATUSES]
+  );
+
+  return shares.map((share) => {
+    const shareAllocations = allocations
+      .filter(allocation => allocation.share_id === share.id)
+      .map((allocation) => {
+        const payment = payments.find(row => row.share_id === share.id && row.order_id === allocation.order_id);
+        return { order_id: allocation.order_id, amount: allocation.amount, paid: fromCents(payment ? toCents(payment.paid) : 0) };
+      });
+    const amount = toCents(share.amount);
+    const paid = shareAllocations.reduce((sum, allocation) => sum + toCents(allocation.paid), 0);
+    return {
+      id: share.id,
+      bill_split_id: share.bill_split_id,
+      label: share.label,
+      currency: share.currency,
+      amount: share.amount,
+      paid: fromCents(paid),
+      balance: fromCents(Math.max(amount - paid, 0)),
+      status: derivePaymentStatus(amount, paid, 0),
+      token: share.token,
+      link: getBillShareLink(share.token),
+      allocations: shareAllocations,
+      items: items.filter(item => item.share_id === share.id).map(({ share_id, ...item }) => item)
+    };
+  });
+};
 
-    res.json({ success: true, data: formattedData });
-  } catch (error) {
-    console.error('Error fetching category performance:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch category performance',
-      error: error.message
-    });
+const getBillSplit = async (db, splitId) => {
+  const [splits] = await db.execute(
+    `SELECT bs.*, COALESCE(o.table_number, rt.table_number) AS table_number
+     FROM bill_splits bs
+     LEFT JOIN orders o ON bs.order_id = o.id
+     LEFT JOIN table_sessions ts ON bs.table_session_id = ts.id
+     LEFT JOIN restaurant_tables rt ON ts.table_id = rt.id
+     WHERE bs.id = ?`,
+    [splitId]
+  );
+  if (splits.length === 0) {
+    return null;
   }
-});
+  return { ...splits[0], shares: await loadBillShares(db, 's.bill_split_id = ?', [splitId]) };
+};
 
-app.get('/api/analytics/customer-retention', async (req, res) => {
-  try {
-    const { period = 'daily' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+// Staff see every share's link; the table sees the shares without them
+const emitBillSplit = async (splitId) => {
+  const split = await getBillSplit(pool, splitId);
+  io.to(PERMISSIONS['orders:read'].map(roleRoom)).emit('bill-split-updated', split);
+  io.to(tableRoom(split.table_number)).emit('bill-split-updated', {
+    ...split,
+    shares: split.shares.map(({ token, link, ...share }) => share)
+  });
+};
 
-    // Get customer retention data
-    const [retentionData] = await pool.execute(`
-      SELECT 
-        DATE(created_at) as date,
-        COUNT(*) as total_customers,
-        SUM(CASE WHEN order_count > 1 THEN 1 ELSE 0 END) as returning_customers,
-        SUM(CASE WHEN order_count = 1 THEN 1 ELSE 0 END) as new_customers
-      FROM (
-        SELECT 
-          o.customer_id,
-          DATE(o.created_at) as created_at,
-          COUNT(*) as order_count
-        FROM orders o
-        WHERE o.created_at >= ? AND o.created_at < ?
-        GROUP BY o.customer_id, DATE(o.created_at)
-      ) as customer_data
-      GROUP BY DATE(created_at)
-      ORDER BY date
-    `, [startDate, endDate]);
+// What is left of a share's allocation in cents: the allocation less what the
+// share has paid and has open with a gateway, up to the order's balance
+const getAllocationLeft = (allocation, order) => (order
+  ? Math.max(Math.min(toCents(allocation.amount) - toCents(allocation.paid) - toCents(allocation.pending), order.balance), 0)
+  : 0);
+
+// Lock a share's orders for a payment. Resolves to the share, its payable
+// orders by id, what is still owed on the share and what the share has open
+// with a gateway, in cents. Open gateway payments may still be captured, so
+// they count against the share's allocations and the orders' balances.
+const lockBillShare = async (connection, condition, params) => {
+  const [rows] = await connection.execute(
+    `SELECT s.id, bs.status FROM bill_split_shares s JOIN bill_splits bs ON s.bill_split_id = bs.id WHERE ${condition} FOR UPDATE`,
+    params
+  );
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Bill share not found');
+  }
+  if (rows[0].status !== 'active') {
+    throw new ApiError(409, 'This bill split was cancelled');
+  }
 
-    // Calculate overall retention rate
-    const [retentionRate] = await pool.execute(`
-      SELECT 
-        COUNT(DISTINCT CASE WHEN order_count > 1 THEN customer_id END) as returning_customers,
-        COUNT(DISTINCT customer_id) as total_customers
-      FROM (
-        SELECT 
-          customer_id,
-          COUNT(*) as order_count
-        FROM orders
-        WHERE created_at >= ? AND created_at < ?
-        GROUP BY customer_id
-      ) as customer_data
-    `, [startDate, endDate]);
+  const [share] = await loadBillShares(connection, 's.id = ?', [rows[0].id]);
+  const orders = await loadPayableOrders(connection, share.allocations.map(allocation => allocation.order_id));
+  for (const order of orders) {
+    order.balance -= await getOpenIntentAmount(connection, order.id);
+  }
+  const ordersById = new Map(orders.map(order => [order.id, order]));
+
+  const [open] = await connection.execute(
+    `SELECT order_id, SUM(amount) AS amount FROM payments
+     WHERE bill_split_share_id = ? AND status IN (${placeholders(CAPTURABLE_PAYMENT_STATUSES)})
+     GROUP BY order_id`,
+    [share.id, ...CAPTURABLE_PAYMENT_STATUSES]
+  );
+  const openByOrder = new Map(open.map(row => [row.order_id, toCents(row.amount)]));
+  for (const allocation of share.allocations) {
+    allocation.pending = fromCents(openByOrder.get(allocation.order_id) || 0);
+  }
 
-    const rate = retentionRate[0].total_customers > 0
-      ? (retentionRate[0].returning_customers / retentionRate[0].total_customers * 100).toFixed(1)
-      : 0;
+  const owed = share.allocations.reduce((sum, allocation) => sum + getAllocationLeft(allocation, ordersById.get(allocation.order_id)), 0);
+  const pending = [...openByOrder.values()].reduce((sum, amount) => sum + amount, 0);
+  return { share, ordersById, owed, pending };
+};
 
-    res.json({
-      success: true,
-      data: {
-        timeline: retentionData,
-        retention_rate: rate,
-        new_customers: retentionRate[0].total_customers - retentionRate[0].returning_customers,
-        returning_customers: retentionRate[0].returning_customers
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching customer retention:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch customer retention',
-      error: error.message
-    });
+// Split an amount paid towards a share into per-order pieces, in allocation
+// order. Balances on ordersById are reduced as they are used.
+const getSharePieces = (share, ordersById, amount) => {
+  const pieces = [];
+  let left = amount;
+  for (const allocation of share.allocations) {
+    const order = ordersById.get(allocation.order_id);
+    if (!order || left === 0) continue;
+    const take = Math.min(left, getAllocationLeft(allocation, order));
+    if (take > 0) {
+      pieces.push({ order, amount: take });
+      order.balance -= take;
+      left -= take;
+    }
   }
-});
+  return pieces;
+};
 
-// Get payment methods distribution
-app.get('/api/analytics/payment-methods', async (req, res) => {
+// Split an order's bill. Body: split_type (items, equal or custom) with
+// shares [{ label, items: [{ order_item_id, quantity }] }] for items,
+// share_count and optional labels for equal, or shares [{ label, amount }]
+// for custom. What is already paid on the order is left out of the split.
+app.post('/api/orders/:id/bill-splits', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    const { period = 'daily' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+    await connection.beginTransaction();
 
-    const [results] = await pool.execute(`
-      SELECT 
-        payment_method,
-        COUNT(*) as count
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-      GROUP BY payment_method
-    `, [startDate, endDate]);
+    const [orders] = await connection.execute('SELECT id FROM orders WHERE id = ?', [req.params.id]);
+    if (orders.length === 0) {
+      throw new ApiError(404, 'Order not found');
+    }
+    const payable = await loadPayableOrders(connection, [orders[0].id]);
+    const splitId = await createBillSplit(connection, { order_id: orders[0].id }, payable, req.body, req.user);
 
-    // Convert to object format for the chart
-    const paymentMethods = {};
-    results.forEach(item => {
-      paymentMethods[item.payment_method] = item.count;
-    });
+    await connection.commit();
 
-    res.json({ success: true, data: paymentMethods });
+    await emitBillSplit(splitId);
+    res.json({ success: true, data: await getBillSplit(pool, splitId) });
   } catch (error) {
-    console.error('Error fetching payment methods:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch payment methods',
-      error: error.message
-    });
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error splitting order bill:', error);
+    res.status(500).json({ success: false, message: 'Failed to split bill', error: error.message });
+  } finally {
+    connection.release();
   }
 });
 
-// Get table performance
-// Get table performance
-app.get('/api/analytics/table-performance', async (req, res) => {
+// Split a table's running tab across all its billed orders. Same body as an order split.
+app.post('/api/table-sessions/:id/bill-splits', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
+    await connection.beginTransaction();
 
-    const revenueColumn = currency === 'INR' ? 'o.total_amount_inr' : 'o.total_amount_usd';
+    const [sessions] = await connection.execute('SELECT id, status FROM table_sessions WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (sessions.length === 0) {
+      throw new ApiError(404, 'Table session not found');
+    }
+    if (sessions[0].status === 'merged') {
+      throw new ApiError(409, 'This table was merged; split the session it was merged into');
+    }
 
-    const [results] = await pool.execute(`
-      SELECT 
-        t.table_name,
-        COUNT(o.id) as total_orders,
-        COALESCE(SUM(${revenueColumn}), 0) as total_revenue,
-        COALESCE(AVG(${revenueColumn}), 0) as avg_order_value,
-        COUNT(DISTINCT DATE(o.created_at)) as days_used,
-        COALESCE(AVG(o.total_items), 0) as avg_items_per_order
-      FROM restaurant_tables t
-      LEFT JOIN (
-        SELECT 
-          o.*,
-          COUNT(oi.id) as total_items
-        FROM orders o
-        LEFT JOIN order_items oi ON o.id = oi.order_id
-        WHERE o.created_at >= ? AND o.created_at < ?
-        GROUP BY o.id
-      ) o ON t.id = o.table_id
-      GROUP BY t.id, t.table_name
-      ORDER BY total_revenue DESC
-    `, [startDate, endDate]);
+    const [orders] = await connection.execute('SELECT id FROM orders WHERE table_session_id = ?', [sessions[0].id]);
+    const payable = await loadPayableOrders(connection, orders.map(order => order.id));
+    const splitId = await createBillSplit(connection, { table_session_id: sessions[0].id }, payable, req.body, req.user);
 
-    // Format the data for the chart
-    const formattedData = results.map(row => ({
-      ...row,
-      [`total_revenue_${currency.toLowerCase()}`]: row.total_revenue,
-      [`avg_order_value_${currency.toLowerCase()}`]: row.avg_order_value
-    }));
+    await connection.commit();
 
-    res.json({ success: true, data: formattedData });
+    await emitBillSplit(splitId);
+    res.json({ success: true, data: await getBillSplit(pool, splitId) });
   } catch (error) {
-    console.error('Error fetching table performance:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch table performance',
-      error: error.message
-    });
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error splitting table bill:', error);
+    res.status(500).json({ success: false, message: 'Failed to split bill', error: error.message });
+  } finally {
+    connection.release();
   }
 });
 
-// Get hourly order distribution
-app.get('/api/analytics/hourly-orders', async (req, res) => {
+// Splits with their shares, newest first. Filters: order_id (splits that
+// cover the order), table_session_id, status (default active)
+app.get('/api/bill-splits', authorize('payments:manage'), async (req, res) => {
   try {
-    const { period = 'daily' } = req.query;
-    const { startDate, endDate } = getDateRangeForPeriod(period);
-
-    const [results] = await pool.execute(`
-      SELECT 
-        HOUR(created_at) as hour,
-        COUNT(*) as orders,
-        COALESCE(SUM(total_amount_inr), 0) as revenue_inr,
-        COALESCE(SUM(total_amount_usd), 0) as revenue_usd,
-        COUNT(DISTINCT table_id) as tables_used
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-      GROUP BY HOUR(created_at)
-      ORDER BY hour
-    `, [startDate, endDate]);
-
-    // Fill in missing hours with 0 orders
-    const hourlyData = [];
-    for (let i = 0; i < 24; i++) {
-      const hourData = results.find(item => item.hour === i);
-      hourlyData.push({
-        hour: i,
-        orders: hourData ? hourData.orders : 0,
-        revenue_inr: hourData ? hourData.revenue_inr : 0,
-        revenue_usd: hourData ? hourData.revenue_usd : 0,
-        tables_used: hourData ? hourData.tables_used : 0
-      });
+    const conditions = ['bs.status = ?'];
+    const params = [req.query.status || 'active'];
+    if (req.query.order_id) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM bill_split_shares s JOIN bill_split_allocations a ON a.share_id = s.id
+        WHERE s.bill_split_id = bs.id AND a.order_id = ?)`);
+      params.push(req.query.order_id);
+    }
+    if (req.query.table_session_id) {
+      conditions.push('bs.table_session_id = ?');
+      params.push(req.query.table_session_id);
     }
 
-    res.json({ success: true, data: hourlyData });
+    const [rows] = await pool.execute(
+      `SELECT bs.id FROM bill_splits bs WHERE ${conditions.join(' AND ')} ORDER BY bs.created_at DESC, bs.id DESC LIMIT 50`,
+      params
+    );
+    const splits = [];
+    for (const row of rows) {
+      splits.push(await getBillSplit(pool, row.id));
+    }
+    res.json({ success: true, data: splits });
   } catch (error) {
-    console.error('Error fetching hourly orders:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch hourly orders',
-      error: error.message
-    });
+    console.error('Error fetching bill splits:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch bill splits', error: error.message });
   }
 });
 
-// Get previous period data for comparison
-app.get('/api/analytics/previous-period', async (req, res) => {
+app.get('/api/bill-splits/:id', authorize('payments:manage'), async (req, res) => {
   try {
-    const { period = 'daily', currency = 'INR' } = req.query;
-    const { startDate, endDate } = getPreviousPeriodDateRange(period);
-
-    // Total orders
-    const [totalOrdersResult] = await pool.execute(`
-      SELECT COUNT(*) as total_orders
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-    `, [startDate, endDate]);
-    const totalOrders = totalOrdersResult[0].total_orders;
-
-    // Total revenue - use different queries based on currency
-    let totalRevenue;
-    if (currency === 'INR') {
-      const [totalRevenueResult] = await pool.execute(`
-        SELECT SUM(total_amount_inr) as total_revenue
-        FROM orders
-        WHERE created_at >= ? AND created_at < ?
-      `, [startDate, endDate]);
-      totalRevenue = totalRevenueResult[0].total_revenue || 0;
-    } else {
-      const [totalRevenueResult] = await pool.execute(`
-        SELECT SUM(total_amount_usd) as total_revenue
-        FROM orders
-        WHERE created_at >= ? AND created_at < ?
-      `, [startDate, endDate]);
-      totalRevenue = totalRevenueResult[0].total_revenue || 0;
+    const split = await getBillSplit(pool, req.params.id);
+    if (!split) {
+      return res.status(404).json({ success: false, message: 'Bill split not found' });
     }
+    res.json({ success: true, data: split });
+  } catch (error) {
+    console.error('Error fetching bill split:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch bill split', error: error.message });
+  }
+});
 
-    // Tables served
-    const [tablesServedResult] = await pool.execute(`
-      SELECT COUNT(DISTINCT table_id) as tables_served
-      FROM orders
-      WHERE created_at >= ? AND created_at < ?
-    `, [startDate, endDate]);
-    const tablesServed = tablesServedResult[0].tables_served || 0;
+// Undo a split, e.g. to split differently. Splits with money on them stay
+// until those payments are refunded.
+app.post('/api/bill-splits/:id/cancel', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
 
-    // Average order value
-    const avgOrderValue = totalOrders > 0 ? totalRevenue / totalOrders : 0;
+    const [splits] = await connection.execute('SELECT id, status FROM bill_splits WHERE id = ? FOR UPDATE', [req.params.id]);
+    if (splits.length === 0) {
+      throw new ApiError(404, 'Bill split not found');
+    }
+    if (splits[0].status !== 'active') {
+      throw new ApiError(409, `Bill split is already ${splits[0].status}`);
+    }
+    const [payments] = await connection.execute(
+      `SELECT p.id FROM payments p
+       JOIN bill_split_shares s ON p.bill_split_share_id = s.id
+       WHERE s.bill_split_id = ? AND p.status IN ('pending', 'authorized', 'captured', 'partially_refunded')`,
+      [splits[0].id]
+    );
+    if (payments.length > 0) {
+      throw new ApiError(409, 'Shares of this split have payments; refund them first');
+    }
 
-    res.json({
-      success: true,
-      data: {
-        total_orders: totalOrders,
-        [`total_revenue_${currency.toLowerCase()}`]: totalRevenue,
-        tables_served: tablesServed,
-        avg_order_value: avgOrderValue
-      }
-    });
+    await connection.execute("UPDATE bill_splits SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?", [splits[0].id]);
+
+    await connection.commit();
+
+    await emitBillSplit(splits[0].id);
+    res.json({ success: true, data: await getBillSplit(pool, splits[0].id) });
   } catch (error) {
-    console.error('Error fetching previous period data:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch previous period data',
-      error: error.message
-    });
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error cancelling bill split:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel bill split', error: error.message });
+  } finally {
+    connection.release();
   }
 });
 
-// User authentication endpoints
-app.post('/api/auth/register', async (req, res) => {
+// Record money collected for one share. Same body as collecting on an order:
+// tenders [{ method, amount, tendered, reference }] or a single tender.
+app.post('/api/bill-splits/:id/shares/:shareId/collect', authorize('payments:manage'), async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    // Extract role from request body with default value of 'customer'
-    const { fullName, email, password, role = 'customer' } = req.body;
+    await connection.beginTransaction();
 
-    // Check if user already exists
-    const [existingUser] = await pool.execute(
-      'SELECT id FROM users WHERE email = ?',
-      [email]
+    const { share, ordersById, owed, pending } = await lockBillShare(
+      connection,
+      's.id = ? AND s.bill_split_id = ?',
+      [req.params.shareId, req.params.id]
     );
-
-    if (existingUser.length > 0) {
-      return res.status(400).json({ success: false, message: 'User with this email already exists' });
+    if (owed === 0) {
+      throw new ApiError(409, pending > 0 ? 'Payments for the rest of this share are awaiting confirmation' : 'Nothing is left to pay on this share', {
+        pending_amount: fromCents(pending)
+      });
+    }
+    const tenders = parseTenders(Array.isArray(req.body.tenders) ? req.body.tenders : [req.body], owed);
+
+    const paymentIds = [];
+    for (const tender of tenders) {
+      const pieces = getSharePieces(share, ordersById, tender.amount);
+      for (const [index, piece] of pieces.entries()) {
+        // Cash handed over is recorded with the last piece, so its change is right
+        const change = tender.tendered !== null && index === pieces.length - 1 ? tender.tendered - tender.amount : 0;
+        paymentIds.push(await recordCollectedPayment(connection, piece.order, {
+          ...tender,
+          amount: piece.amount,
+          tendered: tender.tendered !== null ? piece.amount + change : null,
+          share_id: share.id
+        }, req.user));
+      }
+    }
+    for (const orderId of ordersById.keys()) {
+      await refreshOrderPaymentStatus(connection, orderId);
     }
 
-    // Hash password
-    const saltRounds = 10;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
-    // Create new user with specified role
-    const [result] = await pool.execute(
-      'INSERT INTO users (full_name, email, password_hash, role) VALUES (?, ?, ?, ?)',
-      [fullName, email, passwordHash, role]
-    );
+    await connection.commit();
 
-    // Get the created user
-    const [newUser] = await pool.execute(
-      'SELECT id, full_name, email, role FROM users WHERE id = ?',
-      [result.insertId]
-    );
+    await emitPaymentUpdates(paymentIds, true);
+    const changeDue = tenders.reduce((sum, tender) => sum + (tender.tendered !== null ? tender.tendered - tender.amount : 0), 0);
+    const [updated] = await loadBillShares(pool, 's.id = ?', [share.id]);
+    res.json({ success: true, data: { ...updated, change_due: fromCents(changeDue) } });
+  } catch (error) {
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error collecting bill share:', error);
+    res.status(500).json({ success: false, message: 'Failed to collect payment', error: error.message });
+  } finally {
+    connection.release();
+  }
+});
 
+// A guest's own share, opened from its link. The token is the only credential.
+app.get('/api/bill-shares/:token', async (req, res) => {
+  try {
+    const [share] = await loadBillShares(pool, 's.token = ?', [req.params.token]);
+    if (!share) {
+      return res.status(404).json({ success: false, message: 'Bill share not found' });
+    }
+    const split = await getBillSplit(pool, share.bill_split_id);
+    const { token, ...details } = share;
     res.json({
       success: true,
-      message: 'User registered successfully',
-      data: newUser[0]
+      data: {
+        ...details,
+        split_type: split.split_type,
+        split_status: split.status,
+        table_number: split.table_number,
+        share_count: split.shares.length
+      }
     });
   } catch (error) {
-    console.error('Error registering user:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to register user',
-      error: error.message
-    });
+    console.error('Error fetching bill share:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch bill share', error: error.message });
   }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+// Pay a share through a gateway from its link. Body: method, amount
+// (defaults to what is left on the share), provider (optional). A share
+// spanning several orders is one gateway payment with a ledger row per order.
+app.post('/api/bill-shares/:token/payments', async (req, res) => {
+  const connection = await pool.getConnection();
   try {
-    const { email, password } = req.body;
-
-    // Find user by email
-    const [users] = await pool.execute(
-      'SELECT id, full_name, email, password_hash, role FROM users WHERE email = ?',
-      [email]
-    );
+    await connection.beginTransaction();
 
-    if (users.length === 0) {
-      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    const { method } = req.body;
+    if (!GATEWAY_PAYMENT_METHODS.includes(method)) {
+      throw new ApiError(400, `method must be one of: ${GATEWAY_PAYMENT_METHODS.join(', ')}`);
+    }
+    const providerName = req.body.provider || undefined;
+    if (providerName !== undefined && !hasProvider(providerName)) {
+      throw new ApiError(400, `Unknown payment provider "${providerName}"`);
     }
 
-    const user = users[0];
+    const { share, ordersById, owed, pending } = await lockBillShare(connection, 's.token = ?', [req.params.token]);
+    if (owed === 0) {
+      throw new ApiError(409, pending > 0 ? 'Payments for the rest of this share are awaiting confirmation' : 'Nothing is left to pay on this share', {
+        pending_amount: fromCents(pending)
+      });
+    }
+    const amount = req.body.amount !== undefined ? toCents(req.body.amount) : owed;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > owed) {
+      throw new ApiError(400, `amount must be greater than 0 and at most ${fromCents(owed)}`, {
+        pending_amount: fromCents(pending)
+      });
+    }
 
-    // Compare password
-    const passwordMatch = await bcrypt.compare(password, user.password_hash);
+    const provider = getProvider(providerName);
+    const intent = await provider.createIntent({
+      amount: fromCents(amount),
+      currency: share.currency,
+      method,
+      reference: `Bill share ${share.id}`
+    });
 
-    if (!passwordMatch) {
-      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    const paymentIds = [];
+    for (const piece of getSharePieces(share, ordersById, amount)) {
+      const [result] = await connection.execute(
+        `INSERT INTO payments (order_id, bill_split_share_id, provider, provider_payment_id, method, amount, currency, status, client_data)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [piece.order.id, share.id, provider.name, intent.provider_payment_id, method, fromCents(piece.amount), share.currency,
+          intent.status, JSON.stringify(intent.client_data || null)]
+      );
+      paymentIds.push(result.insertId);
     }
 
-    // Remove password hash from response
-    const { password_hash, ...userWithoutPassword } = user;
+    await connection.commit();
 
+    await emitPaymentUpdates(paymentIds, false);
     res.json({
       success: true,
-      message: 'Login successful',
-      data: userWithoutPassword
+      data: {
+        provider: provider.name,
+        provider_payment_id: intent.provider_payment_id,
+        method,
+        amount: fromCents(amount),
+        currency: share.currency,
+        status: intent.status,
+        client_data: intent.client_data || null,
+        payment_ids: paymentIds
+      }
     });
   } catch (error) {
-    console.error('Error logging in:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to login',
-      error: error.message
-    });
+    await connection.rollback();
+    if (error instanceof ApiError) {
+      return res.status(error.status).json({ success: false, message: error.message, ...error.details });
+    }
+    console.error('Error creating bill share payment:', error);
+    res.status(500).json({ success: false, message: 'Failed to create payment', error: error.message });
+  } finally {
+    connection.release();
   }
 });
 
-// Authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ success: false, message: 'Authentication required' });
-  }
-
-  // In a real app, you would verify the token here
-  // For now, we'll just check if it exists
-  if (token !== 'dummy-token') {
-    return res.status(403).json({ success: false, message: 'Invalid token' });
-  }
-
-  next();
-};
-
-
-
-
 //--------------------------------------------------------------
 // Get revenue by payment method
 app.get('/api/analytics/revenue-by-payment', async (req, res) => {
@@ -1837,6 +10462,47 @@ app.get('/api/analytics/order-status', async (req, res) => {
   }
 });
 
+// Get average time orders spend in each status
+app.get('/api/analytics/order-stage-times', async (req, res) => {
+  try {
+    const { period = 'daily' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    // A stage lasts from the transition into it until the next transition out of it
+    const [results] = await pool.execute(`
+      SELECT
+        stage,
+        COUNT(*) as order_count,
+        AVG(TIMESTAMPDIFF(SECOND, entered_at, left_at)) as avg_seconds,
+        MIN(TIMESTAMPDIFF(SECOND, entered_at, left_at)) as min_seconds,
+        MAX(TIMESTAMPDIFF(SECOND, entered_at, left_at)) as max_seconds
+      FROM (
+        SELECT
+          h.from_status as stage,
+          LAG(h.created_at) OVER (PARTITION BY h.order_id ORDER BY h.created_at, h.id) as entered_at,
+          h.created_at as left_at
+        FROM order_status_history h
+        JOIN orders o ON h.order_id = o.id
+        WHERE o.created_at >= ? AND o.created_at < ?
+      ) as stages
+      WHERE stage IS NOT NULL AND entered_at IS NOT NULL
+      GROUP BY stage
+    `, [startDate, endDate]);
+
+    // Report stages in lifecycle order rather than alphabetically
+    results.sort((a, b) => ORDER_STATUSES.indexOf(a.stage) - ORDER_STATUSES.indexOf(b.stage));
+
+    res.json({ success: true, data: results });
+  } catch (error) {
+    console.error('Error fetching order stage times:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order stage times',
+      error: error.message
+    });
+  }
+});
+
 // Get menu item performance
 app.get('/api/analytics/menu-performance', async (req, res) => {
   try {
@@ -2062,7 +10728,9 @@ app.get('/api/analytics/staff-performance', async (req, res) => {
 
     const revenueColumn = currency === 'INR' ? 'total_amount_inr' : 'total_amount_usd';
 
-    // Staff performance
+    // Staff performance: served orders (orders.staff_id) for revenue and
+    // service time, prepared orders (orders.prepared_by) for kitchen time,
+    // and answered service requests (via the staff member's login) for response time
     const [staffData] = await pool.execute(`
       SELECT 
         s.id,
@@ -2071,12 +10739,20 @@ app.get('/api/analytics/staff-performance', async (req, res) => {
         COUNT(o.id) as orders_handled,
         COALESCE(SUM(${revenueColumn}), 0) as total_revenue,
         COALESCE(AVG(${revenueColumn}), 0) as avg_order_value,
-        AVG(o.preparation_time) as avg_preparation_time
+        AVG(o.service_time) as avg_service_time,
+        (SELECT COUNT(*) FROM orders p
+         WHERE p.prepared_by = s.id AND p.created_at >= ? AND p.created_at < ?) as orders_prepared,
+        (SELECT AVG(p.preparation_time) FROM orders p
+         WHERE p.prepared_by = s.id AND p.created_at >= ? AND p.created_at < ?) as avg_preparation_time,
+        (SELECT COUNT(*) FROM service_requests sr
+         WHERE sr.acknowledged_by = s.user_id AND sr.created_at >= ? AND sr.created_at < ?) as service_requests_answered,
+        (SELECT AVG(TIMESTAMPDIFF(SECOND, sr.created_at, sr.acknowledged_at)) FROM service_requests sr
+         WHERE sr.acknowledged_by = s.user_id AND sr.created_at >= ? AND sr.created_at < ?) as avg_service_response_seconds
       FROM staff s
       LEFT JOIN orders o ON s.id = o.staff_id AND o.created_at >= ? AND o.created_at < ?
-      GROUP BY s.id, s.name, s.role
+      GROUP BY s.id, s.name, s.role, s.user_id
       ORDER BY total_revenue DESC
-    `, [startDate, endDate]);
+    `, [startDate, endDate, startDate, endDate, startDate, endDate, startDate, endDate, startDate, endDate]);
 
     // Service time analysis
     const [serviceTimeData] = await pool.execute(`
@@ -2114,58 +10790,341 @@ app.get('/api/analytics/staff-performance', async (req, res) => {
     });
   }
 });
-//---------------------------------
 
+// Get hours worked and labour cost against sales, per staff member and per day
+app.get('/api/analytics/labour', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
 
-// Apply authentication middleware to protected routes
-// app.use('/api/orders', authenticateToken);
+    const revenueColumn = currency === 'INR' ? 'total_amount_inr' : 'total_amount_usd';
+    const rateColumn = currency === 'INR' ? 'hourly_rate_inr' : 'hourly_rate_usd';
 
-// Enhanced database initialization
-// Enhanced database initialization
-const initializeDatabase = async () => {
-  try {
-    console.log('Initializing database...');
-
-    // Read and execute SQL file
-    const sqlFilePath = path.join(__dirname, 'database.sql');
-    if (fs.existsSync(sqlFilePath)) {
-      const sqlFile = fs.readFileSync(sqlFilePath, 'utf8');
-
-      // Split the file into individual statements
-      const statements = sqlFile.split(';').filter(statement => statement.trim());
-
-      // Execute each statement
-      for (const statement of statements) {
-        if (statement.trim()) {
-          try {
-            await pool.execute(statement);
-          } catch (error) {
-            // Ignore specific, harmless errors
-            const errorMessage = error.message;
-            if (
-              errorMessage.includes('Duplicate entry') ||
-              errorMessage.includes('already exists') ||
-              // This is the key part: ignore the error if the column already exists
-              errorMessage.includes('Duplicate column name') ||
-              errorMessage.includes('ER_DUP_FIELDNAME')
-            ) {
-              console.log('Ignoring expected error:', errorMessage);
-            } else {
-              // Log other unexpected errors
-              console.error('Error executing SQL statement:', error.message);
-              console.log('Statement:', statement.substring(0, 100) + '...');
-            }
-          }
-        }
+    // Worked seconds per time entry, attributed to the day of clock-in
+    const [entries] = await pool.execute(`
+      SELECT
+        te.staff_id,
+        s.name as staff_name,
+        s.role,
+        s.${rateColumn} as hourly_rate,
+        DATE_FORMAT(te.clock_in_at, '%Y-%m-%d') as work_date,
+        TIMESTAMPDIFF(SECOND, te.clock_in_at, COALESCE(te.clock_out_at, NOW()))
+          - COALESCE((
+            SELECT SUM(TIMESTAMPDIFF(SECOND, b.started_at, COALESCE(b.ended_at, te.clock_out_at, NOW())))
+            FROM time_entry_breaks b
+            WHERE b.time_entry_id = te.id
+          ), 0) as worked_seconds
+      FROM time_entries te
+      JOIN staff s ON te.staff_id = s.id
+      WHERE te.clock_in_at >= ? AND te.clock_in_at < ?
+    `, [startDate, endDate]);
+
+    // Sales exclude orders that were never fulfilled
+    const [salesData] = await pool.execute(`
+      SELECT
+        DATE_FORMAT(created_at, '%Y-%m-%d') as work_date,
+        COUNT(*) as order_count,
+        COALESCE(SUM(${revenueColumn}), 0) as revenue
+      FROM orders
+      WHERE created_at >= ? AND created_at < ?
+        AND order_status NOT IN ('cancelled', 'rejected')
+      GROUP BY DATE_FORMAT(created_at, '%Y-%m-%d')
+    `, [startDate, endDate]);
+
+    const staff = new Map();
+    const days = new Map(salesData.map(row => [row.work_date, {
+      date: row.work_date,
+      order_count: row.order_count,
+      revenue_cents: toCents(row.revenue),
+      worked_seconds: 0,
+      labour_cost_cents: 0
+    }]));
+
+    for (const entry of entries) {
+      const workedSeconds = Math.max(Number(entry.worked_seconds), 0);
+      const costCents = Math.round(workedSeconds / 3600 * toCents(entry.hourly_rate || 0));
+
+      if (!staff.has(entry.staff_id)) {
+        staff.set(entry.staff_id, {
+          id: entry.staff_id,
+          staff_name: entry.staff_name,
+          role: entry.role,
+          hourly_rate: entry.hourly_rate,
+          worked_seconds: 0,
+          labour_cost_cents: 0
+        });
       }
+      const member = staff.get(entry.staff_id);
+      member.worked_seconds += workedSeconds;
+      member.labour_cost_cents += costCents;
 
-      console.log('Database initialized successfully');
-    } else {
-      console.log('Database initialization file not found, skipping...');
+      if (!days.has(entry.work_date)) {
+        days.set(entry.work_date, { date: entry.work_date, order_count: 0, revenue_cents: 0, worked_seconds: 0, labour_cost_cents: 0 });
+      }
+      const day = days.get(entry.work_date);
+      day.worked_seconds += workedSeconds;
+      day.labour_cost_cents += costCents;
     }
 
+    // Hours to two decimals, money in the requested currency, ratios null when undefined
+    const summarise = ({ worked_seconds, labour_cost_cents, revenue_cents, ...row }) => {
+      const hours = worked_seconds / 3600;
+      const summary = { ...row, hours_worked: Number(hours.toFixed(2)), labour_cost: fromCents(labour_cost_cents) };
+      if (revenue_cents !== undefined) {
+        summary.revenue = fromCents(revenue_cents);
+        summary.revenue_per_labour_hour = hours > 0 ? fromCents(Math.round(revenue_cents / hours)) : null;
+        summary.labour_cost_percentage = revenue_cents > 0 ? Number((labour_cost_cents / revenue_cents * 100).toFixed(2)) : null;
+      }
+      return summary;
+    };
+
+    const dailyRows = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+    const totals = dailyRows.reduce((sum, day) => ({
+      order_count: sum.order_count + day.order_count,
+      revenue_cents: sum.revenue_cents + day.revenue_cents,
+      worked_seconds: sum.worked_seconds + day.worked_seconds,
+      labour_cost_cents: sum.labour_cost_cents + day.labour_cost_cents
+    }), { order_count: 0, revenue_cents: 0, worked_seconds: 0, labour_cost_cents: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        currency,
+        totals: summarise(totals),
+        staff: [...staff.values()].map(summarise).sort((a, b) => b.hours_worked - a.hours_worked),
+        daily: dailyRows.map(summarise)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching labour analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch labour analytics',
+      error: error.message
+    });
+  }
+});
+
+// Get how quickly service requests are answered, overall, by type, by table
+// group, by the staff member who responded and by hour
+app.get('/api/analytics/service-requests', async (req, res) => {
+  try {
+    const { period = 'daily' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+
+    const responseSeconds = 'TIMESTAMPDIFF(SECOND, sr.created_at, sr.acknowledged_at)';
+    const resolveSeconds = 'TIMESTAMPDIFF(SECOND, sr.created_at, sr.resolved_at)';
+    const measures = `
+      COUNT(*) as total_requests,
+      SUM(sr.acknowledged_at IS NOT NULL) as answered_requests,
+      SUM(sr.escalation_level > 0) as escalated_requests,
+      AVG(${responseSeconds}) as avg_response_seconds,
+      MAX(${responseSeconds}) as max_response_seconds,
+      AVG(${resolveSeconds}) as avg_resolution_seconds
+    `;
+
+    const [[summary]] = await pool.execute(`
+      SELECT ${measures}
+      FROM service_requests sr
+      WHERE sr.created_at >= ? AND sr.created_at < ?
+    `, [startDate, endDate]);
+
+    const [byType] = await pool.execute(`
+      SELECT sr.request_type, ${measures}
+      FROM service_requests sr
+      WHERE sr.created_at >= ? AND sr.created_at < ?
+      GROUP BY sr.request_type
+      ORDER BY total_requests DESC
+    `, [startDate, endDate]);
+
+    const [byGroup] = await pool.execute(`
+      SELECT COALESCE(tg.name, 'Non AC') as group_name, ${measures}
+      FROM service_requests sr
+      JOIN restaurant_tables rt ON sr.table_id = rt.id
+      LEFT JOIN table_groups tg ON rt.group_id = tg.id
+      WHERE sr.created_at >= ? AND sr.created_at < ?
+      GROUP BY COALESCE(tg.name, 'Non AC')
+      ORDER BY avg_response_seconds DESC
+    `, [startDate, endDate]);
+
+    const [byStaff] = await pool.execute(`
+      SELECT u.id as user_id, u.full_name as staff_name, ${measures}
+      FROM service_requests sr
+      JOIN users u ON sr.acknowledged_by = u.id
+      WHERE sr.created_at >= ? AND sr.created_at < ?
+      GROUP BY u.id, u.full_name
+      ORDER BY avg_response_seconds
+    `, [startDate, endDate]);
+
+    const [byHour] = await pool.execute(`
+      SELECT HOUR(sr.created_at) as hour, ${measures}
+      FROM service_requests sr
+      WHERE sr.created_at >= ? AND sr.created_at < ?
+      GROUP BY HOUR(sr.created_at)
+      ORDER BY hour
+    `, [startDate, endDate]);
+
+    res.json({
+      success: true,
+      data: { summary, byType, byGroup, byStaff, byHour }
+    });
+  } catch (error) {
+    console.error('Error fetching service request analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch service request analytics',
+      error: error.message
+    });
+  }
+});
+
+// Net sales against tax collected: the subtotal before tax, service charge,
+// CGST/SGST by rate and rounding, for billed orders. Query: period, currency
+app.get('/api/analytics/tax-summary', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+    const suffix = currency === 'USD' ? 'usd' : 'inr';
+    const billed = `o.order_status NOT IN (${placeholders(UNBILLED_ORDER_STATUSES)})`;
+    const params = [startDate, endDate, ...UNBILLED_ORDER_STATUSES];
+
+    const measures = `
+      COUNT(*) as orders,
+      COALESCE(SUM(o.subtotal_${suffix}), 0) as net_sales,
+      COALESCE(SUM(o.service_charge_${suffix}), 0) as service_charge,
+      COALESCE(SUM(o.tax_total_${suffix}), 0) as tax_collected,
+      COALESCE(SUM(o.rounding_${suffix}), 0) as rounding,
+      COALESCE(SUM(o.total_amount_${suffix}), 0) as gross_sales
+    `;
+
+    const [[summary]] = await pool.execute(`
+      SELECT ${measures}
+      FROM orders o
+      WHERE o.created_at >= ? AND o.created_at < ? AND ${billed}
+    `, params);
+
+    const [byComponent] = await pool.execute(`
+      SELECT t.component, t.rate,
+        COALESCE(SUM(t.taxable_${suffix}), 0) as taxable_amount,
+        COALESCE(SUM(t.tax_${suffix}), 0) as tax_amount
+      FROM order_tax_lines t
+      JOIN orders o ON t.order_id = o.id
+      WHERE o.created_at >= ? AND o.created_at < ? AND ${billed}
+      GROUP BY t.component, t.rate
+      ORDER BY t.rate, t.component
+    `, params);
+
+    const [byDay] = await pool.execute(`
+      SELECT DATE_FORMAT(o.created_at, '%Y-%m-%d') as date, ${measures}
+      FROM orders o
+      WHERE o.created_at >= ? AND o.created_at < ? AND ${billed}
+      GROUP BY DATE_FORMAT(o.created_at, '%Y-%m-%d')
+      ORDER BY date
+    `, params);
+
+    res.json({
+      success: true,
+      data: { currency, summary, byComponent, byDay }
+    });
+  } catch (error) {
+    console.error('Error fetching tax analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax analytics',
+      error: error.message
+    });
+  }
+});
+
+// Promotion redemptions and the revenue of discounted orders, for billed
+// orders. Query: period, currency
+app.get('/api/analytics/promotions', async (req, res) => {
+  try {
+    const { period = 'daily', currency = 'INR' } = req.query;
+    const { startDate, endDate } = getDateRangeForPeriod(period);
+    const suffix = currency === 'USD' ? 'usd' : 'inr';
+    const billed = `o.order_status NOT IN (${placeholders(UNBILLED_ORDER_STATUSES)})`;
+    const params = [startDate, endDate, ...UNBILLED_ORDER_STATUSES];
+
+    const [[summary]] = await pool.execute(`
+      SELECT
+        COUNT(*) as orders,
+        COALESCE(SUM(o.discount_${suffix} > 0), 0) as discounted_orders,
+        COALESCE(SUM(o.discount_${suffix}), 0) as total_discount,
+        COALESCE(SUM(CASE WHEN o.discount_${suffix} > 0 THEN o.total_amount_${suffix} ELSE 0 END), 0) as discounted_revenue,
+        COALESCE(SUM(o.total_amount_${suffix}), 0) as total_revenue
+      FROM orders o
+      WHERE o.created_at >= ? AND o.created_at < ? AND ${billed}
+    `, params);
+    summary.redemption_rate = summary.orders > 0
+      ? Number(((summary.discounted_orders / summary.orders) * 100).toFixed(1))
+      : 0;
+
+    const [byPromotion] = await pool.execute(`
+      SELECT p.id as promotion_id, p.name, p.promotion_type, p.requires_code,
+        COUNT(DISTINCT d.order_id) as redemptions,
+        COUNT(DISTINCT o.customer_id) as customers,
+        COALESCE(SUM(d.amount_${suffix}), 0) as discount_given,
+        COALESCE(SUM(o.total_amount_${suffix}), 0) as revenue
+      FROM order_discounts d
+      JOIN orders o ON d.order_id = o.id
+      JOIN promotions p ON d.promotion_id = p.id
+      WHERE o.created_at >= ? AND o.created_at < ? AND ${billed}
+      GROUP BY p.id, p.name, p.promotion_type, p.requires_code
+      ORDER BY discount_given DESC
+    `, params);
+
+    const [byCode] = await pool.execute(`
+      SELECT d.code, p.name as promotion_name,
+        COUNT(*) as redemptions,
+        COALESCE(SUM(d.amount_${suffix}), 0) as discount_given,
+        COALESCE(SUM(o.total_amount_${suffix}), 0) as revenue
+      FROM order_discounts d
+      JOIN orders o ON d.order_id = o.id
+      JOIN promotions p ON d.promotion_id = p.id
+      WHERE d.code IS NOT NULL AND o.created_at >= ? AND o.created_at < ? AND ${billed}
+      GROUP BY d.code, p.name
+      ORDER BY redemptions DESC, discount_given DESC
+      LIMIT 20
+    `, params);
+
+    const [byDay] = await pool.execute(`
+      SELECT DATE_FORMAT(o.created_at, '%Y-%m-%d') as date,
+        COUNT(*) as discounted_orders,
+        COALESCE(SUM(o.discount_${suffix}), 0) as total_discount,
+        COALESCE(SUM(o.total_amount_${suffix}), 0) as discounted_revenue
+      FROM orders o
+      WHERE o.created_at >= ? AND o.created_at < ? AND ${billed} AND o.discount_${suffix} > 0
+      GROUP BY DATE_FORMAT(o.created_at, '%Y-%m-%d')
+      ORDER BY date
+    `, params);
+
+    res.json({
+      success: true,
+      data: { currency, summary, byPromotion, byCode, byDay }
+    });
+  } catch (error) {
+    console.error('Error fetching promotion analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotion analytics',
+      error: error.message
+    });
+  }
+});
+//---------------------------------
+
+
+// Bring the schema up to date by applying any pending migrations
+const initializeDatabase = async () => {
+  try {
+    console.log('Applying database migrations...');
+    const applied = await migrate(pool);
+    console.log(applied.length ? `Applied migrations: ${applied.join(', ')}` : 'Database schema is up to date');
+    return true;
   } catch (error) {
-    console.error('Error initializing database:', error);
+    console.error('Error applying database migrations:', error);
+    return false;
   }
 };
 
@@ -2175,19 +11134,27 @@ const PORT = process.env.PORT || 5000;
 // Initialize and start server
 const startServer = async () => {
   try {
+    // Payments go through PAYMENT_PROVIDER. The local stub moves no money and is
+    // not registered in production, so production needs a real provider.
+    const paymentProvider = defaultProviderName();
+    if (!paymentProvider || !hasProvider(paymentProvider)) {
+      throw new Error(`PAYMENT_PROVIDER ${paymentProvider ? `"${paymentProvider}" is not a registered provider` : 'is not set'}; see .env.example`);
+    }
+
     // Test database connection first
     const dbConnected = await testDatabaseConnection();
 
     if (!dbConnected) {
       console.log('Warning: Database connection failed, but server will continue running...');
+    } else {
+      // The routes assume the current schema, so migrate before accepting requests
+      await initializeDatabase();
+      startServiceRequestEscalation();
     }
 
-    httpServer.listen(PORT, '0.0.0.0', async () => {
+    httpServer.listen(PORT, '0.0.0.0', () => {
       console.log(`Server is running and accessible on the network at port ${PORT}`);
       console.log(`API endpoints available at http://localhost:${PORT}/api`);
-
-      // Initialize database after server starts
-      await initializeDatabase();
     });
   } catch (error) {
     console.error('Failed to start server:', error);
@@ -2195,7 +11162,9 @@ const startServer = async () => {
   }
 };
 
-// Start the server
-startServer();
+// Start the server when run directly; tests require the app without listening
+if (require.main === module) {
+  startServer();
+}
 
-module.exports = { app, io };
\ No newline at end of file
+module.exports = { app, io, processPaymentWebhook };
\ No newline at end of file
@@ -0,0 +1,84 @@
+// In-memory stand-in for the mysql2 pool, covering the statements the payment
+// webhook path runs. Any other statement throws, so a query added to that path
+// shows up here instead of silently passing.
+const createFakePool = ({ orders = [], payments = [] } = {}) => {
+  const tables = { orders, payments, payment_webhook_events: [] };
+  let snapshot = null;
+
+  const findRow = (table, id) => tables[table].find(row => row.id === Number(id));
+
+  const handlers = [
+    [/^SELECT \* FROM payments WHERE provider = \? AND provider_payment_id = \?/, ([provider, providerPaymentId]) => [
+      tables.payments
+        .filter(payment => payment.provider === provider && payment.provider_payment_id === providerPaymentId)
+        .sort((a, b) => a.id - b.id)
+        .map(payment => ({ ...payment }))
+    ]],
+    [/^INSERT INTO payment_webhook_events/, ([provider, eventId, eventType, paymentId]) => {
+      if (tables.payment_webhook_events.some(event => event.provider === provider && event.event_id === eventId)) {
+        throw Object.assign(new Error(`Duplicate entry '${provider}-${eventId}'`), { code: 'ER_DUP_ENTRY' });
+      }
+      const id = tables.payment_webhook_events.length + 1;
+      tables.payment_webhook_events.push({ id, provider, event_id: eventId, event_type: eventType, payment_id: paymentId });
+      return [{ insertId: id, affectedRows: 1 }];
+    }],
+    [/^SELECT \* FROM orders WHERE id = \?/, ([id]) => [findRow('orders', id) ? [{ ...findRow('orders', id) }] : []]],
+    [/^SELECT COALESCE\(SUM\(captured_amount\), 0\) AS paid/, ([orderId, ...statuses]) => {
+      const settled = tables.payments.filter(payment => payment.order_id === Number(orderId) && statuses.includes(payment.status));
+      const sum = (column) => settled.reduce((total, payment) => total + Number(payment[column] || 0), 0).toFixed(2);
+      const methods = [...new Set(settled.map(payment => payment.method))].sort();
+      return [[{
+        paid: sum('captured_amount'),
+        refunded: sum('refunded_amount'),
+        change_given: sum('change_amount'),
+        methods: methods.length > 0 ? methods.join(',') : null
+      }]];
+    }],
+    [/^UPDATE payments SET status = 'captured', captured_amount = \?, review_reason = \?, captured_at = NOW\(\) WHERE id = \?/,
+      ([capturedAmount, reviewReason, id]) => {
+        Object.assign(findRow('payments', id), {
+          status: 'captured', captured_amount: capturedAmount, review_reason: reviewReason, captured_at: new Date()
+        });
+        return [{ affectedRows: 1 }];
+      }],
+    [/^UPDATE orders SET payment_status = \?, payment_method = COALESCE\(\?, payment_method\) WHERE id = \?/,
+      ([paymentStatus, paymentMethod, id]) => {
+        const order = findRow('orders', id);
+        order.payment_status = paymentStatus;
+        order.payment_method = paymentMethod || order.payment_method;
+        return [{ affectedRows: 1 }];
+      }]
+  ];
+
+  const execute = async (sql, params = []) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    const handler = handlers.find(([pattern]) => pattern.test(statement));
+    if (!handler) {
+      throw new Error(`Fake database cannot run: ${statement}`);
+    }
+    return handler[1](params);
+  };
+
+  // Rollback restores the tables as they were when the transaction began
+  const connection = {
+    execute,
+    query: execute,
+    beginTransaction: async () => {
+      snapshot = structuredClone(tables);
+    },
+    commit: async () => {
+      snapshot = null;
+    },
+    rollback: async () => {
+      if (snapshot) {
+        Object.assign(tables, snapshot);
+        snapshot = null;
+      }
+    },
+    release: () => {}
+  };
+
+  return { tables, pool: { execute, query: execute, getConnection: async () => connection } };
+};
+
+module.exports = { createFakePool };
@@ -0,0 +1,40 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getProvider, signLocalWebhook } = require('../payments');
+
+const verify = (webhook) => getProvider('local').verifyWebhook(webhook.body, webhook.headers);
+
+test('local webhooks with a valid signature are accepted', () => {
+  const webhook = signLocalWebhook({ type: 'payment.captured', provider_payment_id: 'local_pay_1', amount: '250.00' });
+  const event = verify(webhook);
+  assert.equal(event.type, 'payment.captured');
+  assert.equal(event.provider_payment_id, 'local_pay_1');
+  assert.match(event.id, /^local_evt_/);
+});
+
+test('local webhooks without a signature are rejected', () => {
+  const webhook = signLocalWebhook({ type: 'payment.captured', provider_payment_id: 'local_pay_1' });
+  assert.throws(() => verify({ body: webhook.body, headers: {} }), /Missing webhook signature/);
+});
+
+test('local webhooks with a tampered body are rejected', () => {
+  const webhook = signLocalWebhook({ type: 'payment.captured', provider_payment_id: 'local_pay_1', amount: '250.00' });
+  const body = Buffer.from(webhook.body.toString().replace('250.00', '2500.00'));
+  assert.throws(() => verify({ body, headers: webhook.headers }), /Invalid webhook signature/);
+});
+
+test('local webhooks signed with another secret are rejected', () => {
+  const webhook = signLocalWebhook({ type: 'payment.captured', provider_payment_id: 'local_pay_1' });
+  const header = webhook.headers['x-local-signature'].replace(/v1=[0-9a-f]+/, `v1=${'0'.repeat(64)}`);
+  assert.throws(() => verify({ body: webhook.body, headers: { 'x-local-signature': header } }), /Invalid webhook signature/);
+});
+
+test('local webhooks with a stale timestamp are rejected', () => {
+  const signedAt = Date.now() - 10 * 60 * 1000;
+  mock.method(Date, 'now', () => signedAt);
+  const webhook = signLocalWebhook({ type: 'payment.captured', provider_payment_id: 'local_pay_1' });
+  mock.restoreAll();
+
+  assert.throws(() => verify(webhook), /outside the allowed window/);
+});
@@ -0,0 +1,108 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createFakePool } = require('./fake-db');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.QR_TOKEN_SECRET = process.env.QR_TOKEN_SECRET || 'test-qr-secret';
+
+// server.js takes its pool from db.js; point that at the fake before loading it
+let db;
+const dbPath = path.join(__dirname, '..', 'db.js');
+require.cache[dbPath] = {
+  id: dbPath,
+  filename: dbPath,
+  loaded: true,
+  exports: {
+    pool: {
+      execute: (...args) => db.pool.execute(...args),
+      query: (...args) => db.pool.query(...args),
+      getConnection: () => db.pool.getConnection()
+    }
+  }
+};
+
+const { app, processPaymentWebhook } = require('../server');
+const { getProvider, signLocalWebhook } = require('../payments');
+
+beforeEach(() => {
+  db = createFakePool({
+    orders: [
+      { id: 1, currency: 'INR', total_amount_inr: '500.00', order_status: 'served', payment_status: 'unpaid', payment_method: null }
+    ],
+    payments: [
+      {
+        id: 10, order_id: 1, provider: 'local', provider_payment_id: 'local_pay_1', method: 'upi',
+        amount: '500.00', status: 'pending', captured_amount: '0.00', refunded_amount: '0.00', change_amount: null, review_reason: null
+      }
+    ]
+  });
+});
+
+const receive = (event) => {
+  const webhook = signLocalWebhook(event);
+  return getProvider('local').verifyWebhook(webhook.body, webhook.headers);
+};
+
+test('a captured payment marks its order paid', async () => {
+  const event = receive({ type: 'payment.captured', provider_payment_id: 'local_pay_1', amount: '500.00' });
+
+  const result = await processPaymentWebhook('local', event);
+
+  assert.deepEqual(result, { paymentIds: [10], ledgerChanged: true });
+  const [payment] = db.tables.payments;
+  assert.equal(payment.status, 'captured');
+  assert.equal(payment.captured_amount, '500.00');
+  assert.equal(payment.review_reason, null);
+  const [order] = db.tables.orders;
+  assert.equal(order.payment_status, 'paid');
+  assert.equal(order.payment_method, 'upi');
+});
+
+test('a replayed event is acknowledged without being applied again', async () => {
+  const event = receive({ type: 'payment.captured', provider_payment_id: 'local_pay_1', amount: '500.00' });
+  await processPaymentWebhook('local', event);
+
+  const replay = await processPaymentWebhook('local', event);
+
+  assert.deepEqual(replay, { duplicate: true });
+  assert.equal(db.tables.payment_webhook_events.length, 1);
+  const [payment] = db.tables.payments;
+  assert.equal(payment.captured_amount, '500.00');
+  assert.equal(payment.review_reason, null);
+  assert.equal(db.tables.orders[0].payment_status, 'paid');
+});
+
+test('a capture for more than the order owes is flagged for review', async () => {
+  const event = receive({ type: 'payment.captured', provider_payment_id: 'local_pay_1', amount: '550.00' });
+
+  await processPaymentWebhook('local', event);
+
+  const [payment] = db.tables.payments;
+  assert.equal(payment.captured_amount, '550.00');
+  assert.match(payment.review_reason, /Captured 550.00 for a payment of 500.00/);
+  assert.match(payment.review_reason, /Captured 50.00 more than the order owed/);
+});
+
+test('events without an id are refused', async () => {
+  await assert.rejects(processPaymentWebhook('local', { type: 'payment.captured' }), { status: 400 });
+});
+
+test('the webhook endpoint refuses a bad signature before touching the ledger', async () => {
+  const webhook = signLocalWebhook({ type: 'payment.captured', provider_payment_id: 'local_pay_1', amount: '500.00' });
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/payments/webhooks/local`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-local-signature': webhook.headers['x-local-signature'] },
+      body: webhook.body.toString().replace('500.00', '5.00')
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).message, 'Invalid webhook signature');
+  } finally {
+    server.close();
+  }
+  assert.equal(db.tables.payment_webhook_events.length, 0);
+  assert.equal(db.tables.payments[0].status, 'pending');
+});